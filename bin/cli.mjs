@@ -4,24 +4,79 @@
  *
  * Usage:
  *   atl confluence setup <config.mjs>    — Create spaces and pages from config
- *   atl confluence update <space> <title> — Update a page from stdin
+ *   atl confluence update <space> <title> — Update a page from stdin (skipped when unchanged)
  *   atl confluence list <space>           — List all pages in a space
+ *   atl confluence search "<cql|text>"    — Search content (--space, --label, --since, --before, --json)
+ *   atl confluence plan <manifest>        — Diff a space manifest against the live site
+ *   atl confluence apply <manifest>       — Create/update/move (and --prune) pages to match
+ *   atl confluence publish <dir>          — Publish a Markdown folder as a page tree
+ *   atl confluence export <space> <dir>   — Export a space to Markdown files + attachments
+ *   atl confluence history <space> <title> — List a page's versions
+ *   atl confluence diff <space> <title> [from] [to] — Diff two versions (or --file) of a page
+ *   atl confluence restore <space> <title> <version> — Roll a page back to a version
+ *   atl confluence move <space> <title>   — Move a page (and its children) under --to <title> / --to-space
+ *   atl confluence copy <space> <title>   — Deep-copy a page tree to --to-space, optionally on --to-profile
+ *   atl confluence labels <space> <title> — Show, --add or --remove a page's labels
+ *   atl confluence labeled <label>        — List pages with a label (--space)
+ *   atl confluence property <space> <title> [key] — Show, --set or --delete content properties
+ *   atl confluence attach <space> <title> <file...> — Attach files (skipped when unchanged)
+ *   atl confluence attachments <space> <title> — List, --download or --remove a page's attachments
+ *   atl confluence new <template>        — Create a page from a template (ADR, RFC, runbook, ...)
+ *   atl confluence lint <file...>        — Check storage-format (or Markdown) bodies before publishing
  *   atl jira setup <config.mjs>          — Create project + issues from config
- *   atl jira list <projectKey>           — List issues in a project
+ *   atl jira list <projectKey>           — List issues in a project (--jql, --fields, --limit)
+ *   atl jira show <issueKey>             — Show an issue with description + comments
  *   atl screenshots <config.mjs>         — Take screenshots and upload
+ *   atl runs list                        — List journaled setup/publish runs
+ *   atl runs show <id>                   — Show what a run created
+ *   atl teardown <run-id|manifest>       — Delete what a run (or manifest) created
  *   atl test                             — Test Atlassian connection
+ *
+ * Global flags:
+ *   --profile <name>                     — Use a named credential profile from .env
+ *   --dry-run                            — Record changes and print them instead of making them
+ *   --resume[=<id>]                      — Continue an interrupted setup/publish run
  */
+import fs from 'fs';
 import path from 'path';
-import { loadConfig } from '../lib/config.mjs';
-import { atlassianRequest } from '../lib/atlassian-client.mjs';
+import { loadConfig, getProfile } from '../lib/config.mjs';
+import { atlassianRequest, apiPaths, withSite } from '../lib/atlassian-client.mjs';
+
+// Flags that never take a value (everything else is `--name value` or `--name=value`)
+const BOOLEAN_FLAGS = new Set(['prune', 'no-attachments', 'dry-run', 'resume', 'yes', 'force', 'containers', 'minor', 'merge', 'children-only', 'json', 'delete', 'validate']);
+// Flags that may be given more than once (collected into an array)
+const REPEATABLE_FLAGS = new Set(['var']);
 
-const args = process.argv.slice(2);
+const { args, flags } = parseArgs(process.argv.slice(2));
 const command = args[0];
 const subcommand = args[1];
 
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) { args.push(arg); continue; }
+    const eqIdx = arg.indexOf('=');
+    const name = arg.slice(2, eqIdx === -1 ? undefined : eqIdx);
+    let value;
+    if (eqIdx !== -1) value = arg.slice(eqIdx + 1);
+    else if (BOOLEAN_FLAGS.has(name) || i + 1 >= argv.length) value = true;
+    else value = argv[++i];
+    flags[name] = REPEATABLE_FLAGS.has(name) ? [...(flags[name] || []), value] : value;
+  }
+  return { args, flags };
+}
+
 async function main() {
+  // --profile selects a named credential profile from .env for every command
+  if (typeof flags.profile === 'string') process.env.ATLASSIAN_PROFILE = flags.profile;
+  // --dry-run records POST/PUT/DELETE requests and prints them at exit instead
+  if (flags['dry-run']) process.env.ATL_DRY_RUN = '1';
+
   // Load .env from current working directory
-  loadConfig();
+  const config = loadConfig();
+  if (config.dryRun) console.log('Dry run — reading from the site, but no changes will be made.\n');
 
   switch (command) {
     case 'test':
@@ -32,6 +87,23 @@ async function main() {
         case 'setup':   return confluenceSetup(args[2]);
         case 'update':  return confluenceUpdate(args[2], args[3]);
         case 'list':    return confluenceList(args[2]);
+        case 'search':  return confluenceSearch(args[2]);
+        case 'plan':    return confluencePlan(args[2]);
+        case 'apply':   return confluenceApply(args[2]);
+        case 'publish': return confluencePublish(args[2]);
+        case 'export':  return confluenceExport(args[2], args[3]);
+        case 'history': return confluenceHistory(args[2], args[3]);
+        case 'diff':    return confluenceDiff(args[2], args[3], args[4], args[5]);
+        case 'restore': return confluenceRestore(args[2], args[3], args[4]);
+        case 'move':    return confluenceMove(args[2], args[3]);
+        case 'copy':    return confluenceCopy(args[2], args[3]);
+        case 'labels':  return confluenceLabels(args[2], args[3]);
+        case 'labeled': return confluenceLabeled(args[2]);
+        case 'property': return confluenceProperty(args[2], args[3], args[4]);
+        case 'attach':  return confluenceAttach(args[2], args[3], args.slice(4));
+        case 'attachments': return confluenceAttachments(args[2], args[3]);
+        case 'new':     return confluenceNew(args[2]);
+        case 'lint':    return confluenceLint(args.slice(2));
         default:        return usage();
       }
 
@@ -39,12 +111,23 @@ async function main() {
       switch (subcommand) {
         case 'setup':   return jiraSetup(args[2]);
         case 'list':    return jiraList(args[2]);
+        case 'show':    return jiraShow(args[2]);
         default:        return usage();
       }
 
     case 'screenshots':
       return screenshotRun(args[1]);
 
+    case 'teardown':
+      return teardown(args[1]);
+
+    case 'runs':
+      switch (subcommand) {
+        case 'list':    return runsList();
+        case 'show':    return runsShow(args[2]);
+        default:        return usage();
+      }
+
     default:
       return usage();
   }
@@ -55,12 +138,13 @@ async function main() {
 async function testConnection() {
   console.log('Testing Atlassian connection...\n');
   const config = loadConfig();
-  console.log(`  Domain: ${config.atlassian.domain}`);
-  console.log(`  Email:  ${config.atlassian.email}`);
+  console.log(`  Profile: ${config.profile}`);
+  console.log(`  Domain: ${config.atlassian.domain} (${config.atlassian.deployment})`);
+  console.log(`  Auth:   ${config.atlassian.authType}${config.atlassian.authType === 'basic' ? ` (${config.atlassian.email})` : ''}`);
 
   try {
     // Test Confluence
-    const spaces = await atlassianRequest('GET', '/wiki/rest/api/space?limit=5');
+    const spaces = await atlassianRequest('GET', `${apiPaths(config.atlassian).confluence}/space?limit=5`);
     console.log(`\n  Confluence: ${spaces.results?.length || 0} spaces found`);
     for (const s of (spaces.results || []).slice(0, 5)) {
       console.log(`    - ${s.key}: ${s.name}`);
@@ -71,9 +155,10 @@ async function testConnection() {
 
   try {
     // Test JIRA
-    const projects = await atlassianRequest('GET', '/rest/api/3/project/search?maxResults=5');
-    console.log(`\n  JIRA: ${projects.values?.length || 0} projects found`);
-    for (const p of (projects.values || []).slice(0, 5)) {
+    const { jira } = await import('../lib/jira.mjs');
+    const projects = await jira.listProjects({ max: 5 });
+    console.log(`\n  JIRA: ${projects.length} projects found`);
+    for (const p of projects) {
       console.log(`    - ${p.key}: ${p.name}`);
     }
   } catch (e) {
@@ -92,19 +177,35 @@ async function confluenceSetup(configFile) {
     return;
   }
   const fn = config.setup || config.default;
-  await fn();
+  await journaled('confluence setup', configFile, fn);
 }
 
 async function confluenceUpdate(spaceKey, title) {
-  if (!spaceKey || !title) { console.log('Usage: atl confluence update <spaceKey> <title>'); return; }
-  const { confluence } = await import('../lib/confluence.mjs');
+  if (!spaceKey || !title) {
+    console.log('Usage: atl confluence update <spaceKey> <title> [--title <new title>] [--message <text>] [--minor] [--merge] [--validate]');
+    return;
+  }
+  const { confluence, PageConflictError } = await import('../lib/confluence.mjs');
 
   // Read body from stdin
   let body = '';
   for await (const chunk of process.stdin) body += chunk;
 
   if (!body.trim()) { console.log('No content on stdin. Pipe HTML content.'); return; }
-  await confluence.updatePage(spaceKey, title, body);
+  try {
+    await confluence.updatePage(spaceKey, title, body, {
+      title: typeof flags.title === 'string' ? flags.title : undefined,
+      message: typeof flags.message === 'string' ? flags.message : undefined,
+      minorEdit: !!flags.minor,
+      merge: !!flags.merge,
+      validate: !!flags.validate,
+    });
+  } catch (e) {
+    if (!(e instanceof PageConflictError)) throw e;
+    console.log(`\n${e.message}.`);
+    console.log(e.conflicts.length ? 'Both edits changed the same blocks; merge them by hand.' : 'Re-run with --merge to combine both edits.');
+    process.exitCode = 1;
+  }
 }
 
 async function confluenceList(spaceKey) {
@@ -139,6 +240,477 @@ async function confluenceList(spaceKey) {
   printTree(roots);
 }
 
+async function confluenceSearch(query) {
+  if (!query && !flags.space && !flags.label && !flags.since && !flags.before) {
+    console.log('Usage: atl confluence search "<cql or free text>" [--space <key,key>] [--label <name,name>]');
+    console.log('         [--since <30d|YYYY-MM-DD>] [--before <90d|YYYY-MM-DD>] [--type <page|blogpost>] [--limit <n|all>] [--json]');
+    return;
+  }
+  const limit = limitFlag(25, 'Usage: atl confluence search "<cql or free text>" [--space <key,key>] ... [--limit <n|all>] [--json]');
+  if (limit === null) return;
+  const { confluence, cql } = await import('../lib/confluence.mjs');
+
+  const list = (flag) => String(flag).split(',').map(v => v.trim()).filter(Boolean);
+  // Anything with a CQL operator is taken as CQL, anything else as text to look for
+  const isCql = query && /[=~<>]|\s(?:not\s+)?in\s*\(/i.test(query);
+  const [where, order] = isCql ? query.split(/\s+(?=ORDER\s+BY\b)/i) : [query && cql.text(query)];
+  const clauses = [
+    where,
+    !/\btype\s*(=|in\b)/i.test(where || '') && cql.type(typeof flags.type === 'string' ? flags.type : 'page'),
+    flags.space && cql.space(list(flags.space)),
+    flags.label && cql.label(list(flags.label)),
+    flags.since && cql.modifiedSince(flags.since),
+    flags.before && cql.modifiedBefore(flags.before),
+  ];
+  const search = `${cql.and(clauses)} ${order || 'ORDER BY lastmodified DESC'}`;
+  const results = await confluence.searchContent(search, { max: limit, excerpt: true });
+
+  const { baseUrl } = loadConfig().atlassian;
+  const rows = results.map(r => ({
+    id: r.id,
+    type: r.type,
+    title: r.title,
+    space: r.space?.key,
+    lastModified: r.version?.when,
+    by: r.version?.by?.displayName || r.version?.by?.publicName || '',
+    url: r._links?.webui ? `${baseUrl}${apiPaths().confluenceWeb}${r._links.webui}` : null,
+    excerpt: r.excerpt,
+  }));
+  if (flags.json) { console.log(JSON.stringify(rows, null, 2)); return; }
+
+  console.log(`\nResults for ${search} (${rows.length}${rows.length === limit ? '+' : ''}):\n`);
+  for (const r of rows) {
+    console.log(`  ${r.id.padEnd(10)} ${(r.space || '').padEnd(8)} ${r.title}  (${r.lastModified?.slice(0, 10) || '?'}${r.by ? ` by ${r.by}` : ''})`);
+    if (r.excerpt) console.log(`             ${r.excerpt}`);
+  }
+}
+
+async function confluencePlan(manifestFile) {
+  if (!manifestFile) { console.log('Usage: atl confluence plan <manifest> [--prune]'); return; }
+  const { loadManifest, planManifest, formatPlan } = await import('../lib/manifest.mjs');
+
+  const manifest = await loadManifest(manifestFile);
+  const plan = await planManifest(manifest, { prune: !!flags.prune });
+  console.log(`\n${formatPlan(plan)}`);
+}
+
+async function confluenceApply(manifestFile) {
+  if (!manifestFile) { console.log('Usage: atl confluence apply <manifest> [--prune]'); return; }
+  const { loadManifest, planManifest, applyManifest, formatPlan } = await import('../lib/manifest.mjs');
+
+  const manifest = await loadManifest(manifestFile);
+  const plan = await planManifest(manifest, { prune: !!flags.prune });
+  console.log(`\n${formatPlan(plan)}\n`);
+
+  const results = await applyManifest(manifest, { plan });
+  const failed = results.filter(r => r.status === 'failed');
+  console.log(`\nApplied ${results.filter(r => r.status === 'done').length} changes, ${failed.length} failed.`);
+  if (failed.length) process.exitCode = 1;
+}
+
+async function confluencePublish(dir) {
+  if (!dir || !flags.space) { console.log('Usage: atl confluence publish <dir> --space <key> [--parent <title>] [--validate]'); return; }
+  const { confluence } = await import('../lib/confluence.mjs');
+  const { publishDirectory } = await import('../lib/publish.mjs');
+
+  let parentId;
+  if (flags.parent) {
+    const parent = await confluence.getPage(flags.space, flags.parent);
+    if (!parent) { console.log(`Parent page "${flags.parent}" not found in ${flags.space}`); process.exitCode = 1; return; }
+    parentId = parent.id;
+  } else {
+    const space = await confluence.getSpace(flags.space);
+    if (!space) { console.log(`Space ${flags.space} not found`); process.exitCode = 1; return; }
+    parentId = space.homepage?.id;
+  }
+
+  const report = await journaled('confluence publish', `${dir} --space ${flags.space}`, () => publishDirectory(dir, flags.space, parentId, { validate: !!flags.validate }));
+  const resumed = report.resumed.length ? `, ${report.resumed.length} already done` : '';
+  console.log(`\n  ${report.created.length} created, ${report.updated.length} updated, ${report.unchanged.length} unchanged${resumed}, ${report.failed.length} failed`);
+  for (const f of report.failed) console.log(`    ✗ ${f.title}: ${f.error}`);
+  for (const m of report.missing) console.log(`    ! ${m.title}: ${path.relative(process.cwd(), m.file)} not found, not attached`);
+  if (report.failed.length) process.exitCode = 1;
+}
+
+async function confluenceExport(spaceKey, outDir) {
+  if (!spaceKey || !outDir) { console.log('Usage: atl confluence export <spaceKey> <outDir> [--no-attachments]'); return; }
+  const { exportSpace } = await import('../lib/export.mjs');
+
+  const summary = await exportSpace(spaceKey, outDir, { attachments: !flags['no-attachments'] });
+  console.log(`\nExported ${summary.pages} pages and ${summary.attachments} attachments to ${outDir}${summary.failed.length ? `, ${summary.failed.length} failed` : ''}`);
+  for (const f of summary.failed) console.log(`    ✗ ${f.title}: ${f.error}`);
+  if (summary.failed.length) process.exitCode = 1;
+}
+
+async function confluenceHistory(spaceKey, title) {
+  if (!spaceKey || !title) { console.log('Usage: atl confluence history <spaceKey> <title> [--limit <n|all>]'); return; }
+  const max = limitFlag(25, 'Usage: atl confluence history <spaceKey> <title> [--limit <n|all>]');
+  if (max === null) return;
+  const { confluence } = await import('../lib/confluence.mjs');
+
+  const page = await requirePage(confluence, spaceKey, title);
+  if (!page) return;
+  const versions = await confluence.getPageVersions(page.id, { max });
+  console.log(`\nHistory of ${spaceKey}/${page.title} (ID: ${page.id}):\n`);
+  for (const v of versions) {
+    const current = v.number === page.version.number ? '  (current)' : '';
+    console.log(`  v${String(v.number).padEnd(4)} ${v.when.slice(0, 16).replace('T', ' ')}  ${v.by}${v.message ? ` — ${v.message}` : ''}${v.minorEdit ? ' [minor]' : ''}${current}`);
+  }
+}
+
+async function confluenceDiff(spaceKey, title, from, to) {
+  if (!spaceKey || !title) {
+    console.log('Usage: atl confluence diff <spaceKey> <title> [fromVersion] [toVersion] [--file <page.html|page.md>]');
+    return;
+  }
+  if ([from, to].some(v => v !== undefined && positiveInt(v) === null)) {
+    console.log('Versions must be positive whole numbers.\nUsage: atl confluence diff <spaceKey> <title> [fromVersion] [toVersion] [--file <page.html|page.md>]');
+    process.exitCode = 1;
+    return;
+  }
+  const { confluence } = await import('../lib/confluence.mjs');
+
+  const page = await requirePage(confluence, spaceKey, title);
+  if (!page) return;
+  const opts = { from: from ? positiveInt(from) : undefined, to: to ? positiveInt(to) : undefined };
+  if (typeof flags.file === 'string') {
+    const file = path.resolve(process.cwd(), flags.file);
+    const source = fs.readFileSync(file, 'utf-8');
+    if (/\.md$/i.test(file)) {
+      const { markdownToStorage } = await import('../lib/markdown.mjs');
+      opts.body = markdownToStorage(source, { baseDir: path.dirname(file) }).body;
+    } else {
+      opts.body = source;
+    }
+    opts.label = flags.file;
+  }
+  const diff = await confluence.diffPage(page.id, opts);
+  console.log(`\n${confluence.formatPageDiff(diff)}`);
+}
+
+async function confluenceRestore(spaceKey, title, version) {
+  if (!spaceKey || !title || !version) {
+    console.log('Usage: atl confluence restore <spaceKey> <title> <version> [--message <text>]');
+    return;
+  }
+  if (positiveInt(version) === null) {
+    console.log('The version must be a positive whole number.\nUsage: atl confluence restore <spaceKey> <title> <version> [--message <text>]');
+    process.exitCode = 1;
+    return;
+  }
+  const { confluence } = await import('../lib/confluence.mjs');
+
+  const page = await requirePage(confluence, spaceKey, title);
+  if (!page) return;
+  await confluence.restorePageVersion(page.id, positiveInt(version), {
+    message: typeof flags.message === 'string' ? flags.message : undefined,
+  });
+}
+
+async function confluenceMove(spaceKey, title) {
+  if (!spaceKey || !title || (!flags.to && !flags['to-space'])) {
+    console.log('Usage: atl confluence move <spaceKey> <title> (--to <parent title> [--to-space <key>] | --to-space <key>)');
+    return;
+  }
+  const { confluence } = await import('../lib/confluence.mjs');
+
+  const page = await requirePage(confluence, spaceKey, title);
+  if (!page) return;
+  const targetSpace = flags['to-space'] || spaceKey;
+  let target = { spaceKey: targetSpace };
+  if (flags.to) {
+    const parent = await requirePage(confluence, targetSpace, flags.to);
+    if (!parent) return;
+    target = { parentId: parent.id };
+  }
+  await confluence.movePage(page.id, target, { message: typeof flags.message === 'string' ? flags.message : undefined });
+}
+
+async function confluenceCopy(spaceKey, title) {
+  if (!spaceKey || !title || !flags['to-space']) {
+    console.log('Usage: atl confluence copy <spaceKey> <title> --to-space <key> [--parent <title>] [--to-profile <name>]');
+    console.log('         [--prefix <text>] [--children-only] [--no-attachments]');
+    return;
+  }
+  const { confluence } = await import('../lib/confluence.mjs');
+  const { copyPageTree } = await import('../lib/copy.mjs');
+
+  const page = await requirePage(confluence, spaceKey, title);
+  if (!page) return;
+  const site = typeof flags['to-profile'] === 'string' ? getProfile(flags['to-profile']) : undefined;
+  const target = { spaceKey: flags['to-space'], site };
+  if (flags.parent) {
+    const parent = await withSite(site ?? loadConfig().atlassian, () => confluence.getPage(target.spaceKey, flags.parent));
+    if (!parent) { console.log(`Parent page "${flags.parent}" not found in ${target.spaceKey}`); process.exitCode = 1; return; }
+    target.parentId = parent.id;
+  }
+
+  const prefix = typeof flags.prefix === 'string' ? flags.prefix : '';
+  const report = await copyPageTree(page.id, target, {
+    rename: prefix ? (t) => `${prefix}${t}` : undefined,
+    childrenOnly: !!flags['children-only'],
+    attachments: !flags['no-attachments'],
+  });
+  console.log(`\n  ${report.copied.length} copied (${report.attachments} attachments), ${report.failed.length} failed`);
+  for (const f of report.failed) console.log(`    ✗ ${f.title}: ${f.error}`);
+  for (const ref of report.unresolved) console.log(`    ! links to ${ref}, which is not on the target site`);
+  if (report.failed.length) process.exitCode = 1;
+}
+
+async function confluenceLabels(spaceKey, title) {
+  if (!spaceKey || !title) {
+    console.log('Usage: atl confluence labels <spaceKey> <title> [--add <name,name>] [--remove <name,name>]');
+    return;
+  }
+  const { confluence } = await import('../lib/confluence.mjs');
+
+  const page = await requirePage(confluence, spaceKey, title);
+  if (!page) return;
+  const list = (flag) => (typeof flag === 'string' ? flag.split(',').map(v => v.trim()).filter(Boolean) : []);
+  if (flags.add) await confluence.addLabels(page.id, list(flags.add));
+  const removed = flags.remove ? await confluence.removeLabels(page.id, list(flags.remove)) : [];
+  for (const name of list(flags.remove).filter(n => !removed.includes(n))) console.log(`  (no label "${name}" to remove)`);
+
+  const labels = await confluence.getLabels(page.id);
+  console.log(`\nLabels on ${spaceKey}/${page.title}: ${labels.length ? labels.join(', ') : '(none)'}`);
+}
+
+async function confluenceLabeled(label) {
+  if (!label) { console.log('Usage: atl confluence labeled <label[,label]> [--space <key,key>] [--limit <n|all>]'); return; }
+  const max = limitFlag(undefined, 'Usage: atl confluence labeled <label[,label]> [--space <key,key>] [--limit <n|all>]');
+  if (max === null) return;
+  const { confluence } = await import('../lib/confluence.mjs');
+
+  const list = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+  const pages = await confluence.listPagesByLabel(list(label), {
+    spaceKey: flags.space ? list(flags.space) : undefined,
+    max: max === Infinity ? undefined : max,
+  });
+  console.log(`\nPages labelled ${list(label).join(' or ')} (${pages.length}):\n`);
+  for (const p of pages) console.log(`  ${p.id.padEnd(10)} ${(p.space?.key || '').padEnd(8)} ${p.title}`);
+}
+
+async function confluenceProperty(spaceKey, title, key) {
+  if (!spaceKey || !title || ((flags.set !== undefined || flags.delete) && !key)) {
+    console.log('Usage: atl confluence property <spaceKey> <title> [key] [--set <json>] [--delete]');
+    return;
+  }
+  const { confluence } = await import('../lib/confluence.mjs');
+
+  const page = await requirePage(confluence, spaceKey, title);
+  if (!page) return;
+  if (!key) {
+    console.log(JSON.stringify(await confluence.listContentProperties(page.id), null, 2));
+    return;
+  }
+  if (flags.delete) {
+    const deleted = await confluence.deleteContentProperty(page.id, key);
+    console.log(deleted ? `  Deleted property ${key}` : `  No property ${key} on ${spaceKey}/${page.title}`);
+    return;
+  }
+  if (flags.set !== undefined) {
+    // Anything that isn't valid JSON is stored as a string
+    let value = String(flags.set);
+    try { value = JSON.parse(value); } catch { /* plain string */ }
+    const { status, property } = await confluence.setContentProperty(page.id, key, value);
+    console.log(`  ${status[0].toUpperCase()}${status.slice(1)}: property ${key} on ${spaceKey}/${page.title}${status === 'unchanged' ? '' : ` (v${property.version?.number})`}`);
+    return;
+  }
+  const value = await confluence.getContentProperty(page.id, key);
+  if (value === undefined) { console.log(`No property ${key} on ${spaceKey}/${page.title}`); process.exitCode = 1; return; }
+  console.log(JSON.stringify(value, null, 2));
+}
+
+async function confluenceAttach(spaceKey, title, files) {
+  if (!spaceKey || !title || !files.length) {
+    console.log('Usage: atl confluence attach <spaceKey> <title> <file...> [--name <filename>] [--comment <text>] [--minor] [--force]');
+    return;
+  }
+  const { confluence } = await import('../lib/confluence.mjs');
+
+  const page = await requirePage(confluence, spaceKey, title);
+  if (!page) return;
+  if (flags.name && files.length > 1) { console.log('--name only works with a single file'); process.exitCode = 1; return; }
+  for (const file of files) {
+    const filepath = path.resolve(process.cwd(), file);
+    const name = typeof flags.name === 'string' ? flags.name : path.basename(filepath);
+    try {
+      const { status, attachment } = await confluence.attachFile(page.id, filepath, name, {
+        comment: typeof flags.comment === 'string' ? flags.comment : undefined,
+        minorEdit: flags.minor ? true : undefined,
+        force: !!flags.force,
+      });
+      const version = attachment.version?.number ? ` (v${attachment.version.number})` : '';
+      console.log(`  ${status === 'unchanged' ? 'Unchanged' : status === 'created' ? 'Attached' : 'Updated'}: ${name}${status === 'unchanged' ? '' : version}`);
+    } catch (e) {
+      console.log(`  Error attaching ${name}: ${e.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+async function confluenceAttachments(spaceKey, title) {
+  if (!spaceKey || !title) {
+    console.log('Usage: atl confluence attachments <spaceKey> <title> [--download <dir>] [--remove <filename>] [--json]');
+    return;
+  }
+  const { confluence } = await import('../lib/confluence.mjs');
+
+  const page = await requirePage(confluence, spaceKey, title);
+  if (!page) return;
+  if (typeof flags.remove === 'string') {
+    const attachment = await confluence.getAttachment(page.id, flags.remove);
+    if (!attachment) { console.log(`No attachment "${flags.remove}" on ${spaceKey}/${page.title}`); process.exitCode = 1; return; }
+    await confluence.deleteAttachment(attachment);
+    console.log(`  Deleted: ${attachment.title}`);
+    return;
+  }
+
+  const attachments = await confluence.listAttachments(page.id);
+  if (typeof flags.download === 'string') {
+    const dir = path.resolve(process.cwd(), flags.download);
+    fs.mkdirSync(dir, { recursive: true });
+    for (const att of attachments) {
+      const { bytes } = await confluence.downloadAttachment(att, dir);
+      console.log(`  Downloaded: ${att.title} (${formatBytes(bytes)})`);
+    }
+    return;
+  }
+
+  const rows = attachments.map(a => ({
+    id: a.id,
+    title: a.title,
+    mediaType: a.extensions?.mediaType || a.metadata?.mediaType,
+    size: a.extensions?.fileSize,
+    version: a.version?.number,
+    modified: a.version?.when,
+    comment: a.extensions?.comment || a.version?.message || '',
+  }));
+  if (flags.json) { console.log(JSON.stringify(rows, null, 2)); return; }
+  console.log(`\nAttachments on ${spaceKey}/${page.title} (${rows.length}):\n`);
+  for (const r of rows) {
+    console.log(`  ${r.title}  ${r.mediaType || '?'}, ${r.size === undefined ? '?' : formatBytes(r.size)}, v${r.version} ${r.modified?.slice(0, 10) || ''}${r.comment ? ` — ${r.comment}` : ''}`);
+  }
+}
+
+async function confluenceNew(name) {
+  const templates = await import('../lib/templates.mjs');
+  // Project templates: --templates <dir>, or .atl/templates (ATL_TEMPLATES_DIR) when it exists
+  const dir = typeof flags.templates === 'string' ? flags.templates : loadConfig().templatesDir;
+  if (typeof flags.templates === 'string' || fs.existsSync(path.resolve(process.cwd(), dir))) {
+    await templates.loadTemplates(dir);
+  }
+
+  if (!name) {
+    console.log('Usage: atl confluence new <template> --space <key> --title <title> [--parent <title>] [--var name=value ...]\n');
+    console.log('Templates:');
+    for (const t of templates.listTemplates()) {
+      console.log(`\n  ${t.name}${t.description ? ` — ${t.description}` : ''}`);
+      for (const [v, def] of Object.entries(t.vars || {})) {
+        const type = def.type === 'enum' ? def.values.join('|') : def.type;
+        const notes = [def.required && 'required', def.default !== undefined && `default ${def.default}`, def.description].filter(Boolean);
+        console.log(`    ${v.padEnd(14)} ${type}${notes.length ? `  (${notes.join('; ')})` : ''}`);
+      }
+    }
+    return;
+  }
+  if (!flags.space || typeof flags.title !== 'string') {
+    console.log('Usage: atl confluence new <template> --space <key> --title <title> [--parent <title>] [--var name=value ...]');
+    return;
+  }
+
+  const vars = {};
+  for (const pair of flags.var || []) {
+    const eq = String(pair).indexOf('=');
+    if (eq < 1) { console.log(`--var expects name=value, got "${pair}"`); process.exitCode = 1; return; }
+    vars[pair.slice(0, eq).trim()] = pair.slice(eq + 1);
+  }
+  const { page, title, index } = await templates.createFromTemplate(name, {
+    spaceKey: flags.space,
+    title: flags.title,
+    parent: typeof flags.parent === 'string' ? flags.parent : undefined,
+    vars,
+  });
+  console.log(`\nCreated ${flags.space}/${title} (ID=${page.id})`);
+  if (index) console.log(`Index ${index.status}: ${index.entries} entr${index.entries === 1 ? 'y' : 'ies'}`);
+}
+
+async function confluenceLint(files) {
+  if (!files.length) {
+    console.log('Usage: atl confluence lint <file...> [--space <key>] [--page <title>] [--json]');
+    return;
+  }
+  const { lintStorage, validateStorage, formatProblems } = await import('../lib/validate.mjs');
+  const { markdownToStorage } = await import('../lib/markdown.mjs');
+
+  let pageId;
+  if (typeof flags.page === 'string') {
+    if (!flags.space) { console.log('--page needs --space'); process.exitCode = 1; return; }
+    const { confluence } = await import('../lib/confluence.mjs');
+    const page = await requirePage(confluence, flags.space, flags.page);
+    if (!page) return;
+    pageId = page.id;
+  }
+
+  const results = [];
+  for (const file of files) {
+    const filepath = path.resolve(process.cwd(), file);
+    let body = fs.readFileSync(filepath, 'utf-8');
+    let attachments;
+    // Markdown is linted as the body publish would send; its local images will be attached
+    if (/\.md$/i.test(file)) {
+      const page = markdownToStorage(body, { baseDir: path.dirname(filepath) });
+      body = page.body;
+      attachments = page.attachments.filter(f => fs.existsSync(f)).map(f => path.basename(f));
+    }
+    const problems = flags.space
+      ? await lintStorage(body, { spaceKey: flags.space, pageId, attachments })
+      : validateStorage(body);
+    results.push({ file, problems, body });
+  }
+
+  const count = (severity) => results.reduce((n, r) => n + r.problems.filter(p => p.severity === severity).length, 0);
+  if (count('error')) process.exitCode = 1;
+  if (flags.json) {
+    console.log(JSON.stringify(results.map(({ file, problems }) => ({ file, problems })), null, 2));
+    return;
+  }
+  for (const { file, problems, body } of results) {
+    if (problems.length) console.log(formatProblems(problems, body, { file }));
+  }
+  console.log(`\n${results.length} file${results.length === 1 ? '' : 's'}: ${count('error')} error${count('error') === 1 ? '' : 's'}, ${count('warning')} warning${count('warning') === 1 ? '' : 's'}`);
+}
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 ** 2) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / 1024 ** 2).toFixed(1)} MB`;
+}
+
+// A positive whole number given on the command line, or null
+function positiveInt(value) {
+  return typeof value === 'string' && /^[1-9]\d*$/.test(value.trim()) ? Number(value) : null;
+}
+
+// --limit <n|all>: `fallback` when absent, Infinity for 'all', and null —
+// with the usage printed — for anything else (NaN would never stop paging)
+function limitFlag(fallback, usageLine) {
+  if (flags.limit === undefined) return fallback;
+  if (flags.limit === 'all') return Infinity;
+  const limit = positiveInt(flags.limit);
+  if (limit === null) {
+    console.log(`--limit must be a positive whole number or "all".\n${usageLine}`);
+    process.exitCode = 1;
+  }
+  return limit;
+}
+
+async function requirePage(confluence, spaceKey, title) {
+  const page = await confluence.getPage(spaceKey, title);
+  if (!page) { console.log(`Page "${title}" not found in ${spaceKey}`); process.exitCode = 1; }
+  return page;
+}
+
 async function jiraSetup(configFile) {
   if (!configFile) { console.log('Usage: atl jira setup <config.mjs>'); return; }
   const configPath = path.resolve(process.cwd(), configFile);
@@ -148,21 +720,75 @@ async function jiraSetup(configFile) {
     return;
   }
   const fn = config.setup || config.default;
-  await fn();
+  await journaled('jira setup', configFile, fn);
 }
 
 async function jiraList(projectKey) {
-  if (!projectKey) { console.log('Usage: atl jira list <projectKey>'); return; }
-  const { jira } = await import('../lib/jira.mjs');
+  if (!projectKey && !flags.jql) {
+    console.log('Usage: atl jira list <projectKey> [--jql <query>] [--fields <a,b>] [--limit <n|all>]');
+    return;
+  }
+  const limit = limitFlag(50, 'Usage: atl jira list <projectKey> [--jql <query>] [--fields <a,b>] [--limit <n|all>]');
+  if (limit === null) return;
+  const { jira, DEFAULT_SEARCH_FIELDS } = await import('../lib/jira.mjs');
 
-  const issues = await jira.searchIssues(`project = ${projectKey} ORDER BY created DESC`, 50);
-  console.log(`\nIssues in ${projectKey} (${issues.length}):\n`);
+  const jql = buildJql(projectKey, flags.jql);
+  const extra = flags.fields ? String(flags.fields).split(',').map(f => f.trim()).filter(Boolean) : [];
+  const extraIds = extra.length ? await jira.resolveFieldIds(extra) : [];
+  const issues = await jira.searchIssues(jql, {
+    max: limit,
+    fields: [...new Set([...DEFAULT_SEARCH_FIELDS, ...extraIds])],
+  });
+  console.log(`\nIssues matching ${jql} (${issues.length}):\n`);
   for (const i of issues) {
     const type = i.fields.issuetype?.name || '?';
     const status = i.fields.status?.name || '?';
     const priority = i.fields.priority?.name || '?';
     console.log(`  ${i.key}  [${type}]  ${i.fields.summary}  (${status}, ${priority})`);
+    const values = extra.map((name, idx) => `${name}: ${formatFieldValue(i.fields[extraIds[idx]])}`);
+    if (values.length) console.log(`      ${values.join('   ')}`);
+  }
+}
+
+// `project = KEY` is ANDed onto a --jql query, keeping its ORDER BY last
+function buildJql(projectKey, jql) {
+  if (!jql) return `project = ${projectKey} ORDER BY created DESC`;
+  if (!projectKey) return jql;
+  const m = jql.match(/^(.*?)\s*(\bORDER\s+BY\b.*)?$/is);
+  const where = m[1].trim();
+  return `project = ${projectKey}${where ? ` AND (${where})` : ''}${m[2] ? ` ${m[2]}` : ''}`;
+}
+
+function formatFieldValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.map(formatFieldValue).join(', ') || '—';
+  if (typeof value !== 'object') return String(value);
+  if (value.type === 'doc') return '(rich text)';
+  return value.displayName || value.name || value.value || value.key || JSON.stringify(value);
+}
+
+async function jiraShow(issueKey) {
+  if (!issueKey) { console.log('Usage: atl jira show <issueKey> [--format md] [--comments <n>]'); return; }
+  // --comments 0 hides them
+  const maxComments = flags.comments === undefined ? 5 : flags.comments === '0' ? 0 : positiveInt(flags.comments);
+  if (maxComments === null) {
+    console.log('--comments must be a whole number.\nUsage: atl jira show <issueKey> [--format md] [--comments <n>]');
+    process.exitCode = 1;
+    return;
   }
+  const { jira } = await import('../lib/jira.mjs');
+  const { renderIssue } = await import('../lib/adf-render.mjs');
+
+  const issue = await jira.getIssue(issueKey);
+  const { comments, total } = maxComments > 0
+    ? await jira.listComments(issueKey, { maxResults: maxComments })
+    : { comments: [], total: 0 };
+
+  console.log(renderIssue(issue, comments, {
+    format: flags.format === 'md' ? 'md' : 'terminal',
+    siteUrl: loadConfig().atlassian.baseUrl,
+    totalComments: total,
+  }));
 }
 
 async function screenshotRun(configFile) {
@@ -177,6 +803,75 @@ async function screenshotRun(configFile) {
   await fn();
 }
 
+async function runsList() {
+  const { listRuns, formatRuns } = await import('../lib/journal.mjs');
+  console.log(formatRuns(listRuns()));
+}
+
+async function runsShow(id) {
+  if (!id) { console.log('Usage: atl runs show <id>'); return; }
+  const { getRun, formatRun } = await import('../lib/journal.mjs');
+  const run = getRun(id);
+  if (!run) { console.log(`No run "${id}". See atl runs list.`); process.exitCode = 1; return; }
+  console.log(formatRun(run));
+}
+
+async function teardown(target) {
+  if (!target) { console.log('Usage: atl teardown <run-id|manifest> [--containers] [--force] [--yes]'); return; }
+  const { planTeardown, applyTeardown, formatTeardownPlan } = await import('../lib/teardown.mjs');
+
+  let source;
+  if (fs.existsSync(path.resolve(process.cwd(), target))) {
+    const { loadManifest } = await import('../lib/manifest.mjs');
+    source = { manifest: await loadManifest(target) };
+  } else {
+    source = { run: target };
+  }
+  const opts = { containers: !!flags.containers, force: !!flags.force };
+  const plan = await planTeardown(source, opts);
+  console.log(`\n${formatTeardownPlan(plan, opts)}\n`);
+
+  const count = plan.items.filter(i => !i.missing && (!i.edited || opts.force)).length;
+  if (!count) return;
+  if (!flags.yes && !loadConfig().dryRun) {
+    if (!process.stdin.isTTY) { console.log('Not a terminal — re-run with --yes to delete.'); process.exitCode = 1; return; }
+    const readline = await import('readline/promises');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await rl.question(`Delete ${count} item${count === 1 ? '' : 's'}? This cannot be undone. [y/N] `);
+    rl.close();
+    if (!/^y(es)?$/i.test(answer.trim())) { console.log('Aborted.'); return; }
+  }
+
+  const results = await applyTeardown(plan, opts);
+  console.log(formatTeardownPlan(results));
+  if (results.some(r => r.status === 'failed')) process.exitCode = 1;
+}
+
+// Run a bulk command under a journal, so --resume can pick up where it stopped
+async function journaled(command, target, fn) {
+  const { startRun, withJournal } = await import('../lib/journal.mjs');
+  const journal = startRun({ command, target, resume: flags.resume });
+  if (journal.file) console.log(`Run ${journal.id} (resume with --resume=${journal.id})\n`);
+
+  const interrupted = () => {
+    journal.finish('interrupted');
+    console.log(`\nInterrupted. Continue with: --resume=${journal.id}`);
+    process.exit(130);
+  };
+  process.once('SIGINT', interrupted);
+  try {
+    const result = await withJournal(journal, fn);
+    journal.finish('completed');
+    return result;
+  } catch (e) {
+    journal.finish('failed');
+    if (journal.file) console.log(`\nRun ${journal.id} failed. Fix the problem and re-run with --resume=${journal.id}`);
+    throw e;
+  } finally {
+    process.removeListener('SIGINT', interrupted);
+  }
+}
+
 // ── Usage ──────────────────────────────────────────────────────
 
 function usage() {
@@ -186,11 +881,76 @@ Atlassian Toolkit CLI
 Commands:
   atl test                              Test connection to Confluence + JIRA
   atl confluence setup <config.mjs>     Create spaces/pages from config module
-  atl confluence update <space> <title> Update page body from stdin
+  atl confluence update <space> <title> Update page body from stdin; nothing is written when unchanged
+                                        [--title <new title>] [--message <text>] [--minor] (no notifications)
+                                        [--merge] combine with an edit made since the page was read
+                                        [--validate] check the body first (see lint)
   atl confluence list <space>           List all pages in a space (tree view)
+  atl confluence search "<cql or free text>"
+                                        Search pages by CQL, or for text, newest first [--space <key,key>]
+                                        [--label <name,name>] [--since <30d|YYYY-MM-DD>] [--before <90d|YYYY-MM-DD>]
+                                        [--type <page|blogpost>] [--limit <n|all>] [--json]
+  atl confluence plan <manifest>        Show what apply would change (--prune to include deletions)
+  atl confluence apply <manifest>       Converge spaces/pages to a JSON/YAML/.mjs manifest [--prune]
+  atl confluence publish <dir> --space <key> [--parent <title>]
+                                        Publish a Markdown folder as a page tree [--validate]
+  atl confluence export <space> <dir>   Export a space to Markdown + attachments [--no-attachments]
+  atl confluence history <space> <title>
+                                        List a page's versions with author, date and message [--limit <n|all>]
+  atl confluence diff <space> <title> [from] [to]
+                                        Diff two versions (default: previous → current), or the live
+                                        page against a local file [--file <page.html|page.md>]
+  atl confluence restore <space> <title> <version>
+                                        Roll a page back to a version (added as a new version) [--message <text>]
+  atl confluence move <space> <title> --to <parent title> [--to-space <key>]
+                                        Move a page and its children under another page, or with only
+                                        --to-space to the top of another space
+  atl confluence copy <space> <title> --to-space <key> [--parent <title>] [--to-profile <name>]
+                                        Deep-copy a page tree (bodies, labels, attachments), rewriting
+                                        links between the copies; --to-profile copies to another site
+                                        [--prefix <text>] prefix copied titles  [--children-only] skip the root
+  atl confluence labels <space> <title> Show a page's labels [--add <name,name>] [--remove <name,name>]
+  atl confluence labeled <label[,label]>
+                                        List pages with any of the labels [--space <key,key>] [--limit <n|all>]
+  atl confluence property <space> <title> [key]
+                                        Show a page's content properties (JSON metadata), or one of them;
+                                        [--set <json>] set it  [--delete] delete it
+  atl confluence attach <space> <title> <file...>
+                                        Attach files, or add new versions of same-named attachments;
+                                        unchanged files are skipped [--comment <text>] [--minor] [--force]
+                                        [--name <filename>] attach a single file under another name
+  atl confluence attachments <space> <title>
+                                        List a page's attachments with type, size and version [--json]
+                                        [--download <dir>] save them all  [--remove <filename>] delete one
+  atl confluence new <template> --space <key> --title <title>
+                                        Create a page from a template: adr, rfc, runbook, postmortem,
+                                        meeting-notes, or one in .atl/templates [--templates <dir>]
+                                        [--parent <title>] [--var name=value ...] (repeatable)
+                                        ADRs and RFCs are numbered and listed on their index page;
+                                        without a template, lists templates and their variables
+  atl confluence lint <file...>         Check storage-format (.html/.xml) or Markdown (.md) files:
+                                        well-formed XHTML, ac:/ri: elements, macro parameters
+                                        [--space <key>] also check page links and attachments
+                                        [--page <title>] the page the body is for  [--json]
   atl jira setup <config.mjs>          Create project + issues from config
   atl jira list <projectKey>           List issues in a project
+                                        [--jql <query>] [--fields <a,b>] [--limit <n|all>]
+  atl jira show <issueKey>             Show fields, description, subtasks, links, comments
+                                        [--format md] [--comments <n>]
   atl screenshots <config.mjs>        Take screenshots and optionally upload
+  atl runs list                         List journaled setup/publish runs
+  atl runs show <id>                    Show the pages, issues and sprints a run created
+  atl teardown <run-id|manifest>        Delete what a run created (issues, sprints, components, pages)
+                                        or a manifest's pages, after a preview and confirmation
+                                        [--containers] also delete the spaces/projects
+                                        [--force] include items edited since  [--yes] skip the prompt
+
+Global flags:
+  --profile <name>                      Use a named [profile] section from .env
+  --dry-run                             Print what would be created/updated/deleted; change nothing
+                                        (or set ATL_DRY_RUN=1)
+  --resume[=<id>]                       Continue the last unfinished setup/publish run (or run <id>),
+                                        skipping what it already created
 
 Config:
   Copy .env.example to .env and fill in your Atlassian credentials.
@@ -198,4 +958,5 @@ Config:
 `);
 }
 
-main().catch(e => { console.error('Error:', e.message); process.exit(1); });
+// exitCode rather than exit(), so a dry run still prints its plan after an error
+main().catch(e => { console.error('Error:', e.message); process.exitCode = 1; });
@@ -0,0 +1,45 @@
+/**
+ * Example: Declarative Confluence manifest
+ *
+ * Unlike confluence-setup.mjs, this file only describes the desired state.
+ * The CLI diffs it against the live space and converges it, so it is safe
+ * to re-run on every release:
+ *
+ *   node bin/cli.mjs confluence plan examples/confluence-manifest.mjs
+ *   node bin/cli.mjs confluence apply examples/confluence-manifest.mjs --prune
+ *
+ * Manifests can also be plain JSON or YAML with the same shape.
+ */
+import { cf, nx } from '../lib/formatters.mjs';
+
+export default {
+  spaces: [
+    {
+      key: 'ENG',
+      name: 'Engineering',
+      description: 'Engineering documentation',
+      homepage: {
+        body: `${nx.excerpt('Engineering documentation hub.')}${nx.hr}${nx.h2e(nx.star, 'Documentation')}${cf.children()}`,
+      },
+      pages: [
+        {
+          title: 'Architecture',
+          labels: ['architecture'],
+          body: `${nx.excerpt('System architecture overview.')}${cf.toc()}`,
+          children: [
+            {
+              title: 'Data Model',
+              labels: ['architecture', 'database'],
+              body: cf.table(['Entity', 'Store'], [['User', 'PostgreSQL'], ['Session', 'Redis']]),
+            },
+          ],
+        },
+        {
+          title: 'Getting Started',
+          labels: ['onboarding'],
+          body: `${nx.excerpt('Getting started guide for new developers.')}${cf.code('bash', 'pnpm install\npnpm dev')}`,
+        },
+      ],
+    },
+  ],
+};
@@ -90,9 +90,9 @@ ${nx.h2e(nx.light, 'Prerequisites')}
 ${cf.table(
   ['Tool', 'Version', 'Install'],
   [
-    ['Node.js', '18+', '<code>nvm install 18</code>'],
-    ['pnpm', '8+', '<code>npm i -g pnpm</code>'],
-    ['Docker', 'Latest', '<a href="https://docker.com">docker.com</a>'],
+    ['Node.js', '18+', cf.html`<code>nvm install 18</code>`],
+    ['pnpm', '8+', cf.html`<code>npm i -g pnpm</code>`],
+    ['Docker', 'Latest', cf.html`<a href="https://docker.com">docker.com</a>`],
   ]
 )}
 
@@ -175,24 +175,29 @@ export async function setup() {
   const eng = await confluence.createSpace('ENG', 'Engineering', 'Engineering documentation');
   const engHomeId = eng.homepage?.id || eng.id;
 
-  await confluence.buildPageTree('ENG', engHomeId, [
+  // upsert: safe to re-run — existing pages are updated only if they changed
+  const engReport = await confluence.buildPageTree('ENG', engHomeId, [
     { title: 'Architecture', body: architecturePage(), labels: ['architecture'] },
     { title: 'Getting Started', body: gettingStartedPage(), labels: ['onboarding'] },
     { title: 'Deployment', body: deploymentPage(), labels: ['deployment', 'devops'] },
-  ]);
+  ], { upsert: true });
 
   // Update homepage last (so children macro works)
-  await confluence.updatePage('ENG', 'Engineering', engineeringHomepage());
+  await confluence.updatePageById(engHomeId, { body: engineeringHomepage() });
 
   // Create Product Management space
   const pm = await confluence.createSpace('PM', 'Product Management', 'Product documentation');
   const pmHomeId = pm.homepage?.id || pm.id;
 
-  await confluence.buildPageTree('PM', pmHomeId, [
+  const pmReport = await confluence.buildPageTree('PM', pmHomeId, [
     { title: 'Product Roadmap', body: roadmapPage(), labels: ['roadmap'] },
-  ]);
+  ], { upsert: true });
 
-  await confluence.updatePage('PM', 'Product Management', productHomepage());
+  await confluence.updatePageById(pmHomeId, { body: productHomepage() });
+
+  for (const [space, report] of [['ENG', engReport], ['PM', pmReport]]) {
+    console.log(`\n  ${space}: ${report.created.length} created, ${report.updated.length} updated, ${report.unchanged.length} unchanged, ${report.failed.length} failed`);
+  }
 
   console.log('\n=============================================');
   console.log('  Confluence setup complete!');
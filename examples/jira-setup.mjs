@@ -30,7 +30,15 @@ const EPICS = [
   {
     type: 'Epic',
     summary: 'User Authentication & Authorization',
-    description: 'Implement complete auth flow: sign-up, sign-in, SSO, RBAC',
+    description: `Implement the complete auth flow.
+
+## Scope
+- Sign-up and sign-in with email/password
+- SSO via **Google OAuth**
+- Role-based access control (\`Admin\`, \`Manager\`, \`Member\`)
+
+> [!NOTE]
+> Sessions are stored in Redis — see the [architecture docs](https://your-org.atlassian.net/wiki/spaces/ENG).`,
     priority: 'High',
     labels: ['auth', 'security'],
     components: ['Backend', 'Frontend'],
@@ -45,7 +53,11 @@ const EPICS = [
   {
     type: 'Epic',
     summary: 'Dashboard & Analytics',
-    description: 'Build main dashboard with KPI cards, charts, and activity feed',
+    description: `Build the main dashboard.
+
+- [ ] KPI cards with trend indicators
+- [ ] Time-series charts
+- [ ] Activity feed`,
     priority: 'High',
     labels: ['dashboard', 'analytics'],
     components: ['Frontend', 'Backend'],
@@ -105,12 +117,11 @@ export async function setup() {
     } catch (e) {
       console.log(`  Component "${comp.name}" may already exist: ${e.message.substring(0, 80)}`);
     }
-    await new Promise(r => setTimeout(r, 200));
   }
 
-  // 3. Create epics and stories
+  // 3. Create epics and stories (descriptions are Markdown → ADF)
   console.log('\nCreating epics and stories...');
-  const allIssues = await jira.createIssueTree(PROJECT_KEY, EPICS, 300);
+  const allIssues = await jira.createIssueTree(PROJECT_KEY, EPICS, { markdown: true });
   console.log(`\n  Created ${allIssues.length} issues total.`);
 
   // 4. Create sprints (optional)
@@ -2,14 +2,30 @@
  * Atlassian Toolkit — main entry point
  *
  * Reusable toolkit for:
- *  - Confluence: spaces, pages, formatting, attachments
+ *  - Confluence: spaces, pages, formatting, attachments, manifests, Markdown publishing, templates
  *  - JIRA: projects, issues, boards, sprints
  *  - Screenshots: Playwright capture + upload to Confluence
  */
 
-export { loadConfig, resetConfig } from './lib/config.mjs';
-export { atlassianRequest, uploadAttachment } from './lib/atlassian-client.mjs';
-export { confluence } from './lib/confluence.mjs';
+export { loadConfig, resetConfig, getProfile, listProfiles, siteConfig } from './lib/config.mjs';
+export { atlassianRequest, uploadAttachment, downloadFile, paginate, paginateAll, setTransport, withSite, currentSite, apiPaths, configureRequests, schedulerFor } from './lib/atlassian-client.mjs';
+export { createScheduler } from './lib/scheduler.mjs';
+export { setDryRun, isDryRun, resetDryRun, dryRunPlan, formatDryRunPlan } from './lib/dry-run.mjs';
+export { startRun, withJournal, currentJournal, listRuns, getRun, formatRuns, formatRun } from './lib/journal.mjs';
+export { planTeardown, applyTeardown, formatTeardownPlan } from './lib/teardown.mjs';
+export { createAuth, basicAuth, patAuth, oauthAuth } from './lib/auth.mjs';
+export { createAtlassianClient } from './lib/client.mjs';
+export { confluence, cql, PageConflictError, mergeStorage } from './lib/confluence.mjs';
 export { jira } from './lib/jira.mjs';
 export { cf, nx, adf } from './lib/formatters.mjs';
+export { loadManifest, resolveManifest, planManifest, applyManifest, formatPlan } from './lib/manifest.mjs';
+export { markdownToStorage, markdownToAdf, markdownToWiki, parseMarkdown, parseFrontMatter } from './lib/markdown.mjs';
+export { publishDirectory } from './lib/publish.mjs';
+export { exportSpace, storageToMarkdown } from './lib/export.mjs';
+export { copyPage, copyPageTree } from './lib/copy.mjs';
+export { createFromTemplate, renderTemplate, loadTemplates, registerTemplate, listTemplates, updateTemplateIndex } from './lib/templates.mjs';
+export { validateStorage, lintStorage, formatProblems, StorageValidationError } from './lib/validate.mjs';
+export { adfToMarkdown, adfToTerminal, renderIssue } from './lib/adf-render.mjs';
+export { detectContentType, contentTypeOf } from './lib/mime.mjs';
+export { createMockServer, startMockSite } from './lib/mock-server.mjs';
 export { captureScreenshots, uploadScreenshotsToConfluence } from './lib/screenshots.mjs';
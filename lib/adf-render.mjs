@@ -0,0 +1,321 @@
+/**
+ * ADF (Atlassian Document Format) renderers — Markdown and ANSI terminal text
+ *
+ * Usage:
+ *   import { adfToMarkdown, adfToTerminal, renderIssue } from './adf-render.mjs';
+ *   console.log(adfToTerminal(issue.fields.description));
+ *   fs.writeFileSync('issue.md', renderIssue(issue, comments, { format: 'md' }));
+ */
+
+// ── Styles ─────────────────────────────────────────────────────
+
+function markdownStyle() {
+  return {
+    bullet: '- ',
+    text: escapeMarkdown,
+    strong: (s) => wrap('**', s),
+    em: (s) => wrap('*', s),
+    strike: (s) => wrap('~~', s),
+    underline: (s) => s,
+    code: (s) => (s.includes('`') ? `\`\` ${s} \`\`` : `\`${s}\``),
+    link: (text, href) => `[${text}](${href})`,
+    mention: (name) => `@${name}`,
+    status: (text) => `**[${text}]**`,
+    heading: (level, s) => `${'#'.repeat(level)} ${s}`,
+    rule: () => '---',
+    codeBlock: (lang, text) => {
+      const fence = text.includes('```') ? '~~~' : '```';
+      return `${fence}${lang || ''}\n${text}\n${fence}`;
+    },
+    quote: (text) => prefixLines(text, '> ', '>'),
+    panel: (type, text) => prefixLines(`[!${PANEL_ADMONITIONS[type] || 'NOTE'}]\n${text}`, '> ', '>'),
+    expand: (title, text) => `<details>\n<summary>${title || 'Details'}</summary>\n\n${text}\n\n</details>`,
+    table: (rows, hasHeader) => {
+      const width = Math.max(...rows.map(r => r.length));
+      const line = (r) => `| ${Array.from({ length: width }, (_, i) => (r[i] || '').replace(/\n/g, '<br>').replace(/\|/g, '\\|')).join(' | ')} |`;
+      const header = hasHeader ? rows[0] : Array(width).fill('');
+      const body = hasHeader ? rows.slice(1) : rows;
+      return [line(header), `|${' --- |'.repeat(width)}`, ...body.map(line)].join('\n');
+    },
+    task: (done, text) => `- [${done ? 'x' : ' '}] ${text}`,
+    hardBreak: '  \n',
+  };
+}
+
+// Emphasis markers hug the text: `**bold **` would not close in Markdown
+function wrap(marker, s) {
+  const [, lead, text, trail] = s.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  return text ? `${lead}${marker}${text}${marker}${trail}` : s;
+}
+
+const PANEL_ADMONITIONS = { info: 'NOTE', note: 'IMPORTANT', success: 'TIP', warning: 'WARNING', error: 'CAUTION' };
+const PANEL_COLORS = { info: 34, note: 35, success: 32, warning: 33, error: 31 };
+const STATUS_COLORS = { neutral: 37, purple: 35, blue: 34, red: 31, yellow: 33, green: 32 };
+
+function terminalStyle(color) {
+  const sgr = (open, close) => (s) => (color ? `\x1b[${open}m${s}\x1b[${close}m` : s);
+  const bold = sgr(1, 22);
+  const dim = sgr(2, 22);
+  return {
+    bullet: '• ',
+    text: (s) => s,
+    strong: bold,
+    em: sgr(3, 23),
+    strike: sgr(9, 29),
+    underline: sgr(4, 24),
+    code: sgr(36, 39),
+    link: (text, href) => (text === href ? sgr(4, 24)(href) : `${sgr(4, 24)(text)} ${dim(`(${href})`)}`),
+    mention: (name) => sgr(36, 39)(`@${name}`),
+    status: (text, c) => sgr(`7;${STATUS_COLORS[c] || 37}`, '27;39')(` ${text.toUpperCase()} `),
+    heading: (level, s) => (level <= 2 ? sgr('1;4', '22;24')(s) : bold(s)),
+    rule: () => dim('─'.repeat(40)),
+    codeBlock: (lang, text) => prefixLines(text, dim('│ '), dim('│')) + (lang ? `\n${dim(`└ ${lang}`)}` : ''),
+    quote: (text) => prefixLines(text, dim('│ '), dim('│')),
+    panel: (type, text) => {
+      const bar = sgr(PANEL_COLORS[type] || 34, 39)('┃ ');
+      return prefixLines(`${bold(type.toUpperCase())}\n${text}`, bar, bar.trimEnd());
+    },
+    expand: (title, text) => `${bold(`▾ ${title || 'Details'}`)}\n${prefixLines(text, '  ', '')}`,
+    table: (rows, hasHeader) => {
+      const width = Math.max(...rows.map(r => r.length));
+      const cols = Array.from({ length: width }, (_, i) =>
+        Math.max(...rows.map(r => visibleLength((r[i] || '').replace(/\n/g, ' ')))));
+      const line = (r) => Array.from({ length: width }, (_, i) => {
+        const cell = (r[i] || '').replace(/\n/g, ' ');
+        return cell + ' '.repeat(cols[i] - visibleLength(cell));
+      }).join(dim(' │ '));
+      const out = rows.map((r, idx) => line(hasHeader && idx === 0 ? r.map(bold) : r));
+      if (hasHeader) out.splice(1, 0, dim(cols.map(w => '─'.repeat(w)).join('─┼─')));
+      return out.join('\n');
+    },
+    task: (done, text) => `${done ? sgr(32, 39)('☑') : '☐'} ${text}`,
+    hardBreak: '\n',
+  };
+}
+
+// ── Renderer ───────────────────────────────────────────────────
+
+/**
+ * Render an ADF document (or node) as Markdown.
+ */
+export function adfToMarkdown(doc) {
+  return renderBlock(doc, markdownStyle(), 0).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Render an ADF document (or node) as terminal text with ANSI formatting.
+ *
+ * @param {object} doc
+ * @param {{color?: boolean}} opts - color defaults to stdout being a TTY without NO_COLOR
+ */
+export function adfToTerminal(doc, opts = {}) {
+  const color = opts.color ?? (!!process.stdout.isTTY && !process.env.NO_COLOR);
+  return renderBlock(doc, terminalStyle(color), 0).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+function renderBlocks(nodes, style, depth) {
+  return (nodes || []).map(n => renderBlock(n, style, depth)).filter(s => s !== '').join('\n\n');
+}
+
+function renderBlock(node, style, depth) {
+  if (!node) return '';
+  switch (node.type) {
+    case 'doc':
+    case 'layoutSection':
+    case 'layoutColumn':
+    case 'bodiedExtension':
+      return renderBlocks(node.content, style, depth);
+    case 'paragraph':
+      return renderInline(node.content, style);
+    case 'heading':
+      return style.heading(node.attrs?.level || 1, renderInline(node.content, style));
+    case 'bulletList':
+    case 'orderedList':
+      return renderList(node, style, depth);
+    case 'taskList':
+    case 'decisionList':
+      return (node.content || []).map(item => {
+        if (item.type === 'taskList') return prefixLines(renderBlock(item, style, depth + 1), '  ', '');
+        const done = item.attrs?.state === 'DONE' || item.attrs?.state === 'DECIDED';
+        return style.task(done, renderInline(item.content, style));
+      }).join('\n');
+    case 'codeBlock':
+      return style.codeBlock(node.attrs?.language, (node.content || []).map(t => t.text || '').join(''));
+    case 'blockquote':
+      return style.quote(renderBlocks(node.content, style, depth));
+    case 'panel':
+      return style.panel(node.attrs?.panelType || 'info', renderBlocks(node.content, style, depth));
+    case 'expand':
+    case 'nestedExpand':
+      return style.expand(node.attrs?.title, renderBlocks(node.content, style, depth));
+    case 'rule':
+      return style.rule();
+    case 'table': {
+      const rows = (node.content || []).map(row =>
+        (row.content || []).map(cell => renderBlocks(cell.content, style, depth).replace(/\n\n/g, '\n')));
+      if (!rows.length) return '';
+      const hasHeader = (node.content[0].content || []).every(c => c.type === 'tableHeader');
+      return style.table(rows, hasHeader);
+    }
+    case 'mediaSingle':
+    case 'mediaGroup':
+      return (node.content || []).map(m => renderMedia(m, style)).join('\n');
+    case 'blockCard':
+    case 'embedCard':
+      return node.attrs?.url ? style.link(node.attrs.url, node.attrs.url) : '';
+    case 'extension':
+      return style.text(`[${node.attrs?.extensionKey || 'extension'}]`);
+    default:
+      // Inline node at block level, or an unknown block: render what we can
+      return node.content ? renderInline(node.content, style) : renderInline([node], style);
+  }
+}
+
+function renderList(node, style, depth) {
+  const ordered = node.type === 'orderedList';
+  const start = node.attrs?.order || 1;
+  return (node.content || []).map((item, idx) => {
+    const marker = ordered ? `${start + idx}. ` : style.bullet;
+    const pad = ' '.repeat(marker.length);
+    const body = (item.content || []).map(child => renderBlock(child, style, depth + 1)).filter(Boolean).join('\n');
+    return marker + body.split('\n').map((l, i) => (i === 0 || !l ? l : pad + l)).join('\n');
+  }).join('\n');
+}
+
+function renderMedia(media, style) {
+  const a = media.attrs || {};
+  if (a.type === 'external' && a.url) return style.link(a.alt || a.url, a.url);
+  return style.text(`[attachment${a.alt ? `: ${a.alt}` : ''}]`);
+}
+
+function renderInline(nodes, style) {
+  return (nodes || []).map(n => {
+    switch (n.type) {
+      case 'text': return applyMarks(n.text || '', n.marks || [], style);
+      case 'hardBreak': return style.hardBreak;
+      case 'mention': {
+        const text = (n.attrs?.text || n.attrs?.id || '').replace(/^@/, '');
+        return style.mention(text);
+      }
+      case 'emoji': return n.attrs?.text || n.attrs?.shortName || '';
+      case 'status': return style.status(n.attrs?.text || '', n.attrs?.color);
+      case 'date': {
+        const ts = Number(n.attrs?.timestamp);
+        return Number.isFinite(ts) ? new Date(ts).toISOString().slice(0, 10) : '';
+      }
+      case 'inlineCard': return n.attrs?.url ? style.link(n.attrs.url, n.attrs.url) : '';
+      case 'media': case 'mediaInline': return renderMedia(n, style);
+      case 'placeholder': return '';
+      case 'inlineExtension': return style.text(`[${n.attrs?.extensionKey || 'extension'}]`);
+      default: return n.content ? renderInline(n.content, style) : '';
+    }
+  }).join('');
+}
+
+function applyMarks(text, marks, style) {
+  const code = marks.some(m => m.type === 'code');
+  let out = code ? style.code(text) : style.text(text);
+  for (const mark of marks) {
+    switch (mark.type) {
+      case 'strong': out = style.strong(out); break;
+      case 'em': out = style.em(out); break;
+      case 'strike': out = style.strike(out); break;
+      case 'underline': out = style.underline(out); break;
+    }
+  }
+  const link = marks.find(m => m.type === 'link');
+  return link ? style.link(out, link.attrs?.href || '') : out;
+}
+
+function prefixLines(text, prefix, emptyPrefix) {
+  return text.split('\n').map(l => (l ? prefix + l : emptyPrefix)).join('\n');
+}
+
+function visibleLength(s) {
+  return s.replace(/\x1b\[[0-9;]*m/g, '').length;
+}
+
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*[\]])/g, '\\$1')
+    .replace(/(^|\W)_|_(?=\W|$)/g, (m) => m.replace('_', '\\_'));
+}
+
+// ── Issue View ─────────────────────────────────────────────────
+
+/**
+ * Render an issue (as returned by getIssue) with its fields, description,
+ * subtasks, links and comments. Descriptions and comment bodies may be ADF
+ * (Cloud) or wiki-markup strings (Data Center), which are shown as-is.
+ *
+ * @param {object} issue
+ * @param {Array<object>} comments - Comment objects (e.g. from listComments), newest first
+ * @param {{format?: 'terminal'|'md', color?: boolean, siteUrl?: string, totalComments?: number}} opts
+ */
+export function renderIssue(issue, comments = [], opts = {}) {
+  const f = issue.fields || {};
+  const md = opts.format === 'md';
+  const style = md ? markdownStyle() : terminalStyle(opts.color ?? (!!process.stdout.isTTY && !process.env.NO_COLOR));
+  const body = (doc) => {
+    if (typeof doc === 'string') return doc.trim();
+    return md ? adfToMarkdown(doc) : adfToTerminal(doc, { color: opts.color });
+  };
+  const issueLink = (key) => (md && opts.siteUrl ? `[${key}](${opts.siteUrl}/browse/${key})` : key);
+  const date = (iso) => (iso ? iso.replace('T', ' ').slice(0, 16) : '');
+
+  const fields = [
+    ['Type', f.issuetype?.name],
+    ['Status', f.status?.name],
+    ['Priority', f.priority?.name],
+    ['Assignee', f.assignee?.displayName || 'Unassigned'],
+    ['Reporter', f.reporter?.displayName],
+    ['Parent', f.parent ? `${issueLink(f.parent.key)} ${f.parent.fields?.summary || ''}`.trim() : null],
+    ['Labels', f.labels?.join(', ')],
+    ['Components', f.components?.map(c => c.name).join(', ')],
+    ['Fix versions', f.fixVersions?.map(v => v.name).join(', ')],
+    ['Created', date(f.created)],
+    ['Updated', date(f.updated)],
+  ].filter(([, v]) => v);
+
+  const sections = [];
+  if (md) {
+    sections.push(`# ${issueLink(issue.key)}: ${f.summary || ''}`);
+    sections.push(style.table([['Field', 'Value'], ...fields], true));
+  } else {
+    sections.push(`${style.strong(issue.key)}  ${style.heading(1, f.summary || '')}`);
+    const label = Math.max(...fields.map(([k]) => k.length));
+    sections.push(fields.map(([k, v]) => `${style.strong(k.padEnd(label))}  ${v}`).join('\n'));
+  }
+
+  const section = (title, content) => {
+    if (!content) return;
+    sections.push(md ? `## ${title}` : style.heading(2, title));
+    sections.push(content);
+  };
+
+  section('Description', f.description ? body(f.description) : (md ? '_No description._' : 'No description.'));
+
+  if (f.subtasks?.length) {
+    section('Subtasks', f.subtasks.map(s =>
+      `${style.bullet}${issueLink(s.key)} ${s.fields?.summary || ''} — ${s.fields?.status?.name || '?'}`).join('\n'));
+  }
+
+  if (f.issuelinks?.length) {
+    section('Links', f.issuelinks.map(l => {
+      const other = l.outwardIssue || l.inwardIssue;
+      const relation = l.outwardIssue ? l.type?.outward : l.type?.inward;
+      return `${style.bullet}${relation || 'relates to'} ${issueLink(other.key)} ${other.fields?.summary || ''} — ${other.fields?.status?.name || '?'}`;
+    }).join('\n'));
+  }
+
+  if (comments.length) {
+    const total = opts.totalComments ?? comments.length;
+    const title = total > comments.length ? `Comments (${comments.length} of ${total}, newest first)` : `Comments (${total})`;
+    section(title, comments.map(c => {
+      const head = `${c.author?.displayName || 'Unknown'} — ${date(c.created)}`;
+      return md ? `### ${head}\n\n${body(c.body)}` : `${style.strong(head)}\n${prefixLines(body(c.body), '  ', '')}`;
+    }).join('\n\n'));
+  }
+
+  return sections.join('\n\n');
+}
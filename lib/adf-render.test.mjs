@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { adfToMarkdown, adfToTerminal, renderIssue } from './adf-render.mjs';
+import { markdownToAdf } from './markdown.mjs';
+
+const MARKDOWN = `## Acceptance
+
+Some **bold** and \`code\` with [link](https://x.test).
+
+> [!TIP]
+> Use the cache
+
+1. one
+2. two
+   - nested
+
+- [x] done
+- [ ] todo
+
+| Name | Value |
+| --- | --- |
+| a | **c** |
+
+<details>
+<summary>More</summary>
+
+Hidden
+
+</details>
+
+\`\`\`js
+x()
+\`\`\`
+
+---`;
+
+test('adfToMarkdown round-trips what markdownToAdf writes', () => {
+  const doc = markdownToAdf(MARKDOWN);
+  assert.equal(adfToMarkdown(doc), MARKDOWN);
+  assert.deepEqual(markdownToAdf(adfToMarkdown(doc)).content, doc.content);
+});
+
+test('adfToMarkdown: marks hug their text, inline nodes and escaping', () => {
+  const doc = {
+    type: 'doc',
+    content: [
+      {
+        type: 'paragraph',
+        content: [
+          { type: 'text', text: 'Some ' },
+          { type: 'text', text: 'bold ', marks: [{ type: 'strong' }] },
+          { type: 'text', text: 'both', marks: [{ type: 'strong' }, { type: 'em' }] },
+          { type: 'text', text: ' a_b *c* [d] ' },
+          { type: 'mention', attrs: { text: '@Ann' } },
+          { type: 'text', text: ' ' },
+          { type: 'status', attrs: { text: 'done', color: 'green' } },
+          { type: 'hardBreak' },
+          { type: 'date', attrs: { timestamp: '1767225600000' } },
+        ],
+      },
+      { type: 'mediaSingle', content: [{ type: 'media', attrs: { type: 'file', alt: 'shot.png' } }] },
+    ],
+  };
+  assert.equal(adfToMarkdown(doc), 'Some **bold** ***both*** a_b \\*c\\* \\[d\\] @Ann **[done]**  \n2026-01-01\n\n\\[attachment: shot.png\\]');
+});
+
+test('adfToTerminal: plain text without color, ANSI with it', () => {
+  const doc = markdownToAdf('**Ship** it\n\n- [x] done\n\n| A | Long |\n| - | - |\n| 1 | 2 |');
+  assert.equal(adfToTerminal(doc, { color: false }), 'Ship it\n\n☑ done\n\nA │ Long\n──┼─────\n1 │ 2');
+  assert.match(adfToTerminal(doc, { color: true }), /^\x1b\[1mShip\x1b\[22m it/);
+});
+
+const ISSUE = {
+  key: 'ENG-7',
+  fields: {
+    summary: 'Login',
+    issuetype: { name: 'Story' },
+    status: { name: 'In Progress' },
+    assignee: null,
+    labels: ['auth', 'sso'],
+    created: '2026-01-02T03:04:05.000+0000',
+    parent: { key: 'ENG-1', fields: { summary: 'Auth' } },
+    description: markdownToAdf('Do **it**'),
+    subtasks: [{ key: 'ENG-8', fields: { summary: 'Form', status: { name: 'Done' } } }],
+    issuelinks: [{ type: { outward: 'blocks', inward: 'is blocked by' }, inwardIssue: { key: 'ENG-9', fields: { summary: 'API', status: { name: 'To Do' } } } }],
+  },
+};
+
+test('renderIssue as Markdown: fields, links and wiki-markup comments', () => {
+  const comments = [{ author: { displayName: 'Sam' }, created: '2026-01-03T10:00:00.000+0000', body: 'h1. wiki *text*' }];
+  const out = renderIssue(ISSUE, comments, { format: 'md', siteUrl: 'https://acme.atlassian.net', totalComments: 3 });
+  assert.equal(out, [
+    '# [ENG-7](https://acme.atlassian.net/browse/ENG-7): Login',
+    '',
+    '| Field | Value |',
+    '| --- | --- |',
+    '| Type | Story |',
+    '| Status | In Progress |',
+    '| Assignee | Unassigned |',
+    '| Parent | [ENG-1](https://acme.atlassian.net/browse/ENG-1) Auth |',
+    '| Labels | auth, sso |',
+    '| Created | 2026-01-02 03:04 |',
+    '',
+    '## Description',
+    '',
+    'Do **it**',
+    '',
+    '## Subtasks',
+    '',
+    '- [ENG-8](https://acme.atlassian.net/browse/ENG-8) Form — Done',
+    '',
+    '## Links',
+    '',
+    '- is blocked by [ENG-9](https://acme.atlassian.net/browse/ENG-9) API — To Do',
+    '',
+    '## Comments (1 of 3, newest first)',
+    '',
+    '### Sam — 2026-01-03 10:00',
+    '',
+    'h1. wiki *text*',
+  ].join('\n'));
+});
+
+test('renderIssue in the terminal', () => {
+  const out = renderIssue({ key: 'ENG-2', fields: { summary: 'Bare' } }, [], { color: false });
+  assert.equal(out, 'ENG-2  Bare\n\nAssignee  Unassigned\n\nDescription\n\nNo description.');
+  assert.match(renderIssue(ISSUE, [], { color: false }), /\nAssignee  Unassigned\nParent    ENG-1 Auth\n[\s\S]*\n• is blocked by ENG-9 API — To Do$/);
+});
@@ -1,125 +1,418 @@
 /**
  * Generic Atlassian REST API client — works for both Confluence and JIRA
+ *
+ * ATLASSIAN_DOMAIN is usually a bare host (your-org.atlassian.net), but may be
+ * a URL such as http://localhost:4010 to target a local server (see
+ * mock-server.mjs). setTransport() swaps the http/https module entirely.
+ *
+ * Requests are queued through a per-site scheduler (scheduler.mjs): a
+ * concurrency limit, per-attempt timeouts, and retries with backoff on 429,
+ * 5xx and network errors. configureRequests() tunes it.
+ *
+ * In dry-run mode (dry-run.mjs) mutations are recorded instead of sent.
  */
+import http from 'http';
 import https from 'https';
 import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
 import { loadConfig } from './config.mjs';
+import { createAuth, basicAuthFromEncoded } from './auth.mjs';
+import { createScheduler } from './scheduler.mjs';
+import { interceptsRequest, interceptRequest, interceptUpload } from './dry-run.mjs';
+import { detectContentType } from './mime.mjs';
+
+let _transport = null;
+const siteStorage = new AsyncLocalStorage();
+const _auth = new WeakMap(); // site config → auth strategy
+const _schedulers = new Map(); // domain → scheduler
+let _requestOptions = null;
+
+const IDEMPOTENT = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']);
+
+/**
+ * Run `fn` with every request inside it (including nested awaits) sent to
+ * `site` — a config.siteConfig() object — instead of the default profile.
+ * This is what createAtlassianClient() uses to bind the module-level APIs.
+ */
+export function withSite(site, fn) {
+  return siteStorage.run(site, fn);
+}
+
+/** The site requests currently go to: the withSite() one, or the default profile. */
+export function currentSite() {
+  return siteStorage.getStore() || loadConfig().atlassian;
+}
+
+/**
+ * Send all requests through a custom transport — any object with an
+ * http/https-compatible `request(options, callback)`. Pass null to restore
+ * the default, which is chosen from the site URL's protocol.
+ */
+export function setTransport(transport) {
+  _transport = transport;
+}
+
+/**
+ * Tune the request scheduler for every site: `{ concurrency, retries,
+ * timeoutMs, baseDelayMs, maxDelayMs }`. Defaults come from
+ * ATLASSIAN_CONCURRENCY / ATLASSIAN_MAX_RETRIES / ATLASSIAN_TIMEOUT_MS.
+ */
+export function configureRequests(opts) {
+  _requestOptions = { ...requestOptions(), ...opts };
+  for (const scheduler of _schedulers.values()) scheduler.configure(opts);
+}
+
+/** The scheduler requests to `domain` (default: the current site) are queued on. */
+export function schedulerFor(domain = currentSite().domain) {
+  if (!_schedulers.has(domain)) _schedulers.set(domain, createScheduler(requestOptions()));
+  return _schedulers.get(domain);
+}
+
+function requestOptions() {
+  return _requestOptions || loadConfig().requests;
+}
+
+/**
+ * REST base paths for the current site's deployment type:
+ *  - Cloud: Confluence under `/wiki`, JIRA `/rest/api/3` with ADF bodies
+ *  - Data Center: Confluence at the root, JIRA `/rest/api/2` with wiki markup
+ *  - Cloud via OAuth 2.0: the same, behind `/ex/{product}/{cloudId}` on api.atlassian.com
+ *
+ * @returns {{deployment: string, confluence: string, confluenceRoot: string, confluenceWeb: string,
+ *   jira: string, jiraV2: string, agile: string, adf: boolean}}
+ */
+export function apiPaths(site = currentSite()) {
+  const dc = site.deployment === 'datacenter';
+  const gateway = site.authType === 'oauth' && !dc;
+  const confluenceRoot = `${gateway ? `/ex/confluence/${site.cloudId}` : ''}${dc ? '' : '/wiki'}`;
+  const jiraRoot = gateway ? `/ex/jira/${site.cloudId}` : '';
+  return {
+    deployment: dc ? 'datacenter' : 'cloud',
+    confluence: `${confluenceRoot}/rest/api`,
+    confluenceRoot,
+    confluenceWeb: dc ? '' : '/wiki',
+    jira: `${jiraRoot}/rest/api/${dc ? 2 : 3}`,
+    jiraV2: `${jiraRoot}/rest/api/2`,
+    agile: `${jiraRoot}/rest/agile/1.0`,
+    adf: !dc,
+  };
+}
+
+// Base URL and transport for a request; `opts.domain`/`opts.transport` override.
+// A path in the URL (a Data Center context path like /jira) prefixes every request.
+function resolveSite(domain, opts = {}) {
+  const url = new URL(/^https?:\/\//.test(domain) ? domain : `https://${domain}`);
+  const transport = opts.transport || _transport || (url.protocol === 'http:' ? http : https);
+  return { url, transport, hostname: url.hostname, port: url.port || undefined, basePath: url.pathname.replace(/\/+$/, '') };
+}
+
+// `opts.auth` (a base64 `email:token`) overrides the site's own strategy
+function authFor(site, opts = {}) {
+  if (opts.auth) return basicAuthFromEncoded(opts.auth);
+  if (!_auth.has(site)) _auth.set(site, createAuth(site));
+  return _auth.get(site);
+}
 
 /**
  * Make an authenticated request to the Atlassian REST API
  * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
  * @param {string} path - API path (e.g., /wiki/rest/api/content or /rest/api/3/issue)
  * @param {object|null} body - Request body (will be JSON-stringified)
- * @param {object} opts - Optional overrides { domain, auth, headers, retries }
+ * @param {object} opts - Optional overrides { domain, auth, headers, retries, timeoutMs, transport }
  */
 export function atlassianRequest(method, path, body = null, opts = {}) {
-  const config = loadConfig();
-  const domain = opts.domain || config.atlassian.domain;
-  const auth = opts.auth || config.atlassian.auth;
-  const maxRetries = opts.retries ?? 3;
+  const current = currentSite();
+  const domain = opts.domain || current.domain;
 
   if (!domain) throw new Error('ATLASSIAN_DOMAIN not set. Configure in .env or environment.');
-  if (!auth || auth === 'Og==') throw new Error('ATLASSIAN_EMAIL and ATLASSIAN_API_TOKEN not set.');
+  const auth = authFor(current, opts);
+  auth.validate();
+  if (interceptsRequest(method, path)) return Promise.resolve(interceptRequest(method, path, body));
+  const site = resolveSite(domain, opts);
+  const scheduler = schedulerFor(domain);
+  const timeoutMs = opts.timeoutMs ?? scheduler.settings.timeoutMs;
 
-  return new Promise((resolve, reject) => {
+  const send = () => auth.header().then((authorization) => new Promise((resolve, reject) => {
     const options = {
-      hostname: domain,
-      path,
+      hostname: site.hostname,
+      port: site.port,
+      path: site.basePath + path,
       method,
       headers: {
-        'Authorization': `Basic ${auth}`,
+        'Authorization': authorization,
         'Accept': 'application/json',
         'Content-Type': 'application/json',
         ...opts.headers,
       },
     };
 
-    const req = https.request(options, (res) => {
+    const req = site.transport.request(options, (res) => {
       let data = '';
       res.on('data', (chunk) => data += chunk);
       res.on('end', () => {
+        scheduler.observe(res.headers);
         if (res.statusCode >= 200 && res.statusCode < 300) {
           try { resolve(JSON.parse(data)); } catch { resolve(data); }
-        } else if (res.statusCode === 429 && maxRetries > 0) {
-          const retryAfter = parseInt(res.headers['retry-after'] || '5', 10);
-          console.log(`  Rate limited. Retrying in ${retryAfter}s... (${maxRetries} retries left)`);
-          setTimeout(() => {
-            atlassianRequest(method, path, body, { ...opts, retries: maxRetries - 1 })
-              .then(resolve).catch(reject);
-          }, retryAfter * 1000);
         } else {
-          const error = new Error(`HTTP ${res.statusCode}: ${data.substring(0, 500)}`);
-          error.statusCode = res.statusCode;
-          error.body = data;
-          reject(error);
+          reject(httpError(`HTTP ${res.statusCode}: ${data.substring(0, 500)}`, res, data));
         }
       });
     });
+    setRequestTimeout(req, timeoutMs);
     req.on('error', reject);
     if (body) req.write(JSON.stringify(body));
     req.end();
+  }));
+
+  return scheduler.schedule(refreshOn401(auth, send), { retries: opts.retries, idempotent: IDEMPOTENT.has(method) });
+}
+
+// A rejected OAuth token is refreshed once, within the same attempt
+function refreshOn401(auth, send) {
+  return () => send().catch((e) => {
+    if (e.statusCode !== 401 || !auth.canRefresh) throw e;
+    return auth.refresh().then(send);
+  });
+}
+
+function httpError(message, res, data) {
+  const error = new Error(message);
+  error.statusCode = res.statusCode;
+  error.headers = res.headers;
+  error.body = data;
+  return error;
+}
+
+// Abort an attempt that takes longer than `timeoutMs`, as a retryable ETIMEDOUT
+function setRequestTimeout(req, timeoutMs) {
+  if (!timeoutMs) return;
+  req.setTimeout(timeoutMs, () => {
+    const error = new Error(`Request timed out after ${timeoutMs}ms`);
+    error.code = 'ETIMEDOUT';
+    req.destroy(error);
   });
 }
 
 /**
- * Upload a file as a multipart/form-data attachment to a Confluence page
- * @param {string} apiPath - The API path (e.g., /wiki/rest/api/content/{pageId}/child/attachment)
+ * Upload a file as a multipart/form-data attachment to a Confluence page.
+ * The file is streamed rather than read into memory, so large PDFs and
+ * videos are fine, and is sent with its detected content type (mime.mjs).
+ * @param {string} apiPath - The API path (e.g., /wiki/rest/api/content/{pageId}/child/attachment,
+ *   or …/child/attachment/{attachmentId}/data for a new version of that attachment)
  * @param {string} filepath - Local file path
- * @param {string} filename - Name for the uploaded file
+ * @param {string} filename - Name for the uploaded file (default: the file's own)
+ * @param {object} opts - { contentType, comment, minorEdit, method } plus atlassianRequest options.
+ *   comment: shown in the attachment's version history; method: by default PUT
+ *   (create or update) with a POST fallback for servers without it
  */
-export function uploadAttachment(apiPath, filepath, filename, opts = {}) {
-  const config = loadConfig();
-  const domain = opts.domain || config.atlassian.domain;
-  const auth = opts.auth || config.atlassian.auth;
-
-  return new Promise((resolve, reject) => {
-    const fileData = fs.readFileSync(filepath);
-    const boundary = '----FormBoundary' + Math.random().toString(36).substr(2);
-    const header = `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename}"\r\nContent-Type: image/png\r\n\r\n`;
-    const footer = `\r\n--${boundary}--\r\n`;
-    const body = Buffer.concat([Buffer.from(header), fileData, Buffer.from(footer)]);
+export function uploadAttachment(apiPath, filepath, filename = path.basename(filepath), opts = {}) {
+  if (interceptsRequest('POST', apiPath)) return Promise.resolve(interceptUpload(apiPath, filename));
+  const current = currentSite();
+  const domain = opts.domain || current.domain;
 
-    const options = {
-      hostname: domain,
-      path: apiPath,
-      method: 'PUT',
+  if (!domain) throw new Error('ATLASSIAN_DOMAIN not set. Configure in .env or environment.');
+  const auth = authFor(current, opts);
+  auth.validate();
+  const site = resolveSite(domain, opts);
+  const scheduler = schedulerFor(domain);
+  const timeoutMs = opts.timeoutMs ?? scheduler.settings.timeoutMs;
+
+  const size = fs.statSync(filepath).size;
+  const contentType = opts.contentType || detectContentType(filepath, filename);
+  const boundary = '----FormBoundary' + Math.random().toString(36).substr(2);
+  const fields = [['comment', opts.comment], ['minorEdit', opts.minorEdit === undefined ? undefined : String(!!opts.minorEdit)]]
+    .filter(([, value]) => value !== undefined && value !== '');
+  const header = Buffer.from(
+    fields.map(([name, value]) => `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`).join('')
+    + `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${quoteFilename(filename)}"\r\nContent-Type: ${contentType}\r\n\r\n`);
+  const footer = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+  const send = (method, authorization) => new Promise((resolve, reject) => {
+    const req = site.transport.request({
+      hostname: site.hostname,
+      port: site.port,
+      path: site.basePath + apiPath,
+      method,
       headers: {
-        'Authorization': `Basic ${auth}`,
+        'Authorization': authorization,
         'Content-Type': `multipart/form-data; boundary=${boundary}`,
         'X-Atlassian-Token': 'nocheck',
-        'Content-Length': body.length,
+        'Content-Length': header.length + size + footer.length,
       },
-    };
-
-    const req = https.request(options, (res) => {
+    }, (res) => {
       let data = '';
       res.on('data', (chunk) => data += chunk);
       res.on('end', () => {
+        scheduler.observe(res.headers);
         if (res.statusCode >= 200 && res.statusCode < 300) {
           try { resolve(JSON.parse(data)); } catch { resolve(data); }
-        } else if (res.statusCode === 404 || res.statusCode === 400) {
-          options.method = 'POST';
-          const req2 = https.request(options, (res2) => {
-            let data2 = '';
-            res2.on('data', (chunk) => data2 += chunk);
-            res2.on('end', () => {
-              if (res2.statusCode >= 200 && res2.statusCode < 300) {
-                try { resolve(JSON.parse(data2)); } catch { resolve(data2); }
-              } else {
-                reject(new Error(`Upload failed: HTTP ${res2.statusCode}: ${data2.substring(0, 200)}`));
-              }
-            });
-          });
-          req2.on('error', reject);
-          req2.write(body);
-          req2.end();
         } else {
-          reject(new Error(`Upload failed: HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
+          reject(httpError(`Upload failed: HTTP ${res.statusCode}: ${data.substring(0, 200)}`, res, data));
         }
       });
     });
+    const file = fs.createReadStream(filepath);
+    setRequestTimeout(req, timeoutMs);
+    req.on('error', (e) => { file.destroy(); reject(e); });
+    req.write(header);
+    file.on('error', (e) => req.destroy(e));
+    file.on('end', () => req.end(footer));
+    file.pipe(req, { end: false });
+  });
+
+  // PUT creates or updates; older servers without it answer 404/400, so fall back to POST
+  const upload = () => auth.header().then((authorization) => {
+    if (opts.method) return send(opts.method, authorization);
+    return send('PUT', authorization).catch((e) => {
+      if (e.statusCode !== 404 && e.statusCode !== 400) throw e;
+      return send('POST', authorization);
+    });
+  });
+  return scheduler.schedule(refreshOn401(auth, upload), { retries: opts.retries, idempotent: true });
+}
+
+// A filename as a quoted-string in Content-Disposition: escape quotes and
+// backslashes, and drop line breaks that would end the header
+function quoteFilename(name) {
+  return String(name).replace(/[\r\n]+/g, ' ').replace(/["\\]/g, '\\$&');
+}
+
+/**
+ * Download a binary resource (e.g. an attachment) to a local file.
+ * Redirects are followed; credentials are only sent to the Atlassian site
+ * itself, not to the media CDN it redirects to.
+ * @param {string} apiPath - Path on the Atlassian site (e.g., /wiki/download/attachments/{pageId}/file.png)
+ * @param {string} destPath - Local file to write
+ */
+export function downloadFile(apiPath, destPath, opts = {}) {
+  const current = currentSite();
+  const domain = opts.domain || current.domain;
+  const auth = authFor(current, opts);
+  const site = resolveSite(domain, opts);
+  const scheduler = schedulerFor(domain);
+  const timeoutMs = opts.timeoutMs ?? scheduler.settings.timeoutMs;
+
+  const get = (url, headers, redirects) => new Promise((resolve, reject) => {
+    const sameSite = url.origin === site.url.origin;
+    const transport = sameSite ? site.transport : (url.protocol === 'http:' ? http : https);
+    const req = transport.request({
+      hostname: url.hostname, port: url.port || undefined, path: url.pathname + url.search, method: 'GET', headers,
+    }, (res) => {
+      if (sameSite) scheduler.observe(res.headers);
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+        res.resume();
+        const next = new URL(res.headers.location, url);
+        const nextHeaders = next.origin === site.url.origin ? headers : {};
+        get(next, nextHeaders, redirects - 1).then(resolve, reject);
+        return;
+      }
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        let data = '';
+        res.on('data', (chunk) => data += chunk);
+        res.on('end', () => reject(httpError(`Download failed: HTTP ${res.statusCode}: ${data.substring(0, 200)}`, res, data)));
+        return;
+      }
+      fs.mkdirSync(path.dirname(destPath), { recursive: true });
+      const out = fs.createWriteStream(destPath);
+      res.pipe(out);
+      out.on('finish', () => resolve({ path: destPath, bytes: out.bytesWritten }));
+      out.on('error', reject);
+      res.on('error', reject);
+    });
+    setRequestTimeout(req, timeoutMs);
     req.on('error', reject);
-    req.write(body);
     req.end();
   });
+
+  const download = () => auth.header().then((authorization) =>
+    get(new URL(site.basePath + apiPath, site.url), { 'Authorization': authorization }, 5));
+  return scheduler.schedule(refreshOn401(auth, download), { retries: opts.retries, idempotent: true });
+}
+
+/**
+ * Iterate every item of a paginated collection, fetching pages lazily.
+ * Understands the pagination styles used across Atlassian APIs:
+ *  - Confluence: follows `_links.next` until it is absent
+ *  - JIRA offset: advances `startAt` until `isLast`, `total` or a short page
+ *  - JIRA token: passes `nextPageToken` back until none is returned
+ * For POST searches the paging fields go in the body, otherwise in the query.
+ *
+ * @param {string} method - HTTP method (GET, or POST for JQL-style searches)
+ * @param {string} path - API path for the first page (include `limit`/`maxResults` to set the page size)
+ * @param {object|null} body - Request body for POST searches
+ * @param {object} opts - { itemsKey, max } plus atlassianRequest options.
+ *   itemsKey: response array to yield (default: results/values/issues/comments);
+ *   max: stop after this many items
+ */
+export async function* paginate(method, path, body = null, opts = {}) {
+  const { itemsKey, max = Infinity, ...requestOpts } = opts;
+  let nextPath = path;
+  let payload = body ? { ...body } : null;
+  let yielded = 0;
+
+  while (nextPath && yielded < max) {
+    const result = await atlassianRequest(method, nextPath, payload, requestOpts);
+    if (Array.isArray(result)) {
+      for (const item of result.slice(0, max - yielded)) yield item;
+      return;
+    }
+
+    const key = itemsKey || ['results', 'values', 'issues', 'comments'].find(k => Array.isArray(result?.[k]));
+    const items = (key && result[key]) || [];
+    for (const item of items) {
+      if (yielded >= max) return;
+      yield item;
+      yielded++;
+    }
+    if (!items.length) return;
+
+    if (result._links) {
+      nextPath = result._links.next ? resolveNextLink(result._links, path) : null;
+    } else if (result.nextPageToken) {
+      if (payload) payload = { ...payload, nextPageToken: result.nextPageToken };
+      else nextPath = withQuery(nextPath, { nextPageToken: result.nextPageToken });
+    } else if (!('startAt' in result || 'total' in result || 'isLast' in result)) {
+      return; // not a paginated response
+    } else {
+      const startAt = (result.startAt ?? 0) + items.length;
+      const done = result.isLast === true
+        || (typeof result.total === 'number' && startAt >= result.total)
+        || (result.isLast === undefined && typeof result.maxResults === 'number' && items.length < result.maxResults);
+      if (done) return;
+      if (payload) payload = { ...payload, startAt };
+      else nextPath = withQuery(nextPath, { startAt });
+    }
+  }
+}
+
+/**
+ * Collect every item of a paginated collection into an array.
+ * Same arguments as paginate().
+ */
+export async function paginateAll(method, path, body = null, opts = {}) {
+  const items = [];
+  for await (const item of paginate(method, path, body, opts)) items.push(item);
+  return items;
+}
+
+// Confluence returns `next` relative to its context (`/wiki` on Cloud), while
+// our paths may carry a longer prefix (e.g. /ex/confluence/{cloudId}/wiki), so
+// keep the first path's prefix up to `/rest/` and take the rest from `next`.
+function resolveNextLink(links, firstPath) {
+  let next = links.next;
+  if (/^https?:\/\//.test(next)) {
+    const url = new URL(next);
+    next = url.pathname + url.search;
+  }
+  const nextRest = next.indexOf('/rest/');
+  const firstRest = firstPath.indexOf('/rest/');
+  if (nextRest === -1 || firstRest === -1) return next;
+  return firstPath.slice(0, firstRest) + next.slice(nextRest);
+}
+
+function withQuery(apiPath, params) {
+  const url = new URL(apiPath, 'https://placeholder');
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, String(v));
+  return url.pathname + url.search;
 }
@@ -0,0 +1,120 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { atlassianRequest, paginate, paginateAll, uploadAttachment, downloadFile, configureRequests } from './atlassian-client.mjs';
+
+let site;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite({ pageSize: 2 });
+  configureRequests({ baseDelayMs: 1 });
+});
+after(() => site.stop());
+beforeEach(() => site.reset());
+
+async function seedSpace(pages = 0) {
+  await atlassianRequest('POST', '/wiki/rest/api/space', { key: 'ENG', name: 'Engineering' });
+  for (let i = 0; i < pages; i++) {
+    await atlassianRequest('POST', '/wiki/rest/api/content', { type: 'page', title: `Page ${i}`, space: { key: 'ENG' } });
+  }
+}
+
+test('retries rate-limited requests after Retry-After', async () => {
+  await seedSpace();
+  site.rateLimit(2);
+  const space = await atlassianRequest('GET', '/wiki/rest/api/space/ENG');
+  assert.equal(space.key, 'ENG');
+  assert.equal(site.requests.filter(r => r.path === '/wiki/rest/api/space/ENG').length, 3);
+});
+
+test('gives up when rate limiting outlasts the retries', async () => {
+  site.rateLimit(5);
+  await assert.rejects(
+    atlassianRequest('GET', '/wiki/rest/api/space/ENG', null, { retries: 1 }),
+    (e) => e.statusCode === 429,
+  );
+  assert.equal(site.requests.length, 2);
+});
+
+test('rejects with statusCode and body on HTTP errors', async () => {
+  await assert.rejects(atlassianRequest('GET', '/wiki/rest/api/space/NOPE'), (e) => {
+    assert.equal(e.statusCode, 404);
+    assert.match(e.body, /No space with key/);
+    return true;
+  });
+  site.failNext(1, { status: 500, body: { message: 'boom' } });
+  await assert.rejects(atlassianRequest('POST', '/rest/api/3/project', { key: 'P', name: 'P' }), /HTTP 500: .*boom/);
+  assert.equal(site.state.projects.size, 0); // a POST is not retried after a 5xx
+});
+
+test('retries 5xx and network errors on idempotent requests', async () => {
+  site.failNext(2, { status: 503 });
+  assert.equal((await atlassianRequest('GET', '/rest/api/3/myself')).accountId, 'mock-user');
+  assert.equal(site.requests.length, 3);
+
+  site.failNext(5, { status: 502 });
+  await assert.rejects(atlassianRequest('GET', '/rest/api/3/myself', null, { retries: 2 }), (e) => e.statusCode === 502);
+});
+
+test('times out a stalled attempt and retries it', async () => {
+  site.failNext(1, { status: 200, delayMs: 500 });
+  const me = await atlassianRequest('GET', '/rest/api/3/myself', null, { timeoutMs: 50 });
+  assert.equal(me.accountId, 'mock-user');
+
+  site.failNext(1, { status: 200, delayMs: 500 });
+  await assert.rejects(atlassianRequest('GET', '/rest/api/3/myself', null, { timeoutMs: 50, retries: 0 }),
+    (e) => e.code === 'ETIMEDOUT');
+});
+
+test('paginate follows Confluence _links.next', async () => {
+  await seedSpace(5);
+  const titles = await paginateAll('GET', '/wiki/rest/api/content?spaceKey=ENG&type=page&limit=2');
+  assert.deepEqual(titles.map(p => p.title).filter(t => t.startsWith('Page')), ['Page 0', 'Page 1', 'Page 2', 'Page 3', 'Page 4']);
+  assert.equal(titles.length, 6); // + space homepage
+});
+
+test('paginate honours max and stops fetching early', async () => {
+  await seedSpace(5);
+  site.requests.length = 0;
+  const items = [];
+  for await (const page of paginate('GET', '/wiki/rest/api/content?spaceKey=ENG&limit=2', null, { max: 3 })) items.push(page);
+  assert.equal(items.length, 3);
+  assert.equal(site.requests.length, 2);
+});
+
+test('paginate handles JIRA startAt and nextPageToken styles', async () => {
+  await atlassianRequest('POST', '/rest/api/3/project', { key: 'P', name: 'Project' });
+  for (let i = 0; i < 5; i++) {
+    await atlassianRequest('POST', '/rest/api/3/issue', { fields: { project: { key: 'P' }, issuetype: { name: 'Task' }, summary: `T${i}` } });
+  }
+  const legacy = await paginateAll('POST', '/rest/api/3/search', { jql: 'project = P', maxResults: 2 });
+  assert.equal(legacy.length, 5);
+  const enhanced = await paginateAll('POST', '/rest/api/3/search/jql', { jql: 'project = P', maxResults: 2, fields: ['summary'] });
+  assert.deepEqual(enhanced.map(i => i.fields.summary), ['T0', 'T1', 'T2', 'T3', 'T4']);
+});
+
+test('uploads and downloads attachments', async () => {
+  await seedSpace(1);
+  const [page] = (await atlassianRequest('GET', '/wiki/rest/api/content?spaceKey=ENG&title=Page%200')).results;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-test-'));
+  const src = path.join(dir, 'shot.png');
+  fs.writeFileSync(src, Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]));
+
+  await uploadAttachment(`/wiki/rest/api/content/${page.id}/child/attachment`, src, 'shot.png');
+  const [att] = (await atlassianRequest('GET', `/wiki/rest/api/content/${page.id}/child/attachment`)).results;
+  assert.equal(att.title, 'shot.png');
+
+  const dest = path.join(dir, 'out', 'shot.png');
+  const result = await downloadFile(`/wiki${att._links.download}`, dest);
+  assert.equal(result.bytes, 7);
+  assert.deepEqual(fs.readFileSync(dest), fs.readFileSync(src));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('refuses to run without credentials', () => {
+  assert.throws(() => atlassianRequest('GET', '/x', null, { auth: 'Og==' }), /ATLASSIAN_EMAIL/);
+});
@@ -0,0 +1,154 @@
+/**
+ * Auth strategies — how requests to a site are authorized
+ *
+ *   basic  — email + API token (Cloud)
+ *   pat    — Personal Access Token bearer (Data Center)
+ *   oauth  — OAuth 2.0 (3LO) access token, refreshed with a refresh token
+ *
+ * A strategy is `{ type, validate(), header(), refresh? }`; atlassianRequest
+ * asks it for the Authorization header before every request and, for
+ * strategies that can refresh, retries once after a 401.
+ *
+ * Usage:
+ *   import { createAuth } from './auth.mjs';
+ *   const auth = createAuth(loadConfig().atlassian);
+ *   const header = await auth.header();   // 'Basic …' / 'Bearer …'
+ */
+import fs from 'fs';
+import https from 'https';
+import http from 'http';
+
+export const DEFAULT_TOKEN_URL = 'https://auth.atlassian.com/oauth/token';
+
+/**
+ * Build the strategy for a site config (see config.siteConfig()).
+ */
+export function createAuth(site) {
+  switch (site.authType) {
+    case 'pat': return patAuth(site.pat);
+    case 'oauth': return oauthAuth(site.oauth || {});
+    case 'basic':
+    case undefined:
+    case '':
+      return basicAuth(site.email, site.token);
+    default:
+      throw new Error(`Unknown ATLASSIAN_AUTH "${site.authType}" (expected basic, pat or oauth)`);
+  }
+}
+
+export function basicAuth(email, token) {
+  const encoded = Buffer.from(`${email || ''}:${token || ''}`).toString('base64');
+  return basicAuthFromEncoded(encoded);
+}
+
+/** Basic auth from an already base64-encoded `email:token` (the legacy `opts.auth`). */
+export function basicAuthFromEncoded(encoded) {
+  return {
+    type: 'basic',
+    validate() {
+      if (!encoded || encoded === 'Og==') throw new Error('ATLASSIAN_EMAIL and ATLASSIAN_API_TOKEN not set.');
+    },
+    header: async () => `Basic ${encoded}`,
+  };
+}
+
+export function patAuth(token) {
+  return {
+    type: 'pat',
+    validate() {
+      if (!token) throw new Error('ATLASSIAN_PAT not set.');
+    },
+    header: async () => `Bearer ${token}`,
+  };
+}
+
+/**
+ * OAuth 2.0 (3LO). Starts from an access token and/or a refresh token;
+ * refreshes when the access token is missing, expired, or rejected.
+ * Atlassian rotates refresh tokens, so with `tokenFile` the latest tokens
+ * are persisted there (and read back first on the next run).
+ *
+ * @param {object} opts
+ * @param {string} opts.clientId
+ * @param {string} opts.clientSecret
+ * @param {string} [opts.refreshToken]
+ * @param {string} [opts.accessToken]
+ * @param {string} [opts.tokenUrl] - Defaults to https://auth.atlassian.com/oauth/token
+ * @param {string} [opts.tokenFile] - JSON file to persist rotated tokens
+ * @param {Function} [opts.onRefresh] - Called with `{ accessToken, refreshToken, expiresAt }`
+ */
+export function oauthAuth(opts) {
+  const tokens = {
+    accessToken: opts.accessToken || '',
+    refreshToken: opts.refreshToken || '',
+    expiresAt: 0,
+  };
+  if (opts.tokenFile && fs.existsSync(opts.tokenFile)) {
+    Object.assign(tokens, JSON.parse(fs.readFileSync(opts.tokenFile, 'utf-8')));
+  }
+  let refreshing = null;
+
+  const strategy = {
+    type: 'oauth',
+    validate() {
+      if (!tokens.accessToken && !(tokens.refreshToken && opts.clientId && opts.clientSecret)) {
+        throw new Error('OAuth needs ATLASSIAN_OAUTH_ACCESS_TOKEN, or a refresh token with client ID and secret.');
+      }
+    },
+    async header() {
+      const expired = tokens.expiresAt && Date.now() > tokens.expiresAt - 60_000;
+      if (!tokens.accessToken || (expired && tokens.refreshToken)) await strategy.refresh();
+      return `Bearer ${tokens.accessToken}`;
+    },
+    get canRefresh() {
+      return !!(tokens.refreshToken && opts.clientId && opts.clientSecret);
+    },
+    // Concurrent callers share one refresh request
+    refresh() {
+      refreshing ||= requestToken(opts.tokenUrl || DEFAULT_TOKEN_URL, {
+        grant_type: 'refresh_token',
+        client_id: opts.clientId,
+        client_secret: opts.clientSecret,
+        refresh_token: tokens.refreshToken,
+      }).then((result) => {
+        tokens.accessToken = result.access_token;
+        if (result.refresh_token) tokens.refreshToken = result.refresh_token;
+        tokens.expiresAt = Date.now() + (result.expires_in || 3600) * 1000;
+        if (opts.tokenFile) fs.writeFileSync(opts.tokenFile, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+        opts.onRefresh?.({ ...tokens });
+      }).finally(() => { refreshing = null; });
+      return refreshing;
+    },
+  };
+  return strategy;
+}
+
+function requestToken(tokenUrl, payload) {
+  const url = new URL(tokenUrl);
+  const transport = url.protocol === 'http:' ? http : https;
+  const body = JSON.stringify(payload);
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      hostname: url.hostname,
+      port: url.port || undefined,
+      path: url.pathname + url.search,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try { resolve(JSON.parse(data)); } catch { reject(new Error(`OAuth token refresh returned invalid JSON`)); }
+        } else {
+          const error = new Error(`OAuth token refresh failed: HTTP ${res.statusCode}: ${data.substring(0, 200)}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+        }
+      });
+    });
+    req.on('error', reject);
+    req.write(body);
+    req.end();
+  });
+}
@@ -0,0 +1,124 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockServer, startMockSite } from './mock-server.mjs';
+import { createAtlassianClient } from './client.mjs';
+import { confluence } from './confluence.mjs';
+import { jira } from './jira.mjs';
+import { renderIssue } from './adf-render.mjs';
+
+let dc;
+let cloud;
+let dir;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  dc = await startMockSite({ deployment: 'datacenter' });
+  cloud = createMockServer({ oauth: { clientId: 'app', clientSecret: 'secret', refreshToken: 'refresh-0' } });
+  await cloud.start();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-auth-'));
+});
+after(async () => {
+  await dc.stop();
+  await cloud.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('Data Center Confluence: no /wiki prefix and a PAT bearer token', async () => {
+  const space = await confluence.createSpace('OPS', 'Operations', '');
+  const page = await confluence.createPage('OPS', 'Runbook', '<p>v1</p>', space.homepage.id);
+  const file = path.join(dir, 'diagram.png');
+  fs.writeFileSync(file, 'png-bytes');
+  await confluence.uploadPageAttachment(page.id, file);
+
+  const [att] = await confluence.listAttachments(page.id);
+  const dest = path.join(dir, 'out.png');
+  await confluence.downloadAttachment(att, dest);
+  assert.equal(fs.readFileSync(dest, 'utf-8'), 'png-bytes');
+
+  assert.ok(dc.requests.every(r => !r.path.startsWith('/wiki')));
+  assert.ok(dc.requests.every(r => r.headers.authorization === 'Bearer mock-pat'));
+});
+
+test('Data Center JIRA: REST v2 with wiki-markup bodies and offset search', async () => {
+  await jira.createProject('OPS', 'Operations');
+  const issue = await jira.createIssue('OPS', 'Task', 'Rotate keys', '## Steps\n- **Revoke** the old key\n- Run `rotate.sh`', { markdown: true });
+  await jira.addComment(issue.key, 'Plain comment');
+  await jira.createIssue('OPS', 'Task', 'Second', 'plain text');
+
+  const stored = dc.state.issues.get(issue.key).fields.description;
+  assert.equal(stored, 'h2. Steps\n\n* *Revoke* the old key\n* Run {{rotate.sh}}');
+
+  const found = await jira.searchIssues('project = OPS ORDER BY key ASC');
+  assert.deepEqual(found.map(i => i.key), ['OPS-1', 'OPS-2']);
+  assert.deepEqual((await jira.listProjects()).map(p => p.key), ['OPS']);
+  assert.ok(dc.requests.some(r => r.method === 'POST' && r.path === '/rest/api/2/search'));
+  assert.ok(dc.requests.every(r => !r.path.startsWith('/rest/api/3')));
+
+  const full = await jira.getIssue(issue.key);
+  const { comments } = await jira.listComments(issue.key);
+  const out = renderIssue(full, comments, { format: 'md' });
+  assert.match(out, /h2\. Steps/);
+  assert.match(out, /Plain comment/);
+});
+
+test('OAuth 2.0: refreshes through the gateway path and again after a 401', async () => {
+  const refreshed = [];
+  const client = createAtlassianClient({
+    domain: cloud.url,
+    cloudId: 'cloud-1',
+    oauth: { clientId: 'app', clientSecret: 'secret', refreshToken: 'refresh-0', tokenUrl: `${cloud.url}/oauth/token`, onRefresh: (t) => refreshed.push(t) },
+  });
+  assert.equal(client.site.authType, 'oauth');
+
+  await client.jira.createProject('APP', 'App');
+  cloud.expireTokens();
+  const project = await client.jira.getProject('APP');
+
+  assert.equal(project.key, 'APP');
+  assert.equal(refreshed.length, 2);
+  assert.notEqual(refreshed[0].refreshToken, refreshed[1].refreshToken); // rotated
+  const apiCalls = cloud.requests.filter(r => r.path !== '/oauth/token');
+  assert.ok(apiCalls.every(r => r.path.startsWith('/ex/jira/cloud-1/rest/api/3/')));
+  assert.equal(apiCalls.filter(r => r.path.endsWith('/project/APP')).length, 2); // 401, then retried
+});
+
+test('OAuth 2.0: uploads and downloads refresh an expired token too', async (t) => {
+  // A site of its own: the refresh token above has been rotated
+  const media = createMockServer({ oauth: { clientId: 'app', clientSecret: 'secret', refreshToken: 'refresh-0' } });
+  await media.start();
+  t.after(() => media.stop());
+  const refreshed = [];
+  const client = createAtlassianClient({
+    domain: media.url,
+    cloudId: 'cloud-1',
+    oauth: { clientId: 'app', clientSecret: 'secret', refreshToken: 'refresh-0', tokenUrl: `${media.url}/oauth/token`, onRefresh: (t) => refreshed.push(t) },
+  });
+  const { homepage } = await client.confluence.createSpace('MED', 'Media', '');
+  const page = await client.confluence.createPage('MED', 'Video', '<p>v</p>', homepage.id);
+  const file = path.join(dir, 'clip.mp4');
+  fs.writeFileSync(file, 'mp4-bytes');
+
+  // The token expires between the attachment lookup and the upload itself
+  media.beforeNext({ method: 'PUT', path: /\/child\/attachment$/ }, () => media.expireTokens());
+  const { status, attachment } = await client.confluence.attachFile(page.id, file);
+  assert.equal(status, 'created');
+  assert.equal(refreshed.length, 2);
+
+  media.expireTokens();
+  const dest = path.join(dir, 'clip-copy.mp4');
+  await client.confluence.downloadAttachment(attachment, dest);
+  assert.equal(fs.readFileSync(dest, 'utf-8'), 'mp4-bytes');
+  assert.equal(refreshed.length, 3);
+});
+
+test('OAuth 2.0: a rejected refresh token surfaces as an error', async () => {
+  const client = createAtlassianClient({
+    domain: cloud.url,
+    cloudId: 'cloud-1',
+    oauth: { clientId: 'app', clientSecret: 'secret', refreshToken: 'stale', tokenUrl: `${cloud.url}/oauth/token` },
+  });
+  await assert.rejects(client.jira.getMyself(), (e) => e.statusCode === 403 && /token refresh failed/.test(e.message));
+});
@@ -0,0 +1,61 @@
+/**
+ * Instantiable clients — talk to several Atlassian sites from one process
+ *
+ * The module-level `confluence` / `jira` APIs use the default profile. A
+ * client binds the same APIs to another site:
+ *
+ * Usage:
+ *   import { createAtlassianClient } from './client.mjs';
+ *   const clientA = createAtlassianClient({ profile: 'clientA' });
+ *   const ours = createAtlassianClient({ domain: 'ours.atlassian.net', email, token });
+ *
+ *   const page = await clientA.confluence.getPage('DOCS', 'Runbook');
+ *   await ours.confluence.createPage('MIRROR', page.title, page.body.storage.value);
+ *   await ours.run(() => publishDirectory('./docs', 'ENG', homepageId));
+ */
+import { getProfile, siteConfig } from './config.mjs';
+import { atlassianRequest, uploadAttachment, downloadFile, paginate, paginateAll, withSite } from './atlassian-client.mjs';
+import { confluence } from './confluence.mjs';
+import { jira } from './jira.mjs';
+
+/**
+ * Create a client bound to one site.
+ *
+ * @param {{profile?: string, domain?: string, email?: string, token?: string}} opts -
+ *   a profile name from .env, or explicit settings (see config.siteConfig() for
+ *   Data Center / PAT / OAuth options)
+ * @returns {{site: object, confluence: object, jira: object, request: Function,
+ *   uploadAttachment: Function, downloadFile: Function, paginate: Function, paginateAll: Function, run: Function}}
+ */
+export function createAtlassianClient(opts = {}) {
+  const site = opts.profile ? getProfile(opts.profile) : siteConfig(opts);
+  if (!site.domain) throw new Error('createAtlassianClient needs a profile or a domain');
+
+  const bind = (fn) => (...args) => withSite(site, () => bindResult(site, fn(...args)));
+  const bindAll = (api) => Object.fromEntries(Object.entries(api).map(([name, fn]) => [name, bind(fn)]));
+
+  return {
+    site,
+    confluence: bindAll(confluence),
+    jira: bindAll(jira),
+    request: bind(atlassianRequest),
+    uploadAttachment: bind(uploadAttachment),
+    downloadFile: bind(downloadFile),
+    paginate: bind(paginate),
+    paginateAll: bind(paginateAll),
+    /** Run any toolkit code (publishDirectory, exportSpace, applyManifest, ...) against this site. */
+    run: (fn) => withSite(site, fn),
+  };
+}
+
+// Async iterators run their body on each next() call, in the caller's
+// context — so each step has to re-enter the site explicitly.
+function bindResult(site, result) {
+  if (!result || typeof result[Symbol.asyncIterator] !== 'function' || typeof result.next !== 'function') return result;
+  return {
+    next: (...a) => withSite(site, () => result.next(...a)),
+    return: (...a) => withSite(site, () => result.return(...a)),
+    throw: (...a) => withSite(site, () => result.throw(...a)),
+    [Symbol.asyncIterator]() { return this; },
+  };
+}
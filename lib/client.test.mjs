@@ -0,0 +1,75 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockServer, startMockSite } from './mock-server.mjs';
+import { createAtlassianClient } from './client.mjs';
+import { confluence } from './confluence.mjs';
+import { loadConfig, resetConfig, getProfile, listProfiles } from './config.mjs';
+
+let home;
+let other;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  home = await startMockSite();
+  other = createMockServer({ pageSize: 2 });
+  await other.start();
+});
+after(async () => {
+  await home.stop();
+  await other.stop();
+});
+
+test('a client talks to its own site while module exports use the default', async () => {
+  const client = createAtlassianClient({ domain: other.url, email: 'a@b.c', token: 't' });
+  await confluence.createSpace('HOME', 'Home', '');
+  await client.confluence.createSpace('AWAY', 'Away', '');
+
+  assert.deepEqual([...home.state.spaces.keys()], ['HOME']);
+  assert.deepEqual([...other.state.spaces.keys()], ['AWAY']);
+  assert.equal(await client.confluence.getSpace('HOME'), null);
+});
+
+test('bound iterators and run() stay on the client site', async () => {
+  const client = createAtlassianClient({ domain: other.url, email: 'a@b.c', token: 't' });
+  const { homepage } = await client.confluence.getSpace('AWAY');
+  for (const title of ['One', 'Two', 'Three']) await client.confluence.createPage('AWAY', title, '<p/>', homepage.id);
+
+  const titles = [];
+  for await (const page of client.confluence.iteratePages('AWAY')) titles.push(page.title);
+  assert.deepEqual(titles, ['Away Home', 'One', 'Two', 'Three']);
+
+  const viaRun = await client.run(() => confluence.listPages('AWAY'));
+  assert.equal(viaRun.length, 4);
+});
+
+test('profiles come from [sections] in the .env file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-env-'));
+  const envFile = path.join(dir, '.env');
+  fs.writeFileSync(envFile, [
+    'SCREENSHOT_DIR=./shots',
+    '[client-a]',
+    'ATLASSIAN_DOMAIN=client-a.atlassian.net',
+    'ATLASSIAN_EMAIL=me@ours.com',
+    'ATLASSIAN_API_TOKEN=secret',
+  ].join('\n'));
+
+  const saved = process.env.ATLASSIAN_PROFILE;
+  try {
+    resetConfig();
+    process.env.ATLASSIAN_PROFILE = 'client-a';
+    const config = loadConfig(envFile);
+    assert.equal(config.profile, 'client-a');
+    assert.equal(config.atlassian.domain, 'client-a.atlassian.net');
+    assert.equal(config.screenshot.dir, './shots');
+    assert.deepEqual(listProfiles(), ['default', 'client-a']);
+    assert.equal(getProfile('client-a').auth, Buffer.from('me@ours.com:secret').toString('base64'));
+    assert.throws(() => getProfile('nope'), /Unknown profile "nope"/);
+  } finally {
+    if (saved === undefined) delete process.env.ATLASSIAN_PROFILE; else process.env.ATLASSIAN_PROFILE = saved;
+    resetConfig();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
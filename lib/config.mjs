@@ -1,42 +1,55 @@
 /**
  * Configuration loader — reads from .env file or environment variables
+ *
+ * The .env file may define named credential profiles in `[name]` sections;
+ * keys before the first section form the default profile:
+ *
+ *   ATLASSIAN_DOMAIN=ours.atlassian.net
+ *   ...
+ *   [clientA]
+ *   ATLASSIAN_DOMAIN=client-a.atlassian.net
+ *   ATLASSIAN_EMAIL=me@ours.com
+ *   ATLASSIAN_API_TOKEN=...
+ *
+ * ATLASSIAN_PROFILE (or the CLI's --profile) picks which profile
+ * `loadConfig().atlassian` — and so the module-level APIs — use.
+ *
+ * Data Center: set ATLASSIAN_DEPLOYMENT=datacenter and ATLASSIAN_PAT.
+ * OAuth 2.0 (3LO): ATLASSIAN_OAUTH_CLIENT_ID/_CLIENT_SECRET/_REFRESH_TOKEN
+ * and ATLASSIAN_CLOUD_ID (optionally _ACCESS_TOKEN, _TOKEN_FILE).
  */
 import fs from 'fs';
 import path from 'path';
 
 let _config = null;
+let _sections = null;
 
 export function loadConfig(configPath) {
   if (_config) return _config;
 
   // Try to load .env file
   const envPath = configPath || path.resolve(process.cwd(), '.env');
-  const env = {};
-
-  if (fs.existsSync(envPath)) {
-    const content = fs.readFileSync(envPath, 'utf-8');
-    for (const line of content.split('\n')) {
-      const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('#')) continue;
-      const eqIdx = trimmed.indexOf('=');
-      if (eqIdx === -1) continue;
-      const key = trimmed.slice(0, eqIdx).trim();
-      const value = trimmed.slice(eqIdx + 1).trim();
-      env[key] = value;
-    }
-  }
+  _sections = fs.existsSync(envPath) ? parseEnvFile(fs.readFileSync(envPath, 'utf-8')) : { default: {} };
+  const env = _sections.default;
 
   // Merge with process.env (process.env takes precedence)
   const get = (key, fallback = '') => process.env[key] || env[key] || fallback;
+  const profile = get('ATLASSIAN_PROFILE', 'default');
 
   _config = {
-    atlassian: {
-      domain: get('ATLASSIAN_DOMAIN'),
-      email: get('ATLASSIAN_EMAIL'),
-      token: get('ATLASSIAN_API_TOKEN'),
-      get auth() {
-        return Buffer.from(`${this.email}:${this.token}`).toString('base64');
-      },
+    profile,
+    atlassian: profileConfig(profile),
+    // ATL_DRY_RUN=1 (or the CLI's --dry-run): record mutations instead of sending them
+    dryRun: ['1', 'true', 'yes'].includes(get('ATL_DRY_RUN').toLowerCase()),
+    // Run journals for --resume (see journal.mjs)
+    runsDir: get('ATL_RUNS_DIR', '.atl/runs'),
+    // Project page templates for `confluence new` (see templates.mjs)
+    templatesDir: get('ATL_TEMPLATES_DIR', '.atl/templates'),
+    // Request scheduler (see scheduler.mjs); shared by all profiles
+    requests: {
+      concurrency: parseInt(get('ATLASSIAN_CONCURRENCY', '4'), 10),
+      retries: parseInt(get('ATLASSIAN_MAX_RETRIES', '3'), 10),
+      timeoutMs: parseInt(get('ATLASSIAN_TIMEOUT_MS', '60000'), 10),
     },
     screenshot: {
       baseUrl: get('APP_BASE_URL'),
@@ -57,4 +70,126 @@ export function loadConfig(configPath) {
 
 export function resetConfig() {
   _config = null;
+  _sections = null;
+}
+
+/**
+ * Site credentials for a named profile (`default` is the top of the .env file,
+ * overridden by ATLASSIAN_* environment variables).
+ *
+ * @param {string} name
+ * @returns {{name: string, domain: string, email: string, token: string, auth: string, baseUrl: string}}
+ */
+export function getProfile(name = 'default') {
+  loadConfig();
+  return profileConfig(name);
+}
+
+/** Names of all profiles defined in the .env file, `default` first. */
+export function listProfiles() {
+  loadConfig();
+  return Object.keys(_sections);
+}
+
+/**
+ * Build a site config (the shape of `loadConfig().atlassian`) from explicit
+ * settings.
+ *
+ * @param {object} site
+ * @param {string} site.domain - Host, or a base URL (may include a DC context path)
+ * @param {string} [site.email] - Basic auth
+ * @param {string} [site.token] - Basic auth API token
+ * @param {'cloud'|'datacenter'} [site.deployment='cloud']
+ * @param {'basic'|'pat'|'oauth'} [site.authType] - Defaults from which credentials are present
+ * @param {string} [site.pat] - Data Center Personal Access Token
+ * @param {object} [site.oauth] - { clientId, clientSecret, refreshToken, accessToken, tokenUrl, tokenFile }
+ * @param {string} [site.cloudId] - Required for OAuth (requests go through api.atlassian.com)
+ * @param {string} [site.siteUrl] - Browser URL of the site, when `domain` is an API gateway
+ */
+export function siteConfig(site) {
+  const { email = '', token = '', pat = '', oauth = null, cloudId = '', siteUrl = '' } = site;
+  const authType = site.authType || (pat ? 'pat' : oauth?.clientId || oauth?.accessToken ? 'oauth' : 'basic');
+  const deployment = normalizeDeployment(site.deployment);
+  if (authType === 'oauth' && deployment === 'cloud' && !cloudId) {
+    throw new Error('OAuth 2.0 requires ATLASSIAN_CLOUD_ID (requests are routed through api.atlassian.com).');
+  }
+  const domain = site.domain || (authType === 'oauth' && deployment === 'cloud' ? 'api.atlassian.com' : '');
+  return {
+    name: site.name || domain,
+    domain,
+    email,
+    token,
+    pat,
+    oauth,
+    cloudId,
+    authType,
+    deployment,
+    get auth() {
+      return Buffer.from(`${this.email}:${this.token}`).toString('base64');
+    },
+    // Site root URL; ATLASSIAN_DOMAIN may be a bare host or a full URL
+    get baseUrl() {
+      if (siteUrl) return siteUrl.replace(/\/+$/, '');
+      if (!this.domain) return '';
+      return /^https?:\/\//.test(this.domain) ? this.domain.replace(/\/+$/, '') : `https://${this.domain}`;
+    },
+  };
+}
+
+function normalizeDeployment(value) {
+  const v = String(value || 'cloud').toLowerCase();
+  if (v === 'cloud') return 'cloud';
+  if (['datacenter', 'data-center', 'dc', 'server'].includes(v)) return 'datacenter';
+  throw new Error(`Unknown ATLASSIAN_DEPLOYMENT "${value}" (expected cloud or datacenter)`);
+}
+
+function profileConfig(name) {
+  const section = _sections[name];
+  if (!section) {
+    throw new Error(`Unknown profile "${name}". Defined profiles: ${Object.keys(_sections).join(', ')}`);
+  }
+  // Environment variables override the default profile only — a named profile
+  // is used precisely to talk to a different site than the environment's.
+  const get = name === 'default' ? (key) => process.env[key] || section[key] || '' : (key) => section[key] || '';
+  const oauthClientId = get('ATLASSIAN_OAUTH_CLIENT_ID');
+  const oauthAccessToken = get('ATLASSIAN_OAUTH_ACCESS_TOKEN');
+  return siteConfig({
+    name,
+    domain: get('ATLASSIAN_DOMAIN'),
+    email: get('ATLASSIAN_EMAIL'),
+    token: get('ATLASSIAN_API_TOKEN'),
+    deployment: get('ATLASSIAN_DEPLOYMENT'),
+    authType: get('ATLASSIAN_AUTH'),
+    pat: get('ATLASSIAN_PAT'),
+    oauth: oauthClientId || oauthAccessToken ? {
+      clientId: oauthClientId,
+      clientSecret: get('ATLASSIAN_OAUTH_CLIENT_SECRET'),
+      refreshToken: get('ATLASSIAN_OAUTH_REFRESH_TOKEN'),
+      accessToken: oauthAccessToken,
+      tokenUrl: get('ATLASSIAN_OAUTH_TOKEN_URL') || undefined,
+      tokenFile: get('ATLASSIAN_OAUTH_TOKEN_FILE') || undefined,
+    } : null,
+    cloudId: get('ATLASSIAN_CLOUD_ID'),
+    siteUrl: get('ATLASSIAN_SITE_URL'),
+  });
+}
+
+function parseEnvFile(content) {
+  const sections = { default: {} };
+  let current = sections.default;
+  for (const line of content.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const header = trimmed.match(/^\[([\w.-]+)\]$/);
+    if (header) {
+      current = sections[header[1]] ||= {};
+      continue;
+    }
+    const eqIdx = trimmed.indexOf('=');
+    if (eqIdx === -1) continue;
+    const key = trimmed.slice(0, eqIdx).trim();
+    const value = trimmed.slice(eqIdx + 1).trim();
+    current[key] = value;
+  }
+  return sections;
 }
@@ -1,36 +1,68 @@
 /**
- * Confluence API — spaces, pages, attachments, search
+ * Confluence API — spaces, pages, labels, content properties, attachments, search
  *
  * Usage:
  *   import { confluence } from './confluence.mjs';
  *   await confluence.createSpace('ENG', 'Engineering', 'Engineering docs');
  *   await confluence.createPage('ENG', 'Getting Started', '<p>Hello</p>');
  */
-import { atlassianRequest, uploadAttachment } from './atlassian-client.mjs';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { atlassianRequest, uploadAttachment, downloadFile, paginate, paginateAll, apiPaths } from './atlassian-client.mjs';
+import { currentJournal, noteChange } from './journal.mjs';
+import { decodeEntities } from './xhtml.mjs';
+import { assertValidStorage } from './validate.mjs';
+import { cql } from './cql.mjs';
+import { isDryRun } from './dry-run.mjs';
 
-const API = '/wiki/rest/api';
+// REST base for the current site (differs between Cloud and Data Center)
+const api = () => apiPaths().confluence;
 
 // ── Core CRUD ──────────────────────────────────────────────────
 
 export async function createSpace(key, name, description) {
+  // A dry run answers the POST itself, so the 409 below would never come:
+  // look first, or pages get planned under a fake homepage
+  if (isDryRun()) {
+    const existing = await getSpace(key);
+    if (existing) {
+      console.log(`Space ${key} already exists`);
+      return existing;
+    }
+  }
   console.log(`Creating space: ${name} (${key})`);
   try {
-    const result = await atlassianRequest('POST', `${API}/space`, {
+    const result = await atlassianRequest('POST', `${api()}/space`, {
       key, name,
       description: { plain: { value: description, representation: 'plain' } },
     });
     console.log(`  Space created. Homepage ID: ${result.homepage?.id || 'N/A'}`);
+    currentJournal()?.record(`space:${key}`, { type: 'space', id: result.id, key, name });
     return result;
   } catch (e) {
     if (e.message.includes('already exists') || e.statusCode === 409) {
       console.log(`  Space ${key} already exists, fetching...`);
-      return atlassianRequest('GET', `${API}/space/${key}?expand=homepage`);
+      return atlassianRequest('GET', `${api()}/space/${key}?expand=homepage`);
     }
     throw e;
   }
 }
 
-export async function createPage(spaceKey, title, body, parentId = null, labels = []) {
+/**
+ * Create a page. With `opts.upsert`, an existing page with the same title in
+ * the space is updated in place instead (see upsertPage) and returned.
+ * With `opts.validate`, the body is checked first (see validate.mjs): errors
+ * throw a StorageValidationError, warnings are logged. Pass lintStorage()
+ * options instead of `true` to name attachments that will be uploaded.
+ * If the page is created but its labels are rejected, the page is returned
+ * with `warnings` naming what went wrong.
+ */
+export async function createPage(spaceKey, title, body, parentId = null, labels = [], opts = {}) {
+  if (opts.upsert) return (await upsertPage(spaceKey, title, body, parentId, labels, { validate: opts.validate })).page;
+  if (opts.validate) await assertValidStorage(body, { spaceKey, title }, opts.validate);
+
   console.log(`  Creating page: ${title}${parentId ? ` (under ${parentId})` : ''}`);
   const payload = {
     type: 'page',
@@ -40,64 +72,874 @@ export async function createPage(spaceKey, title, body, parentId = null, labels
   };
   if (parentId) payload.ancestors = [{ id: parentId }];
 
-  const result = await atlassianRequest('POST', `${API}/content`, payload);
+  const result = await atlassianRequest('POST', `${api()}/content`, payload);
   console.log(`    Page created: ID=${result.id}`);
+  currentJournal()?.record(`page:${spaceKey}:${title}`, { type: 'page', id: result.id, title, parentId, status: 'created', version: 1 });
 
   if (labels.length > 0) {
     try {
-      await atlassianRequest('POST', `${API}/content/${result.id}/label`,
-        labels.map(l => ({ prefix: 'global', name: l })));
-    } catch { /* ignore label errors */ }
+      await addLabels(result.id, labels);
+    } catch (e) {
+      // The page exists now: return it, so callers can still build on it
+      const warning = `Page "${title}" (ID=${result.id}) was created, but its labels were not: ${e.message}`;
+      console.log(`    Warning: ${warning}`);
+      result.warnings = [warning];
+    }
   }
   return result;
 }
 
-export async function updatePage(spaceKey, title, body) {
+/**
+ * Create the page if no page with this title exists in the space; otherwise
+ * update it only where it differs — body, missing labels, or parent (moved).
+ * Existing labels are never removed. `opts.validate` is as for createPage().
+ *
+ * @returns {Promise<{status: 'created'|'updated'|'unchanged', page: object, changes: string[]}>}
+ */
+export async function upsertPage(spaceKey, title, body, parentId = null, labels = [], opts = {}) {
   const encoded = encodeURIComponent(title);
-  const result = await atlassianRequest('GET', `${API}/content?spaceKey=${spaceKey}&title=${encoded}&expand=version`);
-  const pages = result.results || [];
-  if (pages.length === 0) {
-    console.log(`  Page "${title}" not found in ${spaceKey}, skipping`);
-    return null;
-  }
-  const page = pages[0];
-  const v = page.version.number + 1;
-  await atlassianRequest('PUT', `${API}/content/${page.id}`, {
-    type: 'page', title: page.title,
-    body: { storage: { value: body, representation: 'storage' } },
-    version: { number: v },
-  });
-  console.log(`  Updated: ${spaceKey}/${title} → v${v}`);
-  return page;
+  const result = await atlassianRequest('GET', `${api()}/content?spaceKey=${spaceKey}&title=${encoded}&expand=version,body.storage,metadata.labels,ancestors`);
+  // The title filter is not exact on every deployment (case, trailing spaces)
+  const existing = (result.results || []).find(p => p.title === title);
+  if (!existing) {
+    const page = await createPage(spaceKey, title, body, parentId, labels, { validate: opts.validate });
+    return { status: 'created', page, changes: [] };
+  }
+
+  const { changes, labels: labelDiff } = comparePage(existing, { body, labels, parentId });
+  if (changes.length === 0) {
+    console.log(`  Unchanged: ${title} (ID=${existing.id})`);
+    return { status: 'unchanged', page: existing, changes };
+  }
+
+  let page = existing;
+  if (changes.includes('body') || changes.includes('parent')) {
+    page = await updatePageById(existing.id, { body, parentId: changes.includes('parent') ? parentId : undefined, validate: opts.validate });
+  }
+  if (changes.includes('labels')) await addLabels(existing.id, labelDiff.add);
+  if (!changes.includes('body') && !changes.includes('parent')) {
+    console.log(`  Updated: ${title} (ID=${existing.id}) — ${changes.join(', ')}`);
+  }
+  return { status: 'updated', page, changes };
+}
+
+/**
+ * Update a page's body, and optionally its title, parent or version message.
+ *
+ * The page is given by title or as `{ id }`. Nothing is written when the
+ * normalized body, the title and the parent are all unchanged, so re-runs
+ * don't notify watchers of empty versions.
+ *
+ * If someone else saves the page between our read and our write (or after
+ * `opts.baseVersion`, when given), a PageConflictError is thrown with both
+ * sides — unless `opts.merge` is set and the two edits touch different
+ * blocks of the page, in which case they are merged and written together.
+ *
+ * @param {string} spaceKey
+ * @param {string|{id: string}} page - Title, or `{ id }`
+ * @param {string} [body] - Storage XHTML (undefined keeps the current body)
+ * @param {object} [opts]
+ * @param {string} [opts.title] - Rename the page
+ * @param {string} [opts.parentId] - Move the page under this parent
+ * @param {string} [opts.message] - Version message shown in the page history
+ * @param {boolean} [opts.minorEdit] - Don't notify watchers
+ * @param {number} [opts.baseVersion] - Version `body` was derived from (default: the one read here)
+ * @param {boolean} [opts.merge] - Merge a concurrent edit instead of failing
+ * @param {boolean|object} [opts.validate] - Check the body before writing it, as for createPage()
+ * @returns {Promise<object|null>} The page after the update, or null if no page has this title
+ */
+export async function updatePage(spaceKey, page, body, opts = {}) {
+  let pageId = page?.id;
+  if (pageId === undefined) {
+    const result = await atlassianRequest('GET', `${api()}/content?spaceKey=${spaceKey}&title=${encodeURIComponent(page)}&expand=version`);
+    const matches = (result.results || []).filter(p => p.title === page);
+    if (matches.length === 0) {
+      console.log(`  Page "${page}" not found in ${spaceKey}, skipping`);
+      return null;
+    }
+    if (matches.length > 1) {
+      throw new Error(`${matches.length} pages titled "${page}" in ${spaceKey} (IDs ${matches.map(p => p.id).join(', ')}); update by { id } instead`);
+    }
+    pageId = matches[0].id;
+  }
+  return writePage(pageId, { ...opts, body });
 }
 
 export async function getPage(spaceKey, title) {
   const encoded = encodeURIComponent(title);
-  const result = await atlassianRequest('GET', `${API}/content?spaceKey=${spaceKey}&title=${encoded}&expand=version,body.storage`);
+  const result = await atlassianRequest('GET', `${api()}/content?spaceKey=${spaceKey}&title=${encoded}&expand=version,body.storage`);
   return result.results?.[0] || null;
 }
 
-export async function getPageById(pageId) {
-  return atlassianRequest('GET', `${API}/content/${pageId}?expand=version,body.storage`);
+export async function getPageById(pageId, expand = 'version,body.storage') {
+  return atlassianRequest('GET', `${api()}/content/${pageId}?expand=${expand}`);
+}
+
+/**
+ * Update a page by ID. Only the fields given in `changes` are modified;
+ * the current title/body are kept otherwise. Takes the same message,
+ * minor-edit, conflict and validation options as updatePage().
+ *
+ * @param {string} pageId
+ * @param {{title?: string, body?: string, parentId?: string, message?: string, minorEdit?: boolean, baseVersion?: number, merge?: boolean, validate?: boolean|object}} changes
+ */
+export async function updatePageById(pageId, changes = {}) {
+  return writePage(pageId, changes);
+}
+
+/**
+ * Thrown when a page was changed by someone else after the version an update
+ * was based on. `theirs` is the live body, `ours` the body that was not
+ * written; after a failed merge, `conflicts` lists the blocks both changed.
+ */
+export class PageConflictError extends Error {
+  constructor(page, { base, ours, conflicts = [] }) {
+    const by = page.version.by?.displayName || page.version.by?.publicName || page.version.by?.username || 'someone else';
+    const detail = conflicts.length ? `; ${conflicts.length} block${conflicts.length === 1 ? '' : 's'} changed on both sides` : '';
+    super(`Page "${page.title}" (ID=${page.id}) was changed by ${by} (version ${page.version.number}) after version ${base.version.number}, which this update is based on${detail}`);
+    this.name = 'PageConflictError';
+    this.statusCode = 409;
+    this.pageId = page.id;
+    this.baseVersion = base.version.number;
+    this.currentVersion = page.version.number;
+    this.theirs = page.body.storage.value;
+    this.ours = ours;
+    this.conflicts = conflicts;
+  }
+}
+
+// Shared by updatePage/updatePageById: skip no-op writes, detect and
+// (optionally) merge concurrent edits, retrying the PUT on a 409
+async function writePage(pageId, changes) {
+  const expand = 'version,body.storage,ancestors,space';
+  let page = await getPageById(pageId, expand);
+  let base = changes.baseVersion && changes.baseVersion !== page.version.number
+    ? await getPageVersion(pageId, changes.baseVersion)
+    : page;
+  let body = changes.body;
+  let validated;
+
+  for (let attempt = 1; ; attempt++) {
+    if (page.version.number !== base.version.number) {
+      body = resolveConflict(page, base, body, changes);
+      base = page;
+    }
+
+    const { changes: diff } = comparePage(page, { body, parentId: changes.parentId });
+    if (changes.title !== undefined && changes.title !== page.title) diff.push('title');
+    if (changes.spaceKey && changes.spaceKey !== page.space?.key) diff.push('space');
+    if (diff.length === 0) {
+      console.log(`  Unchanged: ${page.title} (ID=${pageId})`);
+      return page;
+    }
+    if (changes.validate && diff.includes('body') && body !== validated) {
+      await assertValidStorage(body, { spaceKey: page.space?.key, pageId, title: changes.title ?? page.title }, changes.validate);
+      validated = body;
+    }
+
+    const v = page.version.number + 1;
+    const payload = {
+      type: 'page',
+      title: changes.title ?? page.title,
+      body: { storage: { value: body ?? page.body.storage.value, representation: 'storage' } },
+      version: { number: v, message: changes.message, minorEdit: changes.minorEdit },
+    };
+    if (diff.includes('space')) payload.space = { key: changes.spaceKey };
+    if (diff.includes('parent') || diff.includes('space')) payload.ancestors = [{ id: changes.parentId }];
+    try {
+      const result = await atlassianRequest('PUT', `${api()}/content/${pageId}`, payload);
+      noteChange('page', pageId, () => ({ version: v }));
+      console.log(`  Updated: ${payload.title} (ID=${pageId}) → v${v}${changes.minorEdit ? ' (minor edit)' : ''}`);
+      return result;
+    } catch (e) {
+      // 409: someone saved a version since we read the page
+      if (e.statusCode !== 409 || attempt >= 3) throw e;
+      page = await getPageById(pageId, expand);
+    }
+  }
+}
+
+// The body to write over `page` (the live version) when it has moved on from `base`
+function resolveConflict(page, base, body, changes) {
+  const theirs = page.body.storage.value;
+  if (body === undefined) return body;
+  if (normalizeStorage(theirs) === normalizeStorage(base.body.storage.value)) return body; // title/parent only
+  if (normalizeStorage(theirs) === normalizeStorage(body)) return body;
+  if (!changes.merge) throw new PageConflictError(page, { base, ours: body });
+
+  const merged = mergeStorage(base.body.storage.value, body, theirs);
+  if (merged.conflicts.length) throw new PageConflictError(page, { base, ours: body, conflicts: merged.conflicts });
+  console.log(`  Merged a concurrent edit to "${page.title}" (v${page.version.number})`);
+  return merged.body;
+}
+
+/**
+ * Move a page, with everything below it, under another parent — which may be
+ * in another space — or to the top of another space (under its homepage).
+ *
+ * @param {string} pageId
+ * @param {string|{parentId?: string, spaceKey?: string}} target - The new parent's ID, a space key, or either as an object
+ * @param {{message?: string}} opts
+ * @returns {Promise<object>} The moved page
+ */
+export async function movePage(pageId, target, opts = {}) {
+  const { parentId, spaceKey } = typeof target === 'object'
+    ? target
+    : /^\d+$/.test(String(target)) ? { parentId: String(target) } : { spaceKey: target };
+  let parent;
+  if (parentId) {
+    parent = await getPageById(parentId, 'space');
+  } else {
+    const space = await getSpace(spaceKey);
+    if (!space) throw Object.assign(new Error(`No space with key ${spaceKey}`), { statusCode: 404 });
+    parent = { id: space.homepage.id, space: { key: spaceKey } };
+  }
+  console.log(`  Moving page ${pageId} under ${parent.id} in ${parent.space.key}`);
+  return writePage(pageId, { parentId: parent.id, spaceKey: parent.space.key, message: opts.message });
+}
+
+export async function getSpace(key) {
+  try {
+    return await atlassianRequest('GET', `${api()}/space/${key}?expand=homepage`);
+  } catch (e) {
+    if (e.statusCode === 404) return null;
+    throw e;
+  }
 }
 
 export async function deletePage(pageId) {
-  return atlassianRequest('DELETE', `${API}/content/${pageId}`);
+  return atlassianRequest('DELETE', `${api()}/content/${pageId}`);
 }
 
-export async function listPages(spaceKey) {
-  const result = await atlassianRequest('GET', `${API}/content?spaceKey=${spaceKey}&type=page&limit=500&expand=ancestors`);
-  return result.results || [];
+/** Delete a space and everything in it (Confluence runs this as a background task). */
+export async function deleteSpace(key) {
+  return atlassianRequest('DELETE', `${api()}/space/${key}`);
 }
 
-export async function findPage(spaceKey, searchTerm) {
-  const encoded = encodeURIComponent(searchTerm);
-  const result = await atlassianRequest('GET', `${API}/content?spaceKey=${spaceKey}&title=${encoded}&expand=version`);
-  return result.results || [];
+/**
+ * Iterate every page in a space (with ancestors), fetching 100 at a time.
+ * @param {string} spaceKey
+ * @param {{max?: number}} opts - max: stop after this many pages
+ */
+export function iteratePages(spaceKey, opts = {}) {
+  return paginate('GET', `${api()}/content?spaceKey=${spaceKey}&type=page&limit=100&expand=ancestors`, null, opts);
 }
 
-export async function uploadPageAttachment(pageId, filepath, filename) {
-  return uploadAttachment(`${API}/content/${pageId}/child/attachment`, filepath, filename);
+/**
+ * All pages in a space. Pass `{ max }` to cap the number returned.
+ */
+export async function listPages(spaceKey, opts = {}) {
+  return paginateAll('GET', `${api()}/content?spaceKey=${spaceKey}&type=page&limit=100&expand=ancestors`, null, opts);
+}
+
+/**
+ * Pages titled exactly `title` in a space — a lookup, not a search (see
+ * searchContent() and `cql.title()` for that).
+ */
+export async function findPage(spaceKey, title) {
+  const encoded = encodeURIComponent(title);
+  return paginateAll('GET', `${api()}/content?spaceKey=${spaceKey}&title=${encoded}&expand=version`);
+}
+
+// ── Attachments ────────────────────────────────────────────────
+
+/**
+ * Attach a file to a page, or add it as a new version of the page's
+ * attachment with the same name. The upload is skipped when that attachment
+ * already has the same content (same size and SHA-256).
+ *
+ * @param {string} pageId
+ * @param {string} filepath
+ * @param {string} [filename] - Name on the page (default: the file's own)
+ * @param {object} [opts]
+ * @param {string} [opts.comment] - Shown in the attachment's version history
+ * @param {boolean} [opts.minorEdit] - Don't notify watchers
+ * @param {string} [opts.contentType] - Default: detected from the file (mime.mjs)
+ * @param {boolean} [opts.force] - Upload even if the content is unchanged
+ * @returns {Promise<{status: 'created'|'updated'|'unchanged', attachment: object}>}
+ */
+export async function attachFile(pageId, filepath, filename = path.basename(filepath), opts = {}) {
+  const existing = await getAttachment(pageId, filename);
+  if (existing) return updateAttachment(existing, filepath, { ...opts, filename });
+  const hash = await sha256(filepath);
+  const result = await uploadAttachment(`${api()}/content/${pageId}/child/attachment`, filepath, filename, opts);
+  const attachment = result.results?.[0] ?? result;
+  await recordHash(attachment, hash);
+  return { status: 'created', attachment };
+}
+
+/**
+ * attachFile(), returning the REST response shape as before —
+ * `{ results: [attachment] }` — with its `status` alongside.
+ */
+export async function uploadPageAttachment(pageId, filepath, filename = path.basename(filepath), opts = {}) {
+  const { status, attachment } = await attachFile(pageId, filepath, filename, opts);
+  return { results: [attachment], size: 1, status };
+}
+
+/**
+ * Upload a new version of an attachment — skipped, as above, when the
+ * content is unchanged. Giving `opts.filename` renames it.
+ *
+ * @param {object|string} attachment - From listAttachments()/getAttachment(), or its ID
+ * @param {string} filepath
+ * @param {object} [opts] - attachFile() options, plus `filename`
+ * @returns {Promise<{status: 'updated'|'unchanged', attachment: object}>}
+ */
+export async function updateAttachment(attachment, filepath, opts = {}) {
+  if (typeof attachment !== 'object') attachment = await getPageById(attachment, 'version,container');
+  const filename = opts.filename ?? attachment.title;
+  const hash = await sha256(filepath);
+  if (!opts.force && filename === attachment.title && await sameContent(attachment, filepath, hash)) {
+    return { status: 'unchanged', attachment };
+  }
+  const pageId = attachment.container?.id ?? attachment._links?.download?.match(/\/attachments\/(\d+)\//)?.[1];
+  const result = await uploadAttachment(`${api()}/content/${pageId}/child/attachment/${attachment.id}/data`, filepath, filename, { ...opts, method: 'POST' });
+  const updated = result.results?.[0] ?? result;
+  await recordHash(updated, hash);
+  return { status: 'updated', attachment: updated };
+}
+
+/** A page's attachment by file name, or null */
+export async function getAttachment(pageId, filename) {
+  const [attachment] = await listAttachments(pageId, { filename, max: 1 });
+  return attachment ?? null;
+}
+
+/**
+ * Iterate a page's attachments.
+ * @param {string} pageId
+ * @param {{filename?: string, mediaType?: string, max?: number}} opts - filename/mediaType: only those
+ */
+export function iterateAttachments(pageId, opts = {}) {
+  const { filename, mediaType, ...rest } = opts;
+  const filters = [filename && `&filename=${encodeURIComponent(filename)}`, mediaType && `&mediaType=${encodeURIComponent(mediaType)}`].filter(Boolean).join('');
+  return paginate('GET', `${api()}/content/${pageId}/child/attachment?limit=100&expand=version,container${filters}`, null, rest);
+}
+
+/** A page's attachments — iterateAttachments() options. */
+export async function listAttachments(pageId, opts = {}) {
+  const attachments = [];
+  for await (const attachment of iterateAttachments(pageId, opts)) attachments.push(attachment);
+  return attachments;
+}
+
+/**
+ * Download an attachment (as returned by listAttachments) to a local path,
+ * or into a directory under its own name.
+ */
+export async function downloadAttachment(attachment, destPath) {
+  const file = fs.statSync(destPath, { throwIfNoEntry: false })?.isDirectory() ? path.join(destPath, safeFileName(attachment.title)) : destPath;
+  return downloadFile(`${apiPaths().confluenceRoot}${attachment._links.download}`, file);
+}
+
+/**
+ * A local file name for an attachment title from the server: no directories
+ * (`/`, `\\`), no `.`/`..`, and no characters file systems reject.
+ */
+export function safeFileName(title) {
+  const base = String(title ?? '').split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f<>:"|?*]/g, '-').trim();
+  return !base || /^\.+$/.test(base) ? 'attachment' : base;
+}
+
+/**
+ * Delete an attachment (on Cloud it goes to the space's trash).
+ * @param {object|string} attachment - From listAttachments(), or its ID
+ */
+export async function deleteAttachment(attachment) {
+  return atlassianRequest('DELETE', `${api()}/content/${attachment.id ?? attachment}`);
+}
+
+// The SHA-256 of each uploaded version is kept in a content property on the
+// attachment, so re-uploads can be compared without downloading it
+const HASH_PROPERTY = 'atl-sha256';
+// Where properties can't be written on attachments (403, 404) or another upload won (409)
+const HASH_SKIP_STATUSES = new Set([403, 404, 409]);
+
+async function recordHash(attachment, hash) {
+  if (!attachment?.id || isDryRun()) return;
+  // Best effort: without it, the next comparison downloads the attachment
+  await setContentProperty(attachment.id, HASH_PROPERTY, { sha256: hash, version: attachment.version?.number ?? null }).catch((e) => {
+    if (!HASH_SKIP_STATUSES.has(e.statusCode)) console.log(`    Could not record the hash of "${attachment.title}": ${e.message}`);
+  });
+}
+
+// Whether an attachment's current version has the same bytes as a local file
+// (whose SHA-256 is `hash`): by size, then the recorded hash — downloading
+// the attachment only when it has none for this version
+async function sameContent(attachment, filepath, hash) {
+  const size = attachment.extensions?.fileSize;
+  if (size !== undefined && size !== fs.statSync(filepath).size) return false;
+  const recorded = await getContentProperty(attachment.id, HASH_PROPERTY).catch(() => undefined);
+  if (recorded?.sha256 && recorded.version === (attachment.version?.number ?? null)) return recorded.sha256 === hash;
+
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-attachment-'));
+  try {
+    const remote = path.join(tmp, 'current');
+    await downloadAttachment(attachment, remote);
+    const same = (await sha256(remote)) === hash;
+    if (same) await recordHash(attachment, hash);
+    return same;
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+function sha256(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(file).on('data', (chunk) => hash.update(chunk)).on('end', () => resolve(hash.digest('hex'))).on('error', reject);
+  });
+}
+
+// ── Labels ─────────────────────────────────────────────────────
+
+/** A page's label names */
+export async function getLabels(pageId) {
+  const labels = await paginateAll('GET', `${api()}/content/${pageId}/label?limit=200`);
+  return labels.map(l => l.name);
+}
+
+/**
+ * Add labels to a page; ones it already has are kept as they are. Confluence
+ * lower-cases label names and rejects names with spaces.
+ * @param {string} pageId
+ * @param {string|string[]} labels
+ * @returns {Promise<string[]>} The page's labels afterwards
+ */
+export async function addLabels(pageId, labels) {
+  const names = [].concat(labels).filter(Boolean);
+  if (!names.length) return getLabels(pageId);
+  const result = await atlassianRequest('POST', `${api()}/content/${pageId}/label`,
+    names.map(name => ({ prefix: 'global', name })));
+  return (result.results || []).map(l => l.name);
+}
+
+/**
+ * Remove labels from a page. Labels the page doesn't have are skipped.
+ * @param {string} pageId
+ * @param {string|string[]} labels
+ * @returns {Promise<string[]>} The labels that were removed
+ */
+export async function removeLabels(pageId, labels) {
+  const removed = [];
+  for (const name of [].concat(labels).filter(Boolean)) {
+    try {
+      // ?name= rather than /label/{name}, which can't carry a '/'
+      await atlassianRequest('DELETE', `${api()}/content/${pageId}/label?name=${encodeURIComponent(name)}`);
+      removed.push(name);
+    } catch (e) {
+      if (e.statusCode !== 404) throw e;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Pages with a label (or with any of several), optionally in given spaces,
+ * most recently modified first.
+ * @param {string|string[]} labels
+ * @param {{spaceKey?: string|string[], max?: number}} opts
+ */
+export async function listPagesByLabel(labels, opts = {}) {
+  const query = cql.and(cql.type('page'), cql.label(labels), opts.spaceKey && cql.space(opts.spaceKey));
+  return searchContent(`${query} ORDER BY lastmodified DESC`, { max: opts.max });
+}
+
+// ── Content properties ─────────────────────────────────────────
+
+/**
+ * A page's content property — JSON metadata for tools, not shown to readers
+ * and not part of the page history — or undefined if it has none by that key.
+ */
+export async function getContentProperty(pageId, key) {
+  return (await findProperty(pageId, key))?.value;
+}
+
+/** All of a page's content properties, as `{ key: value }` */
+export async function listContentProperties(pageId) {
+  const properties = await paginateAll('GET', `${api()}/content/${pageId}/property?limit=100`);
+  return Object.fromEntries(properties.map(p => [p.key, p.value]));
+}
+
+/**
+ * Set a content property to any JSON value. Nothing is written when it
+ * already has that value.
+ *
+ *   await setContentProperty(page.id, 'generated-from', { file: 'docs/setup.md', generator: '1.4.0', hash });
+ *
+ * @returns {Promise<{status: 'created'|'updated'|'unchanged', property: {key: string, value: *, version: {number: number}}}>}
+ */
+export async function setContentProperty(pageId, key, value) {
+  const base = `${api()}/content/${pageId}/property`;
+  for (let attempt = 1; ; attempt++) {
+    const current = await findProperty(pageId, key);
+    if (current && stableJson(current.value) === stableJson(value)) return { status: 'unchanged', property: current };
+    try {
+      const property = current
+        ? await atlassianRequest('PUT', `${base}/${encodeURIComponent(key)}`, { key, value, version: { number: current.version.number + 1, minorEdit: true } })
+        : await atlassianRequest('POST', base, { key, value });
+      return { status: current ? 'updated' : 'created', property };
+    } catch (e) {
+      // 409: someone else created or updated the property since we read it
+      if (e.statusCode !== 409 || attempt >= 3) throw e;
+    }
+  }
+}
+
+/**
+ * Delete a content property.
+ * @returns {Promise<boolean>} false if the page had no property by that key
+ */
+export async function deleteContentProperty(pageId, key) {
+  try {
+    await atlassianRequest('DELETE', `${api()}/content/${pageId}/property/${encodeURIComponent(key)}`);
+    return true;
+  } catch (e) {
+    if (e.statusCode === 404) return false;
+    throw e;
+  }
+}
+
+async function findProperty(pageId, key) {
+  try {
+    const property = await atlassianRequest('GET', `${api()}/content/${pageId}/property/${encodeURIComponent(key)}`);
+    return property?.version ? property : null; // (a dry run's stand-in for a page it created has none)
+  } catch (e) {
+    if (e.statusCode === 404) return null;
+    throw e;
+  }
+}
+
+// JSON with sorted object keys, so equal values compare equal
+function stableJson(value) {
+  return JSON.stringify(value, (k, v) => (v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(key => [key, v[key]]))
+    : v));
+}
+
+// ── Search ─────────────────────────────────────────────────────
+
+// CQL clause builders for searchContent() live in cql.mjs (no dependencies)
+export { cql };
+
+/**
+ * Iterate the content matching a CQL query (`/content/search`), fetching
+ * pages of results as the loop consumes them.
+ *
+ * @param {string} query - CQL, e.g. `type = page AND space = ENG AND text ~ "rollback"` (see `cql`)
+ * @param {object} opts
+ * @param {number} [opts.max] - Stop after this many results
+ * @param {string} [opts.expand] - Default: space,version
+ * @param {boolean|number} [opts.excerpt] - Add an `excerpt` of the body around the first matching
+ *   term (true, or its length in characters; default 160)
+ */
+export async function* iterateContent(query, opts = {}) {
+  const { max = Infinity, excerpt } = opts;
+  const expand = [opts.expand ?? 'space,version', excerpt ? 'body.storage' : ''].filter(Boolean).join(',');
+  const path = `${api()}/content/search?cql=${encodeURIComponent(query)}&limit=${Math.min(50, max)}&expand=${expand}`;
+  for await (const item of paginate('GET', path, null, { max })) {
+    if (excerpt) item.excerpt = excerptOf(item.body?.storage?.value, query, excerpt === true ? 160 : excerpt);
+    yield item;
+  }
+}
+
+/**
+ * All content matching a CQL query — iterateContent() options.
+ * @param {string} query
+ * @param {number|object} opts - Hard cap on results, or iterateContent() options
+ */
+export async function searchContent(query, opts = {}) {
+  if (typeof opts === 'number') opts = { max: opts };
+  const results = [];
+  for await (const item of iterateContent(query, opts)) results.push(item);
+  return results;
+}
+
+// Plain text of a body around the first term of the query's `text ~`/`title ~` clauses
+function excerptOf(xhtml, query, length) {
+  const text = decodeEntities(String(xhtml || '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+  const terms = [...query.matchAll(/\b(?:text|title)\s*~\s*"((?:[^"\\]|\\.)*)"/gi)]
+    .flatMap(m => m[1].replace(/\\(.)/g, '$1').split(/\s+/))
+    .filter(Boolean);
+  const lower = text.toLowerCase();
+  const at = Math.min(...terms.map(t => lower.indexOf(t.toLowerCase())).filter(i => i >= 0), Infinity);
+  const start = at === Infinity ? 0 : Math.max(0, at - Math.floor(length / 3));
+  const slice = text.slice(start, start + length);
+  return `${start > 0 ? '…' : ''}${slice}${start + length < text.length ? '…' : ''}`;
+}
+
+// ── History ────────────────────────────────────────────────────
+
+/**
+ * Versions of a page, newest first.
+ * @param {string} pageId
+ * @param {{max?: number}} opts
+ * @returns {Promise<Array<{number: number, when: string, by: string, message: string, minorEdit: boolean}>>}
+ */
+export async function getPageVersions(pageId, opts = {}) {
+  const versions = await paginateAll('GET', `${api()}/content/${pageId}/version?limit=50`, null, opts);
+  return versions.map(v => ({
+    number: v.number,
+    when: v.when,
+    by: v.by?.displayName || v.by?.publicName || v.by?.username || 'unknown',
+    message: v.message || '',
+    minorEdit: !!v.minorEdit,
+  }));
+}
+
+/** A page as it was at `version`, with its storage body. */
+export async function getPageVersion(pageId, version) {
+  return atlassianRequest('GET', `${api()}/content/${pageId}?status=historical&version=${version}&expand=version,body.storage`);
+}
+
+/**
+ * Compare two versions of a page, or the live page against a local body.
+ * Bodies are compared as normalized storage XHTML (see normalizeStorage),
+ * split into one line per block element for the line diff.
+ *
+ * @param {string} pageId
+ * @param {object} opts
+ * @param {number} [opts.from] - Older version (default: the one before `to`)
+ * @param {number} [opts.to] - Newer version (default: the current one)
+ * @param {string} [opts.body] - Local storage XHTML to compare the current version against
+ * @param {string} [opts.label] - Name for `body` in the output, e.g. the file path
+ * @returns {Promise<{from: string, to: string, identical: boolean, lines: Array<{op: ' '|'-'|'+', text: string}>}>}
+ */
+export async function diffPage(pageId, opts = {}) {
+  const current = await getPageById(pageId, 'version,body.storage');
+  const at = async (n) => (n === current.version.number ? current : getPageVersion(pageId, n));
+  const describe = (page) => `version ${page.version.number} (${page.version.when?.slice(0, 10) || '?'})`;
+
+  let older;
+  let newer;
+  let toLabel;
+  if (opts.body !== undefined) {
+    older = opts.from ? await at(opts.from) : current;
+    newer = opts.body;
+    toLabel = opts.label || 'local';
+  } else {
+    const to = opts.to ?? current.version.number;
+    const from = opts.from ?? to - 1;
+    if (from < 1) throw new Error(`Page ${pageId} has no version before ${to}`);
+    older = await at(from);
+    const newerPage = await at(to);
+    newer = newerPage.body.storage.value;
+    toLabel = describe(newerPage);
+  }
+
+  const a = storageLines(older.body.storage.value);
+  const b = storageLines(newer);
+  const lines = diffLines(a, b);
+  return { from: describe(older), to: toLabel, identical: lines.every(l => l.op === ' '), lines };
+}
+
+/**
+ * Render a diffPage() result as a unified diff with `context` lines
+ * around each change.
+ */
+export function formatPageDiff(diff, context = 3) {
+  if (diff.identical) return `No differences between ${diff.from} and ${diff.to}.`;
+  const out = [`--- ${diff.from}`, `+++ ${diff.to}`];
+  const { lines } = diff;
+  let i = 0;
+  while (i < lines.length) {
+    if (lines[i].op === ' ') { i++; continue; }
+    // Grow the hunk while changes are within 2×context lines of each other
+    const start = Math.max(0, i - context);
+    let end = i;
+    for (let j = i; j < lines.length && j <= end + 2 * context; j++) if (lines[j].op !== ' ') end = j;
+    const stop = Math.min(lines.length, end + context + 1);
+    const oldStart = lines.slice(0, start).filter(l => l.op !== '+').length + 1;
+    const newStart = lines.slice(0, start).filter(l => l.op !== '-').length + 1;
+    const hunk = lines.slice(start, stop);
+    out.push(`@@ -${oldStart},${hunk.filter(l => l.op !== '+').length} +${newStart},${hunk.filter(l => l.op !== '-').length} @@`);
+    for (const l of hunk) out.push(`${l.op} ${l.text}`);
+    i = stop;
+  }
+  return out.join('\n');
+}
+
+/**
+ * Roll a page back to an earlier version. Confluence adds the old content
+ * as a new version, so the rollback itself can be undone.
+ *
+ * @param {string} pageId
+ * @param {number} version
+ * @param {{message?: string, restoreTitle?: boolean}} opts
+ */
+export async function restorePageVersion(pageId, version, opts = {}) {
+  const result = await atlassianRequest('POST', `${api()}/content/${pageId}/version`, {
+    operationKey: 'restore',
+    params: { versionNumber: version, message: opts.message ?? `Restored version ${version}`, restoreTitle: opts.restoreTitle ?? true },
+  });
+  noteChange('page', pageId, () => ({ version: result.number }));
+  console.log(`  Restored page ${pageId} to version ${version} → v${result.number}`);
+  return result;
+}
+
+const BLOCK_TAGS = 'p|h[1-6]|ul|ol|li|table|tbody|thead|tr|th|td|blockquote|pre|hr|ac:structured-macro|ac:parameter|ac:rich-text-body|ac:plain-text-body|ac:layout|ac:layout-section|ac:layout-cell|ac:task-list|ac:task';
+const BLOCK_OPEN = new RegExp(`<(?:${BLOCK_TAGS})(?=[\\s/>])`, 'g');
+const BLOCK_CLOSE = new RegExp(`</(?:${BLOCK_TAGS})>|<(?:${BLOCK_TAGS})(?=[\\s/])[^>]*/>`, 'g');
+
+// One line per block-level element, so a diff reads paragraph by paragraph
+function storageLines(xhtml) {
+  return splitBlocks(normalizeStorage(xhtml));
+}
+
+// Longest-common-subsequence line diff (common prefix/suffix trimmed first)
+function diffLines(a, b) {
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+  const x = a.slice(pre, a.length - suf);
+  const y = b.slice(pre, b.length - suf);
+
+  const w = y.length + 1;
+  const lcs = new Uint32Array((x.length + 1) * w);
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i * w + j] = x[i] === y[j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) { middle.push({ op: ' ', text: x[i] }); i++; j++; }
+    else if (i < x.length && (j === y.length || lcs[(i + 1) * w + j] >= lcs[i * w + j + 1])) middle.push({ op: '-', text: x[i++] });
+    else middle.push({ op: '+', text: y[j++] });
+  }
+  return [
+    ...a.slice(0, pre).map(text => ({ op: ' ', text })),
+    ...middle,
+    ...a.slice(a.length - suf).map(text => ({ op: ' ', text })),
+  ];
+}
+
+// Storage XHTML split at block-element boundaries, whitespace kept inside blocks
+function splitBlocks(xhtml) {
+  return String(xhtml || '')
+    .replace(BLOCK_OPEN, '\u0001$&')
+    .replace(BLOCK_CLOSE, '$&\u0001')
+    .split('\u0001')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+// Runs of changed lines in a diffLines() result, as base ranges and the lines replacing them
+function changedRanges(lines, replacements) {
+  const ranges = [];
+  let range = null;
+  let i = 0;
+  let j = 0;
+  for (const l of lines) {
+    if (l.op === ' ') { range = null; i++; j++; continue; }
+    if (!range) ranges.push(range = { start: i, end: i, lines: [] });
+    if (l.op === '-') { range.end = ++i; } else { range.lines.push(replacements[j++]); }
+  }
+  return ranges;
+}
+
+/**
+ * Three-way merge of two edits of the same storage body, block by block.
+ * Edits to different blocks are combined; overlapping or adjacent edits that
+ * differ are reported in `conflicts` (the merged body keeps ours for those).
+ *
+ * @param {string} base - The body both edits started from
+ * @param {string} ours
+ * @param {string} theirs
+ * @returns {{body: string, conflicts: Array<{base: string[], ours: string[], theirs: string[]}>}}
+ */
+export function mergeStorage(base, ours, theirs) {
+  const [b, o, t] = [base, ours, theirs].map(splitBlocks);
+  const keys = (blocks) => blocks.map(normalizeStorage);
+  const edits = [
+    ...changedRanges(diffLines(keys(b), keys(o)), o).map(r => ({ ...r, side: 'ours' })),
+    ...changedRanges(diffLines(keys(b), keys(t)), t).map(r => ({ ...r, side: 'theirs' })),
+  ].sort((x, y) => x.start - y.start || x.end - y.end);
+
+  const out = [];
+  const conflicts = [];
+  let pos = 0;
+  for (let k = 0; k < edits.length;) {
+    // Edits that overlap or touch form one region
+    const start = edits[k].start;
+    let end = edits[k].end;
+    const region = [];
+    for (; k < edits.length && edits[k].start <= end; k++) {
+      region.push(edits[k]);
+      end = Math.max(end, edits[k].end);
+    }
+    const apply = (side) => {
+      const own = region.filter(r => r.side === side);
+      if (!own.length) return null;
+      const lines = [];
+      let at = start;
+      for (const r of own) { lines.push(...b.slice(at, r.start), ...r.lines); at = r.end; }
+      return [...lines, ...b.slice(at, end)];
+    };
+    const mine = apply('ours');
+    const other = apply('theirs');
+    out.push(...b.slice(pos, start));
+    if (mine && other && keys(mine).join('\n') !== keys(other).join('\n')) {
+      conflicts.push({ base: b.slice(start, end), ours: mine, theirs: other });
+    }
+    out.push(...(mine || other));
+    pos = end;
+  }
+  out.push(...b.slice(pos));
+  return { body: out.join(''), conflicts };
+}
+
+
+// ── Helpers ────────────────────────────────────────────────────
+
+/**
+ * Normalize storage-format XHTML so that bodies which Confluence re-serializes
+ * (whitespace between tags, `<br/>` vs `<br />`) compare equal.
+ */
+export function normalizeStorage(xhtml) {
+  return String(xhtml || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/>\s+</g, '><')
+    .replace(/\s*\/>/g, ' />')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Compare a live page (expanded with body.storage, metadata.labels and
+ * ancestors) against a desired state. Fields left undefined in `desired` are
+ * not compared.
+ *
+ * @param {object} current
+ * @param {{body?: string, labels?: string[], parentId?: string}} desired
+ * @param {{exactLabels?: boolean}} opts - exactLabels: extra live labels count as a change
+ * @returns {{changes: string[], labels: {add: string[], remove: string[]}}}
+ */
+export function comparePage(current, desired, opts = {}) {
+  const changes = [];
+
+  if (desired.body !== undefined && normalizeStorage(desired.body) !== normalizeStorage(current.body?.storage?.value)) {
+    changes.push('body');
+  }
+
+  const liveLabels = (current.metadata?.labels?.results || []).map(l => l.name);
+  const wanted = desired.labels || [];
+  const labels = {
+    add: wanted.filter(l => !liveLabels.includes(l)),
+    remove: desired.labels ? liveLabels.filter(l => !wanted.includes(l)) : [],
+  };
+  if (labels.add.length || (opts.exactLabels && labels.remove.length)) changes.push('labels');
+
+  const currentParentId = current.ancestors?.[current.ancestors.length - 1]?.id || null;
+  if (desired.parentId && String(currentParentId) !== String(desired.parentId)) changes.push('parent');
+
+  return { changes, labels };
 }
 
 // ── Tree Builder ───────────────────────────────────────────────
@@ -105,24 +947,106 @@ export async function uploadPageAttachment(pageId, filepath, filename) {
 /**
  * Build a page tree from a hierarchical config object.
  *
+ * With `upsert: true` the tree can be re-run safely: pages are matched by
+ * title, updated only when changed, moved under the configured parent, and
+ * their existing IDs are reused for children.
+ *
+ * Siblings are written in order (Confluence lists child pages in creation
+ * order); once a page exists, its attachments and children are written in
+ * parallel with its later siblings, paced by the request scheduler.
+ *
+ * Inside a run journal (see journal.mjs) every written page is recorded, and
+ * pages the journal already has are skipped (reported as `resumed`) with
+ * their children attached to the recorded page.
+ *
  * @param {string} spaceKey
  * @param {string} parentId - ID of the parent page (usually space homepage)
- * @param {Array<{title: string, body: string, labels?: string[], children?: Array}>} pages
- * @param {number} delayMs - Delay between page creations (avoid rate limiting)
+ * @param {Array<{title: string, body: string, labels?: string[], attachments?: string[], children?: Array}>} pages
+ *   attachments: local file paths uploaded to the page after it is written
+ * @param {number|{delayMs?: number, upsert?: boolean, validate?: boolean, journal?: object}} delayMs - Extra pause after each page write
+ *   (default 0 — rate limits are handled by the request scheduler), or an options object;
+ *   `validate` checks each body before it is written (see createPage)
+ * @returns {Promise<{created: Array, updated: Array, unchanged: Array, resumed: Array, failed: Array}>}
+ *   Entries are `{ title, id, parentId, changes? }`, in tree order; failed entries carry `error` instead of `id`
  */
-export async function buildPageTree(spaceKey, parentId, pages, delayMs = 300) {
+export async function buildPageTree(spaceKey, parentId, pages, delayMs = 0, opts = {}) {
+  if (typeof delayMs === 'object') { opts = delayMs; delayMs = opts.delayMs ?? 0; }
+  const report = opts.report || { created: [], updated: [], unchanged: [], resumed: [], failed: [] };
+  const journal = opts.journal ?? currentJournal();
+  for (const [status, entry] of await writePages(spaceKey, parentId, pages, { ...opts, delayMs, journal })) {
+    (report[status] ||= []).push(entry);
+  }
+  return report;
+}
+
+// Returns [status, entry] pairs in tree order, whatever order the writes finished in
+async function writePages(spaceKey, parentId, pages, opts) {
+  const branches = [];
   for (const page of pages) {
+    let id;
+    let version;
+    let written;
+    let warnings = [];
+    // Page titles are unique within a space, so they identify the node
+    const node = `page:${spaceKey}:${page.title}`;
+    const done = opts.journal?.get(node);
+    if (done) {
+      branches.push(finishPage(spaceKey, page, ['resumed', { title: page.title, id: done.id, parentId }], { ...opts, node, done }));
+      continue;
+    }
     try {
-      const created = await createPage(spaceKey, page.title, page.body, parentId, page.labels || []);
-      if (delayMs > 0) await new Promise(r => setTimeout(r, delayMs));
-
-      if (page.children?.length) {
-        await buildPageTree(spaceKey, created.id, page.children, delayMs);
+      if (opts.upsert) {
+        const result = await upsertPage(spaceKey, page.title, page.body, parentId, page.labels || [], { validate: validateOpts(opts.validate, page) });
+        id = result.page.id;
+        version = result.page.version?.number;
+        written = [result.status, { title: page.title, id, parentId, changes: result.changes }];
+        warnings = result.page.warnings || [];
+      } else {
+        const created = await createPage(spaceKey, page.title, page.body, parentId, page.labels || [], { validate: validateOpts(opts.validate, page) });
+        id = created.id;
+        version = created.version?.number;
+        written = ['created', { title: page.title, id, parentId }];
+        warnings = created.warnings || [];
       }
     } catch (e) {
       console.log(`    Error creating "${page.title}": ${e.message}`);
+      branches.push([['failed', { title: page.title, parentId, error: e.message }], ...failSubtree(page.children, `Parent "${page.title}" failed`)]);
+      continue;
     }
+    // `status` tells teardown whether the run created the page or only updated it
+    opts.journal?.record(node, { type: 'page', id, title: page.title, parentId, status: written[0], version });
+    if (opts.delayMs > 0 && written[0] !== 'unchanged') await new Promise(r => setTimeout(r, opts.delayMs));
+    // Rejected labels fail the labels, not the page: its children still go under it
+    const labelFailures = warnings.map(error => ['failed', { title: page.title, id, parentId, labels: page.labels, error }]);
+    branches.push(finishPage(spaceKey, page, written, { ...opts, node, labelFailures }));
+  }
+  return (await Promise.all(branches)).flat();
+}
+
+async function finishPage(spaceKey, page, written, { node, done, labelFailures = [], ...opts }) {
+  const { id, parentId } = written[1];
+  const attachments = done?.attachments ? [] : page.attachments || [];
+  const uploads = attachments.map(file =>
+    uploadPageAttachment(id, file, path.basename(file)).then(() => [], (e) => {
+      console.log(`    Error attaching "${path.basename(file)}" to "${page.title}": ${e.message}`);
+      return [['failed', { title: page.title, id, parentId, attachment: file, error: e.message }]];
+    }));
+  const children = page.children?.length ? writePages(spaceKey, id, page.children, opts) : [];
+  const [attachmentFailures, childEvents] = await Promise.all([Promise.all(uploads), children]);
+  if (attachments.length && !attachmentFailures.flat().length) {
+    opts.journal?.record(node, { ...opts.journal.get(node), attachments: true });
   }
+  return [written, ...labelFailures, ...attachmentFailures.flat(), ...childEvents];
+}
+
+// The page's attachments are uploaded after its body: count them as present
+function validateOpts(validate, page) {
+  if (!validate || !page.attachments?.length) return validate;
+  return { ...(typeof validate === 'object' ? validate : {}), attachments: page.attachments.map(f => path.basename(f)) };
+}
+
+function failSubtree(pages = [], error) {
+  return pages.flatMap(page => [['failed', { title: page.title, parentId: null, error }], ...failSubtree(page.children, error)]);
 }
 
 // ── Convenience exports ────────────────────────────────────────
@@ -130,12 +1054,40 @@ export async function buildPageTree(spaceKey, parentId, pages, delayMs = 300) {
 export const confluence = {
   createSpace,
   createPage,
+  upsertPage,
   updatePage,
   getPage,
   getPageById,
+  updatePageById,
+  movePage,
+  getSpace,
   deletePage,
+  deleteSpace,
+  getPageVersions,
+  getPageVersion,
+  diffPage,
+  formatPageDiff,
+  restorePageVersion,
   listPages,
+  iteratePages,
   findPage,
+  searchContent,
+  iterateContent,
+  getLabels,
+  addLabels,
+  removeLabels,
+  listPagesByLabel,
+  getContentProperty,
+  listContentProperties,
+  setContentProperty,
+  deleteContentProperty,
   uploadPageAttachment,
+  attachFile,
+  updateAttachment,
+  getAttachment,
+  deleteAttachment,
+  listAttachments,
+  iterateAttachments,
+  downloadAttachment,
   buildPageTree,
 };
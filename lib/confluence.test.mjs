@@ -0,0 +1,389 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { confluence, cql, PageConflictError, mergeStorage, safeFileName } from './confluence.mjs';
+
+let site;
+let homepageId;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(() => site.stop());
+beforeEach(async () => {
+  site.reset();
+  homepageId = (await confluence.createSpace('ENG', 'Engineering', 'Docs')).homepage.id;
+});
+
+const TREE = [
+  {
+    title: 'Guides', body: '<p>Guides</p>', labels: ['docs'],
+    children: [
+      { title: 'Setup', body: '<p>Install it</p>' },
+      { title: 'Deploy', body: '<p>Ship it</p>', children: [{ title: 'Rollback', body: '<p>Undo</p>' }] },
+    ],
+  },
+  { title: 'FAQ', body: '<p>Questions</p>' },
+];
+
+function pageByTitle(title) {
+  return [...site.state.content.values()].find(c => c.type === 'page' && c.title === title);
+}
+
+test('buildPageTree creates the hierarchy with labels', async () => {
+  const report = await confluence.buildPageTree('ENG', homepageId, TREE, 0);
+
+  assert.deepEqual(report.created.map(p => p.title), ['Guides', 'Setup', 'Deploy', 'Rollback', 'FAQ']);
+  assert.equal(report.failed.length, 0);
+  assert.equal(pageByTitle('Guides').parentId, homepageId);
+  assert.equal(pageByTitle('Rollback').parentId, pageByTitle('Deploy').id);
+  assert.deepEqual(pageByTitle('Guides').labels, ['docs']);
+});
+
+test('buildPageTree with upsert is idempotent and updates only what changed', async () => {
+  await confluence.buildPageTree('ENG', homepageId, TREE, { delayMs: 0, upsert: true });
+  const changed = structuredClone(TREE);
+  changed[1].body = '<p>More questions</p>';
+  changed[0].labels = ['docs', 'howto'];
+
+  const report = await confluence.buildPageTree('ENG', homepageId, changed, { delayMs: 0, upsert: true });
+  assert.deepEqual(report.created, []);
+  assert.deepEqual(report.updated.map(p => [p.title, p.changes]), [['Guides', ['labels']], ['FAQ', ['body']]]);
+  assert.equal(report.unchanged.length, 3);
+  assert.equal(pageByTitle('FAQ').versions.length, 2);
+  assert.deepEqual(pageByTitle('Guides').labels, ['docs', 'howto']);
+});
+
+test('upsertPage returns the page as written, and only matches the exact title', async () => {
+  const created = await confluence.createPage('ENG', 'runbook', '<p>v1</p>', homepageId);
+  const updated = await confluence.upsertPage('ENG', 'runbook', '<p>v2</p>', homepageId);
+  assert.equal(updated.status, 'updated');
+  assert.equal(updated.page.version.number, 2);
+  assert.equal(updated.page.body.storage.value, '<p>v2</p>');
+
+  // A search that also returns near matches (as some deployments do) is not a hit
+  const near = await confluence.getPageById(created.id, 'version,body.storage,metadata.labels,ancestors');
+  site.failNext(1, { status: 200, method: 'GET', path: '/wiki/rest/api/content', body: { results: [near], size: 1 } });
+  const other = await confluence.upsertPage('ENG', 'Runbook', '<p>Other</p>', homepageId);
+  assert.equal(other.status, 'created');
+  assert.notEqual(other.page.id, created.id);
+  assert.equal(pageByTitle('runbook').versions.length, 2);
+});
+
+test('buildPageTree reports a failed parent and skips its subtree', async () => {
+  site.failNext(1, { method: 'POST', path: '/wiki/rest/api/content', status: 500 });
+  const report = await confluence.buildPageTree('ENG', homepageId, TREE, 0);
+
+  assert.deepEqual(report.failed.map(p => p.title), ['Guides', 'Setup', 'Deploy', 'Rollback']);
+  assert.match(report.failed[0].error, /HTTP 500/);
+  assert.deepEqual(report.created.map(p => p.title), ['FAQ']);
+});
+
+test('buildPageTree reports rejected labels and still creates the page\'s children', async () => {
+  const pages = structuredClone(TREE);
+  pages[0].labels = ['two words'];
+  const report = await confluence.buildPageTree('ENG', homepageId, pages, 0);
+
+  assert.deepEqual(report.created.map(p => p.title), ['Guides', 'Setup', 'Deploy', 'Rollback', 'FAQ']);
+  assert.deepEqual(report.failed.map(p => [p.title, p.id, p.labels]), [['Guides', pageByTitle('Guides').id, ['two words']]]);
+  assert.match(report.failed[0].error, /was created, but its labels were not/);
+  assert.equal(pageByTitle('Setup').parentId, pageByTitle('Guides').id);
+});
+
+test('buildPageTree uploads attachments and keeps going when one fails', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-test-'));
+  fs.writeFileSync(path.join(dir, 'diagram.png'), 'png');
+  const pages = [{
+    title: 'Architecture', body: '<p>See diagram</p>',
+    attachments: [path.join(dir, 'diagram.png'), path.join(dir, 'missing.png')],
+    children: [{ title: 'Components', body: '<p>Parts</p>' }],
+  }];
+
+  const report = await confluence.buildPageTree('ENG', homepageId, pages, 0);
+  assert.deepEqual(report.created.map(p => p.title), ['Architecture', 'Components']);
+  assert.equal(report.failed.length, 1);
+  assert.equal(report.failed[0].attachment, path.join(dir, 'missing.png'));
+  const atts = await confluence.listAttachments(pageByTitle('Architecture').id);
+  assert.deepEqual(atts.map(a => a.title), ['diagram.png']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('updatePage bumps the version and returns null for unknown titles', async () => {
+  await confluence.createPage('ENG', 'Notes', '<p>v1</p>', homepageId);
+  await confluence.updatePage('ENG', 'Notes', '<p>v2</p>');
+  const page = await confluence.getPage('ENG', 'Notes');
+  assert.equal(page.version.number, 2);
+  assert.equal(page.body.storage.value, '<p>v2</p>');
+  assert.equal(await confluence.updatePage('ENG', 'Nope', '<p/>'), null);
+});
+
+test('updatePage skips unchanged bodies and can retitle, move and describe a version', async () => {
+  const page = await confluence.createPage('ENG', 'Notes', '<p>Same</p><p>Text</p>', homepageId);
+  const archive = await confluence.createPage('ENG', 'Archive', '<p/>', homepageId);
+
+  const unchanged = await confluence.updatePage('ENG', 'Notes', '<p>Same</p>\n  <p>Text</p>');
+  assert.equal(unchanged.version.number, 1);
+  assert.ok(!site.requests.some(r => r.method === 'PUT'), 'no empty version is written');
+
+  await confluence.updatePage('ENG', { id: page.id }, undefined, { title: 'Old notes', parentId: archive.id, message: 'Nightly sync', minorEdit: true });
+  const live = await confluence.getPageById(page.id, 'version,body.storage,ancestors');
+  assert.equal(live.title, 'Old notes');
+  assert.equal(live.ancestors.at(-1).id, archive.id);
+  assert.equal(live.body.storage.value, '<p>Same</p><p>Text</p>');
+  const [latest] = await confluence.getPageVersions(page.id);
+  assert.deepEqual([latest.number, latest.message, latest.minorEdit], [2, 'Nightly sync', true]);
+});
+
+test('movePage moves a subtree under another parent or into another space', async () => {
+  await confluence.buildPageTree('ENG', homepageId, TREE, 0);
+  const guides = pageByTitle('Guides');
+  await confluence.movePage(pageByTitle('Deploy').id, pageByTitle('FAQ').id);
+  assert.equal(pageByTitle('Deploy').parentId, pageByTitle('FAQ').id);
+
+  const ops = await confluence.createSpace('OPS', 'Operations', '');
+  const moved = await confluence.movePage(guides.id, 'OPS', { message: 'Handed over to ops' });
+  assert.equal(moved.version.number, 2);
+  assert.equal(pageByTitle('Guides').parentId, ops.homepage.id);
+  assert.deepEqual(['Guides', 'Setup', 'Deploy', 'Rollback'].map(t => pageByTitle(t).spaceKey), ['OPS', 'OPS', 'ENG', 'ENG']);
+  await assert.rejects(confluence.movePage(guides.id, { spaceKey: 'NOPE' }), /No space with key NOPE/);
+});
+
+// Someone saves the page between the toolkit's read and its write
+function editBeforeNextWrite(pageId, body) {
+  site.beforeNext({ method: 'PUT', path: `/wiki/rest/api/content/${pageId}` }, (state) => {
+    const page = state.content.get(pageId);
+    page.body = body;
+    page.versions.push({ number: page.versions.length + 1, when: new Date().toISOString(), title: page.title, body, by: { displayName: 'Ada' } });
+  });
+}
+
+test('updatePage raises a PageConflictError when someone else saved in between', async () => {
+  const page = await confluence.createPage('ENG', 'Runbook', '<h2>Steps</h2><p>Stop</p><p>Start</p>', homepageId);
+  editBeforeNextWrite(page.id, '<h2>Steps</h2><p>Stop gracefully</p><p>Start</p>');
+
+  const error = await confluence.updatePage('ENG', 'Runbook', '<h2>Steps</h2><p>Stop</p><p>Start it</p>').catch(e => e);
+  assert.ok(error instanceof PageConflictError);
+  assert.match(error.message, /changed by Ada \(version 2\) after version 1/);
+  assert.deepEqual([error.statusCode, error.baseVersion, error.currentVersion], [409, 1, 2]);
+  assert.equal(error.theirs, '<h2>Steps</h2><p>Stop gracefully</p><p>Start</p>');
+  assert.equal(error.ours, '<h2>Steps</h2><p>Stop</p><p>Start it</p>');
+  assert.equal(site.state.content.get(page.id).versions.length, 2, 'their edit is kept');
+
+  // An update based on an older version is checked against it up front
+  await assert.rejects(confluence.updatePage('ENG', { id: page.id }, '<p>Rewrite</p>', { baseVersion: 1 }), PageConflictError);
+});
+
+test('updatePage with merge combines edits to different blocks and rejects overlapping ones', async () => {
+  const page = await confluence.createPage('ENG', 'Runbook', '<h2>Steps</h2><p>Stop</p><p>Wait</p><p>Start</p>', homepageId);
+  editBeforeNextWrite(page.id, '<h2>Steps</h2><p>Stop gracefully</p><p>Wait</p><p>Start</p>');
+
+  const merged = await confluence.updatePage('ENG', 'Runbook', '<h2>Steps</h2><p>Stop</p><p>Wait</p><p>Start it</p>', { merge: true });
+  assert.equal(merged.version.number, 3);
+  assert.equal(merged.body.storage.value, '<h2>Steps</h2><p>Stop gracefully</p><p>Wait</p><p>Start it</p>');
+
+  editBeforeNextWrite(page.id, '<h2>Steps</h2><p>Stop gracefully</p><p>Wait</p><p>Start now</p>');
+  const error = await confluence.updatePage('ENG', 'Runbook', '<h2>Steps</h2><p>Stop gracefully</p><p>Wait</p><p>Start later</p>', { merge: true }).catch(e => e);
+  assert.ok(error instanceof PageConflictError);
+  assert.deepEqual(error.conflicts, [{ base: ['<p>Start it</p>'], ours: ['<p>Start later</p>'], theirs: ['<p>Start now</p>'] }]);
+});
+
+test('mergeStorage keeps whitespace inside blocks it does not touch', () => {
+  const base = '<p>Intro</p><pre>a\n  b</pre><p>End</p>';
+  const { body, conflicts } = mergeStorage(base, '<p>Intro!</p><pre>a\n  b</pre><p>End</p>', '<p>Intro</p><pre>a\n  b</pre><p>The end</p>');
+  assert.deepEqual(conflicts, []);
+  assert.equal(body, '<p>Intro!</p><pre>a\n  b</pre><p>The end</p>');
+});
+
+test('searchContent runs CQL with pagination and excerpts', async () => {
+  await confluence.buildPageTree('ENG', homepageId, TREE, 0);
+  await confluence.createPage('ENG', 'Release notes', `<p>${'Filler text. '.repeat(20)}How to ship it safely &amp; quickly.</p>`, homepageId);
+  const old = pageByTitle('Setup');
+  old.versions[0].when = '2025-01-15T09:00:00.000Z';
+
+  const shipping = await confluence.searchContent(cql.and(cql.type(), cql.space('ENG'), cql.text('ship')), { excerpt: 40 });
+  assert.deepEqual(shipping.map(p => p.title), ['Deploy', 'Release notes']);
+  assert.equal(shipping[0].excerpt, 'Ship it');
+  assert.equal(shipping[1].excerpt, '…text. How to ship it safely & quickly.');
+  assert.equal(shipping[1].space.key, 'ENG');
+
+  const stale = await confluence.searchContent(cql.and(cql.type(), cql.modifiedBefore('30d')));
+  assert.deepEqual(stale.map(p => p.title), ['Setup']);
+  const below = await confluence.searchContent(`${cql.and(cql.ancestor(pageByTitle('Guides').id), cql.creator())} ORDER BY title DESC`);
+  assert.deepEqual(below.map(p => p.title), ['Setup', 'Rollback', 'Deploy']);
+  assert.deepEqual((await confluence.searchContent(cql.label('docs', 'faq'))).map(p => p.title), ['Guides']);
+
+  // Results come 50 per request; `max` stops early
+  assert.equal((await confluence.searchContent('type = page', 3)).length, 3);
+  assert.match(site.requests.at(-1).path, /\/content\/search\?cql=type%20%3D%20page&limit=3/);
+});
+
+test('labels can be added, removed and searched, and a failed label is a warning on the created page', async () => {
+  const page = await confluence.createPage('ENG', 'Runbook', '<p>Steps</p>', homepageId, ['ops']);
+  await confluence.createPage('ENG', 'Playbook', '<p>Plays</p>', homepageId, ['ops', 'draft']);
+
+  assert.deepEqual(await confluence.addLabels(page.id, ['ops', 'runbook']), ['ops', 'runbook']);
+  assert.deepEqual(await confluence.removeLabels(page.id, ['ops', 'missing']), ['ops']);
+  assert.deepEqual(await confluence.getLabels(page.id), ['runbook']);
+  assert.deepEqual((await confluence.listPagesByLabel('ops')).map(p => p.title), ['Playbook']);
+  assert.deepEqual((await confluence.listPagesByLabel(['runbook', 'draft'], { spaceKey: 'ENG' })).map(p => p.title).sort(), ['Playbook', 'Runbook']);
+
+  const bad = await confluence.createPage('ENG', 'Bad', '<p>x</p>', homepageId, ['two words']);
+  assert.equal(bad.id, pageByTitle('Bad').id);
+  assert.match(bad.warnings[0], /^Page "Bad" \(ID=\d+\) was created, but its labels were not/);
+});
+
+test('content properties store JSON on a page and skip unchanged writes', async () => {
+  const page = await confluence.createPage('ENG', 'Generated', '<p>From setup.md</p>', homepageId);
+  const stamp = { file: 'docs/setup.md', generator: '1.4.0', hash: 'abc123' };
+
+  assert.equal(await confluence.getContentProperty(page.id, 'generated-from'), undefined);
+  assert.equal((await confluence.setContentProperty(page.id, 'generated-from', stamp)).status, 'created');
+  assert.equal((await confluence.setContentProperty(page.id, 'generated-from', { hash: 'abc123', generator: '1.4.0', file: 'docs/setup.md' })).status, 'unchanged');
+  const updated = await confluence.setContentProperty(page.id, 'generated-from', { ...stamp, hash: 'def456' });
+  assert.equal(updated.status, 'updated');
+  assert.equal(updated.property.version.number, 2);
+  await confluence.setContentProperty(page.id, 'owner', 'platform-team');
+
+  assert.deepEqual(await confluence.listContentProperties(page.id), { 'generated-from': { ...stamp, hash: 'def456' }, owner: 'platform-team' });
+  assert.equal(pageByTitle('Generated').versions.length, 1, 'properties are not page versions');
+  assert.equal(await confluence.deleteContentProperty(page.id, 'owner'), true);
+  assert.equal(await confluence.deleteContentProperty(page.id, 'owner'), false);
+  assert.equal(await confluence.getContentProperty(page.id, 'owner'), undefined);
+});
+
+test('setContentProperty retries when the property changed under it', async () => {
+  const page = await confluence.createPage('ENG', 'Generated', '<p>x</p>', homepageId);
+  await confluence.setContentProperty(page.id, 'build', { n: 1 });
+  site.beforeNext({ method: 'PUT', path: /\/property\/build$/ }, (state) => {
+    const property = state.content.get(page.id).properties.get('build');
+    property.version.number++;
+  });
+  const result = await confluence.setContentProperty(page.id, 'build', { n: 2 });
+  assert.equal(result.property.version.number, 3);
+  assert.deepEqual(await confluence.getContentProperty(page.id, 'build'), { n: 2 });
+});
+
+test('an unexpected failure to record an attachment\'s hash is logged, an expected one is not', async (t) => {
+  const page = await confluence.createPage('ENG', 'Release', '<p>Notes</p>', homepageId);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'a.txt'), 'a');
+  fs.writeFileSync(path.join(dir, 'b.txt'), 'b');
+  const logged = () => console.log.mock.calls.filter(c => String(c.arguments[0]).includes('Could not record the hash')).length;
+  const before = logged();
+
+  site.failNext(1, { status: 404, method: 'POST', path: /\/property$/ });
+  assert.equal((await confluence.attachFile(page.id, path.join(dir, 'a.txt'))).status, 'created');
+  assert.equal(logged(), before);
+
+  site.failNext(1, { status: 500, method: 'POST', path: /\/property$/ });
+  assert.equal((await confluence.attachFile(page.id, path.join(dir, 'b.txt'))).status, 'created');
+  assert.equal(logged(), before + 1);
+  assert.match(console.log.mock.calls.at(-1).arguments[0], /Could not record the hash of "b\.txt": .*HTTP 500/);
+});
+
+test('attachments are typed, versioned with comments, and not re-uploaded when unchanged', async () => {
+  const page = await confluence.createPage('ENG', 'Release', '<p>Notes</p>', homepageId);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-test-'));
+  const pdf = path.join(dir, 'notes.pdf');
+  fs.writeFileSync(pdf, '%PDF-1.7 first');
+
+  const created = await confluence.attachFile(page.id, pdf);
+  assert.equal(created.status, 'created');
+  assert.equal(created.attachment.title, 'notes.pdf');
+  assert.equal(created.attachment.extensions.mediaType, 'application/pdf');
+
+  const uploads = () => site.requests.filter(r => r.path.includes('/child/attachment') && r.method !== 'GET').length;
+  const downloads = () => site.requests.filter(r => r.path.includes('/download/')).length;
+  const before = uploads();
+  assert.equal((await confluence.attachFile(page.id, pdf, 'notes.pdf')).status, 'unchanged');
+  assert.equal(uploads(), before, 'same bytes are not uploaded again');
+  assert.equal(downloads(), 0, 'compared by the recorded SHA-256, not by downloading');
+
+  // Without a recorded hash (uploaded by someone else), the attachment is downloaded to compare
+  await confluence.deleteContentProperty(created.attachment.id, 'atl-sha256');
+  assert.equal((await confluence.attachFile(page.id, pdf, 'notes.pdf')).status, 'unchanged');
+  assert.equal(downloads(), 1);
+
+  // uploadPageAttachment keeps the REST response shape
+  const legacy = await confluence.uploadPageAttachment(page.id, pdf, 'notes.pdf');
+  assert.deepEqual([legacy.results[0].id, legacy.status], [created.attachment.id, 'unchanged']);
+  assert.equal(downloads(), 1, 'the hash was recorded after comparing');
+
+  fs.writeFileSync(pdf, '%PDF-1.7 fixed');
+  const updated = await confluence.attachFile(page.id, pdf, 'notes.pdf', { comment: 'Fix typo' });
+  assert.deepEqual([updated.status, updated.attachment.id], ['updated', created.attachment.id]);
+  const [latest] = await confluence.getPageVersions(created.attachment.id);
+  assert.deepEqual([latest.number, latest.message], [2, 'Fix typo']);
+
+  fs.writeFileSync(path.join(dir, 'we said "hi".txt'), 'hi');
+  await confluence.uploadPageAttachment(page.id, path.join(dir, 'we said "hi".txt'));
+  assert.deepEqual((await confluence.listAttachments(page.id)).map(a => a.title), ['notes.pdf', 'we said "hi".txt']);
+  assert.deepEqual((await confluence.listAttachments(page.id, { mediaType: 'text/plain' })).map(a => a.title), ['we said "hi".txt']);
+
+  const out = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-test-'));
+  await confluence.downloadAttachment(await confluence.getAttachment(page.id, 'notes.pdf'), out);
+  assert.equal(fs.readFileSync(path.join(out, 'notes.pdf'), 'utf-8'), '%PDF-1.7 fixed');
+
+  // Into a directory, the server's title can't escape it
+  await confluence.uploadPageAttachment(page.id, path.join(dir, 'we said "hi".txt'), '../../up.txt');
+  await confluence.downloadAttachment(await confluence.getAttachment(page.id, '../../up.txt'), out);
+  assert.equal(fs.readFileSync(path.join(out, 'up.txt'), 'utf-8'), 'hi');
+  assert.deepEqual(['a/b.png', 'a\\b.png', '..', ' . ', 'x\u0000y?.txt', 'ok.pdf'].map(safeFileName), ['b.png', 'b.png', 'attachment', 'attachment', 'x-y-.txt', 'ok.pdf']);
+
+  await confluence.deleteAttachment(created.attachment);
+  assert.equal(await confluence.getAttachment(page.id, 'notes.pdf'), null);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(out, { recursive: true, force: true });
+});
+
+test('createSpace returns the existing space when the key is taken', async () => {
+  const again = await confluence.createSpace('ENG', 'Engineering', 'Docs');
+  assert.equal(again.key, 'ENG');
+  assert.equal(again.homepage.id, homepageId);
+});
+
+test('page history lists versions newest first with their authors', async () => {
+  const page = await confluence.createPage('ENG', 'Runbook', '<p>v1</p>', homepageId);
+  site.state.user = { ...site.state.user, accountId: 'someone-else', displayName: 'Ada' };
+  await confluence.updatePage('ENG', 'Runbook', '<p>v2</p>');
+
+  const versions = await confluence.getPageVersions(page.id);
+  assert.deepEqual(versions.map(v => [v.number, v.by]), [[2, 'Ada'], [1, 'Mock User']]);
+  assert.equal((await confluence.getPageVersion(page.id, 1)).body.storage.value, '<p>v1</p>');
+});
+
+test('diffPage compares versions, or the live page with a local body, block by block', async () => {
+  const page = await confluence.createPage('ENG', 'Runbook', '<h2>Steps</h2><p>Stop the service</p><ul><li>Rotate keys</li></ul>', homepageId);
+  await confluence.updatePage('ENG', 'Runbook', '<h2>Steps</h2>\n<p>Drain the node</p><ul><li>Rotate keys</li><li>Restart</li></ul>');
+
+  const diff = await confluence.diffPage(page.id);
+  assert.equal(diff.identical, false);
+  assert.deepEqual(diff.lines.filter(l => l.op !== ' '), [
+    { op: '-', text: '<p>Stop the service</p>' },
+    { op: '+', text: '<p>Drain the node</p>' },
+    { op: '+', text: '<li>Restart</li>' },
+  ]);
+  assert.match(confluence.formatPageDiff(diff), /^--- version 1 \(.*\)\n\+\+\+ version 2 \(.*\)\n@@ -1,5 \+1,6 @@\n {2}<h2>Steps<\/h2>\n- <p>Stop the service<\/p>\n\+ <p>Drain the node<\/p>/);
+
+  const local = await confluence.diffPage(page.id, { body: '<h2>Steps</h2> <p>Drain the node</p><ul><li>Rotate keys</li><li>Restart</li></ul>', label: 'runbook.html' });
+  assert.equal(local.identical, true, 'whitespace between tags is not a difference');
+  assert.match(confluence.formatPageDiff(local), /^No differences between version 2 \(.*\) and runbook\.html\.$/);
+  await assert.rejects(confluence.diffPage(page.id, { to: 1 }), /no version before 1/);
+});
+
+test('restorePageVersion rolls back as a new version', async () => {
+  const page = await confluence.createPage('ENG', 'Runbook', '<p>Original</p>', homepageId);
+  await confluence.updatePageById(page.id, { title: 'Runbook (old)', body: '<p>Broken</p>' });
+
+  const restored = await confluence.restorePageVersion(page.id, 1);
+  assert.equal(restored.number, 3);
+  const live = await confluence.getPageById(page.id);
+  assert.equal(live.title, 'Runbook');
+  assert.equal(live.body.storage.value, '<p>Original</p>');
+  assert.equal((await confluence.getPageVersions(page.id))[0].message, 'Restored version 1');
+});
@@ -0,0 +1,246 @@
+/**
+ * Copy pages — a single page or a whole subtree — into another space, or
+ * into another Atlassian site
+ *
+ * Bodies, labels and attachments are copied. References between copied pages
+ * (`ri:page` by title, `ri:content-entity` by ID, and absolute URLs into the
+ * source site) are pointed at the copies. References to pages that were not
+ * copied keep pointing at the originals: within a site by naming the source
+ * space, across sites as plain links to the source site.
+ *
+ * Page titles are unique per space, so copying within the same space needs
+ * `rename`.
+ *
+ * Usage:
+ *   import { copyPageTree } from './copy.mjs';
+ *   const client = createAtlassianClient({ profile: 'client-a' });
+ *   await client.confluence.createSpace('ONB', 'Onboarding', '');
+ *   const template = await getSpace('TPL');
+ *   await copyPageTree(template.homepage.id, { spaceKey: 'ONB', site: client.site }, { childrenOnly: true });
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { paginateAll, apiPaths, currentSite, withSite } from './atlassian-client.mjs';
+import { getPageById, getSpace, createPage, updatePageById, listAttachments, downloadAttachment, uploadPageAttachment, safeFileName } from './confluence.mjs';
+import { decodeEntities } from './xhtml.mjs';
+
+const EXPAND = 'version,body.storage,metadata.labels,space';
+
+// ── Copy ───────────────────────────────────────────────────────
+
+/**
+ * Copy one page (body, labels, attachments) — see copyPageTree() for options.
+ * @returns {Promise<object|null>} The new page, or null if it could not be created
+ */
+export async function copyPage(pageId, target, opts = {}) {
+  const report = await copyPageTree(pageId, target, { ...opts, children: false });
+  if (report.failed.length) throw new Error(report.failed[0].error);
+  return report.copied[0]?.page ?? null;
+}
+
+/**
+ * Deep-copy a page and its descendants. Pages are read from the current site
+ * and written to `target.site` (default: the same site), parents first and
+ * siblings in order. A page that fails to copy is reported with its subtree.
+ *
+ * @param {string} pageId - Root of the subtree to copy
+ * @param {object} target
+ * @param {string} target.spaceKey - Space to copy into
+ * @param {string} [target.parentId] - Page to copy under (default: the space homepage)
+ * @param {object} [target.site] - Site config to copy into, e.g. `createAtlassianClient(...).site` or getProfile('client-a')
+ * @param {object} [opts]
+ * @param {(title: string) => string} [opts.rename] - Title for each copy
+ * @param {boolean} [opts.childrenOnly] - Copy the root's descendants, not the root itself
+ * @param {boolean} [opts.attachments] - false skips attachments
+ * @param {boolean} [opts.labels] - false skips labels
+ * @returns {Promise<{copied: Array<{title: string, from: string, id: string, page: object}>,
+ *   failed: Array<{title: string, from: string, error: string}>, attachments: number, unresolved: string[]}>}
+ *   `unresolved` lists references that cannot work on the target site (e.g. images attached to pages that were not copied)
+ */
+export async function copyPageTree(pageId, target, opts = {}) {
+  const source = currentSite();
+  const site = target.site ?? source;
+  const rename = opts.rename ?? (t => t);
+
+  const root = await readTree(pageId, opts.children !== false);
+  const fromSpace = root.page.space.key;
+  const roots = opts.childrenOnly ? root.children : [root];
+  const nodes = [];
+  const walk = (list) => list.forEach(n => { nodes.push(n); walk(n.children); });
+  walk(roots);
+  console.log(`Copying ${nodes.length} page${nodes.length === 1 ? '' : 's'} from ${fromSpace} to ${target.spaceKey}${site === source ? '' : ` on ${site.name}`}`);
+
+  const ctx = {
+    fromSpace,
+    toSpace: target.spaceKey,
+    fromUrl: `${source.baseUrl}${apiPaths(source).confluenceWeb}`,
+    toUrl: `${site.baseUrl}${apiPaths(site).confluenceWeb}`,
+    crossSite: source.baseUrl !== site.baseUrl,
+    titles: new Map(nodes.map(n => [n.page.title, rename(n.page.title)])),
+    ids: new Map(),
+    unresolved: new Set(),
+  };
+  const report = { copied: [], failed: [], attachments: 0, unresolved: [] };
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-copy-'));
+
+  try {
+    const parentId = target.parentId ?? await withSite(site, async () => {
+      const space = await getSpace(target.spaceKey);
+      if (!space) throw Object.assign(new Error(`No space with key ${target.spaceKey}`), { statusCode: 404 });
+      return space.homepage.id;
+    });
+    await copyNodes(roots, parentId, { site, ctx, report, tmp, opts });
+
+    // Pages written before the pages they link to by ID get a second pass
+    for (const entry of report.copied) {
+      const body = rewriteLinks(entry.source, ctx);
+      if (body !== entry.body) await withSite(site, () => updatePageById(entry.id, { body, message: 'Links to copied pages' }));
+    }
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  for (const entry of report.copied) { delete entry.source; delete entry.body; }
+  report.unresolved = [...ctx.unresolved];
+  return report;
+}
+
+async function readTree(pageId, withChildren) {
+  const page = await getPageById(pageId, EXPAND);
+  const children = [];
+  if (withChildren) {
+    const api = apiPaths().confluence;
+    for (const child of await paginateAll('GET', `${api}/content/${pageId}/child/page?limit=100`)) {
+      children.push(await readTree(child.id, true));
+    }
+  }
+  return { page, children };
+}
+
+async function copyNodes(nodes, parentId, state) {
+  const { site, ctx, report, tmp, opts } = state;
+  for (const { page, children } of nodes) {
+    const title = ctx.titles.get(page.title);
+    const source = page.body?.storage?.value || '';
+    let created;
+    try {
+      const attachments = opts.attachments === false ? [] : await listAttachments(page.id);
+      const files = [];
+      for (const [i, att] of attachments.entries()) {
+        const file = path.join(tmp, page.id, `${i}-${safeFileName(att.title)}`);
+        await downloadAttachment(att, file);
+        files.push([file, att.title]);
+      }
+
+      const body = rewriteLinks(source, ctx);
+      const labels = opts.labels === false ? [] : (page.metadata?.labels?.results || []).map(l => l.name);
+      created = await withSite(site, async () => {
+        const result = await createPage(ctx.toSpace, title, body, parentId, labels);
+        for (const [file, name] of files) {
+          await uploadPageAttachment(result.id, file, name);
+          report.attachments++;
+        }
+        return result;
+      });
+      ctx.ids.set(String(page.id), String(created.id));
+      report.copied.push({ title, from: page.id, id: created.id, page: created, source, body });
+    } catch (e) {
+      console.log(`    Error copying "${page.title}": ${e.message}`);
+      const skip = (list) => list.forEach(n => { report.failed.push({ title: n.page.title, from: n.page.id, error: `parent "${page.title}" failed` }); skip(n.children); });
+      report.failed.push({ title: page.title, from: page.id, error: e.message });
+      skip(children);
+      continue;
+    }
+    await copyNodes(children, created.id, state);
+  }
+}
+
+// ── Link rewriting ─────────────────────────────────────────────
+
+/**
+ * Point the references in a copied body at the copies. `ctx.ids` maps source
+ * page IDs to copy IDs; pages not in it yet keep their source ID references.
+ */
+function rewriteLinks(xhtml, ctx) {
+  let out = xhtml;
+  const copied = (ref) => ref.space === ctx.fromSpace && ctx.titles.has(ref.title);
+
+  // Across sites, links to pages that were not copied become links to the source site
+  if (ctx.crossSite) {
+    out = out.replace(/<ac:link\b[^>]*>([\s\S]*?)<\/ac:link>/g, (link, inner) => {
+      const tag = inner.match(/<ri:page\b[^>]*>/)?.[0];
+      if (!tag || /<ri:attachment\b/.test(inner)) return link;
+      const ref = pageRef(tag, ctx);
+      if (copied(ref)) return link;
+      const href = `${ctx.fromUrl}/display/${encodeURIComponent(ref.space)}/${encodeURIComponent(ref.title)}`;
+      const plain = inner.match(/<ac:plain-text-link-body>\s*<!\[CDATA\[([\s\S]*?)\]\]>/)?.[1];
+      const text = inner.match(/<ac:link-body>([\s\S]*?)<\/ac:link-body>/)?.[1] ?? escapeAttr(plain ?? ref.title);
+      return `<a href="${escapeAttr(href)}">${text}</a>`;
+    });
+  }
+
+  out = out.replace(/<ri:page\b([^>]*?)(\s*\/?)>/g, (tag, attrs, end) => {
+    const ref = pageRef(tag, ctx);
+    if (copied(ref)) {
+      attrs = setAttr(attrs, 'ri:content-title', ctx.titles.get(ref.title));
+      if (attr(attrs, 'ri:space-key') !== null) attrs = setAttr(attrs, 'ri:space-key', ctx.toSpace);
+    } else if (ctx.crossSite) {
+      ctx.unresolved.add(`page "${ref.title}" in ${ref.space}`);
+    } else if (attr(attrs, 'ri:space-key') === null && ctx.fromSpace !== ctx.toSpace) {
+      attrs = setAttr(attrs, 'ri:space-key', ctx.fromSpace);
+    }
+    return `<ri:page${attrs}${end}>`;
+  });
+
+  out = out.replace(/(<ri:content-entity\b[^>]*?\bri:content-id=")(\d+)(")/g, (m, pre, id, post) =>
+    (ctx.ids.has(id) ? `${pre}${ctx.ids.get(id)}${post}` : m));
+
+  // Absolute links into the source site: /spaces/KEY/pages/ID/…, viewpage.action?pageId=ID,
+  // /download/attachments/ID/…, /display/KEY/Title
+  const base = new RegExp(`${ctx.fromUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(/[^"'\\s<]*)`, 'g');
+  out = out.replace(base, (url, rest) => {
+    let mapped = false;
+    let next = rest.replace(/(\/pages\/|[?&](?:amp;)?pageId=|\/attachments\/)(\d+)/, (m, pre, id) => {
+      if (!ctx.ids.has(id)) return m;
+      mapped = true;
+      return `${pre}${ctx.ids.get(id)}`;
+    });
+    const display = rest.match(/^\/display\/([^/?#]+)\/([^/?#]+)/);
+    if (display) {
+      const title = decodeURIComponent(display[2].replace(/\+/g, ' '));
+      if (decodeURIComponent(display[1]) === ctx.fromSpace && ctx.titles.has(title)) {
+        mapped = true;
+        next = `/display/${encodeURIComponent(ctx.toSpace)}/${encodeURIComponent(ctx.titles.get(title))}${rest.slice(display[0].length)}`;
+      }
+    }
+    if (!mapped) return url;
+    next = next.replace(new RegExp(`^/spaces/${ctx.fromSpace}/`), `/spaces/${ctx.toSpace}/`);
+    return `${ctx.toUrl}${next}`;
+  });
+
+  return out;
+}
+
+// A ri:page reference; without ri:space-key it points into the page's own space
+function pageRef(tag, ctx) {
+  return {
+    title: decodeEntities(attr(tag, 'ri:content-title') ?? ''),
+    space: decodeEntities(attr(tag, 'ri:space-key') ?? ctx.fromSpace),
+  };
+}
+
+function attr(attrs, name) {
+  return attrs.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1] ?? null;
+}
+
+function setAttr(attrs, name, value) {
+  const escaped = escapeAttr(value);
+  return attr(attrs, name) === null
+    ? `${attrs} ${name}="${escaped}"`
+    : attrs.replace(new RegExp(`(\\s${name}=")[^"]*"`), `$1${escaped.replace(/\$/g, '$$$$')}"`);
+}
+
+function escapeAttr(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
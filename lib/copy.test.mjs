@@ -0,0 +1,105 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMockServer, startMockSite } from './mock-server.mjs';
+import { createAtlassianClient } from './client.mjs';
+import { confluence } from './confluence.mjs';
+import { copyPage, copyPageTree } from './copy.mjs';
+
+let home;
+let other;
+let template;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  home = await startMockSite();
+  other = createMockServer();
+  await other.start();
+});
+after(async () => {
+  await home.stop();
+  await other.stop();
+});
+
+// A template space: Onboarding → Checklist (with an image), Contacts; and Policies outside the tree
+beforeEach(async () => {
+  home.reset();
+  other.reset();
+  const { homepage } = await confluence.createSpace('TPL', 'Template', '');
+  await confluence.createSpace('ONB', 'Onboarding', '');
+  const policies = await confluence.createPage('TPL', 'Policies', '<p>Rules</p>', homepage.id);
+  const root = await confluence.createPage('TPL', 'Onboarding', '<p>Start</p>', homepage.id, ['onboarding']);
+  const checklist = await confluence.createPage('TPL', 'Checklist', '<p><ac:image><ri:attachment ri:filename="steps.png" /></ac:image></p>', root.id, ['todo']);
+  await confluence.createPage('TPL', 'Contacts', '<p>Who to ask</p>', root.id);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-copy-test-'));
+  fs.writeFileSync(path.join(dir, 'steps.png'), 'png');
+  await confluence.uploadPageAttachment(checklist.id, path.join(dir, 'steps.png'), 'steps.png');
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  await confluence.updatePageById(root.id, {
+    body: [
+      '<p><ac:link><ri:page ri:content-title="Checklist" /></ac:link></p>',
+      '<p><ac:link><ri:page ri:content-title="Policies" /><ac:plain-text-link-body><![CDATA[Our rules]]></ac:plain-text-link-body></ac:link></p>',
+      `<p><a href="${home.url}/wiki/spaces/TPL/pages/${checklist.id}/Checklist">Checklist</a></p>`,
+      `<p><ac:link><ri:content-entity ri:content-id="${checklist.id}" /></ac:link></p>`,
+    ].join(''),
+  });
+  template = { root: root.id, checklist: checklist.id, policies: policies.id };
+});
+
+function pages(site, spaceKey) {
+  return [...site.state.content.values()].filter(c => c.type === 'page' && c.spaceKey === spaceKey);
+}
+
+test('copyPageTree copies a subtree with labels and attachments, pointing links at the copies', async () => {
+  const report = await copyPageTree(template.root, { spaceKey: 'ONB' });
+
+  assert.deepEqual(report.copied.map(p => p.title), ['Onboarding', 'Checklist', 'Contacts']);
+  assert.deepEqual(report.failed, []);
+  assert.equal(report.attachments, 1);
+  const [root, checklist] = report.copied.map(p => home.state.content.get(p.id));
+  assert.equal(checklist.parentId, root.id);
+  assert.deepEqual([root.labels, checklist.labels], [['onboarding'], ['todo']]);
+  assert.deepEqual((await confluence.listAttachments(checklist.id)).map(a => a.title), ['steps.png']);
+
+  assert.match(root.body, /<ri:page ri:content-title="Checklist" \/>/, 'a link within the tree resolves in the new space');
+  assert.match(root.body, /<ri:page ri:content-title="Policies" ri:space-key="TPL" \/>/, 'a link out of the tree keeps its space');
+  assert.ok(root.body.includes(`${home.url}/wiki/spaces/ONB/pages/${checklist.id}/Checklist`));
+  assert.ok(root.body.includes(`ri:content-id="${checklist.id}"`));
+  assert.equal(pages(home, 'TPL').length, 5, 'the source is untouched');
+});
+
+test('copyPageTree into another site rewrites links and can rename and skip the root', async () => {
+  const client = createAtlassianClient({ domain: other.url, email: 'a@b.c', token: 't' });
+  const { homepage } = await client.confluence.createSpace('ACME', 'Acme', '');
+
+  const report = await copyPageTree(template.root, { spaceKey: 'ACME', site: client.site }, { childrenOnly: true, rename: t => `Acme ${t}` });
+  assert.deepEqual(report.copied.map(p => p.title), ['Acme Checklist', 'Acme Contacts']);
+  assert.ok(report.copied.every(p => other.state.content.get(p.id).parentId === homepage.id));
+  assert.equal(pages(home, 'ACME').length, 0);
+  assert.deepEqual(pages(other, 'ACME').map(p => p.title).sort(), ['Acme Checklist', 'Acme Contacts', 'Acme Home']);
+
+  const full = await copyPageTree(template.root, { spaceKey: 'ACME', site: client.site }, { rename: t => `Full ${t}` });
+  const body = other.state.content.get(full.copied[0].id).body;
+  const checklistId = full.copied[1].id;
+  assert.match(body, /<ri:page ri:content-title="Full Checklist" \/>/);
+  assert.ok(body.includes(`<a href="${home.url}/wiki/display/TPL/Policies">Our rules</a>`), 'an uncopied page is linked on the source site');
+  assert.ok(body.includes(`${other.url}/wiki/spaces/ACME/pages/${checklistId}/Checklist`));
+  assert.ok(body.includes(`ri:content-id="${checklistId}"`));
+  assert.equal(other.state.content.get(checklistId).versions.length, 1);
+});
+
+test('copyPage copies a single page, and a failed page is reported with its subtree', async () => {
+  const copy = await copyPage(template.checklist, { spaceKey: 'TPL' }, { rename: t => `Copy of ${t}` });
+  assert.equal(copy.title, 'Copy of Checklist');
+  assert.equal((await confluence.listAttachments(copy.id)).length, 1);
+
+  // Copying into the same space without renaming collides with the originals
+  const report = await copyPageTree(template.root, { spaceKey: 'TPL' });
+  assert.deepEqual(report.copied, []);
+  assert.deepEqual(report.failed.map(f => [f.title, f.error.startsWith('parent') ? 'skipped' : 'failed']),
+    [['Onboarding', 'failed'], ['Checklist', 'skipped'], ['Contacts', 'skipped']]);
+});
@@ -0,0 +1,42 @@
+/**
+ * CQL (Confluence Query Language) clause builders — values are quoted and
+ * escaped. No dependencies, so string-building modules (formatters) can use
+ * it without loading the REST client.
+ *
+ * Usage:
+ *   import { cql } from './cql.mjs';
+ *   searchContent(cql.and(cql.space('ENG', 'OPS'), cql.text('rollback'), cql.modifiedBefore('90d')))
+ */
+
+export const cql = {
+  /** Full-text match on title, body and labels */
+  text: (terms) => `text ~ ${quoteCql(terms)}`,
+  title: (terms) => `title ~ ${quoteCql(terms)}`,
+  space: (...keys) => inClause('space', keys),
+  label: (...labels) => inClause('label', labels),
+  type: (type = 'page') => `type = ${quoteCql(type)}`,
+  /** Modified on or after `when`: a Date, 'YYYY-MM-DD', or an age like '30d', '4w', '6M', '1y' */
+  modifiedSince: (when) => `lastmodified >= ${cqlDate(when)}`,
+  /** Not modified since `when` — stale content */
+  modifiedBefore: (when) => `lastmodified < ${cqlDate(when)}`,
+  /** Created by an account ID (default: the authenticated user) */
+  creator: (accountId) => `creator = ${accountId ? quoteCql(accountId) : 'currentUser()'}`,
+  /** Anywhere below a page */
+  ancestor: (pageId) => `ancestor = ${quoteCql(pageId)}`,
+  and: (...clauses) => clauses.flat().filter(Boolean).map(c => (/\s+OR\s+/i.test(c) ? `(${c})` : c)).join(' AND '),
+};
+
+function quoteCql(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+function inClause(field, values) {
+  const list = values.flat();
+  return list.length === 1 ? `${field} = ${quoteCql(list[0])}` : `${field} in (${list.map(quoteCql).join(', ')})`;
+}
+
+function cqlDate(when) {
+  if (when instanceof Date) return `"${when.toISOString().slice(0, 10)}"`;
+  const age = /^-?(\d+)([ywdhmM])$/.exec(String(when));
+  return age ? `now("-${age[1]}${age[2]}")` : quoteCql(when);
+}
@@ -0,0 +1,275 @@
+/**
+ * Dry-run mode — record mutations instead of sending them
+ *
+ * Enabled with ATL_DRY_RUN=1 (the CLI's --dry-run) or setDryRun(true). Reads
+ * go through as usual; POST/PUT/DELETE requests are recorded and answered
+ * with a synthesized response — fake IDs (`dry-run-1`) and issue keys
+ * (`PROJ-DRY1`) — so code that creates a page and then its children keeps
+ * working. When the process finishes, the recorded plan is printed.
+ *
+ * Usage:
+ *   import { setDryRun, dryRunPlan, formatDryRunPlan } from './dry-run.mjs';
+ *   setDryRun(true);
+ *   await buildPageTree('ENG', homepageId, pages);
+ *   console.log(formatDryRunPlan(dryRunPlan()));
+ */
+import { loadConfig } from './config.mjs';
+
+let _enabled = null; // null: follow ATL_DRY_RUN
+let _plan = [];
+let _records = new Map(); // fake id/key → synthesized object
+let _nextId = 1;
+let _summaryHooked = false;
+
+// POSTs that only read (JQL searches, bulk fetches)
+const READ_ONLY_POST = [/\/search(?:\/jql)?$/, /\/jql\/(?:parse|match)$/, /\/bulkfetch$/];
+
+const FAKE_ID = /^dry-run-\d+$|^[A-Z][A-Z0-9_]*-DRY\d+$/;
+
+/** Turn dry-run mode on or off for this process (overrides ATL_DRY_RUN). */
+export function setDryRun(enabled = true) {
+  _enabled = !!enabled;
+}
+
+export function isDryRun() {
+  return _enabled ?? loadConfig().dryRun;
+}
+
+/** Forget recorded mutations (and any setDryRun() override). */
+export function resetDryRun() {
+  _enabled = null;
+  _plan = [];
+  _records = new Map();
+  _nextId = 1;
+}
+
+/** The mutations recorded so far: `{ action, description, method, path, body }`. */
+export function dryRunPlan() {
+  return [..._plan];
+}
+
+/**
+ * Whether a request has to be intercepted: any mutation, and any read of
+ * an object that only exists in this dry run.
+ */
+export function interceptsRequest(method, path) {
+  if (!isDryRun()) return false;
+  const route = routePath(path);
+  if (method === 'GET') return route.split('/').some(segment => FAKE_ID.test(segment));
+  return !(method === 'POST' && READ_ONLY_POST.some(re => re.test(route)));
+}
+
+/**
+ * Answer an intercepted request: reads of fake objects return what was
+ * recorded (or an empty list), mutations are added to the plan.
+ */
+export function interceptRequest(method, path, body = null) {
+  const route = routePath(path);
+  if (method === 'GET') {
+    const last = route.split('/').pop();
+    return _records.get(last) || { results: [], values: [], issues: [], size: 0, total: 0, isLast: true };
+  }
+
+  const rule = RULES.find(r => r.method === method && r.pattern.test(route));
+  const match = rule ? route.match(rule.pattern) : null;
+  const fake = () => `dry-run-${_nextId++}`;
+  const result = rule?.respond ? rule.respond(match, body || {}, fake) : { ...(body || {}), id: fake() };
+  if (result?.id) _records.set(String(result.id), result);
+  if (result?.key) _records.set(result.key, result);
+
+  _plan.push({
+    action: rule?.action || (method === 'DELETE' ? 'delete' : method === 'PUT' ? 'update' : 'create'),
+    description: rule ? rule.describe(match, body || {}, routeQuery(path)) : `${method} ${path}`,
+    method,
+    path,
+    body,
+  });
+  hookSummary();
+  return result;
+}
+
+/** Record an attachment upload (see atlassian-client.uploadAttachment). */
+export function interceptUpload(path, filename) {
+  return interceptRequest('POST', path, { filename });
+}
+
+/**
+ * Human-readable plan, grouped into creates, updates and deletes.
+ * @param {Array<object>} plan - dryRunPlan()
+ */
+export function formatDryRunPlan(plan = dryRunPlan()) {
+  if (!plan.length) return 'Dry run — no changes would be made.';
+  const lines = [`Dry run — nothing was changed. ${plan.length} change${plan.length === 1 ? '' : 's'} would be made:`];
+  for (const [action, heading] of [['create', 'Create'], ['update', 'Update'], ['delete', 'Delete']]) {
+    const entries = plan.filter(p => p.action === action);
+    if (!entries.length) continue;
+    lines.push('', `  ${heading} (${entries.length}):`);
+    for (const entry of entries) lines.push(`    ${action === 'create' ? '+' : action === 'delete' ? '-' : '~'} ${entry.description}`);
+  }
+  return lines.join('\n');
+}
+
+// Print the plan once the process has nothing left to do
+function hookSummary() {
+  if (_summaryHooked) return;
+  _summaryHooked = true;
+  process.once('beforeExit', () => {
+    if (_plan.length) console.log(`\n${formatDryRunPlan()}`);
+  });
+}
+
+// `/wiki/rest/api/content/123?expand=x` → `/content/123`
+function routePath(path) {
+  return path.split('?')[0].replace(/^.*?\/rest\/(?:api(?:\/\d+)?|agile\/[\d.]+)(?=\/)/, '');
+}
+
+// `/content/123/label?name=x` → URLSearchParams { name: 'x' }
+function routeQuery(path) {
+  const idx = path.indexOf('?');
+  return new URLSearchParams(idx === -1 ? '' : path.slice(idx + 1));
+}
+
+// ── Known mutations ────────────────────────────────────────────
+
+const quote = (text) => `"${text ?? ''}"`;
+
+const RULES = [
+  // Confluence
+  {
+    method: 'POST', pattern: /^\/space$/, action: 'create',
+    describe: (m, b) => `space ${b.key} ${quote(b.name)}`,
+    respond: (m, b, fake) => ({ id: fake(), key: b.key, name: b.name, homepage: { id: fake(), title: `${b.name} Home` } }),
+  },
+  {
+    method: 'POST', pattern: /^\/content$/, action: 'create',
+    describe: (m, b) => `${b.type || 'page'} ${quote(b.title)} in ${b.space?.key}${b.ancestors?.length ? ` under ${b.ancestors.at(-1).id}` : ''}`,
+    respond: (m, b, fake) => ({
+      id: fake(), type: b.type || 'page', title: b.title, space: b.space, ancestors: b.ancestors || [],
+      version: { number: 1 }, body: b.body, _links: { webui: '' },
+    }),
+  },
+  {
+    method: 'PUT', pattern: /^\/content\/([^/]+)$/, action: 'update',
+    describe: (m, b) => `${b.type || 'page'} ${m[1]} ${quote(b.title)} → version ${b.version?.number}`,
+    respond: (m, b) => ({ id: m[1], type: b.type || 'page', title: b.title, version: b.version, body: b.body, ancestors: b.ancestors || [] }),
+  },
+  {
+    method: 'DELETE', pattern: /^\/content\/([^/]+)$/, action: 'delete',
+    describe: (m) => `content ${m[1]}`,
+    respond: () => '',
+  },
+  {
+    method: 'POST', pattern: /^\/content\/([^/]+)\/label$/, action: 'update',
+    describe: (m, b) => `labels on ${m[1]}: add ${[].concat(b).map(l => l.name).join(', ')}`,
+    respond: (m, b) => ({ results: [].concat(b).map(l => ({ prefix: 'global', name: l.name })), size: [].concat(b).length }),
+  },
+  {
+    method: 'DELETE', pattern: /^\/content\/([^/]+)\/label\/?(.*)$/, action: 'update',
+    // removeLabels sends the name as `?name=`; `/label/{name}` carries it in the path
+    describe: (m, b, query) => `labels on ${m[1]}: remove ${query.get('name') || decodeURIComponent(m[2]) || 'label'}`,
+    respond: () => '',
+  },
+  {
+    method: 'POST', pattern: /^\/content\/([^/]+)\/property$/, action: 'update',
+    describe: (m, b) => `property ${b.key} on ${m[1]}: set`,
+    respond: (m, b) => ({ key: b.key, value: b.value, version: { number: 1 } }),
+  },
+  {
+    method: 'PUT', pattern: /^\/content\/([^/]+)\/property\/(.+)$/, action: 'update',
+    describe: (m, b) => `property ${decodeURIComponent(m[2])} on ${m[1]}: update to version ${b.version?.number}`,
+    respond: (m, b) => ({ key: b.key, value: b.value, version: b.version }),
+  },
+  {
+    method: 'DELETE', pattern: /^\/content\/([^/]+)\/property\/(.+)$/, action: 'update',
+    describe: (m) => `property ${decodeURIComponent(m[2])} on ${m[1]}: delete`,
+    respond: () => '',
+  },
+  {
+    method: 'POST', pattern: /^\/content\/([^/]+)\/child\/attachment$/, action: 'create',
+    describe: (m, b) => `attachment ${quote(b.filename)} on ${m[1]}`,
+    respond: (m, b, fake) => ({ results: [{ id: fake(), type: 'attachment', title: b.filename, container: { id: m[1] } }], size: 1 }),
+  },
+  {
+    method: 'POST', pattern: /^\/content\/([^/]+)\/child\/attachment\/([^/]+)\/data$/, action: 'update',
+    describe: (m, b) => `attachment ${m[2]} on ${m[1]}: new version from ${quote(b.filename)}`,
+    respond: (m, b) => ({ id: m[2], type: 'attachment', title: b.filename, container: { id: m[1] } }),
+  },
+  {
+    method: 'POST', pattern: /^\/content\/([^/]+)\/version$/, action: 'update',
+    describe: (m, b) => `page ${m[1]}: restore version ${b.params?.versionNumber}`,
+    respond: (m, b) => ({ number: null, message: b.params?.message }),
+  },
+  {
+    method: 'DELETE', pattern: /^\/space\/([^/]+)$/, action: 'delete',
+    describe: (m) => `space ${m[1]}`,
+    respond: () => '',
+  },
+
+  // JIRA
+  {
+    method: 'POST', pattern: /^\/project$/, action: 'create',
+    describe: (m, b) => `project ${b.key} ${quote(b.name)}`,
+    respond: (m, b, fake) => ({ id: fake(), key: b.key, name: b.name }),
+  },
+  {
+    method: 'DELETE', pattern: /^\/project\/([^/]+)$/, action: 'delete',
+    describe: (m) => `project ${m[1]}`,
+    respond: () => '',
+  },
+  {
+    method: 'POST', pattern: /^\/issue$/, action: 'create',
+    describe: (m, b) => {
+      const f = b.fields || {};
+      return `${f.issuetype?.name || 'issue'} ${quote(f.summary)} in ${f.project?.key}${f.parent ? ` under ${f.parent.key}` : ''}`;
+    },
+    respond: (m, b, fake) => {
+      const id = fake();
+      return { id, key: `${b.fields?.project?.key || 'DRY'}-DRY${id.replace('dry-run-', '')}`, fields: b.fields };
+    },
+  },
+  {
+    method: 'PUT', pattern: /^\/issue\/([^/]+)$/, action: 'update',
+    describe: (m, b) => `issue ${m[1]}: ${Object.keys(b.fields || {}).join(', ') || 'no fields'}`,
+    respond: () => '',
+  },
+  {
+    method: 'DELETE', pattern: /^\/issue\/([^/]+)$/, action: 'delete',
+    describe: (m) => `issue ${m[1]}`,
+    respond: () => '',
+  },
+  {
+    method: 'POST', pattern: /^\/issue\/([^/]+)\/transitions$/, action: 'update',
+    describe: (m, b) => `issue ${m[1]}: transition ${b.transition?.id}`,
+    respond: () => '',
+  },
+  {
+    method: 'POST', pattern: /^\/issue\/([^/]+)\/comment$/, action: 'create',
+    describe: (m) => `comment on ${m[1]}`,
+    respond: (m, b, fake) => ({ id: fake(), body: b.body }),
+  },
+  {
+    method: 'POST', pattern: /^\/component$/, action: 'create',
+    describe: (m, b) => `component ${quote(b.name)} in ${b.project}`,
+    respond: (m, b, fake) => ({ id: fake(), name: b.name, project: b.project }),
+  },
+  {
+    method: 'POST', pattern: /^\/sprint$/, action: 'create',
+    describe: (m, b) => `sprint ${quote(b.name)} on board ${b.originBoardId}`,
+    respond: (m, b, fake) => ({ id: fake(), name: b.name, state: 'future', originBoardId: b.originBoardId }),
+  },
+  {
+    method: 'DELETE', pattern: /^\/component\/([^/]+)$/, action: 'delete',
+    describe: (m) => `component ${m[1]}`,
+    respond: () => '',
+  },
+  {
+    method: 'DELETE', pattern: /^\/sprint\/([^/]+)$/, action: 'delete',
+    describe: (m) => `sprint ${m[1]}`,
+    respond: () => '',
+  },
+  {
+    method: 'POST', pattern: /^\/sprint\/([^/]+)\/issue$/, action: 'update',
+    describe: (m, b) => `sprint ${m[1]}: add ${(b.issues || []).join(', ')}`,
+    respond: () => '',
+  },
+];
@@ -0,0 +1,111 @@
+import { test, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import { jira } from './jira.mjs';
+import { resetConfig } from './config.mjs';
+import { setDryRun, resetDryRun, dryRunPlan, formatDryRunPlan, isDryRun } from './dry-run.mjs';
+
+let site;
+let homepageId;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(() => site.stop());
+beforeEach(async () => {
+  site.reset();
+  homepageId = (await confluence.createSpace('ENG', 'Engineering', '')).homepage.id;
+  await jira.createProject('ACME', 'Acme');
+  setDryRun(true);
+});
+afterEach(() => resetDryRun());
+
+const mutations = () => site.requests.filter(r => r.method !== 'GET' && !/\/search/.test(r.path));
+
+test('page trees are planned, not written, and children resolve fake parent IDs', async () => {
+  site.requests.length = 0;
+  const report = await confluence.buildPageTree('ENG', homepageId, [
+    { title: 'Guides', body: '<p>Guides</p>', labels: ['docs'], children: [{ title: 'Setup', body: '<p>Install</p>' }] },
+  ], { upsert: true });
+
+  assert.deepEqual(mutations(), []);
+  assert.ok(site.requests.length > 0, 'reads still reach the site');
+  assert.deepEqual(report.created.map(p => p.title), ['Guides', 'Setup']);
+  assert.match(report.created[0].id, /^dry-run-\d+$/);
+  assert.equal(report.created[1].parentId, report.created[0].id);
+
+  const plan = dryRunPlan();
+  assert.ok(plan.some(p => p.action === 'create' && p.description === `page "Setup" in ENG under ${report.created[0].id}`));
+});
+
+test('updates and issue trees are described in the summary', async () => {
+  setDryRun(false);
+  await confluence.createPage('ENG', 'Runbook', '<p>v1</p>', homepageId);
+  setDryRun(true);
+  site.requests.length = 0;
+
+  await confluence.updatePage('ENG', 'Runbook', '<p>v2</p>');
+  const created = await jira.createIssueTree('ACME', [
+    { type: 'Epic', summary: 'Login', children: [{ type: 'Story', summary: 'Form' }] },
+  ]);
+  const found = await jira.searchIssues('project = ACME');
+
+  assert.deepEqual(mutations(), []);
+  assert.equal(found.length, 0); // searches are reads and still run
+  assert.match(created[0].key, /^ACME-DRY\d+$/);
+
+  const summary = formatDryRunPlan();
+  assert.match(summary, /nothing was changed\. 3 changes would be made/);
+  assert.match(summary, /Update \(1\):\n {4}~ page \d+ "Runbook" → version 2/);
+  assert.match(summary, new RegExp(`\\+ Story "Form" in ACME under ${created[0].key}`));
+});
+
+test('setting up an existing space plans against its real pages', async () => {
+  setDryRun(false);
+  const guides = await confluence.createPage('ENG', 'Guides', '<p>Guides</p>', homepageId);
+  setDryRun(true);
+  site.requests.length = 0;
+
+  const space = await confluence.createSpace('ENG', 'Engineering', '');
+  assert.equal(space.homepage.id, homepageId);
+  const report = await confluence.buildPageTree('ENG', space.homepage.id, [
+    { title: 'Guides', body: '<p>Guides</p>', children: [{ title: 'Setup', body: '<p>Install</p>' }] },
+  ], { upsert: true });
+
+  assert.deepEqual(mutations(), []);
+  assert.deepEqual(report.unchanged.map(p => p.id), [guides.id]);
+  assert.deepEqual(dryRunPlan().map(p => p.description), [`page "Setup" in ENG under ${guides.id}`]);
+
+  await confluence.createSpace('OPS', 'Operations', '');
+  assert.match(dryRunPlan().at(-1).description, /^space OPS "Operations"$/);
+});
+
+test('label removals name the label in the plan', async () => {
+  setDryRun(false);
+  const page = await confluence.createPage('ENG', 'Runbook', '<p>v1</p>', homepageId);
+  await confluence.addLabels(page.id, ['draft', 'team/ops']);
+  setDryRun(true);
+  site.requests.length = 0;
+
+  assert.deepEqual(await confluence.removeLabels(page.id, ['draft', 'team/ops']), ['draft', 'team/ops']);
+  assert.deepEqual(mutations(), []);
+  assert.deepEqual(dryRunPlan().map(p => p.description), [
+    `labels on ${page.id}: remove draft`,
+    `labels on ${page.id}: remove team/ops`,
+  ]);
+});
+
+test('ATL_DRY_RUN enables dry-run mode from the environment', () => {
+  resetDryRun();
+  process.env.ATL_DRY_RUN = '1';
+  resetConfig();
+  try {
+    assert.equal(isDryRun(), true);
+  } finally {
+    delete process.env.ATL_DRY_RUN;
+    resetConfig();
+  }
+  assert.equal(isDryRun(), false);
+});
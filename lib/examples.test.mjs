@@ -0,0 +1,31 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import { validateStorage } from './validate.mjs';
+
+let site;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(() => site.stop());
+
+test('examples/confluence-setup.mjs renders valid pages with markup in table cells', async () => {
+  const { setup } = await import('../examples/confluence-setup.mjs');
+  await setup();
+
+  const pages = [...await confluence.listPages('ENG'), ...await confluence.listPages('PM')];
+  assert.deepEqual(pages.map(p => p.title).sort(), ['Architecture', 'Deployment', 'Engineering Home', 'Getting Started', 'Product Management Home', 'Product Roadmap']);
+  for (const { id, title } of pages) {
+    const body = (await confluence.getPageById(id)).body.storage.value;
+    assert.deepEqual(validateStorage(body), [], title);
+    assert.ok(!body.includes('&lt;'), `${title} shows escaped markup`);
+  }
+
+  const guide = (await confluence.getPage('ENG', 'Getting Started')).body.storage.value;
+  assert.match(guide, /<td><p><code>nvm install 18<\/code><\/p><\/td>/);
+  assert.match(guide, /<td><p><a href="https:\/\/docker.com">docker.com<\/a><\/p><\/td>/);
+  assert.match((await confluence.getPage('ENG', 'Engineering Home')).body.storage.value, /ac:name="children"/);
+});
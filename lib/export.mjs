@@ -0,0 +1,419 @@
+/**
+ * Confluence → Markdown export
+ *
+ * Converts storage-format XHTML (including the macros `cf`/`nx` emit) back
+ * into readable Markdown, and walks a whole space to disk:
+ *
+ *   out/
+ *     architecture/index.md        ← page with children
+ *     architecture/overview.png    ← its attachments
+ *     architecture/data-model.md   ← leaf page
+ *     architecture/data-model/     ← leaf page attachments
+ *
+ * Macros without a Markdown equivalent are kept verbatim in a
+ * ```confluence-storage fenced block, which markdownToStorage() passes
+ * through unchanged when the file is published again.
+ *
+ * Usage:
+ *   import { exportSpace, storageToMarkdown } from './export.mjs';
+ *   await exportSpace('ENG', './docs-export');
+ */
+import fs from 'fs';
+import path from 'path';
+import { parseXhtml, textContent, childElements, findElements, macroParam } from './xhtml.mjs';
+import { listPages, getPageById, listAttachments, downloadAttachment, safeFileName } from './confluence.mjs';
+import { currentSite, apiPaths } from './atlassian-client.mjs';
+
+const EMOTICONS = {
+  tick: '✅', cross: '❌', warning: '⚠️', information: 'ℹ️', 'light-on': '💡', 'light-off': '💡',
+  star_yellow: '⭐', 'blue-star': '⭐', plus: '➕', minus: '➖', question: '❓', heart: '❤️',
+  smile: '🙂', sad: '🙁', cheeky: '😛', laugh: '😀', wink: '😉', 'thumbs-up': '👍', 'thumbs-down': '👎',
+  'broken-heart': '💔', star_red: '⭐', star_green: '⭐', star_blue: '⭐',
+};
+
+const ADMONITIONS = { note: 'NOTE', tip: 'TIP', info: 'IMPORTANT', warning: 'WARNING' };
+
+// ── Storage → Markdown ─────────────────────────────────────────
+
+/**
+ * Convert a storage-format body to Markdown.
+ *
+ * @param {string} xhtml
+ * @param {object} opts
+ * @param {(title: string, spaceKey?: string) => string|null} [opts.pageHref] - Link target for ri:page references
+ * @param {string} [opts.attachmentPrefix] - Path prefix for attachment references (e.g. 'my-page/')
+ * @param {string} [opts.siteUrl] - https://your-org.atlassian.net, used for JIRA and unresolved page links
+ * @returns {{markdown: string, properties: Array<[string, string]>}}
+ */
+export function storageToMarkdown(xhtml, opts = {}) {
+  const root = parseXhtml(xhtml || '');
+  const ctx = { ...opts, src: xhtml || '', properties: [], fences: [], attachmentPrefix: opts.attachmentPrefix || '' };
+  const markdown = tidy(renderNodes(root.children, ctx), ctx);
+  return { markdown, properties: ctx.properties };
+}
+
+// Hard line breaks and fenced blocks are emitted as placeholders so that
+// inline whitespace collapsing cannot mangle them; tidy() substitutes them.
+const BREAK = '\u0000';
+const FENCE = '\u0001';
+
+function tidy(md, ctx) {
+  return md
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/ *\u0000 *\n?/g, '  \n')
+    .replace(/\s*\u0001(\d+)\u0001\s*/g, (m, idx) => `\n\n${ctx.fences[idx]}\n\n`)
+    .trim();
+}
+
+function renderNodes(nodes, ctx) {
+  return (nodes || []).map(n => renderNode(n, ctx)).join('');
+}
+
+function inline(nodes, ctx) {
+  return renderNodes(nodes, ctx).replace(/\s*\n\s*/g, ' ').replace(/ {2,}/g, ' ');
+}
+
+function block(text) {
+  return `\n\n${text}\n\n`;
+}
+
+function renderNode(node, ctx) {
+  if (node.type === 'text') {
+    // Formatting whitespace between block elements
+    if (!node.text.trim() && node.text.includes('\n')) return '';
+    return escapeMarkdown(node.text.replace(/\s+/g, ' '));
+  }
+  if (node.type === 'cdata') return node.text;
+  if (node.type !== 'element') return '';
+
+  const name = node.name.toLowerCase();
+  const kids = node.children;
+
+  switch (name) {
+    case 'p': case 'div': case 'section':
+      return block(inline(kids, ctx).trim());
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+      return block(`${'#'.repeat(Number(name[1]))} ${inline(kids, ctx).trim()}`);
+    case 'strong': case 'b': return wrap('**', inline(kids, ctx));
+    case 'em': case 'i': return wrap('*', inline(kids, ctx));
+    case 's': case 'del': case 'strike': return wrap('~~', inline(kids, ctx));
+    case 'code': return codeSpan(textContent(node));
+    case 'br': return ctx.inTable ? '<br>' : BREAK;
+    case 'hr': return block('---');
+    case 'a': {
+      const text = inline(kids, ctx).trim() || node.attrs.href || '';
+      return node.attrs.href ? `[${text}](${node.attrs.href})` : text;
+    }
+    case 'img': return `![${node.attrs.alt || ''}](${node.attrs.src || ''})`;
+    case 'ul': case 'ol': return renderList(node, ctx);
+    case 'table': return renderTable(node, ctx);
+    case 'blockquote': return block(quote(renderNodes(kids, ctx)));
+    case 'pre': return fence(ctx, '', textContent(node));
+    case 'time': return node.attrs.datetime || inline(kids, ctx);
+    case 'ac:layout': case 'ac:layout-section': case 'ac:layout-cell':
+    case 'ac:rich-text-body': case 'ac:inline-comment-marker':
+      return renderNodes(kids, ctx);
+    case 'ac:placeholder': return '';
+    case 'ac:emoticon': return EMOTICONS[node.attrs['ac:name']] || `:${node.attrs['ac:name']}:`;
+    case 'ac:image': return renderImage(node, ctx);
+    case 'ac:link': return renderLink(node, ctx);
+    case 'ac:task-list': return renderTaskList(node, ctx);
+    case 'ac:structured-macro': case 'ac:macro': return renderMacro(node, ctx);
+    default:
+      if (name.startsWith('ac:') || name.startsWith('ri:')) return preserve(node, ctx);
+      return renderNodes(kids, ctx);
+  }
+}
+
+function wrap(marker, text) {
+  const trimmed = text.trim();
+  if (!trimmed) return text;
+  const lead = text.match(/^\s*/)[0];
+  const trail = text.match(/\s*$/)[0];
+  return `${lead}${marker}${trimmed}${marker}${trail}`;
+}
+
+function codeSpan(text) {
+  const ticks = text.includes('`') ? '``' : '`';
+  const pad = ticks.length > 1 ? ' ' : '';
+  return `${ticks}${pad}${text}${pad}${ticks}`;
+}
+
+function fence(ctx, lang, text) {
+  const marker = text.includes('```') ? '~~~' : '```';
+  const idx = ctx.fences.push(`${marker}${lang}\n${text.replace(/\n$/, '')}\n${marker}`) - 1;
+  return block(`${FENCE}${idx}${FENCE}`);
+}
+
+// Split hard breaks onto their own lines (for prefixing/indenting) but keep
+// the placeholder so tidy() still renders them as "  \n"
+function expandBreaks(text) {
+  return text.replace(/ *\u0000 */g, '\u0000\n');
+}
+
+function quote(text) {
+  return expandBreaks(text).trim().split('\n').map(l => (l ? `> ${l}` : '>')).join('\n');
+}
+
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*[\]])/g, '\\$1')
+    .replace(/(^|\W)_|_(?=\W|$)/g, (m) => m.replace('_', '\\_'));
+}
+
+/** Keep markup we cannot express in Markdown, verbatim and recoverable. */
+function preserve(node, ctx) {
+  return fence(ctx, 'confluence-storage', ctx.src.slice(node.start, node.end));
+}
+
+function renderList(node, ctx) {
+  const ordered = node.name.toLowerCase() === 'ol';
+  const start = parseInt(node.attrs.start || '1', 10) || 1;
+  const items = childElements(node, 'li').map((li, idx) => {
+    const marker = ordered ? `${start + idx}. ` : '- ';
+    let content = expandBreaks(renderNodes(li.children, ctx)).trim();
+    if (childElements(li, 'p').length <= 1) content = content.replace(/\n{2,}/g, '\n');
+    // markdownToStorage() writes `- [x]` items as ☑/☐ bullets
+    if (!ordered) content = content.replace(/^☑ /, '[x] ').replace(/^☐ /, '[ ] ');
+    const pad = ' '.repeat(marker.length);
+    return marker + content.split('\n').map((l, i) => (i === 0 || !l ? l : pad + l)).join('\n');
+  });
+  return block(items.join('\n'));
+}
+
+function renderTable(node, ctx) {
+  const rows = findElements(node, 'tr').map(tr =>
+    childElements(tr).filter(c => c.name === 'th' || c.name === 'td'));
+  if (!rows.length) return '';
+
+  const cell = (c) => inline(c.children, { ...ctx, inTable: true }).trim().replace(/\|/g, '\\|');
+  // cf.table() bolds header cells; the Markdown header row is bold already
+  const headerCell = (c) => cell(c).replace(/^\*\*([^*]+)\*\*$/, '$1');
+  const width = Math.max(...rows.map(r => r.length));
+  const line = (cells, fmt = cell) => `| ${Array.from({ length: width }, (_, i) => (cells[i] ? fmt(cells[i]) : '')).join(' | ')} |`;
+  const out = [line(rows[0], headerCell), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(r => line(r))];
+  return block(out.join('\n'));
+}
+
+function renderTaskList(node, ctx) {
+  const items = childElements(node, 'ac:task').map(task => {
+    const status = textContent(childElements(task, 'ac:task-status')[0] || { type: 'text', text: '' }).trim();
+    const body = childElements(task, 'ac:task-body')[0];
+    return `- [${status === 'complete' ? 'x' : ' '}] ${body ? inline(body.children, ctx).trim() : ''}`;
+  });
+  return block(items.join('\n'));
+}
+
+function renderImage(node, ctx) {
+  const alt = node.attrs['ac:alt'] || node.attrs['ac:title'] || '';
+  const att = childElements(node, 'ri:attachment')[0];
+  if (att) return `![${alt}](${encodeURI(ctx.attachmentPrefix + safeFileName(att.attrs['ri:filename']))})`;
+  const url = childElements(node, 'ri:url')[0];
+  if (url) return `![${alt}](${url.attrs['ri:value']})`;
+  return preserve(node, ctx);
+}
+
+function renderLink(node, ctx) {
+  const plain = childElements(node, 'ac:plain-text-link-body')[0];
+  const rich = childElements(node, 'ac:link-body')[0];
+  const body = plain ? textContent(plain) : rich ? inline(rich.children, ctx).trim() : '';
+  const anchor = node.attrs['ac:anchor'] ? `#${node.attrs['ac:anchor']}` : '';
+
+  const page = childElements(node, 'ri:page')[0];
+  if (page) {
+    const title = page.attrs['ri:content-title'];
+    const space = page.attrs['ri:space-key'];
+    const href = ctx.pageHref?.(title, space)
+      || (ctx.siteUrl ? `${ctx.siteUrl}${apiPaths().confluenceWeb}/display/${encodeURIComponent(space || ctx.spaceKey || '')}/${encodeURIComponent(title)}` : null);
+    const text = body || escapeMarkdown(title);
+    return href ? `[${text}](${href}${anchor})` : text;
+  }
+
+  const att = childElements(node, 'ri:attachment')[0];
+  if (att) {
+    const file = att.attrs['ri:filename'];
+    return `[${body || escapeMarkdown(file)}](${encodeURI(ctx.attachmentPrefix + safeFileName(file))})`;
+  }
+
+  const user = childElements(node, 'ri:user')[0];
+  if (user) return `@${body || user.attrs['ri:account-id'] || user.attrs['ri:username'] || user.attrs['ri:userkey']}`;
+
+  if (anchor && !childElements(node).some(c => c.name.startsWith('ri:'))) {
+    return `[${body || anchor.slice(1)}](${anchor})`;
+  }
+  return preserve(node, ctx);
+}
+
+function renderMacro(node, ctx) {
+  const name = node.attrs['ac:name'];
+  const body = childElements(node, 'ac:rich-text-body')[0];
+  const plainBody = childElements(node, 'ac:plain-text-body')[0];
+  const title = macroParam(node, 'title');
+
+  switch (name) {
+    case 'status':
+      return `**[${(title || '').trim()}]**`;
+    case 'info': case 'note': case 'warning': case 'tip': {
+      const content = renderNodes(body?.children, ctx).trim();
+      const head = `[!${ADMONITIONS[name]}]${title ? `\n**${title}**` : ''}`;
+      return block(quote(`${head}\n${content}`));
+    }
+    case 'panel': {
+      const content = renderNodes(body?.children, ctx).trim();
+      return block(quote(title ? `**${title}**\n\n${content}` : content));
+    }
+    case 'code': case 'noformat': {
+      const lang = macroParam(node, 'language') || '';
+      return fence(ctx, lang === 'none' || lang === 'text' ? '' : lang, plainBody ? textContent(plainBody) : '');
+    }
+    case 'expand':
+      return block(`<details>\n<summary>${title || 'Details'}</summary>\n\n${renderNodes(body?.children, ctx).trim()}\n\n</details>`);
+    case 'excerpt':
+      return renderNodes(body?.children, ctx);
+    case 'details': {
+      const props = pageProperties(body, ctx);
+      if (props) {
+        ctx.properties.push(...props);
+        return '';
+      }
+      return renderNodes(body?.children, ctx);
+    }
+    case 'jira': {
+      const key = macroParam(node, 'key');
+      const jql = macroParam(node, 'jqlQuery');
+      const base = ctx.siteUrl || '';
+      if (key) return base ? `[${key}](${base}/browse/${key})` : key;
+      if (jql) return block(base ? `[JIRA: ${jql}](${base}/issues/?jql=${encodeURIComponent(jql)})` : `JIRA: ${codeSpan(jql)}`);
+      return preserve(node, ctx);
+    }
+    default:
+      return preserve(node, ctx);
+  }
+}
+
+/** Two-column key/value table inside a page-properties macro, or null. */
+function pageProperties(body, ctx) {
+  const table = body && findElements(body, 'table')[0];
+  if (!table) return null;
+  const rows = findElements(table, 'tr').map(tr => childElements(tr).filter(c => c.name === 'th' || c.name === 'td'));
+  if (!rows.length || rows.some(r => r.length !== 2)) return null;
+  return rows.map(([k, v]) => [
+    textContent(k).trim(),
+    inline(v.children, { ...ctx, inTable: true }).trim(),
+  ]);
+}
+
+// ── Front-matter ───────────────────────────────────────────────
+
+function frontMatter(data) {
+  const lines = ['---'];
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined || value === null || (Array.isArray(value) && !value.length)) continue;
+    const yamlKey = /^[\w.-]+$/.test(key) ? key : JSON.stringify(key);
+    lines.push(`${yamlKey}: ${Array.isArray(value) ? `[${value.map(v => JSON.stringify(String(v))).join(', ')}]` : JSON.stringify(value)}`);
+  }
+  lines.push('---', '');
+  return lines.join('\n');
+}
+
+// ── Space Export ───────────────────────────────────────────────
+
+/**
+ * Export every page of a space to Markdown files with front-matter, and
+ * download attachments next to each file with image/link references rewritten.
+ *
+ * @param {string} spaceKey
+ * @param {string} outDir
+ * @param {{attachments?: boolean}} opts - attachments: false skips downloading
+ * @returns {Promise<{pages: number, attachments: number, files: string[], failed: Array<{title: string, error: string}>}>}
+ */
+export async function exportSpace(spaceKey, outDir, opts = {}) {
+  const root = path.resolve(process.cwd(), outDir);
+  const siteUrl = opts.siteUrl ?? currentSite().baseUrl;
+  const pages = await listPages(spaceKey);
+  console.log(`Exporting ${spaceKey} (${pages.length} pages) → ${outDir}`);
+
+  const tree = buildTree(pages);
+  assignPaths(tree, root);
+
+  const byTitle = new Map();
+  const visit = (nodes, fn) => nodes.forEach(n => { fn(n); visit(n.children, fn); });
+  visit(tree, n => byTitle.set(n.title, n));
+
+  const summary = { pages: 0, attachments: 0, files: [], failed: [] };
+  const exportNode = async (node) => {
+    try {
+      const page = await getPageById(node.id, 'version,body.storage,metadata.labels');
+      const fileDir = path.dirname(node.file);
+      const attachmentPrefix = node.children.length ? '' : `${path.basename(node.assetDir)}/`;
+
+      if (opts.attachments !== false) {
+        for (const att of await listAttachments(node.id)) {
+          await downloadAttachment(att, path.join(node.assetDir, safeFileName(att.title)));
+          summary.attachments++;
+        }
+      }
+
+      const { markdown, properties } = storageToMarkdown(page.body?.storage?.value, {
+        siteUrl,
+        spaceKey,
+        attachmentPrefix,
+        pageHref: (title, space) => {
+          const target = (!space || space === spaceKey) && byTitle.get(title);
+          return target ? path.relative(fileDir, target.file).split(path.sep).join('/') : null;
+        },
+      });
+
+      const data = {
+        title: page.title,
+        labels: (page.metadata?.labels?.results || []).map(l => l.name),
+        confluence_id: page.id,
+        confluence_space: spaceKey,
+        confluence_version: page.version?.number,
+      };
+      for (const [k, v] of properties) data[k] = v;
+
+      fs.mkdirSync(fileDir, { recursive: true });
+      fs.writeFileSync(node.file, `${frontMatter(data)}\n${markdown}\n`);
+      console.log(`  ${path.relative(root, node.file)}`);
+      summary.pages++;
+      summary.files.push(node.file);
+    } catch (e) {
+      console.log(`    Error exporting "${node.title}": ${e.message}`);
+      summary.failed.push({ title: node.title, error: e.message });
+    }
+    for (const child of node.children) await exportNode(child);
+  };
+  for (const node of tree) await exportNode(node);
+
+  return summary;
+}
+
+function buildTree(pages) {
+  const byId = new Map(pages.map(p => [p.id, { id: p.id, title: p.title, children: [] }]));
+  const roots = [];
+  for (const p of pages) {
+    const parentId = p.ancestors?.[p.ancestors.length - 1]?.id;
+    if (parentId && byId.has(parentId)) byId.get(parentId).children.push(byId.get(p.id));
+    else roots.push(byId.get(p.id));
+  }
+  return roots;
+}
+
+function assignPaths(nodes, dir) {
+  const used = new Set();
+  for (const node of nodes) {
+    let slug = slugify(node.title) || node.id;
+    if (used.has(slug)) slug = `${slug}-${node.id}`;
+    used.add(slug);
+    node.assetDir = path.join(dir, slug);
+    node.file = node.children.length ? path.join(node.assetDir, 'index.md') : path.join(dir, `${slug}.md`);
+    assignPaths(node.children, node.assetDir);
+  }
+}
+
+function slugify(title) {
+  return title.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+}
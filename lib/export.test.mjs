@@ -0,0 +1,119 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import { exportSpace, storageToMarkdown } from './export.mjs';
+import { markdownToStorage } from './markdown.mjs';
+import { cf, nx } from './formatters.mjs';
+
+let site;
+let homepage;
+let tmp;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(() => site.stop());
+beforeEach(async (t) => {
+  site.reset();
+  ({ homepage } = await confluence.createSpace('ENG', 'Engineering', ''));
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-export-test-'));
+  t.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+});
+
+// ── Storage → Markdown ─────────────────────────────────────────
+
+const MARKDOWN = `Intro with **bold**, *em*, ~~gone~~, \`a<b\` and [site](https://x.test/?a=1&b=2).
+
+> [!WARNING]
+> Mind the gap
+
+1. one
+2. two
+   - nested
+
+| Name | Value |
+| --- | --- |
+| a \\| b | **c** |
+
+<details>
+<summary>More</summary>
+
+Hidden
+
+</details>
+
+\`\`\`javascript
+if (a < b) {}
+\`\`\`
+
+- [x] done
+- [ ] todo`;
+
+test('storageToMarkdown round-trips what markdownToStorage writes', () => {
+  const storage = markdownToStorage(MARKDOWN).body;
+  const { markdown, properties } = storageToMarkdown(storage);
+  assert.equal(markdown, MARKDOWN);
+  assert.deepEqual(properties, []);
+  assert.equal(markdownToStorage(markdown).body, storage);
+});
+
+test('storageToMarkdown: macros, page links and attachments', () => {
+  const toc = String(cf.toc());
+  const storage = String(nx.pageProperties([['Owner', 'Tom & Jerry']]))
+    + `<p>${cf.status('Done', 'Green')} see ${cf.pageLink('Setup')}, ${cf.pageLink('Elsewhere')} and ${cf.jiraIssue('ENG-1')}</p>`
+    + toc
+    + '<p><ac:image><ri:attachment ri:filename="a b.png" /></ac:image> x_y _z_</p>';
+
+  const { markdown, properties } = storageToMarkdown(storage, {
+    pageHref: (title) => (title === 'Setup' ? 'setup.md' : null),
+    attachmentPrefix: 'guide/',
+    siteUrl: 'https://acme.atlassian.net',
+    spaceKey: 'ENG',
+  });
+  assert.deepEqual(properties, [['Owner', 'Tom & Jerry']]);
+  assert.equal(markdown, [
+    '**[Done]** see [Setup](setup.md), [Elsewhere](https://acme.atlassian.net/wiki/display/ENG/Elsewhere) and [ENG-1](https://acme.atlassian.net/browse/ENG-1)',
+    '',
+    '```confluence-storage',
+    toc,
+    '```',
+    '',
+    '![](guide/a%20b.png) x_y \\_z\\_',
+  ].join('\n'));
+  // Macros without a Markdown form survive a publish
+  assert.ok(markdownToStorage(markdown).body.includes(toc));
+});
+
+// ── Space Export ───────────────────────────────────────────────
+
+test('exportSpace reports pages that fail to export', async () => {
+  const bad = await confluence.createPage('ENG', 'Broken', '<p>x</p>', homepage.id);
+  await confluence.createPage('ENG', 'Fine', '<p>y</p>', homepage.id);
+  site.failNext(1, { status: 404, method: 'GET', path: new RegExp(`/content/${bad.id}$`), body: { message: 'No content found' } });
+
+  const summary = await exportSpace('ENG', path.join(tmp, 'out'));
+  assert.equal(summary.pages, 2);
+  assert.deepEqual(summary.failed.map(f => f.title), ['Broken']);
+  assert.match(summary.failed[0].error, /404|No content found/);
+});
+
+test('attachment titles from the server cannot write outside the export directory', async () => {
+  const page = await confluence.createPage('ENG', 'Guide', '<p><ac:image><ri:attachment ri:filename="../../evil.png" /></ac:image></p>', homepage.id);
+  fs.writeFileSync(path.join(tmp, 'evil.png'), 'png');
+  await confluence.uploadPageAttachment(page.id, path.join(tmp, 'evil.png'), '../../evil.png');
+
+  const out = path.join(tmp, 'nested', 'out');
+  const summary = await exportSpace('ENG', out);
+  const files = fs.readdirSync(tmp, { recursive: true }).map(f => f.split(path.sep).join('/')).sort();
+  const markdown = fs.readFileSync(path.join(out, 'engineering-home', 'guide.md'), 'utf8');
+
+  assert.equal(summary.attachments, 1);
+  assert.ok(files.includes('nested/out/engineering-home/guide/evil.png'), files.join('\n'));
+  assert.ok(!files.includes('nested/evil.png'));
+  assert.match(markdown, /!\[\]\(guide\/evil\.png\)/);
+});
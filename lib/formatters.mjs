@@ -2,128 +2,399 @@
  * Confluence Storage Format helpers — generate professional-looking pages
  *
  * Two levels of helpers:
- *   cf.* — Basic macros (status, info, code, table, etc.)
+ *   cf.* — Macros (status, panels, code, tables, tasks, mentions, dates,
+ *          anchors, includes, listings, JIRA charts, roadmaps, video)
  *   nx.* — Enhanced layout (columns, emoticons, panels, page properties)
  *
+ * Helpers escape what they are given, so titles, parameters and table cells
+ * can hold data from JIRA or user input. Markup survives only when it is
+ * marked safe: the output of another helper, `cf.html\`...\`` (which escapes
+ * its interpolations) or `cf.raw()` for trusted markup. Rich-text bodies
+ * (panel and expand bodies, layout cells) take markup as before.
+ *
  * Usage:
  *   import { cf, nx } from './formatters.mjs';
  *   const body = `${nx.excerpt('Summary text')} ${cf.toc()} ${cf.table(['A','B'], [['1','2']])}`;
+ *   const note = cf.info(issue.fields.summary, cf.html`<p>Reported by ${user} — ${cf.status('Open', 'Blue')}</p>`);
+ */
+
+import { markdownToAdf } from './markdown.mjs';
+import { cql } from './cql.mjs';
+
+// ── Escaping ───────────────────────────────────────────────────
+
+/**
+ * Storage-format markup that is safe to embed as is. Every cf.* / nx.*
+ * helper returns one. It is a String object, not a primitive: template
+ * literals, `+`, `==`, JSON and string methods work as before, but
+ * `typeof` is 'object' and `===` compares identity — use String(x) (or
+ * `${x}`) where a primitive is needed.
+ */
+export class StorageXml extends String {
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/** Mark trusted markup as safe, so helpers embed it instead of escaping it. */
+export function raw(markup) {
+  return markup instanceof StorageXml ? markup : new StorageXml(markup ?? '');
+}
+
+/** Escape text for an XHTML element or double-quoted attribute. */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Tagged template: interpolated values are escaped unless they are helper
+ * output or raw(); arrays are joined, null/undefined/false render nothing.
+ *   cf.html`<p>${userInput}</p>`
  */
+export function html(strings, ...values) {
+  return raw(strings.reduce((out, s, i) => out + s + (i < values.length ? text(values[i]) : ''), ''));
+}
+
+// Text slot: escaped unless already safe
+function text(value) {
+  if (Array.isArray(value)) return value.map(text).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return value instanceof StorageXml ? value.toString() : escapeXml(value);
+}
+
+// Rich-text slot: markup, as given
+function markup(value) {
+  return String(value ?? '');
+}
+
+// CDATA can't contain `]]>`: end the section there and open a new one
+function cdata(value) {
+  return `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function macro(name, params, body = '') {
+  const ps = Object.entries(params).map(([k, v]) => `<ac:parameter ac:name="${k}">${text(v)}</ac:parameter>`).join('');
+  return raw(`<ac:structured-macro ac:name="${name}">${ps}${body}</ac:structured-macro>`);
+}
+
+function richMacro(name, params, body) {
+  return macro(name, params, `<ac:rich-text-body>${markup(body)}</ac:rich-text-body>`);
+}
+
+// Options that were given, as macro parameters: lists comma-separated,
+// booleans as 'true'/'false'
+function given(params) {
+  return Object.fromEntries(Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null)
+    .map(([k, v]) => [k, Array.isArray(v) ? v.join(',') : typeof v === 'boolean' ? String(v) : v]));
+}
+
+function pageRef(title, spaceKey) {
+  const space = spaceKey ? ` ri:space-key="${text(spaceKey)}"` : '';
+  return raw(`<ri:page${space} ri:content-title="${text(title)}" />`);
+}
+
+// Macro parameter pointing at a page (include, excerpt-include, pagetree)
+function pageParam(title, spaceKey) {
+  return raw(`<ac:link>${pageRef(title, spaceKey)}</ac:link>`);
+}
+
+// A user: account ID (Cloud), or a user object — JIRA's `accountId`, or
+// Data Center's `key`/`userKey` and `name`/`username`
+function userRef(user) {
+  const [attr, value] = typeof user === 'string' ? ['account-id', user]
+    : user?.accountId ? ['account-id', user.accountId]
+      : user?.userKey || user?.key ? ['userkey', user.userKey || user.key]
+        : ['username', user?.username || user?.name];
+  if (!value) throw new Error('A user needs an accountId, userKey or username');
+  return raw(`<ri:user ri:${attr}="${text(value)}" />`);
+}
+
+// YYYY-MM-DD from a Date or a date string
+function isoDate(date) {
+  return date instanceof Date ? date.toISOString().slice(0, 10) : String(date).slice(0, 10);
+}
 
 // ── Basic Confluence Macros ────────────────────────────────────
 
 export const cf = {
+  html,
+  raw,
+  escape: escapeXml,
+
   /** Status lozenge: cf.status('Done', 'Green') */
-  status(text, color) {
-    return `<ac:structured-macro ac:name="status"><ac:parameter ac:name="title">${text}</ac:parameter><ac:parameter ac:name="colour">${color}</ac:parameter></ac:structured-macro>`;
+  status(title, color) {
+    return macro('status', { title, colour: color });
   },
 
   /** Info panel: blue box with title */
   info(title, body) {
-    return `<ac:structured-macro ac:name="info"><ac:parameter ac:name="title">${title}</ac:parameter><ac:rich-text-body>${body}</ac:rich-text-body></ac:structured-macro>`;
+    return richMacro('info', { title }, body);
   },
 
   /** Warning panel: yellow box with title */
   warning(title, body) {
-    return `<ac:structured-macro ac:name="warning"><ac:parameter ac:name="title">${title}</ac:parameter><ac:rich-text-body>${body}</ac:rich-text-body></ac:structured-macro>`;
+    return richMacro('warning', { title }, body);
   },
 
   /** Note panel: yellow-ish informational box */
   note(title, body) {
-    return `<ac:structured-macro ac:name="note"><ac:parameter ac:name="title">${title}</ac:parameter><ac:rich-text-body>${body}</ac:rich-text-body></ac:structured-macro>`;
+    return richMacro('note', { title }, body);
   },
 
   /** Tip panel: green box */
   tip(title, body) {
-    return `<ac:structured-macro ac:name="tip"><ac:parameter ac:name="title">${title}</ac:parameter><ac:rich-text-body>${body}</ac:rich-text-body></ac:structured-macro>`;
+    return richMacro('tip', { title }, body);
   },
 
   /** Generic panel with title */
   panel(title, body) {
-    return `<ac:structured-macro ac:name="panel"><ac:parameter ac:name="title">${title}</ac:parameter><ac:rich-text-body>${body}</ac:rich-text-body></ac:structured-macro>`;
+    return richMacro('panel', { title }, body);
   },
 
-  /** Code block with syntax highlighting */
+  /** Code block with syntax highlighting; the code is kept verbatim */
   code(lang, code) {
-    return `<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">${lang}</ac:parameter><ac:plain-text-body><![CDATA[${code}]]></ac:plain-text-body></ac:structured-macro>`;
+    return macro('code', { language: lang }, `<ac:plain-text-body>${cdata(code)}</ac:plain-text-body>`);
   },
 
   /** Table of contents */
   toc(maxLevel = 3) {
-    return `<ac:structured-macro ac:name="toc"><ac:parameter ac:name="maxLevel">${maxLevel}</ac:parameter></ac:structured-macro>`;
+    return macro('toc', { maxLevel });
   },
 
   /** Children pages listing */
   children() {
-    return `<ac:structured-macro ac:name="children"><ac:parameter ac:name="all">true</ac:parameter></ac:structured-macro>`;
+    return macro('children', { all: 'true' });
   },
 
   /** Expandable section */
   expand(title, body) {
-    return `<ac:structured-macro ac:name="expand"><ac:parameter ac:name="title">${title}</ac:parameter><ac:rich-text-body>${body}</ac:rich-text-body></ac:structured-macro>`;
+    return richMacro('expand', { title }, body);
   },
 
-  /** HTML table from arrays */
+  /** HTML table from arrays; cells are text unless marked safe */
   table(headers, rows) {
-    const ths = headers.map(h => `<th><p><strong>${h}</strong></p></th>`).join('');
-    const trs = rows.map(row => `<tr>${row.map(cell => `<td><p>${cell}</p></td>`).join('')}</tr>`).join('');
-    return `<table><thead><tr>${ths}</tr></thead><tbody>${trs}</tbody></table>`;
+    const ths = headers.map(h => `<th><p><strong>${text(h)}</strong></p></th>`).join('');
+    const trs = rows.map(row => `<tr>${row.map(cell => `<td><p>${text(cell)}</p></td>`).join('')}</tr>`).join('');
+    return raw(`<table><thead><tr>${ths}</tr></thead><tbody>${trs}</tbody></table>`);
   },
 
   /** Inline image from attached file */
   image(filename, width = '100%') {
-    return `<ac:image ac:width="${width}"><ri:attachment ri:filename="${filename}" /></ac:image>`;
+    return raw(`<ac:image ac:width="${text(width)}"><ri:attachment ri:filename="${text(filename)}" /></ac:image>`);
   },
 
   /** Link to another Confluence page */
   pageLink(title) {
-    return `<ac:link><ri:page ri:content-title="${title}" /></ac:link>`;
+    return raw(`<ac:link><ri:page ri:content-title="${text(title)}" /></ac:link>`);
   },
 
   /** JIRA issue macro (renders as link to issue) */
   jiraIssue(key) {
-    return `<ac:structured-macro ac:name="jira"><ac:parameter ac:name="key">${key}</ac:parameter></ac:structured-macro>`;
+    return macro('jira', { key });
   },
 
   /** JIRA issues table macro (renders JQL results) */
   jiraTable(jql, columns = 'key,summary,status,priority,assignee') {
-    return `<ac:structured-macro ac:name="jira"><ac:parameter ac:name="jqlQuery">${jql}</ac:parameter><ac:parameter ac:name="columns">${columns}</ac:parameter></ac:structured-macro>`;
+    return macro('jira', { jqlQuery: jql, columns });
+  },
+
+  /**
+   * JIRA chart: cf.jiraChart('project = PROJ', { type: 'pie', statType: 'assignees' })
+   * `type`: pie, createdvsresolved or twodimensional. Other options are
+   * passed as macro parameters (e.g. periodName and daysprevious for
+   * createdvsresolved, xstattype and ystattype for twodimensional).
+   */
+  jiraChart(jql, { type = 'pie', statType = 'statuses', width, border, showInfo, ...params } = {}) {
+    return macro('jirachart', given({
+      chartType: type, jql: encodeURIComponent(jql), statType: type === 'pie' ? statType : undefined,
+      width, border, showinfor: showInfo, isAuthenticated: true, ...params,
+    }));
   },
-};
-
 
-// ── Enhanced Layout Helpers ────────────────────────────────────
+  // ── Tasks, people and dates ──
 
-export const nx = {
-  // ── Layout Sections ──
-  twoEqual(left, right) {
-    return `<ac:layout><ac:layout-section ac:type="two_equal"><ac:layout-cell>${left}</ac:layout-cell><ac:layout-cell>${right}</ac:layout-cell></ac:layout-section></ac:layout>`;
+  /**
+   * Task list: items are text, or { body, done?, assignee?, due? }.
+   *   cf.taskList(['Write docs', { body: 'Ship it', assignee: accountId, due: '2026-11-01' }])
+   * Task IDs are numbered from 1 in each list, so the same tasks always
+   * render the same body.
+   */
+  taskList(tasks) {
+    const items = tasks.map((task, i) => {
+      const { body, done = false, assignee, due } = task instanceof StorageXml || typeof task !== 'object' ? { body: task } : task;
+      const extras = [assignee && cf.mention(assignee), due && cf.date(due)].filter(Boolean).join(' ');
+      return `<ac:task><ac:task-id>${i + 1}</ac:task-id><ac:task-status>${done ? 'complete' : 'incomplete'}</ac:task-status>`
+        + `<ac:task-body>${text(body)}${extras ? ` ${extras}` : ''}</ac:task-body></ac:task>`;
+    });
+    return raw(`<ac:task-list>${items.join('')}</ac:task-list>`);
   },
-  twoLeftSidebar(left, right) {
-    return `<ac:layout><ac:layout-section ac:type="two_left_sidebar"><ac:layout-cell>${left}</ac:layout-cell><ac:layout-cell>${right}</ac:layout-cell></ac:layout-section></ac:layout>`;
-  },
-  twoRightSidebar(left, right) {
-    return `<ac:layout><ac:layout-section ac:type="two_right_sidebar"><ac:layout-cell>${left}</ac:layout-cell><ac:layout-cell>${right}</ac:layout-cell></ac:layout-section></ac:layout>`;
+
+  /** @mention a user: an account ID, or a JIRA/Data Center user object */
+  mention(user) {
+    return raw(`<ac:link>${userRef(user)}</ac:link>`);
+  },
+
+  /** Date lozenge from a Date or 'YYYY-MM-DD' */
+  date(date) {
+    return raw(`<time datetime="${text(isoDate(date))}" />`);
+  },
+
+  // ── Anchors and included content ──
+
+  /** Anchor to link to: cf.anchor('rollback') */
+  anchor(name) {
+    return macro('anchor', { '': name });
+  },
+
+  /** Link to an anchor on this page, or on another page with `page` (a title) */
+  anchorLink(anchor, { text: label, page, spaceKey } = {}) {
+    const target = page ? pageRef(page, spaceKey) : '';
+    return raw(`<ac:link ac:anchor="${text(anchor)}">${target}<ac:plain-text-link-body>${cdata(label ?? anchor)}</ac:plain-text-link-body></ac:link>`);
+  },
+
+  /** Another page's excerpt; `panel: false` shows it without a border */
+  excerptInclude(title, { spaceKey, panel = true } = {}) {
+    return macro('excerpt-include', given({ nopanel: panel ? undefined : true, '': pageParam(title, spaceKey) }));
+  },
+
+  /** Another page's whole body */
+  includePage(title, { spaceKey } = {}) {
+    return macro('include', { '': pageParam(title, spaceKey) });
+  },
+
+  // ── Content listings ──
+
+  /**
+   * Pages with any of `labels`; options: spaceKey (one or a list), type
+   * ('page', 'blogpost'), max, title, showLabels, showSpace, excerpt
+   * ('simple', 'rich content'), sort ('title', 'creation', 'modified'), reverse.
+   */
+  contentByLabel(labels, { spaceKey, type, max, title, showLabels, showSpace, excerpt, sort, reverse } = {}) {
+    const query = cql.and(cql.label(labels), spaceKey && cql.space(spaceKey), type && cql.type(type));
+    return macro('contentbylabel', given({ cql: query, max, title, showLabels, showSpace, excerptType: excerpt, sort, reverse }));
+  },
+
+  /**
+   * Recent changes; options: spaces (keys, '@self', '@all'), labels, types
+   * ('page', 'blogpost', 'comment', 'attachment'), max, author, theme
+   * ('concise', 'social', 'sidebar'), hideHeading, showProfilePic.
+   */
+  recentlyUpdated({ spaces, labels, types, max, author, theme, hideHeading, showProfilePic } = {}) {
+    return macro('recently-updated', given({ spaces, labels, types, max, author, theme, hideHeading, showProfilePic }));
+  },
+
+  /**
+   * The page's attachments; options: patterns (regexes), sortBy ('date',
+   * 'size', 'name', 'createddate'), sortOrder, upload, old, preview, and
+   * page/spaceKey to list another page's.
+   */
+  attachments({ patterns, sortBy, sortOrder, upload, old, preview, page, spaceKey } = {}) {
+    return macro('attachments', given({ patterns, sortBy, sortOrder, upload, old, preview, page: page && pageParam(page, spaceKey) }));
+  },
+
+  /**
+   * Page tree; `root` is a page title or '@self', '@parent', '@home'.
+   * Options: spaceKey, sort ('position', 'natural', 'title', 'creation',
+   * 'modified'), reverse, searchBox, expandCollapseAll, startDepth, excerpt.
+   */
+  pageTree({ root, spaceKey, sort, reverse, searchBox, expandCollapseAll, startDepth, excerpt } = {}) {
+    return macro('pagetree', given({ root: root && pageParam(root, spaceKey), sort, reverse, searchBox, expandCollapseAll, startDepth, excerpt }));
+  },
+
+  // ── Roadmaps and media ──
+
+  /**
+   * Roadmap Planner:
+   *   cf.roadmap({ title: 'Q4', lanes: [{ title: 'API', bars: [{ title: 'v2', start: '2026-10-01', end: '2026-12-01' }] }],
+   *                markers: [{ title: 'Launch', date: '2026-11-15' }] })
+   * Bars take `end` or a `duration` in timeline units; `row` puts bars on
+   * separate rows of a lane. The timeline spans the bars and markers unless
+   * `start`/`end` are given; `display` is 'MONTH' (default) or 'WEEK'.
+   */
+  roadmap({ title = 'Roadmap', lanes = [], markers = [], start, end, display = 'MONTH' }) {
+    const unit = display === 'WEEK' ? 7 : 365.25 / 12;
+    const day = (d) => Date.parse(`${isoDate(d)}T00:00:00Z`) / 86400000;
+    const stamp = (d) => `${isoDate(d)} 00:00:00`;
+    const bars = lanes.flatMap(l => l.bars || []);
+    const dates = [...bars.flatMap(b => [b.start, b.end ?? b.start]), ...markers.map(m => m.date)].map(isoDate).sort();
+    if (!dates.length && !(start && end)) throw new Error('A roadmap needs bars, markers, or a start and end');
+
+    const source = {
+      title,
+      timeline: { startDate: stamp(start ?? dates[0]), endDate: stamp(end ?? dates[dates.length - 1]), displayOption: display },
+      lanes: lanes.map((lane, l) => ({
+        title: lane.title,
+        color: lane.color || LANE_COLORS[l % LANE_COLORS.length],
+        bars: (lane.bars || []).map((bar, b) => ({
+          id: `bar-${l + 1}-${b + 1}`,
+          title: bar.title,
+          description: bar.description || '',
+          startDate: stamp(bar.start),
+          duration: bar.duration ?? Math.max(Math.round(((day(bar.end ?? bar.start) - day(bar.start)) / unit) * 10) / 10, 0.1),
+          rowIndex: bar.row ?? 0,
+        })),
+      })),
+      markers: markers.map(m => ({ title: m.title, markerDate: stamp(m.date) })),
+    };
+    return macro('roadmap', { source: encodeURIComponent(JSON.stringify(source)), title, timeline: true });
   },
-  threeEqual(a, b, c) {
-    return `<ac:layout><ac:layout-section ac:type="three_equal"><ac:layout-cell>${a}</ac:layout-cell><ac:layout-cell>${b}</ac:layout-cell><ac:layout-cell>${c}</ac:layout-cell></ac:layout-section></ac:layout>`;
+
+  /** Video or audio attached to this page (or to `page`) */
+  multimedia(filename, { width, height, autostart, page, spaceKey } = {}) {
+    const file = `ri:filename="${text(filename)}"`;
+    const name = raw(page ? `<ri:attachment ${file}>${pageRef(page, spaceKey)}</ri:attachment>` : `<ri:attachment ${file} />`);
+    return macro('multimedia', given({ name, width, height, autostart }));
   },
-  single(content) {
-    return `<ac:layout><ac:layout-section ac:type="single"><ac:layout-cell>${content}</ac:layout-cell></ac:layout-section></ac:layout>`;
+
+  /** Video: an attachment (multimedia), or a URL (YouTube, Vimeo, ...) embedded with the widget connector */
+  video(src, { width, height, ...opts } = {}) {
+    if (!/^https?:\/\//i.test(src)) return cf.multimedia(src, { width, height, ...opts });
+    return macro('widget', given({ url: raw(`<ri:url ri:value="${text(src)}" />`), width, height }));
   },
+};
+
+// Roadmap Planner's own lane colours
+const LANE_COLORS = [
+  { lane: '#f6c342', bar: '#fadb8e', text: '#594300' },
+  { lane: '#3b7fc4', bar: '#6c9fd3', text: '#ffffff' },
+  { lane: '#d04437', bar: '#dc7369', text: '#ffffff' },
+  { lane: '#8eb021', bar: '#aac459', text: '#ffffff' },
+  { lane: '#654982', bar: '#8c77a1', text: '#ffffff' },
+];
+
+
+// ── Enhanced Layout Helpers ────────────────────────────────────
+
+const layout = (type, ...cells) =>
+  raw(`<ac:layout><ac:layout-section ac:type="${type}">${cells.map(c => `<ac:layout-cell>${markup(c)}</ac:layout-cell>`).join('')}</ac:layout-section></ac:layout>`);
+
+const emoticon = (name) => raw(`<ac:emoticon ac:name="${name}" />`);
+
+export const nx = {
+  // ── Layout Sections (cells are rich text) ──
+  twoEqual(left, right) { return layout('two_equal', left, right); },
+  twoLeftSidebar(left, right) { return layout('two_left_sidebar', left, right); },
+  twoRightSidebar(left, right) { return layout('two_right_sidebar', left, right); },
+  threeEqual(a, b, c) { return layout('three_equal', a, b, c); },
+  single(content) { return layout('single', content); },
 
   // ── Emoticons ──
-  tick: '<ac:emoticon ac:name="tick" />',
-  cross: '<ac:emoticon ac:name="cross" />',
-  warn: '<ac:emoticon ac:name="warning" />',
-  info: '<ac:emoticon ac:name="information" />',
-  light: '<ac:emoticon ac:name="light-on" />',
-  star: '<ac:emoticon ac:name="star_yellow" />',
-  blueStar: '<ac:emoticon ac:name="blue-star" />',
-  plus: '<ac:emoticon ac:name="plus" />',
-  minus: '<ac:emoticon ac:name="minus" />',
-  question: '<ac:emoticon ac:name="question" />',
-  heart: '<ac:emoticon ac:name="heart" />',
+  tick: emoticon('tick'),
+  cross: emoticon('cross'),
+  warn: emoticon('warning'),
+  info: emoticon('information'),
+  light: emoticon('light-on'),
+  star: emoticon('star_yellow'),
+  blueStar: emoticon('blue-star'),
+  plus: emoticon('plus'),
+  minus: emoticon('minus'),
+  question: emoticon('question'),
+  heart: emoticon('heart'),
 
   // ── Panels (shorthand) ──
   infoPanel(title, body) { return cf.info(title, body); },
@@ -133,24 +404,31 @@ export const nx = {
 
   // ── Page Properties (metadata table) ──
   pageProperties(pairs) {
-    const rows = pairs.map(([k, v]) => `<tr><th><p>${k}</p></th><td><p>${v}</p></td></tr>`).join('');
-    return `<ac:structured-macro ac:name="details"><ac:rich-text-body><table><tbody>${rows}</tbody></table></ac:rich-text-body></ac:structured-macro>`;
+    const rows = pairs.map(([k, v]) => `<tr><th><p>${text(k)}</p></th><td><p>${text(v)}</p></td></tr>`).join('');
+    return richMacro('details', {}, `<table><tbody>${rows}</tbody></table>`);
   },
 
   // ── Excerpt (shown in children macro and search) ──
-  excerpt(text) {
-    return `<ac:structured-macro ac:name="excerpt"><ac:parameter ac:name="atlassian-macro-output-type">BLOCK</ac:parameter><ac:rich-text-body><p>${text}</p></ac:rich-text-body></ac:structured-macro>`;
+  excerpt(content) {
+    return richMacro('excerpt', { 'atlassian-macro-output-type': 'BLOCK' }, `<p>${text(content)}</p>`);
   },
 
+  // ── Tasks, people, listings ──
+  tasks(...items) { return cf.taskList(items.flat()); },
+  at(user) { return cf.mention(user); },
+  on(date) { return cf.date(date); },
+  labeled(...labels) { return cf.contentByLabel(labels.flat(), { showLabels: false }); },
+  tree(root = '@self') { return cf.pageTree({ root, searchBox: true, expandCollapseAll: true }); },
+  video(src, opts) { return cf.video(src, opts); },
+
   // ── Shorthand ──
-  hr: '<hr />',
-  s(text, color) { return cf.status(text, color); },
+  hr: raw('<hr />'),
+  s(title, color) { return cf.status(title, color); },
   t(headers, rows) { return cf.table(headers, rows); },
-  h2e(emoji, text) { return `<h2>${emoji} ${text}</h2>`; },
-  h3e(emoji, text) { return `<h3>${emoji} ${text}</h3>`; },
+  h2e(emoji, title) { return html`<h2>${emoji} ${title}</h2>`; },
+  h3e(emoji, title) { return html`<h3>${emoji} ${title}</h3>`; },
 };
 
-
 // ── JIRA ADF (Atlassian Document Format) Helpers ───────────────
 
 export const adf = {
@@ -237,4 +515,9 @@ export const adf = {
       content,
     };
   },
+
+  /** Full document from Markdown (lists, code, tables, links, admonitions → panels) */
+  fromMarkdown(markdown) {
+    return markdownToAdf(markdown);
+  },
 };
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cf, nx, StorageXml } from './formatters.mjs';
+import { parseXhtml, findElements, textContent } from './xhtml.mjs';
+import { validateStorage } from './validate.mjs';
+
+test('titles, parameters and table cells are escaped', () => {
+  assert.equal(
+    String(cf.info('R&D <beta>', '<p>ok</p>')),
+    '<ac:structured-macro ac:name="info"><ac:parameter ac:name="title">R&amp;D &lt;beta&gt;</ac:parameter><ac:rich-text-body><p>ok</p></ac:rich-text-body></ac:structured-macro>',
+  );
+  const injected = '<ac:structured-macro ac:name="html"><ac:plain-text-body>x</ac:plain-text-body></ac:structured-macro>';
+  const table = String(cf.table(['Summary'], [[injected]]));
+  assert.ok(!table.includes('<ac:structured-macro'), table);
+  assert.equal(textContent(findElements(parseXhtml(table), 'td')[0]), injected);
+
+  assert.equal(String(cf.pageLink('Say "hi" & <go>')), '<ac:link><ri:page ri:content-title="Say &quot;hi&quot; &amp; &lt;go&gt;" /></ac:link>');
+  assert.match(String(cf.image('a"b.png', '50%" onload="x')), /ri:filename="a&quot;b\.png"/);
+  assert.match(String(cf.jiraTable('created >= -7d AND summary ~ "a&b"')), /created &gt;= -7d AND summary ~ &quot;a&amp;b&quot;/);
+  assert.match(String(nx.pageProperties([['Owner', 'Tom & Jerry']])), /<td><p>Tom &amp; Jerry<\/p><\/td>/);
+});
+
+test('helper output, cf.html and cf.raw are embedded as markup', () => {
+  const cell = cf.status('Done', 'Green');
+  assert.match(String(cf.table(['State'], [[cell]])), /<td><p><ac:structured-macro ac:name="status">/);
+  assert.match(String(nx.pageProperties([['Flag', nx.tick]])), /<td><p><ac:emoticon ac:name="tick" \/><\/p>/);
+
+  const user = '<script>alert(1)</script>';
+  const body = cf.html`<p>${user} ${cell} ${['a<', cf.raw('<br />')]}${null}${false}${0}</p>`;
+  assert.equal(String(body), `<p>&lt;script&gt;alert(1)&lt;/script&gt; ${cell} a&lt;<br />0</p>`);
+  assert.equal(String(cf.table(['Notes'], [[body]])).includes('<p>&lt;script&gt;'), true);
+  assert.equal(String(nx.h2e(nx.star, 'Q&A')), '<h2><ac:emoticon ac:name="star_yellow" /> Q&amp;A</h2>');
+});
+
+test('code keeps ]]> inside CDATA', () => {
+  const code = 'if (a[b[0]]>1) {}\n// ]]>';
+  const xml = String(cf.code('js', code));
+  assert.equal((xml.match(/<!\[CDATA\[/g) || []).length, 3);
+  assert.equal(textContent(findElements(parseXhtml(xml), 'ac:plain-text-body')[0]), code);
+});
+
+test('helper output still behaves like a string', () => {
+  const toc = cf.toc();
+  assert.equal(`${toc}`, '<ac:structured-macro ac:name="toc"><ac:parameter ac:name="maxLevel">3</ac:parameter></ac:structured-macro>');
+  assert.equal(JSON.stringify({ value: nx.hr }), '{"value":"<hr />"}');
+  assert.equal(nx.hr + '<p></p>', '<hr /><p></p>');
+  assert.ok(cf.children().includes('ac:name="children"'));
+});
+
+test('helper output is a String object: compare and type-check through String()', () => {
+  const toc = cf.toc();
+  const markup = '<ac:structured-macro ac:name="toc"><ac:parameter ac:name="maxLevel">3</ac:parameter></ac:structured-macro>';
+  assert.ok(toc instanceof StorageXml && toc instanceof String);
+  assert.equal(typeof toc, 'object');
+  assert.notStrictEqual(toc, markup);
+  assert.ok(toc == markup); // eslint-disable-line eqeqeq
+  assert.equal(typeof String(toc), 'string');
+  assert.equal(String(toc), markup);
+  assert.equal(JSON.stringify([toc]), JSON.stringify([markup]));
+});
+
+test('task lists, mentions, dates and anchors', () => {
+  const tasks = String(cf.taskList(['Write <docs>', { body: cf.html`<em>Ship</em>`, done: true, assignee: { key: 'jdoe' }, due: new Date('2026-11-02T12:00:00Z') }]));
+  assert.equal(tasks, '<ac:task-list>'
+    + '<ac:task><ac:task-id>1</ac:task-id><ac:task-status>incomplete</ac:task-status><ac:task-body>Write &lt;docs&gt;</ac:task-body></ac:task>'
+    + '<ac:task><ac:task-id>2</ac:task-id><ac:task-status>complete</ac:task-status><ac:task-body><em>Ship</em> <ac:link><ri:user ri:userkey="jdoe" /></ac:link> <time datetime="2026-11-02" /></ac:task-body></ac:task>'
+    + '</ac:task-list>');
+  assert.equal(String(cf.mention({ accountId: '5b10:a"c' })), '<ac:link><ri:user ri:account-id="5b10:a&quot;c" /></ac:link>');
+  assert.throws(() => cf.mention({}), /accountId, userKey or username/);
+  assert.equal(String(nx.on('2026-11-02')), '<time datetime="2026-11-02" />');
+
+  assert.equal(String(cf.anchor('roll back')), '<ac:structured-macro ac:name="anchor"><ac:parameter ac:name="">roll back</ac:parameter></ac:structured-macro>');
+  assert.equal(String(cf.anchorLink('roll back', { text: 'Rollback', page: 'Runbook', spaceKey: 'OPS' })),
+    '<ac:link ac:anchor="roll back"><ri:page ri:space-key="OPS" ri:content-title="Runbook" /><ac:plain-text-link-body><![CDATA[Rollback]]></ac:plain-text-link-body></ac:link>');
+});
+
+test('task IDs are numbered from 1 in each task list, so bodies are reproducible', () => {
+  const body = () => `<h2>Before</h2>${nx.tasks('a', 'b')}<h2>After</h2>${cf.taskList(['c'])}`;
+  assert.deepEqual(findElements(parseXhtml(body()), 'ac:task-id').map(textContent), ['1', '2', '1']);
+  assert.equal(body(), body());
+});
+
+test('includes, listings, charts, roadmaps and video take options objects', () => {
+  assert.equal(String(cf.excerptInclude('R&D', { spaceKey: 'ENG', panel: false })),
+    '<ac:structured-macro ac:name="excerpt-include"><ac:parameter ac:name="nopanel">true</ac:parameter>'
+    + '<ac:parameter ac:name=""><ac:link><ri:page ri:space-key="ENG" ri:content-title="R&amp;D" /></ac:link></ac:parameter></ac:structured-macro>');
+  assert.match(String(cf.contentByLabel(['runbook', 'oncall'], { spaceKey: 'OPS', max: 10, showLabels: false })),
+    /<ac:parameter ac:name="cql">label in \(&quot;runbook&quot;, &quot;oncall&quot;\) AND space = &quot;OPS&quot;<\/ac:parameter><ac:parameter ac:name="max">10<\/ac:parameter><ac:parameter ac:name="showLabels">false<\/ac:parameter>/);
+  assert.equal(String(cf.recentlyUpdated({ spaces: ['ENG', 'OPS'], types: ['page'] })),
+    '<ac:structured-macro ac:name="recently-updated"><ac:parameter ac:name="spaces">ENG,OPS</ac:parameter><ac:parameter ac:name="types">page</ac:parameter></ac:structured-macro>');
+  assert.match(String(cf.jiraChart('project = PROJ', { type: 'createdvsresolved', periodName: 'weekly' })),
+    /chartType">createdvsresolved<.*jql">project%20%3D%20PROJ<.*isAuthenticated">true<.*periodName">weekly</);
+
+  const roadmap = cf.roadmap({
+    title: 'Q4',
+    lanes: [{ title: 'API', bars: [{ title: 'v2', start: '2026-10-01', end: '2026-12-01' }, { title: 'Docs', start: '2026-11-01', duration: 1, row: 1 }] }],
+    markers: [{ title: 'Launch', date: '2026-12-15' }],
+  });
+  const source = JSON.parse(decodeURIComponent(findElements(parseXhtml(String(roadmap)), 'ac:parameter')[0].children[0].text));
+  assert.deepEqual(source.timeline, { startDate: '2026-10-01 00:00:00', endDate: '2026-12-15 00:00:00', displayOption: 'MONTH' });
+  assert.deepEqual(source.lanes[0].bars.map(b => [b.title, b.duration, b.rowIndex]), [['v2', 2, 0], ['Docs', 1, 1]]);
+  assert.deepEqual(source.markers, [{ title: 'Launch', markerDate: '2026-12-15 00:00:00' }]);
+
+  assert.equal(String(nx.video('demo.mp4', { autostart: true })),
+    '<ac:structured-macro ac:name="multimedia"><ac:parameter ac:name="name"><ri:attachment ri:filename="demo.mp4" /></ac:parameter><ac:parameter ac:name="autostart">true</ac:parameter></ac:structured-macro>');
+  assert.match(String(cf.video('https://www.youtube.com/watch?v=x&t=1', { width: 640 })), /<ri:url ri:value="https:\/\/www\.youtube\.com\/watch\?v=x&amp;t=1" \/><\/ac:parameter><ac:parameter ac:name="width">640</);
+});
+
+test('macro library output is valid storage format', () => {
+  const body = [
+    nx.tasks('a', { body: 'b', assignee: 'acc-1', due: '2026-11-02' }), `<p>${nx.at('acc-1')} ${nx.on('2026-11-02')}</p>`,
+    cf.anchor('top'), `<p>${cf.anchorLink('top')}</p>`, cf.excerptInclude('Home'), cf.includePage('Home', { spaceKey: 'ENG' }),
+    nx.labeled('runbook'), cf.recentlyUpdated(), cf.attachments({ page: 'Home', upload: false }), nx.tree(),
+    cf.jiraChart('project = PROJ'), cf.roadmap({ markers: [{ title: 'M', date: '2026-11-02' }] }),
+    cf.multimedia('a.mp4', { page: 'Home' }), nx.video('https://vimeo.com/1'),
+  ].join('\n');
+  assert.deepEqual(validateStorage(body), []);
+});
@@ -6,11 +6,36 @@
  *   await jira.createProject('PROJ', 'My Project');
  *   await jira.createIssue('PROJ', 'Story', 'Build login page', 'Description here');
  */
-import { atlassianRequest } from './atlassian-client.mjs';
+import { atlassianRequest, paginate, paginateAll, currentSite, apiPaths } from './atlassian-client.mjs';
+import { markdownToAdf, markdownToWiki } from './markdown.mjs';
+import { adfToMarkdown } from './adf-render.mjs';
+import { currentJournal, noteChange } from './journal.mjs';
 
-const API_V3 = '/rest/api/3';
-const API_V2 = '/rest/api/2';
-const AGILE = '/rest/agile/1.0';
+// Cloud uses REST v3 (ADF bodies); Data Center only has v2 (wiki markup)
+const api = () => apiPaths().jira;
+const apiV2 = () => apiPaths().jiraV2;
+const agile = () => apiPaths().agile;
+const isDataCenter = () => apiPaths().deployment === 'datacenter';
+
+/**
+ * Wrap a plain string into an ADF document. With `markdown`, the string is
+ * parsed as Markdown instead; ADF objects are passed through unchanged.
+ *
+ * On Data Center the body is wiki markup instead: plain strings pass through,
+ * Markdown and ADF documents are converted.
+ */
+function toAdf(text, markdown = false) {
+  if (!apiPaths().adf) {
+    if (typeof text !== 'string') return markdownToWiki(adfToMarkdown(text));
+    return markdown ? markdownToWiki(text) : text;
+  }
+  if (typeof text !== 'string') return text;
+  if (markdown) return markdownToAdf(text);
+  return {
+    type: 'doc', version: 1,
+    content: [{ type: 'paragraph', content: [{ type: 'text', text }] }],
+  };
+}
 
 // ── Projects ───────────────────────────────────────────────────
 
@@ -20,49 +45,54 @@ export async function createProject(key, name, opts = {}) {
     key,
     name,
     projectTypeKey: opts.type || 'software',
-    leadAccountId: opts.leadAccountId,
+    ...(isDataCenter() ? { lead: opts.lead } : { leadAccountId: opts.leadAccountId }),
     description: opts.description || '',
     projectTemplateKey: opts.template || 'com.pyxis.greenhopper.jira:gh-simplified-scrum-classic',
   };
   try {
-    const result = await atlassianRequest('POST', `${API_V3}/project`, payload);
+    const result = await atlassianRequest('POST', `${api()}/project`, payload);
     console.log(`  Project created: ${result.key} (ID: ${result.id})`);
+    currentJournal()?.record(`project:${key}`, { type: 'project', id: result.id, key, name });
     return result;
   } catch (e) {
     if (e.statusCode === 409 || e.message.includes('already exists')) {
       console.log(`  Project ${key} already exists, fetching...`);
-      return atlassianRequest('GET', `${API_V3}/project/${key}`);
+      return atlassianRequest('GET', `${api()}/project/${key}`);
     }
     throw e;
   }
 }
 
 export async function getProject(key) {
-  return atlassianRequest('GET', `${API_V3}/project/${key}`);
+  return atlassianRequest('GET', `${api()}/project/${key}`);
 }
 
-export async function listProjects() {
-  const result = await atlassianRequest('GET', `${API_V3}/project/search?maxResults=100`);
-  return result.values || [];
+/**
+ * All projects visible to the user. Pass `{ max }` to cap the number returned.
+ */
+export async function listProjects(opts = {}) {
+  // Data Center has no paginated /project/search; /project returns them all
+  if (isDataCenter()) return paginateAll('GET', `${api()}/project`, null, opts);
+  return paginateAll('GET', `${api()}/project/search?maxResults=50`, null, opts);
 }
 
 export async function deleteProject(key) {
-  return atlassianRequest('DELETE', `${API_V3}/project/${key}`);
+  return atlassianRequest('DELETE', `${api()}/project/${key}`);
 }
 
 // ── Issues ─────────────────────────────────────────────────────
 
+/**
+ * Create an issue. `description` may be a string or an ADF document; pass
+ * `opts.markdown: true` to have a string parsed as Markdown.
+ */
 export async function createIssue(projectKey, issueType, summary, description, opts = {}) {
   const payload = {
     fields: {
       project: { key: projectKey },
       issuetype: { name: issueType },
       summary,
-      description: typeof description === 'string' ? {
-        type: 'doc',
-        version: 1,
-        content: [{ type: 'paragraph', content: [{ type: 'text', text: description }] }],
-      } : description,
+      description: toAdf(description, opts.markdown),
       ...opts.fields,
     },
   };
@@ -71,43 +101,168 @@ export async function createIssue(projectKey, issueType, summary, description, o
   if (opts.labels) payload.fields.labels = opts.labels;
   if (opts.components) payload.fields.components = opts.components.map(c => ({ name: c }));
   if (opts.parentKey) payload.fields.parent = { key: opts.parentKey };
-  if (opts.assigneeId) payload.fields.assignee = { accountId: opts.assigneeId };
+  if (opts.assigneeId) payload.fields.assignee = isDataCenter() ? { name: opts.assigneeId } : { accountId: opts.assigneeId };
   if (opts.storyPoints) payload.fields.story_points = opts.storyPoints;
 
-  const result = await atlassianRequest('POST', `${API_V3}/issue`, payload);
+  const result = await atlassianRequest('POST', `${api()}/issue`, payload);
   console.log(`  Issue created: ${result.key} — ${summary}`);
   return result;
 }
 
 export async function updateIssue(issueKey, fields) {
-  return atlassianRequest('PUT', `${API_V3}/issue/${issueKey}`, { fields });
+  const result = await atlassianRequest('PUT', `${api()}/issue/${issueKey}`, { fields });
+  noteEdit(issueKey);
+  return result;
+}
+
+/** Delete an issue; `subtasks: true` deletes its sub-tasks with it. */
+export async function deleteIssue(issueKey, opts = {}) {
+  return atlassianRequest('DELETE', `${api()}/issue/${issueKey}${opts.subtasks ? '?deleteSubtasks=true' : ''}`);
 }
 
-export async function getIssue(issueKey) {
-  return atlassianRequest('GET', `${API_V3}/issue/${issueKey}`);
+// Count the toolkit's own changes to journaled issues (see teardown.mjs)
+function noteEdit(issueKey) {
+  noteChange('issue', issueKey, entry => ({ edits: (entry.edits || 0) + 1 }));
 }
 
-export async function searchIssues(jql, maxResults = 50) {
-  const result = await atlassianRequest('POST', `${API_V3}/search`, {
+/**
+ * Get a single issue. `fields` accepts IDs or display names (see resolveFieldIds).
+ * @param {string} issueKey
+ * @param {{fields?: string[]|string, expand?: string[]|string, properties?: string[]}} opts
+ */
+export async function getIssue(issueKey, opts = {}) {
+  const query = new URLSearchParams();
+  if (opts.fields) query.set('fields', (await resolveFieldIds(opts.fields)).join(','));
+  if (opts.expand) query.set('expand', [].concat(opts.expand).join(','));
+  if (opts.properties) query.set('properties', [].concat(opts.properties).join(','));
+  const qs = query.toString();
+  return atlassianRequest('GET', `${api()}/issue/${issueKey}${qs ? `?${qs}` : ''}`);
+}
+
+export const DEFAULT_SEARCH_FIELDS = ['summary', 'status', 'priority', 'assignee', 'issuetype', 'labels', 'parent'];
+
+/**
+ * Iterate every issue matching a JQL query, fetching pages from the
+ * token-paginated enhanced search endpoint (offset-paginated /search on
+ * Data Center) as the loop consumes them:
+ *
+ *   for await (const issue of jira.iterateIssues('project = PROJ', { fields: ['Story Points'] })) { ... }
+ *
+ * @param {string} jql
+ * @param {object} opts
+ * @param {string[]|string} [opts.fields] - Field IDs or display names (default: summary, status, priority, assignee, issuetype, labels, parent)
+ * @param {string[]|string} [opts.expand] - e.g. ['changelog', 'renderedFields', 'names']
+ * @param {string[]} [opts.properties] - Issue property keys to include
+ * @param {number} [opts.max] - Stop after this many issues
+ * @param {number} [opts.pageSize] - Issues per request (default 100)
+ */
+export async function* iterateIssues(jql, opts = {}) {
+  const { max = Infinity, pageSize = 100 } = opts;
+  const payload = {
     jql,
-    maxResults,
-    fields: ['summary', 'status', 'priority', 'assignee', 'issuetype', 'labels', 'parent'],
+    maxResults: Math.min(pageSize, max),
+    fields: opts.fields ? await resolveFieldIds(opts.fields) : DEFAULT_SEARCH_FIELDS,
+  };
+  if (opts.properties) payload.properties = [].concat(opts.properties);
+  if (isDataCenter()) {
+    // Data Center has no enhanced search — offset-paginated /search instead
+    if (opts.expand) payload.expand = [].concat(opts.expand);
+    yield* paginate('POST', `${api()}/search`, { ...payload, startAt: 0 }, { max, itemsKey: 'issues' });
+    return;
+  }
+  if (opts.expand) payload.expand = [].concat(opts.expand).join(',');
+  yield* paginate('POST', `${api()}/search/jql`, payload, { max });
+}
+
+/**
+ * All issues matching a JQL query.
+ * @param {string} jql
+ * @param {number|object} opts - Hard cap on results, or iterateIssues() options
+ */
+export async function searchIssues(jql, opts = {}) {
+  if (typeof opts === 'number') opts = { max: opts };
+  const issues = [];
+  for await (const issue of iterateIssues(jql, opts)) issues.push(issue);
+  return issues;
+}
+
+// ── Fields ─────────────────────────────────────────────────────
+
+const _fields = new Map(); // domain → Promise<fields>
+
+/**
+ * All system and custom fields (cached per site for the life of the process).
+ */
+export async function listFields() {
+  const domain = currentSite().domain;
+  if (!_fields.has(domain)) {
+    _fields.set(domain, atlassianRequest('GET', `${api()}/field`).catch((e) => { _fields.delete(domain); throw e; }));
+  }
+  return _fields.get(domain);
+}
+
+/**
+ * Resolve field display names to IDs, e.g. ['Story Points', 'status'] →
+ * ['customfield_10016', 'status']. IDs, keys and the `*all` / `*navigable`
+ * specials pass through; `-name` excludes a field. Names are matched
+ * case-insensitively; unknown or ambiguous names throw.
+ *
+ * @param {string[]|string} names - Array or comma-separated list
+ * @returns {Promise<string[]>}
+ */
+export async function resolveFieldIds(names) {
+  const list = (typeof names === 'string' ? names.split(',') : names).map(n => n.trim()).filter(Boolean);
+  if (list.every(n => n.startsWith('*'))) return list;
+  const fields = await listFields();
+
+  return list.map((entry) => {
+    if (entry.startsWith('*')) return entry;
+    const exclude = entry.startsWith('-');
+    const name = exclude ? entry.slice(1) : entry;
+    const exact = fields.find(f => f.id === name || f.key === name);
+    let id = exact?.id;
+    if (!id) {
+      const matches = fields.filter(f => f.name?.toLowerCase() === name.toLowerCase());
+      if (!matches.length) throw new Error(`Unknown JIRA field "${name}"`);
+      if (matches.length > 1) {
+        throw new Error(`JIRA field name "${name}" is ambiguous (${matches.map(f => f.id).join(', ')}); use the field ID`);
+      }
+      id = matches[0].id;
+    }
+    return exclude ? `-${id}` : id;
   });
-  return result.issues || [];
 }
 
 export async function transitionIssue(issueKey, transitionId) {
-  return atlassianRequest('POST', `${API_V3}/issue/${issueKey}/transitions`, {
+  const result = await atlassianRequest('POST', `${api()}/issue/${issueKey}/transitions`, {
     transition: { id: transitionId },
   });
+  noteEdit(issueKey);
+  return result;
 }
 
-export async function addComment(issueKey, body) {
-  const content = typeof body === 'string' ? {
-    type: 'doc', version: 1,
-    content: [{ type: 'paragraph', content: [{ type: 'text', text: body }] }],
-  } : body;
-  return atlassianRequest('POST', `${API_V3}/issue/${issueKey}/comment`, { body: content });
+/**
+ * Add a comment. `body` may be a string or an ADF document; pass
+ * `opts.markdown: true` to have a string parsed as Markdown.
+ */
+export async function addComment(issueKey, body, opts = {}) {
+  const result = await atlassianRequest('POST', `${api()}/issue/${issueKey}/comment`, { body: toAdf(body, opts.markdown) });
+  noteEdit(issueKey);
+  return result;
+}
+
+/**
+ * List comments on an issue, newest first by default.
+ *
+ * @param {string} issueKey
+ * @param {{maxResults?: number, orderBy?: string}} opts - orderBy: 'created' or '-created'
+ * @returns {Promise<{comments: Array<object>, total: number}>}
+ */
+export async function listComments(issueKey, opts = {}) {
+  const { maxResults = 50, orderBy = '-created' } = opts;
+  const result = await atlassianRequest('GET',
+    `${api()}/issue/${issueKey}/comment?orderBy=${encodeURIComponent(orderBy)}&maxResults=${maxResults}`);
+  return { comments: result.comments || [], total: result.total ?? 0 };
 }
 
 // ── Bulk Issue Creation ────────────────────────────────────────
@@ -116,108 +271,170 @@ export async function addComment(issueKey, body) {
  * Create issues from a structured config.
  * Supports epics, stories, sub-tasks, and parent-child relationships.
  *
+ * Top-level issues are created in order, so their keys follow the config;
+ * each issue's children are created in parallel once it exists (the request
+ * scheduler bounds how many requests are in flight).
+ *
+ * Inside a run journal (see journal.mjs) every created issue is recorded;
+ * issues the journal already has are not created again but are returned
+ * (with `resumed: true`) and their children attach to them.
+ *
  * @param {string} projectKey
- * @param {Array<{type: string, summary: string, description: string, children?: Array, ...}>} issues
- * @param {number} delayMs - Delay between creations
+ * @param {Array<{type: string, summary: string, description: string, markdown?: boolean, children?: Array, ...}>} issues
+ * @param {number|{delayMs?: number, markdown?: boolean, journal?: object}} delayMs - Extra pause after each top-level issue
+ *   (default 0 — rate limits are handled by the request scheduler), or an options object.
+ *   markdown: parse string descriptions as Markdown (per-issue `markdown` overrides)
+ * @returns {Promise<Array<object>>} Created issues, each parent followed by its children
  */
-export async function createIssueTree(projectKey, issues, delayMs = 200) {
-  const created = [];
-  for (const issue of issues) {
+export async function createIssueTree(projectKey, issues, delayMs = 0, opts = {}) {
+  if (typeof delayMs === 'object') { opts = delayMs; delayMs = opts.delayMs ?? 0; }
+  const journal = opts.journal ?? currentJournal();
+  const branches = [];
+  for (const [issue, node] of withNodeKeys(issues, `issue:${projectKey}:`)) {
+    let result;
     try {
-      const result = await createIssue(projectKey, issue.type || 'Story', issue.summary, issue.description || '', {
-        priority: issue.priority,
-        labels: issue.labels,
-        components: issue.components,
-        fields: issue.fields,
+      result = await createTreeIssue(projectKey, issue, node, journal, {
+        type: issue.type || 'Story',
+        markdown: issue.markdown ?? opts.markdown,
       });
-      created.push(result);
-
-      if (delayMs > 0) await new Promise(r => setTimeout(r, delayMs));
-
-      // Create child issues (sub-tasks or stories under an epic)
-      if (issue.children?.length) {
-        for (const child of issue.children) {
-          try {
-            const childResult = await createIssue(projectKey, child.type || 'Sub-task', child.summary, child.description || '', {
-              parentKey: result.key,
-              priority: child.priority,
-              labels: child.labels,
-              components: child.components,
-              fields: child.fields,
-            });
-            created.push(childResult);
-            if (delayMs > 0) await new Promise(r => setTimeout(r, delayMs));
-          } catch (e) {
-            console.log(`    Error creating child "${child.summary}": ${e.message}`);
-          }
-        }
-      }
     } catch (e) {
       console.log(`  Error creating "${issue.summary}": ${e.message}`);
+      continue;
     }
+    if (delayMs > 0 && !result.resumed) await new Promise(r => setTimeout(r, delayMs));
+
+    // Create child issues (sub-tasks or stories under an epic)
+    const children = withNodeKeys(issue.children || [], `${node}/`).map(([child, childNode]) =>
+      createTreeIssue(projectKey, child, childNode, journal, {
+        type: child.type || 'Sub-task',
+        markdown: child.markdown ?? issue.markdown ?? opts.markdown,
+        parentKey: result.key,
+      }).catch((e) => {
+        console.log(`    Error creating child "${child.summary}": ${e.message}`);
+        return null;
+      }));
+    branches.push(Promise.all(children).then(created => [result, ...created.filter(Boolean)]));
   }
-  return created;
+  return (await Promise.all(branches)).flat();
+}
+
+async function createTreeIssue(projectKey, issue, node, journal, { type, markdown, parentKey }) {
+  const done = journal?.get(node);
+  if (done) return { id: done.id, key: done.key, resumed: true };
+  const result = await createIssue(projectKey, type, issue.summary, issue.description || '', {
+    markdown,
+    parentKey,
+    priority: issue.priority,
+    labels: issue.labels,
+    components: issue.components,
+    fields: issue.fields,
+  });
+  journal?.record(node, { type: 'issue', id: result.id, key: result.key, summary: issue.summary });
+  return result;
+}
+
+// Journal node keys: summaries, numbered when siblings share one
+function withNodeKeys(issues, prefix) {
+  const seen = {};
+  return issues.map(issue => {
+    const n = seen[issue.summary] = (seen[issue.summary] || 0) + 1;
+    return [issue, `${prefix}${issue.summary}${n > 1 ? `#${n}` : ''}`];
+  });
 }
 
 // ── Boards & Sprints ───────────────────────────────────────────
 
 export async function listBoards(projectKey) {
-  const result = await atlassianRequest('GET', `${AGILE}/board?projectKeyOrId=${projectKey}`);
-  return result.values || [];
+  return paginateAll('GET', `${agile()}/board?projectKeyOrId=${projectKey}`);
 }
 
 export async function createSprint(boardId, name, opts = {}) {
+  const journal = opts.journal ?? currentJournal();
+  const node = `sprint:${boardId}:${name}`;
+  const done = journal?.get(node);
+  if (done) {
+    console.log(`  Sprint already created: ${name} (ID: ${done.id})`);
+    return { id: done.id, name, resumed: true };
+  }
+
   const payload = { name, originBoardId: boardId };
   if (opts.startDate) payload.startDate = opts.startDate;
   if (opts.endDate) payload.endDate = opts.endDate;
   if (opts.goal) payload.goal = opts.goal;
 
-  const result = await atlassianRequest('POST', `${AGILE}/sprint`, payload);
+  const result = await atlassianRequest('POST', `${agile()}/sprint`, payload);
+  journal?.record(node, { type: 'sprint', id: result.id, name });
   console.log(`  Sprint created: ${result.name} (ID: ${result.id})`);
   return result;
 }
 
 export async function moveToSprint(sprintId, issueKeys) {
-  return atlassianRequest('POST', `${AGILE}/sprint/${sprintId}/issue`, {
+  const result = await atlassianRequest('POST', `${agile()}/sprint/${sprintId}/issue`, {
     issues: issueKeys,
   });
+  issueKeys.forEach(noteEdit);
+  return result;
+}
+
+export async function getSprint(sprintId) {
+  return atlassianRequest('GET', `${agile()}/sprint/${sprintId}`);
+}
+
+export async function deleteSprint(sprintId) {
+  return atlassianRequest('DELETE', `${agile()}/sprint/${sprintId}`);
 }
 
 export async function listSprints(boardId) {
-  const result = await atlassianRequest('GET', `${AGILE}/board/${boardId}/sprint?state=active,future`);
-  return result.values || [];
+  return paginateAll('GET', `${agile()}/board/${boardId}/sprint?state=active,future`);
 }
 
 // ── Components ─────────────────────────────────────────────────
 
 export async function createComponent(projectKey, name, description = '') {
-  const result = await atlassianRequest('POST', `${API_V3}/component`, {
+  const journal = currentJournal();
+  const node = `component:${projectKey}:${name}`;
+  const done = journal?.get(node);
+  if (done) {
+    console.log(`  Component already created: ${name}`);
+    return { id: done.id, name, resumed: true };
+  }
+
+  const result = await atlassianRequest('POST', `${api()}/component`, {
     project: projectKey, name, description,
   });
+  journal?.record(node, { type: 'component', id: result.id, name, project: projectKey });
   console.log(`  Component created: ${result.name}`);
   return result;
 }
 
+export async function getComponent(componentId) {
+  return atlassianRequest('GET', `${api()}/component/${componentId}`);
+}
+
+export async function deleteComponent(componentId) {
+  return atlassianRequest('DELETE', `${api()}/component/${componentId}`);
+}
+
 export async function listComponents(projectKey) {
-  return atlassianRequest('GET', `${API_V3}/project/${projectKey}/components`);
+  return atlassianRequest('GET', `${api()}/project/${projectKey}/components`);
 }
 
 // ── Labels ─────────────────────────────────────────────────────
 
 export async function getLabels() {
-  const result = await atlassianRequest('GET', `${API_V2}/label?maxResults=1000`);
-  return result.values || [];
+  return paginateAll('GET', `${apiV2()}/label?maxResults=1000`);
 }
 
 // ── Users ──────────────────────────────────────────────────────
 
 export async function searchUsers(query) {
-  const result = await atlassianRequest('GET', `${API_V3}/user/search?query=${encodeURIComponent(query)}`);
+  const param = isDataCenter() ? 'username' : 'query';
+  const result = await atlassianRequest('GET', `${api()}/user/search?${param}=${encodeURIComponent(query)}`);
   return result;
 }
 
 export async function getMyself() {
-  return atlassianRequest('GET', `${API_V3}/myself`);
+  return atlassianRequest('GET', `${api()}/myself`);
 }
 
 // ── Convenience exports ────────────────────────────────────────
@@ -231,14 +448,23 @@ export const jira = {
   updateIssue,
   getIssue,
   searchIssues,
+  iterateIssues,
+  listFields,
+  resolveFieldIds,
   transitionIssue,
   addComment,
+  listComments,
   createIssueTree,
+  deleteIssue,
   listBoards,
   createSprint,
+  getSprint,
   moveToSprint,
+  deleteSprint,
   listSprints,
   createComponent,
+  getComponent,
+  deleteComponent,
   listComponents,
   getLabels,
   searchUsers,
@@ -0,0 +1,101 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockSite } from './mock-server.mjs';
+import { jira } from './jira.mjs';
+
+let site;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite({ pageSize: 3 });
+});
+after(() => site.stop());
+beforeEach(async () => {
+  site.reset();
+  await jira.createProject('ACME', 'Acme');
+});
+
+const EPICS = [
+  {
+    type: 'Epic', summary: 'Auth', description: '## Goal\n- **SSO** login', markdown: true, labels: ['auth'],
+    children: [
+      { type: 'Story', summary: 'Login page' },
+      { type: 'Story', summary: 'Logout' },
+    ],
+  },
+  { type: 'Bug', summary: 'Crash on save', priority: 'High' },
+];
+
+test('createIssueTree creates parents and children', async () => {
+  const created = await jira.createIssueTree('ACME', EPICS, 0);
+
+  assert.deepEqual(created.map(i => i.key), ['ACME-1', 'ACME-2', 'ACME-3', 'ACME-4']);
+  const epic = site.state.issues.get('ACME-1');
+  assert.equal(epic.fields.description.content[0].type, 'heading');
+  assert.deepEqual(epic.fields.labels, ['auth']);
+  assert.equal(site.state.issues.get('ACME-2').parentKey, 'ACME-1');
+  assert.equal(site.state.issues.get('ACME-4').fields.priority.name, 'High');
+});
+
+test('createIssueTree logs failures and carries on', async () => {
+  const issues = [
+    { type: 'Story', summary: 'Parent', children: [{ type: 'Nonsense', summary: 'Bad child' }, { type: 'Sub-task', summary: 'Good child' }] },
+    { type: 'Task', summary: '' },
+    { type: 'Task', summary: 'Last' },
+  ];
+  const created = await jira.createIssueTree('ACME', issues, { delayMs: 0 });
+
+  // Children are created in parallel, so only the parent's key is fixed
+  assert.equal(created[0].key, 'ACME-1');
+  assert.deepEqual(created.map(i => i.key).sort(), ['ACME-1', 'ACME-2', 'ACME-3']);
+  const logged = console.log.mock.calls.map(c => c.arguments.join(' ')).join('\n');
+  assert.match(logged, /Error creating child "Bad child": HTTP 400/);
+  assert.match(logged, /Error creating "": HTTP 400/);
+});
+
+test('searchIssues pages through all results and resolves field names', async () => {
+  for (let i = 1; i <= 7; i++) await jira.createIssue('ACME', 'Task', `Task ${i}`, '', { fields: { customfield_10016: i } });
+
+  const all = await jira.searchIssues('project = ACME ORDER BY created DESC', { fields: ['summary', 'Story point estimate'] });
+  assert.equal(all.length, 7);
+  assert.equal(all[0].fields.summary, 'Task 7');
+  assert.equal(all[0].fields.customfield_10016, 7);
+
+  assert.equal((await jira.searchIssues('project = ACME', 4)).length, 4);
+  await assert.rejects(jira.resolveFieldIds(['No Such Field']), /Unknown JIRA field/);
+});
+
+test('transitions and comments', async () => {
+  const { key } = await jira.createIssue('ACME', 'Story', 'Work', 'Plain text');
+  await jira.transitionIssue(key, '31');
+  await jira.addComment(key, 'First');
+  await jira.addComment(key, '**Second**', { markdown: true });
+
+  const issue = await jira.getIssue(key, { expand: 'changelog' });
+  assert.equal(issue.fields.status.name, 'Done');
+  assert.equal(issue.changelog.histories[0].items[0].toString, 'Done');
+
+  const { comments, total } = await jira.listComments(key, { maxResults: 1 });
+  assert.equal(total, 2);
+  assert.equal(comments[0].body.content[0].content[0].marks[0].type, 'strong');
+  await assert.rejects(jira.transitionIssue(key, '99'), (e) => e.statusCode === 400);
+});
+
+test('boards, sprints and components', async () => {
+  const [board] = await jira.listBoards('ACME');
+  const sprint = await jira.createSprint(board.id, 'Sprint 1', { goal: 'Ship' });
+  const { key } = await jira.createIssue('ACME', 'Task', 'Planned', '');
+  await jira.moveToSprint(sprint.id, [key]);
+  await jira.createComponent('ACME', 'API');
+
+  assert.deepEqual((await jira.listSprints(board.id)).map(s => s.name), ['Sprint 1']);
+  assert.deepEqual((await jira.listComponents('ACME')).map(c => c.name), ['API']);
+  const [planned] = await jira.searchIssues('sprint = "Sprint 1"', { fields: ['Sprint'] });
+  assert.equal(planned.key, key);
+});
+
+test('createProject returns the existing project on a duplicate key', async () => {
+  const again = await jira.createProject('ACME', 'Acme');
+  assert.equal(again.key, 'ACME');
+  assert.equal(site.state.projects.size, 1);
+});
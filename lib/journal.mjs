@@ -0,0 +1,195 @@
+/**
+ * Run journal — remember what a setup run created, so it can be resumed
+ *
+ * A journal is a JSON file under .atl/runs/ (ATL_RUNS_DIR) mapping each node
+ * of a bulk setup — a page in buildPageTree(), an issue in createIssueTree(),
+ * a sprint — to the ID or key it was created as. It is written after every
+ * node, so when a run dies halfway, resuming it skips the nodes already made
+ * and attaches their children to the existing parents.
+ *
+ * Usage:
+ *   import { startRun, withJournal } from './journal.mjs';
+ *   const journal = startRun({ command: 'jira setup', target: configPath, resume: true });
+ *   await withJournal(journal, () => setup());   // buildPageTree/createIssueTree record here
+ *   journal.finish('completed');
+ *
+ *   listRuns();          // newest first
+ *   getRun('20261019');  // by ID or unique prefix
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { loadConfig } from './config.mjs';
+import { currentSite } from './atlassian-client.mjs';
+import { isDryRun } from './dry-run.mjs';
+
+const journalStorage = new AsyncLocalStorage();
+
+/** Run `fn` with bulk operations inside it recording to `journal`. */
+export function withJournal(journal, fn) {
+  return journalStorage.run(journal, fn);
+}
+
+/** The journal bulk operations record to, if any. */
+export function currentJournal() {
+  return journalStorage.getStore() || null;
+}
+
+/**
+ * Note a change the toolkit itself made to a node of the current run, so
+ * teardown can tell it apart from a human edit.
+ *
+ * @param {string} type - 'page' | 'issue' | ...
+ * @param {string|number} id - Page ID or issue key
+ * @param {(entry: object) => object} update - Fields to merge into the entry
+ */
+export function noteChange(type, id, update) {
+  const found = currentJournal()?.find(type, id);
+  if (found) currentJournal().record(found[0], { ...found[1], ...update(found[1]) });
+}
+
+function runsDir() {
+  return path.resolve(process.cwd(), loadConfig().runsDir);
+}
+
+/**
+ * Start a run, or resume an unfinished one.
+ *
+ * @param {object} opts
+ * @param {string} opts.command - What is being run, e.g. 'jira setup'
+ * @param {string} [opts.target] - The config file / directory it runs on
+ * @param {boolean|string} [opts.resume] - true: the latest unfinished run of the
+ *   same command, target and site; a string: that run ID
+ * @returns {Journal}
+ */
+export function startRun(opts) {
+  const site = currentSite().domain;
+  const target = opts.target || '';
+  let data = null;
+
+  if (typeof opts.resume === 'string') {
+    data = getRun(opts.resume);
+    if (!data) throw new Error(`No run "${opts.resume}" in ${runsDir()}`);
+  } else if (opts.resume) {
+    data = listRuns().find(r => r.status !== 'completed' && r.command === opts.command && r.target === target && r.site === site) || null;
+    if (!data) console.log('No unfinished run to resume — starting a new one.');
+  }
+
+  if (data) {
+    console.log(`Resuming run ${data.id} (${Object.keys(data.nodes).length} nodes already done)`);
+    data.status = 'running';
+    data.resumedAt = [...(data.resumedAt || []), new Date().toISOString()];
+  } else {
+    const now = new Date();
+    data = {
+      id: `${now.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}-${crypto.randomBytes(2).toString('hex')}`,
+      command: opts.command,
+      target,
+      site,
+      profile: currentSite().name,
+      status: 'running',
+      startedAt: now.toISOString(),
+      nodes: {},
+    };
+  }
+  return createJournal(data);
+}
+
+/** A recorded run as a Journal, e.g. to update it during teardown. */
+export function openRun(id) {
+  const data = getRun(id);
+  if (!data) throw new Error(`No run "${id}" in ${runsDir()}`);
+  return createJournal(data);
+}
+
+/**
+ * @typedef {object} Journal
+ * @property {string} id
+ * @property {string|null} file - null in dry-run mode (nothing is written)
+ * @property {object} data
+ * @property {(node: string) => object|undefined} get
+ * @property {(node: string, entry: object) => void} record
+ * @property {(node: string) => void} forget
+ * @property {(type: string, id: string|number) => [string, object]|undefined} find - Node by page ID / issue key
+ * @property {(status: string) => void} finish
+ */
+function createJournal(data) {
+  const file = isDryRun() ? null : path.join(runsDir(), `${data.id}.json`);
+  const save = () => {
+    if (!file) return;
+    data.updatedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write-then-rename, so an interrupted write never leaves a truncated journal
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+  save();
+
+  return {
+    id: data.id,
+    file,
+    data,
+    get: (node) => data.nodes[node],
+    record(node, entry) {
+      data.nodes[node] = { ...entry, at: new Date().toISOString() };
+      save();
+    },
+    forget(node) {
+      delete data.nodes[node];
+      save();
+    },
+    find: (type, id) => Object.entries(data.nodes).find(([, e]) => e.type === type && (String(e.id) === String(id) || e.key === id)),
+    finish(status = 'completed') {
+      data.status = status;
+      data.finishedAt = new Date().toISOString();
+      save();
+    },
+  };
+}
+
+/** Summaries of every journaled run, newest first. */
+export function listRuns() {
+  const dir = runsDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8')))
+    .sort((a, b) => (a.startedAt < b.startedAt ? 1 : a.startedAt > b.startedAt ? -1 : 0));
+}
+
+/** A run by ID or unique ID prefix, or null. */
+export function getRun(id) {
+  const matches = listRuns().filter(r => r.id.startsWith(id));
+  if (matches.length > 1 && !matches.some(r => r.id === id)) {
+    throw new Error(`Run ID "${id}" is ambiguous: ${matches.map(r => r.id).join(', ')}`);
+  }
+  return matches.find(r => r.id === id) || matches[0] || null;
+}
+
+/** One line per run, for `atl runs list`. */
+export function formatRuns(runs) {
+  if (!runs.length) return 'No runs recorded.';
+  return runs.map(r => {
+    const nodes = Object.keys(r.nodes).length;
+    return `${r.id}  ${r.status.padEnd(11)}  ${r.startedAt.slice(0, 16).replace('T', ' ')}  ${`${r.command} ${r.target}`.trim()}  (${nodes} node${nodes === 1 ? '' : 's'}, ${r.site})`;
+  }).join('\n');
+}
+
+/** Everything a run produced, for `atl runs show`. */
+export function formatRun(run) {
+  const lines = [
+    `Run ${run.id} — ${run.status}`,
+    `  Command:  ${`${run.command} ${run.target}`.trim()}`,
+    `  Site:     ${run.site} (profile ${run.profile})`,
+    `  Started:  ${run.startedAt}`,
+  ];
+  if (run.resumedAt?.length) lines.push(`  Resumed:  ${run.resumedAt.join(', ')}`);
+  if (run.finishedAt) lines.push(`  Finished: ${run.finishedAt}`);
+  const nodes = Object.entries(run.nodes);
+  lines.push('', `Created (${nodes.length}):`);
+  for (const [node, entry] of nodes) {
+    lines.push(`  ${entry.type.padEnd(6)} ${entry.key || entry.id}  ${node.slice(node.indexOf(':') + 1)}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,99 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import { jira } from './jira.mjs';
+import { resetConfig } from './config.mjs';
+import { startRun, withJournal, listRuns, getRun, formatRun, formatRuns } from './journal.mjs';
+
+let site;
+let runsDir;
+let homepageId;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(async () => {
+  await site.stop();
+  delete process.env.ATL_RUNS_DIR;
+  resetConfig();
+});
+beforeEach(async (t) => {
+  site.reset();
+  runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-runs-'));
+  t.after(() => fs.rmSync(runsDir, { recursive: true, force: true }));
+  process.env.ATL_RUNS_DIR = runsDir;
+  resetConfig();
+  homepageId = (await confluence.createSpace('ENG', 'Engineering', '')).homepage.id;
+  await jira.createProject('ACME', 'Acme');
+});
+
+const TREE = [
+  { title: 'Guides', body: '<p>Guides</p>', children: [{ title: 'Setup', body: '<p>Install</p>' }] },
+  { title: 'FAQ', body: '<p>Questions</p>' },
+];
+
+test('a resumed page tree skips journaled pages and attaches children to them', async () => {
+  // "Guides" fails (and so its child is skipped); "FAQ" is written
+  site.failNext(1, { method: 'POST', path: /\/content$/, status: 400, body: { message: 'Boom' } });
+  const first = startRun({ command: 'confluence setup', target: 'docs.mjs' });
+  const writes = () => site.requests.filter(r => r.method === 'POST' && /\/content$/.test(r.path)).length;
+  const report1 = await withJournal(first, () => confluence.buildPageTree('ENG', homepageId, TREE));
+  first.finish('failed');
+  assert.equal(report1.failed.length, 2, 'first page failed with its subtree');
+  assert.deepEqual(Object.keys(getRun(first.id).nodes), ['page:ENG:FAQ']);
+
+  const before = writes();
+  const resumed = startRun({ command: 'confluence setup', target: 'docs.mjs', resume: true });
+  assert.equal(resumed.id, first.id);
+  const report2 = await withJournal(resumed, () => confluence.buildPageTree('ENG', homepageId, TREE));
+  resumed.finish('completed');
+
+  assert.deepEqual(report2.resumed.map(p => p.title), ['FAQ']);
+  assert.deepEqual(report2.created.map(p => p.title), ['Guides', 'Setup']);
+  assert.equal(writes() - before, 2);
+  assert.equal(report2.created[1].parentId, report2.created[0].id);
+  assert.equal(getRun(first.id).status, 'completed');
+  assert.equal(Object.keys(getRun(first.id).nodes).length, 3);
+});
+
+test('a resumed issue tree returns journaled issues without recreating them', async () => {
+  const tree = [
+    { type: 'Epic', summary: 'Login', children: [{ type: 'Story', summary: 'Form' }, { type: 'Story', summary: 'Form' }] },
+    { type: 'Epic', summary: 'Billing' },
+  ];
+  const journal = startRun({ command: 'jira setup', target: 'acme.mjs' });
+  const first = await jira.createIssueTree('ACME', tree.slice(0, 1), { journal });
+  assert.deepEqual(Object.keys(journal.data.nodes), ['issue:ACME:Login', 'issue:ACME:Login/Form', 'issue:ACME:Login/Form#2']);
+
+  const again = await withJournal(journal, () => jira.createIssueTree('ACME', tree));
+  assert.deepEqual(again.slice(0, 3).map(i => i.key), first.map(i => i.key));
+  assert.ok(again.slice(0, 3).every(i => i.resumed));
+  assert.equal(again[3].resumed, undefined);
+  assert.equal(site.state.issues.size, 4);
+
+  const [board] = await jira.listBoards('ACME');
+  const sprint = await withJournal(journal, () => jira.createSprint(board.id, 'Sprint 1'));
+  assert.deepEqual(await withJournal(journal, () => jira.createSprint(board.id, 'Sprint 1')), { id: sprint.id, name: 'Sprint 1', resumed: true });
+});
+
+test('runs can be listed, found by prefix and shown', async () => {
+  const journal = startRun({ command: 'jira setup', target: 'acme.mjs' });
+  await jira.createIssueTree('ACME', [{ type: 'Epic', summary: 'Login' }], { journal });
+  journal.finish('interrupted');
+
+  assert.deepEqual(listRuns().map(r => r.id), [journal.id]);
+  assert.equal(getRun(journal.id.slice(0, 12)).id, journal.id);
+  assert.equal(getRun('nope'), null);
+  assert.match(formatRuns(listRuns()), new RegExp(`^${journal.id}  interrupted .* jira setup acme\\.mjs  \\(1 node,`));
+  assert.match(formatRun(getRun(journal.id)), /Created \(1\):\n {2}issue {2}ACME-1 {2}ACME:Login/);
+  assert.deepEqual(fs.readdirSync(runsDir), [`${journal.id}.json`]);
+
+  assert.throws(() => startRun({ command: 'jira setup', resume: 'nope' }), /No run "nope"/);
+  const fresh = startRun({ command: 'jira setup', target: 'other.mjs', resume: true });
+  assert.notEqual(fresh.id, journal.id, 'only a run of the same target is resumed');
+});
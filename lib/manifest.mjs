@@ -0,0 +1,310 @@
+/**
+ * Declarative Confluence manifests — describe spaces and page trees in a file,
+ * diff them against the live site (plan) and converge the site (apply).
+ *
+ * Manifest shape (.json, .yaml/.yml, or an .mjs default-exporting the object):
+ *   {
+ *     spaces: [{
+ *       key: 'ENG', name: 'Engineering', description: 'Engineering docs',
+ *       homepage: { body: '<p>...</p>', labels: ['hub'] },      // optional
+ *       pages: [
+ *         { title: 'Architecture', body: '<p>...</p>', labels: ['architecture'],
+ *           attachments: ['./diagrams/overview.png'],
+ *           children: [{ title: 'Data Model', bodyFile: './data-model.html' }] },
+ *       ],
+ *     }],
+ *   }
+ *
+ * Usage:
+ *   import { loadManifest, planManifest, applyManifest, formatPlan } from './manifest.mjs';
+ *   const manifest = await loadManifest('docs/confluence.json');
+ *   console.log(formatPlan(await planManifest(manifest)));
+ *   await applyManifest(manifest, { prune: true });
+ */
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import {
+  createSpace, createPage, updatePageById, getPageById, getSpace, deletePage,
+  listPages, listAttachments, uploadPageAttachment, addLabels, removeLabels, comparePage,
+} from './confluence.mjs';
+
+// ── Loading ────────────────────────────────────────────────────
+
+/**
+ * Load a manifest file. `bodyFile` and `attachments` paths are resolved
+ * relative to the manifest's own directory.
+ */
+export async function loadManifest(file) {
+  const filepath = path.resolve(process.cwd(), file);
+  const ext = path.extname(filepath).toLowerCase();
+  let manifest;
+
+  if (ext === '.json') {
+    manifest = JSON.parse(fs.readFileSync(filepath, 'utf-8'));
+  } else if (ext === '.yaml' || ext === '.yml') {
+    // Dynamic import so yaml is only needed when YAML manifests are used
+    const YAML = await import('yaml');
+    manifest = YAML.parse(fs.readFileSync(filepath, 'utf-8'));
+  } else {
+    const mod = await import(pathToFileURL(filepath).href);
+    manifest = mod.default ?? mod.manifest;
+    if (typeof manifest === 'function') manifest = await manifest();
+  }
+
+  return resolveManifest(manifest, path.dirname(filepath));
+}
+
+/**
+ * Validate a manifest object and inline any `bodyFile` references.
+ */
+export function resolveManifest(manifest, baseDir = process.cwd()) {
+  if (!manifest || !Array.isArray(manifest.spaces)) {
+    throw new Error('Manifest must define a "spaces" array.');
+  }
+
+  const resolvePage = (page, seen, spaceKey) => {
+    if (!page.title) throw new Error(`Page in space ${spaceKey} is missing a title.`);
+    if (seen.has(page.title)) throw new Error(`Duplicate page title "${page.title}" in space ${spaceKey}.`);
+    seen.add(page.title);
+    const resolved = { ...page };
+    if (page.bodyFile) {
+      resolved.body = fs.readFileSync(path.resolve(baseDir, page.bodyFile), 'utf-8');
+      delete resolved.bodyFile;
+    }
+    if (page.attachments) {
+      resolved.attachments = page.attachments.map(a => path.resolve(baseDir, a));
+    }
+    resolved.children = (page.children || []).map(c => resolvePage(c, seen, spaceKey));
+    return resolved;
+  };
+
+  return {
+    ...manifest,
+    spaces: manifest.spaces.map(space => {
+      if (!space.key) throw new Error('Every manifest space needs a "key".');
+      const seen = new Set();
+      return {
+        ...space,
+        homepage: space.homepage ? resolvePage({ title: space.name || space.key, ...space.homepage }, new Set(), space.key) : null,
+        pages: (space.pages || []).map(p => resolvePage(p, seen, space.key)),
+      };
+    }),
+  };
+}
+
+// ── Plan ───────────────────────────────────────────────────────
+
+/**
+ * Diff a manifest against the live Confluence site.
+ *
+ * Returns `{ actions, prune }` where each action is one of:
+ *   create-space, create, update, delete, unchanged
+ * Update actions list what differs in `changes` (body, labels, parent, attachments).
+ *
+ * @param {object} manifest - Result of loadManifest()/resolveManifest()
+ * @param {{prune?: boolean}} opts - prune: delete live pages missing from the manifest
+ */
+export async function planManifest(manifest, opts = {}) {
+  const actions = [];
+
+  for (const space of manifest.spaces) {
+    const live = await getSpace(space.key);
+
+    if (!live) {
+      actions.push({ type: 'create-space', space: space.key, title: space.name || space.key, spec: space });
+      if (space.homepage) {
+        const changes = ['body', ...(space.homepage.labels?.length ? ['labels'] : [])];
+        actions.push({ type: 'update', space: space.key, title: space.homepage.title, homepage: true, changes, node: space.homepage });
+      }
+      walkNew(actions, space.key, space.pages, null);
+      continue;
+    }
+
+    const homepageId = live.homepage?.id || null;
+    const pages = await listPages(space.key);
+    const byTitle = new Map(pages.map(p => [p.title, p]));
+    const seen = new Set(homepageId ? [homepageId] : []);
+
+    if (space.homepage && homepageId) {
+      const home = { ...space.homepage, title: live.homepage.title };
+      actions.push(await diffPage(space.key, home, live.homepage, null, null, true));
+    }
+
+    const walk = async (nodes, parentTitle, parentId) => {
+      for (const node of nodes) {
+        const existing = byTitle.get(node.title);
+        if (!existing) {
+          actions.push(createAction(space.key, node, parentTitle, parentId));
+          walkNew(actions, space.key, node.children, node.title);
+          continue;
+        }
+        seen.add(existing.id);
+        actions.push(await diffPage(space.key, node, existing, parentTitle, parentId));
+        await walk(node.children, node.title, existing.id);
+      }
+    };
+    await walk(space.pages, null, homepageId);
+
+    if (opts.prune) {
+      // Leaf-first so children are gone before their parents
+      const orphans = pages
+        .filter(p => !seen.has(p.id))
+        .sort((a, b) => (b.ancestors?.length || 0) - (a.ancestors?.length || 0));
+      for (const p of orphans) {
+        actions.push({ type: 'delete', space: space.key, title: p.title, id: p.id });
+      }
+    }
+  }
+
+  return { actions, prune: !!opts.prune };
+}
+
+function createAction(spaceKey, node, parentTitle, parentId) {
+  return { type: 'create', space: spaceKey, title: node.title, parentTitle, parentId, node };
+}
+
+function walkNew(actions, spaceKey, nodes, parentTitle) {
+  for (const node of nodes) {
+    actions.push(createAction(spaceKey, node, parentTitle, null));
+    walkNew(actions, spaceKey, node.children, node.title);
+  }
+}
+
+async function diffPage(spaceKey, node, existing, parentTitle, parentId, homepage = false) {
+  const current = await getPageById(existing.id, 'version,body.storage,metadata.labels,ancestors');
+  const changes = [];
+  const action = { space: spaceKey, title: node.title, id: existing.id, parentTitle, parentId, node };
+  if (homepage) action.homepage = true;
+
+  const diff = comparePage(current, { body: node.body, labels: node.labels, parentId: homepage ? undefined : parentId }, { exactLabels: true });
+  changes.push(...diff.changes);
+  if (node.labels) action.labels = diff.labels;
+  // Parent page is itself about to be created, so this page has to move under it
+  if (!homepage && !parentId && parentTitle) changes.push('parent');
+
+  if (node.attachments?.length) {
+    // Listed rather than expanded: the children.attachment expansion stops at the first page of results
+    const liveFiles = new Set((await listAttachments(existing.id)).map(a => a.title));
+    action.attachments = node.attachments.filter(a => !liveFiles.has(path.basename(a)));
+    if (action.attachments.length) changes.push('attachments');
+  }
+
+  action.type = changes.length ? 'update' : 'unchanged';
+  action.changes = changes;
+  return action;
+}
+
+// ── Apply ──────────────────────────────────────────────────────
+
+/**
+ * Converge the live site to the manifest. Runs planManifest() first unless a
+ * plan is passed in `opts.plan`. Failed actions are recorded and skipped;
+ * children of a page that could not be created fail with it.
+ *
+ * @returns {Promise<Array<object>>} Actions with `status` ('done' | 'failed' | 'skipped') and `error`
+ */
+export async function applyManifest(manifest, opts = {}) {
+  const plan = opts.plan || await planManifest(manifest, opts);
+  const ids = new Map();
+  const idKey = (space, title) => `${space}:${title ?? ''}`;
+  const results = [];
+
+  for (const action of plan.actions) {
+    if (action.id) ids.set(idKey(action.space, action.homepage ? null : action.title), action.id);
+  }
+
+  for (const action of plan.actions) {
+    if (action.type === 'unchanged') {
+      results.push({ ...action, status: 'skipped' });
+      continue;
+    }
+    try {
+      switch (action.type) {
+        case 'create-space': {
+          const created = await createSpace(action.space, action.spec.name || action.space, action.spec.description || '');
+          if (created.homepage?.id) ids.set(idKey(action.space, null), created.homepage.id);
+          break;
+        }
+        case 'create': {
+          const parentId = action.parentId || ids.get(idKey(action.space, action.parentTitle));
+          if (!parentId) throw new Error(`Parent "${action.parentTitle ?? action.space}" was not created`);
+          const created = await createPage(action.space, action.title, action.node.body || '', parentId, action.node.labels || []);
+          ids.set(idKey(action.space, action.title), created.id);
+          for (const file of action.node.attachments || []) {
+            await uploadPageAttachment(created.id, file, path.basename(file));
+          }
+          // The page is recorded above, so its children are still created under it
+          if (created.warnings?.length) throw new Error(created.warnings.join('; '));
+          break;
+        }
+        case 'update': {
+          const id = action.id || ids.get(idKey(action.space, action.homepage ? null : action.title));
+          if (!id) throw new Error(`Page "${action.title}" does not exist`);
+          const changes = action.changes || [];
+          const update = {};
+          if (changes.includes('body')) update.body = action.node.body;
+          if (changes.includes('parent')) {
+            update.parentId = action.parentId || ids.get(idKey(action.space, action.parentTitle));
+            if (!update.parentId) throw new Error(`Parent "${action.parentTitle}" was not created`);
+          }
+          if (update.body !== undefined || update.parentId) await updatePageById(id, update);
+          if (changes.includes('labels')) await syncLabels(id, action.node.labels, action.labels);
+          for (const file of action.attachments || []) {
+            await uploadPageAttachment(id, file, path.basename(file));
+          }
+          break;
+        }
+        case 'delete':
+          await deletePage(action.id);
+          console.log(`  Deleted: ${action.space}/${action.title} (ID=${action.id})`);
+          break;
+      }
+      results.push({ ...action, status: 'done' });
+    } catch (e) {
+      console.log(`    Error applying ${action.type} "${action.title}": ${e.message}`);
+      results.push({ ...action, status: 'failed', error: e.message });
+    }
+  }
+
+  return results;
+}
+
+async function syncLabels(pageId, desired, diff) {
+  const add = diff?.add || desired || [];
+  if (add.length) await addLabels(pageId, add);
+  await removeLabels(pageId, diff?.remove || []);
+}
+
+// ── Output ─────────────────────────────────────────────────────
+
+const SYMBOLS = { 'create-space': '+', create: '+', update: '~', delete: '-', unchanged: '=' };
+
+/**
+ * Render a plan (or apply results) as human-readable lines.
+ */
+export function formatPlan(plan) {
+  const actions = Array.isArray(plan) ? plan : plan.actions;
+  const lines = [];
+  const counts = { create: 0, update: 0, delete: 0, unchanged: 0 };
+
+  for (const a of actions) {
+    const status = a.status && a.status !== 'done' ? `  [${a.status}${a.error ? `: ${a.error}` : ''}]` : '';
+    if (a.type === 'create-space') {
+      lines.push(`${SYMBOLS[a.type]} space ${a.space} (${a.title})${status}`);
+      continue;
+    }
+    counts[a.type]++;
+    let detail = '';
+    if (a.type === 'create') detail = ` under ${a.parentTitle || 'homepage'}`;
+    if (a.type === 'update') {
+      const parts = a.changes.map(c => (c === 'parent' ? `move → ${a.parentTitle || 'homepage'}` : c));
+      detail = ` (${parts.join(', ')})`;
+    }
+    lines.push(`${SYMBOLS[a.type]} ${a.space}/${a.title}${detail}${status}`);
+  }
+
+  lines.push('');
+  lines.push(`Plan: ${counts.create} to create, ${counts.update} to update, ${counts.delete} to delete, ${counts.unchanged} unchanged.`);
+  return lines.join('\n');
+}
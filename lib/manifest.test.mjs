@@ -0,0 +1,144 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import { loadManifest, resolveManifest, planManifest, applyManifest, formatPlan } from './manifest.mjs';
+
+let site;
+let dir;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(() => site.stop());
+beforeEach((t) => {
+  site.reset();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-manifest-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'data-model.html'), '<p>Model</p>');
+  fs.writeFileSync(path.join(dir, 'overview.png'), 'png');
+});
+
+function manifest(runbooks = {}) {
+  return {
+    spaces: [{
+      key: 'ENG',
+      name: 'Engineering',
+      homepage: { body: '<p>Home</p>', labels: ['hub'] },
+      pages: [
+        { title: 'Architecture', body: '<p>Arch</p>', labels: ['architecture'], children: [{ title: 'Data Model', bodyFile: 'data-model.html' }] },
+        { title: 'Runbooks', body: '<p>Ops</p>', ...runbooks },
+      ],
+    }],
+  };
+}
+
+test('loadManifest resolves bodyFile and attachment paths against the manifest', async () => {
+  const file = path.join(dir, 'confluence.json');
+  fs.writeFileSync(file, JSON.stringify(manifest({ attachments: ['overview.png'] })));
+  const loaded = await loadManifest(file);
+  const [architecture, runbooks] = loaded.spaces[0].pages;
+  assert.equal(architecture.children[0].body, '<p>Model</p>');
+  assert.equal(architecture.children[0].bodyFile, undefined);
+  assert.deepEqual(runbooks.attachments, [path.join(dir, 'overview.png')]);
+  assert.equal(loaded.spaces[0].homepage.title, 'Engineering');
+});
+
+test('resolveManifest rejects manifests it cannot apply', () => {
+  assert.throws(() => resolveManifest({}), /"spaces" array/);
+  assert.throws(() => resolveManifest({ spaces: [{ name: 'No key' }] }), /needs a "key"/);
+  assert.throws(() => resolveManifest({ spaces: [{ key: 'ENG', pages: [{ body: '<p></p>' }] }] }), /missing a title/);
+  assert.throws(
+    () => resolveManifest({ spaces: [{ key: 'ENG', pages: [{ title: 'A', children: [{ title: 'A' }] }] }] }),
+    /Duplicate page title "A" in space ENG/,
+  );
+});
+
+test('plan → apply → plan converges, and formatPlan describes each step', async () => {
+  const spec = resolveManifest(manifest(), dir);
+  const plan = await planManifest(spec);
+  assert.equal(formatPlan(plan), [
+    '+ space ENG (Engineering)',
+    '~ ENG/Engineering (body, labels)',
+    '+ ENG/Architecture under homepage',
+    '+ ENG/Data Model under Architecture',
+    '+ ENG/Runbooks under homepage',
+    '',
+    'Plan: 3 to create, 1 to update, 0 to delete, 0 unchanged.',
+  ].join('\n'));
+
+  const results = await applyManifest(spec, { plan });
+  assert.deepEqual(results.map(r => r.status), ['done', 'done', 'done', 'done', 'done']);
+  const model = await confluence.getPageById((await confluence.getPage('ENG', 'Data Model')).id, 'body.storage,ancestors');
+  assert.equal(model.body.storage.value, '<p>Model</p>');
+  assert.deepEqual(model.ancestors.map(a => a.title), ['Engineering Home', 'Architecture']);
+
+  const again = await planManifest(spec);
+  assert.deepEqual(again.actions.map(a => a.type), ['unchanged', 'unchanged', 'unchanged', 'unchanged']);
+  assert.match(formatPlan(again), /Plan: 0 to create, 0 to update, 0 to delete, 4 unchanged\.$/);
+});
+
+test('changed bodies, labels and attachments are updated, and --prune deletes what the manifest dropped', async () => {
+  await applyManifest(resolveManifest(manifest(), dir));
+
+  const changed = manifest({ body: '<p>Ops v2</p>', attachments: ['overview.png'] });
+  changed.spaces[0].pages[0].labels = ['arch'];
+  changed.spaces[0].pages[0].children = [];
+  const spec = resolveManifest(changed, dir);
+
+  const plan = await planManifest(spec, { prune: true });
+  assert.equal(formatPlan(plan), [
+    '= ENG/Engineering Home',
+    '~ ENG/Architecture (labels)',
+    '~ ENG/Runbooks (body, attachments)',
+    '- ENG/Data Model',
+    '',
+    'Plan: 0 to create, 2 to update, 1 to delete, 1 unchanged.',
+  ].join('\n'));
+
+  const results = await applyManifest(spec, { plan });
+  assert.match(formatPlan(results), /^= ENG\/Engineering Home {2}\[skipped\]$/m);
+  assert.equal(await confluence.getPage('ENG', 'Data Model'), null);
+  const architecture = await confluence.getPage('ENG', 'Architecture');
+  assert.deepEqual(await confluence.getLabels(architecture.id), ['arch']);
+
+  // Uploaded attachments count as present on the next plan
+  const again = await planManifest(spec, { prune: true });
+  assert.deepEqual(again.actions.map(a => a.type), ['unchanged', 'unchanged', 'unchanged']);
+});
+
+test('apply records failures and fails the children of a page that was not created', async () => {
+  await confluence.createSpace('ENG', 'Engineering', '');
+  site.failNext(1, { status: 400, method: 'POST', path: /\/content$/, body: { message: 'Invalid body' } });
+
+  const results = await applyManifest(resolveManifest(manifest(), dir));
+  assert.deepEqual(results.map(r => [r.title, r.status]), [
+    ['Engineering Home', 'done'],
+    ['Architecture', 'failed'],
+    ['Data Model', 'failed'],
+    ['Runbooks', 'done'],
+  ]);
+  assert.match(results[2].error, /Parent "Architecture" was not created/);
+  assert.match(formatPlan(results), /^\+ ENG\/Architecture under homepage {2}\[failed: .*Invalid body.*\]$/m);
+});
+
+test('apply fails a page whose labels are rejected but still creates its children', async () => {
+  await confluence.createSpace('ENG', 'Engineering', '');
+  const spec = manifest();
+  spec.spaces[0].pages[0].labels = ['two words'];
+
+  const results = await applyManifest(resolveManifest(spec, dir));
+  assert.deepEqual(results.map(r => [r.title, r.status]), [
+    ['Engineering Home', 'done'],
+    ['Architecture', 'failed'],
+    ['Data Model', 'done'],
+    ['Runbooks', 'done'],
+  ]);
+  assert.match(results[1].error, /Page "Architecture" \(ID=\d+\) was created, but its labels were not/);
+  const model = await confluence.getPageById((await confluence.getPage('ENG', 'Data Model')).id, 'ancestors');
+  assert.deepEqual(model.ancestors.map(a => a.title), ['Engineering Home', 'Architecture']);
+});
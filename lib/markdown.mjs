@@ -0,0 +1,743 @@
+/**
+ * Markdown → Confluence storage format, JIRA ADF and JIRA wiki markup converters
+ *
+ * Supports GitHub-flavoured Markdown as used in engineering docs: headings,
+ * paragraphs, emphasis, inline code, links, images, fenced code, block quotes,
+ * GitHub admonitions (`> [!NOTE]`), nested/ordered/task lists, tables, rules,
+ * `<details>` sections (→ expand) and YAML front-matter (title, labels/tags,
+ * page properties). Fenced blocks tagged `confluence-storage` are inserted
+ * verbatim as storage format.
+ *
+ * Usage:
+ *   import { markdownToStorage, markdownToAdf } from './markdown.mjs';
+ *   const { title, labels, body, attachments } = markdownToStorage(md, {
+ *     baseDir: './docs',
+ *     resolveLink: (absPath) => titlesByFile.get(absPath),
+ *   });
+ *   const description = markdownToAdf('## Acceptance\n- [ ] Works offline');
+ */
+import path from 'path';
+import { cf, nx, escapeXml } from './formatters.mjs';
+
+// ── Front-matter ───────────────────────────────────────────────
+
+/**
+ * Split a `---` delimited front-matter block from the document. Supports the
+ * YAML subset used in docs: scalars, quoted strings, `[a, b]` and `- item` lists.
+ *
+ * @returns {{data: object, content: string}}
+ */
+export function parseFrontMatter(src) {
+  const text = src.replace(/\r\n?/g, '\n');
+  const m = text.match(/^---\n([\s\S]*?)\n---[ \t]*(?:\n|$)/);
+  if (!m) return { data: {}, content: text };
+
+  const data = {};
+  let listKey = null;
+  for (const line of m[1].split('\n')) {
+    if (!line.trim() || line.trim().startsWith('#')) continue;
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1]));
+      continue;
+    }
+    const kv = line.match(/^([\w.-]+)\s*:\s*(.*)$/);
+    if (!kv) continue;
+    const [, key, raw] = kv;
+    if (raw === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (raw.startsWith('[') && raw.endsWith(']')) {
+      data[key] = raw.slice(1, -1).split(',').map(s => unquote(s)).filter(Boolean);
+      listKey = null;
+    } else {
+      data[key] = unquote(raw);
+      listKey = null;
+    }
+  }
+  return { data, content: text.slice(m[0].length) };
+}
+
+function unquote(value) {
+  const v = value.trim();
+  if (v.startsWith('"') && v.endsWith('"')) {
+    try { return JSON.parse(v); } catch { return v.slice(1, -1); }
+  }
+  if (v.startsWith("'") && v.endsWith("'")) return v.slice(1, -1);
+  return v;
+}
+
+// ── Block Parser ───────────────────────────────────────────────
+
+const FENCE_RE = /^(\s*)(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HR_RE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^\s{0,3}>/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DELIM_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const DETAILS_RE = /^\s*<details>\s*$/i;
+
+/**
+ * Parse Markdown into a small block/inline AST shared by the storage and
+ * ADF renderers.
+ *
+ * Blocks: heading, paragraph, code, blockquote, admonition, list, table, hr,
+ *         expand (`<details><summary>Title</summary>…</details>`)
+ * Inlines: text, strong, em, del, code, link, image, break
+ */
+export function parseMarkdown(src) {
+  return parseBlocks(src.replace(/\r\n?/g, '\n').split('\n'));
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
+
+    let m = line.match(FENCE_RE);
+    if (m) {
+      const [, indent, fence, lang] = m;
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+        body.push(lines[i].slice(Math.min(indent.length, leadingSpaces(lines[i]))));
+        i++;
+      }
+      i++;
+      blocks.push({ type: 'code', lang, text: body.join('\n') });
+      continue;
+    }
+
+    m = line.match(HEADING_RE);
+    if (m) {
+      blocks.push({ type: 'heading', level: m[1].length, children: parseInline(m[2]) });
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const inner = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) {
+        inner.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+        i++;
+      }
+      const am = inner[0].match(/^\s*\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]\s*(.*)$/i);
+      if (am) {
+        const rest = inner.slice(1);
+        if (am[2]) rest.unshift(am[2]);
+        blocks.push({ type: 'admonition', kind: am[1].toLowerCase(), children: parseBlocks(rest) });
+      } else {
+        blocks.push({ type: 'blockquote', children: parseBlocks(inner) });
+      }
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(cell => {
+        const c = cell.trim();
+        if (c.startsWith(':') && c.endsWith(':')) return 'center';
+        if (c.endsWith(':')) return 'right';
+        return c.startsWith(':') ? 'left' : null;
+      });
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        rows.push(splitRow(lines[i]).map(parseInline));
+        i++;
+      }
+      blocks.push({ type: 'table', header: header.map(parseInline), rows, align });
+      continue;
+    }
+
+    if (DETAILS_RE.test(line)) {
+      const inner = [];
+      let depth = 1;
+      i++;
+      while (i < lines.length) {
+        if (DETAILS_RE.test(lines[i])) depth++;
+        if (/^\s*<\/details>\s*$/i.test(lines[i]) && --depth === 0) break;
+        inner.push(lines[i]);
+        i++;
+      }
+      i++;
+      const summary = inner[0]?.match(/^\s*<summary>(.*)<\/summary>\s*$/i);
+      if (summary) inner.shift();
+      blocks.push({ type: 'expand', title: summary ? summary[1].trim() : '', children: parseBlocks(inner) });
+      continue;
+    }
+
+    if (LIST_RE.test(line)) {
+      const [list, next] = parseList(lines, i);
+      blocks.push(list);
+      i = next;
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && (para.length === 0 || !isBlockStart(lines, i))) {
+      para.push(lines[i].replace(/^\s+/, ''));
+      i++;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(para.join('\n')) });
+  }
+
+  return blocks;
+}
+
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_RE);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const list = { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, items: [] };
+  let i = start;
+
+  while (i < lines.length) {
+    // Loose lists: blank lines between items of the same list
+    if (!lines[i].trim()) {
+      let j = i;
+      while (j < lines.length && !lines[j].trim()) j++;
+      const next = j < lines.length && lines[j].match(LIST_RE);
+      if (!next || next[1].length !== indent || /\d/.test(next[2]) !== ordered) break;
+      i = j;
+    }
+    const m = lines[i].match(LIST_RE);
+    if (!m || m[1].length !== indent || /\d/.test(m[2]) !== ordered) break;
+
+    const contentIndent = lines[i].length - m[3].length;
+    const itemLines = [m[3]];
+    i++;
+    while (i < lines.length) {
+      const l = lines[i];
+      if (!l.trim()) {
+        let j = i + 1;
+        while (j < lines.length && !lines[j].trim()) j++;
+        if (j < lines.length && leadingSpaces(lines[j]) > indent) {
+          itemLines.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+      const lead = leadingSpaces(l);
+      if (lead <= indent && isBlockStart(lines, i)) break;
+      itemLines.push(l.slice(Math.min(lead, contentIndent)));
+      i++;
+    }
+
+    const item = { children: null };
+    const task = itemLines[0].match(/^\[([ xX])\]\s+(.*)$/);
+    if (task) {
+      item.checked = task[1] !== ' ';
+      itemLines[0] = task[2];
+    }
+    item.children = parseBlocks(itemLines);
+    list.items.push(item);
+  }
+
+  return [list, i];
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_DELIM_RE.test(lines[i + 1]);
+}
+
+function isBlockStart(lines, i) {
+  const line = lines[i];
+  return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line)
+    || LIST_RE.test(line) || DETAILS_RE.test(line) || isTableStart(lines, i);
+}
+
+function splitRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function leadingSpaces(line) {
+  return line.length - line.trimStart().length;
+}
+
+// ── Inline Parser ──────────────────────────────────────────────
+
+const INLINE_RULES = [
+  ['escape', /^\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/],
+  ['break', /^(?: {2,}|\\)\n/],
+  ['softbreak', /^\n/],
+  ['code', /^(`+)([\s\S]*?[^`])\1(?!`)/],
+  ['image', /^!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/],
+  ['link', /^\[((?:\[[^\]]*\]|[^[\]])*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)/],
+  ['autolink', /^<(https?:\/\/[^>\s]+)>/],
+  ['strong', /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/],
+  ['del', /^~~(?=\S)([\s\S]*?\S)~~/],
+  ['em', /^(\*|_)(?=\S)([\s\S]*?\S)\1(?![*_\w])/],
+];
+
+/**
+ * Parse inline Markdown into text/strong/em/del/code/link/image/break nodes.
+ */
+export function parseInline(src) {
+  const nodes = [];
+  const pushText = (text) => {
+    const last = nodes[nodes.length - 1];
+    if (last?.type === 'text') last.text += text;
+    else nodes.push({ type: 'text', text });
+  };
+
+  let rest = src;
+  while (rest.length) {
+    let matched = false;
+    for (const [type, re] of INLINE_RULES) {
+      const m = rest.match(re);
+      if (!m) continue;
+      // `_` emphasis only at word boundaries (snake_case stays text)
+      if (type === 'em' && m[1] === '_' && /\w$/.test(lastText(nodes))) continue;
+      matched = true;
+      rest = rest.slice(m[0].length);
+      switch (type) {
+        case 'escape': pushText(m[1]); break;
+        case 'break': nodes.push({ type: 'break' }); break;
+        case 'softbreak': {
+          // Two trailing spaces before a newline are a hard break
+          const last = nodes[nodes.length - 1];
+          if (last?.type === 'text' && / {2,}$/.test(last.text)) {
+            last.text = last.text.replace(/ +$/, '');
+            nodes.push({ type: 'break' });
+          } else {
+            pushText(' ');
+          }
+          break;
+        }
+        case 'code': nodes.push({ type: 'code', text: m[2].replace(/^ (.*) $/, '$1') }); break;
+        case 'image': nodes.push({ type: 'image', alt: m[1], src: m[2], title: m[3] }); break;
+        case 'link': nodes.push({ type: 'link', href: m[2], title: m[3], children: parseInline(m[1]) }); break;
+        case 'autolink': nodes.push({ type: 'link', href: m[1], children: [{ type: 'text', text: m[1] }] }); break;
+        case 'strong': nodes.push({ type: 'strong', children: parseInline(m[2]) }); break;
+        case 'del': nodes.push({ type: 'del', children: parseInline(m[1]) }); break;
+        case 'em': nodes.push({ type: 'em', children: parseInline(m[2]) }); break;
+      }
+      break;
+    }
+    if (!matched) {
+      const m = rest.match(/^[\s\S][^\\\n`![*_~<]*/);
+      pushText(m[0]);
+      rest = rest.slice(m[0].length);
+    }
+  }
+  return nodes;
+}
+
+function lastText(nodes) {
+  const last = nodes[nodes.length - 1];
+  return last?.type === 'text' ? last.text : '';
+}
+
+/** Plain text content of inline nodes (used for titles and link text). */
+export function inlineText(nodes) {
+  return nodes.map(n => {
+    if (n.type === 'text' || n.type === 'code') return n.text;
+    if (n.type === 'image') return n.alt;
+    if (n.type === 'break') return ' ';
+    return n.children ? inlineText(n.children) : '';
+  }).join('');
+}
+
+// ── Storage Renderer ───────────────────────────────────────────
+
+const CODE_LANGUAGES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', ts: 'typescript', tsx: 'typescript',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', yml: 'yaml', py: 'python',
+  rb: 'ruby', cs: 'csharp', 'c++': 'cpp', html: 'xml', md: 'text', '': 'text',
+};
+
+const ADMONITIONS = {
+  note: (body) => cf.note('', body),
+  tip: (body) => cf.tip('', body),
+  important: (body) => cf.info('', body),
+  warning: (body) => cf.warning('', body),
+  caution: (body) => cf.warning('', body),
+};
+
+// Keys that are not page properties (confluence_* are written by exportSpace)
+const RESERVED_FRONT_MATTER = new Set(['title', 'labels', 'tags', 'confluence_id', 'confluence_space', 'confluence_version']);
+
+/**
+ * Convert a Markdown document to Confluence storage format.
+ *
+ * The title comes from front-matter `title`, else a leading `# H1` (which is
+ * then dropped from the body), else `opts.defaultTitle`. Front-matter
+ * `labels`/`tags` become labels; any other keys become a page properties table.
+ *
+ * @param {string} markdown
+ * @param {object} opts
+ * @param {string} [opts.baseDir] - Directory the document lives in (resolves relative links/images)
+ * @param {(absPath: string) => string|null} [opts.resolveLink] - Map a linked .md file to a page title
+ * @param {string} [opts.defaultTitle]
+ * @returns {{title: string, labels: string[], properties: Array<[string, string]>, body: string, attachments: string[]}}
+ */
+export function markdownToStorage(markdown, opts = {}) {
+  const { data, content } = parseFrontMatter(markdown);
+  const blocks = parseMarkdown(content);
+
+  let title = data.title;
+  if (!title && blocks[0]?.type === 'heading' && blocks[0].level === 1) {
+    title = inlineText(blocks.shift().children).trim();
+  }
+
+  const labels = [].concat(data.labels || [], data.tags || []).map(String);
+  const properties = Object.entries(data)
+    .filter(([k]) => !RESERVED_FRONT_MATTER.has(k))
+    .map(([k, v]) => [k, Array.isArray(v) ? v.join(', ') : String(v)]);
+
+  const ctx = { baseDir: opts.baseDir || process.cwd(), resolveLink: opts.resolveLink, attachments: [] };
+  let body = renderBlocks(blocks, ctx);
+  if (properties.length) {
+    body = nx.pageProperties(properties) + body;
+  }
+
+  return {
+    title: title || opts.defaultTitle || '',
+    labels,
+    properties,
+    body,
+    attachments: [...new Set(ctx.attachments)],
+  };
+}
+
+function renderBlocks(blocks, ctx) {
+  return blocks.map(b => renderBlock(b, ctx)).join('\n');
+}
+
+function renderBlock(block, ctx) {
+  switch (block.type) {
+    case 'heading':
+      return `<h${block.level}>${renderInline(block.children, ctx)}</h${block.level}>`;
+    case 'paragraph':
+      return `<p>${renderInline(block.children, ctx)}</p>`;
+    case 'code': {
+      const lang = block.lang.toLowerCase();
+      // Raw storage format preserved by exportSpace() is published verbatim
+      if (lang === 'confluence-storage') return block.text;
+      return cf.code(CODE_LANGUAGES[lang] || lang, block.text);
+    }
+    case 'blockquote':
+      return `<blockquote>${renderBlocks(block.children, ctx)}</blockquote>`;
+    case 'admonition':
+      return ADMONITIONS[block.kind](renderBlocks(block.children, ctx));
+    case 'list': {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const items = block.items.map(item => {
+        const [first, ...rest] = item.children;
+        const box = item.checked === undefined ? '' : (item.checked ? '&#9745; ' : '&#9744; ');
+        const head = first?.type === 'paragraph' ? renderInline(first.children, ctx) : (first ? renderBlock(first, ctx) : '');
+        return `<li>${box}${head}${rest.length ? renderBlocks(rest, ctx) : ''}</li>`;
+      }).join('');
+      const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+      return `<${tag}${start}>${items}</${tag}>`;
+    }
+    case 'table':
+      return cf.table(
+        block.header.map(cell => cf.raw(renderInline(cell, ctx))),
+        block.rows.map(row => block.header.map((_, idx) => cf.raw(renderInline(row[idx] || [], ctx)))),
+      );
+    case 'expand':
+      return cf.expand(block.title, renderBlocks(block.children, ctx));
+    case 'hr':
+      return nx.hr;
+    default:
+      return '';
+  }
+}
+
+function renderInline(nodes, ctx) {
+  return nodes.map(n => {
+    switch (n.type) {
+      case 'text': return escapeXml(n.text);
+      case 'break': return '<br />';
+      case 'code': return `<code>${escapeXml(n.text)}</code>`;
+      case 'strong': return `<strong>${renderInline(n.children, ctx)}</strong>`;
+      case 'em': return `<em>${renderInline(n.children, ctx)}</em>`;
+      case 'del': return `<del>${renderInline(n.children, ctx)}</del>`;
+      case 'image': return renderImage(n, ctx);
+      case 'link': return renderLink(n, ctx);
+      default: return '';
+    }
+  }).join('');
+}
+
+function renderImage(node, ctx) {
+  if (isExternal(node.src)) {
+    return `<ac:image><ri:url ri:value="${escapeXml(node.src)}" /></ac:image>`;
+  }
+  const file = path.resolve(ctx.baseDir, decodePath(node.src));
+  ctx.attachments.push(file);
+  return cf.image(path.basename(file));
+}
+
+function renderLink(node, ctx) {
+  const [target, anchor] = node.href.split('#');
+  if (!isExternal(node.href) && target && /\.md$/i.test(target) && ctx.resolveLink) {
+    const title = ctx.resolveLink(path.resolve(ctx.baseDir, decodePath(target)));
+    if (title) {
+      const anchorAttr = anchor ? ` ac:anchor="${escapeXml(anchor)}"` : '';
+      return `<ac:link${anchorAttr}><ri:page ri:content-title="${escapeXml(title)}" /><ac:link-body>${renderInline(node.children, ctx)}</ac:link-body></ac:link>`;
+    }
+  }
+  return `<a href="${escapeXml(node.href)}">${renderInline(node.children, ctx)}</a>`;
+}
+
+// `my%20file.md` → `my file.md`; a bare `%` (as in `100%.png`) is taken literally
+function decodePath(href) {
+  try {
+    return decodeURIComponent(href);
+  } catch {
+    return href;
+  }
+}
+
+function isExternal(href) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//');
+}
+
+// ── ADF Renderer (JIRA) ────────────────────────────────────────
+
+const PANEL_TYPES = { note: 'info', tip: 'success', important: 'note', warning: 'warning', caution: 'error' };
+
+/**
+ * Convert Markdown to an Atlassian Document Format (ADF) document for JIRA
+ * descriptions and comments.
+ *
+ * Headings, paragraphs, nested bullet/ordered/task lists, fenced code (with
+ * language), inline code/bold/italic/strike/links, tables, block quotes,
+ * admonitions (→ panels), `<details>` (→ expand) and rules are supported.
+ * Front-matter is ignored. Local images become their alt text; external
+ * images are embedded as external media.
+ */
+export function markdownToAdf(markdown) {
+  const { content } = parseFrontMatter(markdown || '');
+  const ctx = { nextId: 1 };
+  return { type: 'doc', version: 1, content: adfBlocks(parseMarkdown(content), ctx) };
+}
+
+function adfBlocks(blocks, ctx) {
+  return blocks.flatMap(b => adfBlock(b, ctx));
+}
+
+function adfBlock(block, ctx) {
+  switch (block.type) {
+    case 'heading':
+      return [{ type: 'heading', attrs: { level: block.level }, content: adfInline(block.children) }];
+    case 'paragraph': {
+      const images = block.children.filter(n => n.type === 'image' && isExternal(n.src));
+      if (images.length === 1 && block.children.every(n => n === images[0] || (n.type === 'text' && !n.text.trim()))) {
+        return [{ type: 'mediaSingle', attrs: { layout: 'center' }, content: [{ type: 'media', attrs: { type: 'external', url: images[0].src } }] }];
+      }
+      return [paragraph(adfInline(block.children))];
+    }
+    case 'code': {
+      const node = { type: 'codeBlock', attrs: { language: block.lang || 'text' } };
+      if (block.text) node.content = [{ type: 'text', text: block.text }];
+      return [node];
+    }
+    case 'blockquote':
+      return [{ type: 'blockquote', content: nonEmpty(adfBlocks(block.children, ctx).filter(n => QUOTE_CHILDREN.has(n.type))) }];
+    case 'admonition':
+      return [{ type: 'panel', attrs: { panelType: PANEL_TYPES[block.kind] }, content: nonEmpty(adfBlocks(block.children, ctx)) }];
+    case 'expand':
+      return [{ type: 'expand', attrs: { title: block.title }, content: nonEmpty(adfBlocks(block.children, ctx)) }];
+    case 'list':
+      return adfList(block, ctx);
+    case 'table': {
+      const row = (cells, type) => ({
+        type: 'tableRow',
+        content: block.header.map((_, i) => ({ type, content: [paragraph(adfInline(cells[i] || []))] })),
+      });
+      return [{ type: 'table', content: [row(block.header, 'tableHeader'), ...block.rows.map(r => row(r, 'tableCell'))] }];
+    }
+    case 'hr':
+      return [{ type: 'rule' }];
+    default:
+      return [];
+  }
+}
+
+const QUOTE_CHILDREN = new Set(['paragraph', 'bulletList', 'orderedList', 'codeBlock', 'mediaSingle', 'heading']);
+
+function adfList(block, ctx) {
+  if (block.ordered) return [adfPlainList(block, block.items, ctx)];
+
+  // Runs of `- [ ]` items become task lists, the rest stay bullet lists
+  const runs = [];
+  for (const item of block.items) {
+    const isTask = item.checked !== undefined;
+    const last = runs[runs.length - 1];
+    if (last && last.isTask === isTask) last.items.push(item);
+    else runs.push({ isTask, items: [item] });
+  }
+
+  return runs.map(run => {
+    if (!run.isTask) return adfPlainList(block, run.items, ctx);
+    return {
+      type: 'taskList',
+      attrs: { localId: `task-list-${ctx.nextId++}` },
+      content: run.items.map(item => {
+        const [first] = item.children;
+        return {
+          type: 'taskItem',
+          attrs: { localId: `task-${ctx.nextId++}`, state: item.checked ? 'DONE' : 'TODO' },
+          content: first?.type === 'paragraph' ? adfInline(first.children) : [],
+        };
+      }),
+    };
+  });
+}
+
+function adfPlainList(block, items, ctx) {
+  const list = {
+    type: block.ordered ? 'orderedList' : 'bulletList',
+    content: items.map(item => ({
+      type: 'listItem',
+      content: nonEmpty(adfBlocks(item.children, ctx).filter(n => n.type !== 'heading' && n.type !== 'rule')),
+    })),
+  };
+  if (block.ordered && block.start !== 1) list.attrs = { order: block.start };
+  return list;
+}
+
+function paragraph(content) {
+  return content.length ? { type: 'paragraph', content } : { type: 'paragraph' };
+}
+
+function nonEmpty(content) {
+  return content.length ? content : [{ type: 'paragraph' }];
+}
+
+function adfInline(nodes, marks = []) {
+  const out = [];
+  for (const n of nodes) {
+    switch (n.type) {
+      case 'text':
+        if (n.text) out.push(textNode(n.text, marks));
+        break;
+      case 'code':
+        // The code mark only combines with link
+        out.push(textNode(n.text, [...marks.filter(m => m.type === 'link'), { type: 'code' }]));
+        break;
+      case 'break':
+        out.push({ type: 'hardBreak' });
+        break;
+      case 'strong': out.push(...adfInline(n.children, [...marks, { type: 'strong' }])); break;
+      case 'em': out.push(...adfInline(n.children, [...marks, { type: 'em' }])); break;
+      case 'del': out.push(...adfInline(n.children, [...marks, { type: 'strike' }])); break;
+      case 'link': {
+        const linkMarks = [...marks.filter(m => m.type !== 'link'), { type: 'link', attrs: { href: n.href } }];
+        const content = adfInline(n.children, linkMarks);
+        out.push(...(content.length ? content : [textNode(n.href, linkMarks)]));
+        break;
+      }
+      case 'image':
+        if (isExternal(n.src)) out.push(textNode(n.alt || n.src, [...marks, { type: 'link', attrs: { href: n.src } }]));
+        else if (n.alt) out.push(textNode(n.alt, marks));
+        break;
+    }
+  }
+  return out;
+}
+
+function textNode(text, marks) {
+  return marks.length ? { type: 'text', text, marks } : { type: 'text', text };
+}
+
+// ── Wiki Markup Renderer (JIRA Data Center) ────────────────────
+
+const WIKI_PANELS = { note: 'info', tip: 'tip', important: 'note', warning: 'warning', caution: 'warning' };
+
+/**
+ * Convert Markdown to JIRA wiki markup — the description/comment format of
+ * JIRA Data Center's REST API v2, which does not accept ADF.
+ *
+ * Covers the same Markdown as markdownToAdf(); task-list items become
+ * `(/)` / `(x)` bullets and `<details>` becomes a titled panel.
+ */
+export function markdownToWiki(markdown) {
+  const { content } = parseFrontMatter(markdown || '');
+  return wikiBlocks(parseMarkdown(content));
+}
+
+function wikiBlocks(blocks) {
+  return blocks.map(wikiBlock).join('\n\n');
+}
+
+function wikiBlock(block) {
+  switch (block.type) {
+    case 'heading':
+      return `h${block.level}. ${wikiInline(block.children)}`;
+    case 'paragraph':
+      return wikiInline(block.children);
+    case 'code':
+      return `{code${block.lang ? `:${block.lang}` : ''}}\n${block.text}\n{code}`;
+    case 'blockquote':
+      return `{quote}\n${wikiBlocks(block.children)}\n{quote}`;
+    case 'admonition':
+      return `{${WIKI_PANELS[block.kind]}}\n${wikiBlocks(block.children)}\n{${WIKI_PANELS[block.kind]}}`;
+    case 'expand':
+      return `{panel${block.title ? `:title=${block.title}` : ''}}\n${wikiBlocks(block.children)}\n{panel}`;
+    case 'list':
+      return wikiList(block, '');
+    case 'table': {
+      const row = (cells, sep) => sep + block.header.map((_, i) => wikiInline(cells[i] || []) || ' ').join(sep) + sep;
+      return [row(block.header, '||'), ...block.rows.map(r => row(r, '|'))].join('\n');
+    }
+    case 'hr':
+      return '----';
+    default:
+      return '';
+  }
+}
+
+// Nested items repeat their parents' markers: `#` → `#*` → `#**`
+function wikiList(block, parentPrefix) {
+  const prefix = parentPrefix + (block.ordered ? '#' : '*');
+  return block.items.map(item => {
+    const [first, ...rest] = item.children;
+    const box = item.checked === undefined ? '' : (item.checked ? '(/) ' : '(x) ');
+    const head = first?.type === 'paragraph' ? wikiInline(first.children) : '';
+    const nested = (first?.type === 'paragraph' ? rest : item.children)
+      .map(b => (b.type === 'list' ? wikiList(b, prefix) : wikiBlock(b)));
+    return [`${prefix} ${box}${head}`, ...nested].join('\n');
+  }).join('\n');
+}
+
+function wikiInline(nodes) {
+  return nodes.map(n => {
+    switch (n.type) {
+      case 'text': return escapeWiki(n.text);
+      case 'break': return '\\\\\n';
+      case 'code': return `{{${n.text}}}`;
+      case 'strong': return `*${wikiInline(n.children)}*`;
+      case 'em': return `_${wikiInline(n.children)}_`;
+      case 'del': return `-${wikiInline(n.children)}-`;
+      case 'link': {
+        const text = wikiInline(n.children);
+        return text && text !== n.href ? `[${text}|${n.href}]` : `[${n.href}]`;
+      }
+      case 'image': return isExternal(n.src) ? `!${n.src}!` : escapeWiki(n.alt || '');
+      default: return '';
+    }
+  }).join('');
+}
+
+// Characters that would otherwise start wiki markup (macros, links, images)
+function escapeWiki(text) {
+  return String(text).replace(/([{}[\]!|])/g, '\\$1');
+}
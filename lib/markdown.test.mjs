@@ -0,0 +1,244 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFrontMatter, parseMarkdown, parseInline, inlineText, markdownToStorage, markdownToAdf, markdownToWiki } from './markdown.mjs';
+import { validateStorage } from './validate.mjs';
+
+const DOC = `---
+title: "Deploy: guide"
+labels: [ops, deploy]
+tags:
+  - runbook
+owner: Platform
+---
+Intro with **bold**, _em_, ~~gone~~, \`a<b\`, snake_case_name and [site](https://x.test/?a=1&b=2).
+
+> [!WARNING]
+> Mind the gap
+
+1. one
+2. two
+   - nested
+- [x] done
+- [ ] todo
+
+| Name | Value |
+|:-----|------:|
+| a \\| b | **c** |
+
+<details>
+<summary>More</summary>
+
+Hidden
+</details>
+
+\`\`\`js
+if (a < b) {}
+\`\`\`
+
+![diagram](img/arch.png) see [setup](setup.md#install)
+`;
+
+// ── Parser ─────────────────────────────────────────────────────
+
+test('front-matter: quoted scalars, inline lists and dash lists', () => {
+  const { data, content } = parseFrontMatter(DOC.replace(/\n/g, '\r\n'));
+  assert.deepEqual(data, { title: 'Deploy: guide', labels: ['ops', 'deploy'], tags: ['runbook'], owner: 'Platform' });
+  assert.ok(content.startsWith('Intro with'));
+  assert.deepEqual(parseFrontMatter('# No front-matter'), { data: {}, content: '# No front-matter' });
+});
+
+test('inline parser: emphasis, code, links, escapes and breaks', () => {
+  assert.deepEqual(parseInline('**a _b_** `c*d` snake_case [x](y.md "T")'), [
+    { type: 'strong', children: [{ type: 'text', text: 'a ' }, { type: 'em', children: [{ type: 'text', text: 'b' }] }] },
+    { type: 'text', text: ' ' },
+    { type: 'code', text: 'c*d' },
+    { type: 'text', text: ' snake_case ' },
+    { type: 'link', href: 'y.md', title: 'T', children: [{ type: 'text', text: 'x' }] },
+  ]);
+  assert.deepEqual(parseInline('a  \nb\\*c*\nd'), [
+    { type: 'text', text: 'a' }, { type: 'break' }, { type: 'text', text: 'b*c* d' },
+  ]);
+  assert.equal(inlineText(parseInline('![alt](x.png) and <https://a.test>')), 'alt and https://a.test');
+});
+
+test('block parser: lists, admonitions, tables and details', () => {
+  const blocks = parseMarkdown(parseFrontMatter(DOC).content);
+  assert.deepEqual(blocks.map(b => b.type), [
+    'paragraph', 'admonition', 'list', 'list', 'table', 'expand', 'code', 'paragraph',
+  ]);
+  const [, warning, ordered, tasks, table, details, code] = blocks;
+  assert.equal(warning.kind, 'warning');
+  assert.equal(ordered.ordered, true);
+  assert.deepEqual(ordered.items[1].children.map(b => b.type), ['paragraph', 'list']);
+  assert.deepEqual(tasks.items.map(i => i.checked), [true, false]);
+  assert.deepEqual(table.align, ['left', 'right']);
+  assert.equal(inlineText(table.rows[0][0]), 'a | b');
+  assert.equal(details.title, 'More');
+  assert.deepEqual(code, { type: 'code', lang: 'js', text: 'if (a < b) {}' });
+});
+
+test('block parser: loose lists keep continuation paragraphs and ordered starts', () => {
+  const [bullets, numbered] = parseMarkdown('- a\n\n- b\n\n  more b\n3) c');
+  assert.equal(bullets.items.length, 2);
+  assert.deepEqual(bullets.items[1].children.map(b => inlineText(b.children)), ['b', 'more b']);
+  assert.deepEqual({ ordered: numbered.ordered, start: numbered.start }, { ordered: true, start: 3 });
+});
+
+// ── Storage Renderer ───────────────────────────────────────────
+
+test('markdownToStorage: metadata, links and attachments', () => {
+  const page = markdownToStorage(DOC, {
+    baseDir: '/docs',
+    resolveLink: (file) => (file === '/docs/setup.md' ? 'Setup' : null),
+  });
+  assert.equal(page.title, 'Deploy: guide');
+  assert.deepEqual(page.labels, ['ops', 'deploy', 'runbook']);
+  assert.deepEqual(page.properties, [['owner', 'Platform']]);
+  assert.deepEqual(page.attachments, ['/docs/img/arch.png']);
+  assert.deepEqual(validateStorage(page.body), []);
+
+  assert.match(page.body, /^<ac:structured-macro ac:name="details">.*<td><p>Platform<\/p><\/td>/);
+  assert.ok(page.body.includes('<p>Intro with <strong>bold</strong>, <em>em</em>, <del>gone</del>, <code>a&lt;b</code>, snake_case_name and <a href="https://x.test/?a=1&amp;b=2">site</a>.</p>'));
+  assert.ok(page.body.includes('<ac:structured-macro ac:name="warning"><ac:parameter ac:name="title"></ac:parameter><ac:rich-text-body><p>Mind the gap</p></ac:rich-text-body></ac:structured-macro>'));
+  assert.ok(page.body.includes('<ol><li>one</li><li>two<ul><li>nested</li></ul></li></ol>'));
+  assert.ok(page.body.includes('<ul><li>&#9745; done</li><li>&#9744; todo</li></ul>'));
+  assert.ok(page.body.includes('<td><p>a | b</p></td><td><p><strong>c</strong></p></td>'));
+  assert.ok(page.body.includes('<ac:parameter ac:name="title">More</ac:parameter><ac:rich-text-body><p>Hidden</p></ac:rich-text-body>'));
+  assert.ok(page.body.includes('<ac:parameter ac:name="language">javascript</ac:parameter><ac:plain-text-body><![CDATA[if (a < b) {}]]>'));
+  assert.ok(page.body.includes('<ri:attachment ri:filename="arch.png" />'));
+  assert.ok(page.body.includes('<ac:link ac:anchor="install"><ri:page ri:content-title="Setup" /><ac:link-body>setup</ac:link-body></ac:link>'));
+});
+
+test('markdownToStorage: a leading H1 is the title, and unresolved .md links stay plain links', () => {
+  const page = markdownToStorage('# Runbook & FAQ\n\nSee [other](other.md).', { resolveLink: () => null, defaultTitle: 'Fallback' });
+  assert.equal(page.title, 'Runbook & FAQ');
+  assert.equal(page.body, '<p>See <a href="other.md">other</a>.</p>');
+  assert.equal(markdownToStorage('Just text', { defaultTitle: 'Fallback' }).title, 'Fallback');
+});
+
+test('markdownToStorage: paths with a bare % are used as written', () => {
+  const page = markdownToStorage('![chart](100%.png) [plan](50%-plan.md) ![space](my%20chart.png)', {
+    baseDir: '/docs',
+    resolveLink: (file) => (file === '/docs/50%-plan.md' ? 'Plan' : null),
+  });
+  assert.deepEqual(page.attachments, ['/docs/100%.png', '/docs/my chart.png']);
+  assert.ok(page.body.includes('<ri:attachment ri:filename="100%.png" />'));
+  assert.ok(page.body.includes('<ri:page ri:content-title="Plan" />'));
+});
+
+test('markdownToStorage: confluence-storage fences are inserted verbatim', () => {
+  const macro = '<ac:structured-macro ac:name="toc" />';
+  const page = markdownToStorage(`\`\`\`confluence-storage\n${macro}\n\`\`\`\n\n- step\n  \`\`\`sh\n  npm i\n  \`\`\``);
+  assert.equal(page.body.split('\n')[0], macro);
+  assert.match(page.body, /<li>step<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">bash<\/ac:parameter><ac:plain-text-body><!\[CDATA\[npm i\]\]>/);
+  assert.deepEqual(validateStorage(page.body), []);
+});
+
+// ── ADF Renderer ───────────────────────────────────────────────
+
+const text = (value, marks) => (marks ? { type: 'text', text: value, marks } : { type: 'text', text: value });
+const para = (...content) => ({ type: 'paragraph', content });
+
+test('markdownToAdf: inline marks, panels, lists and code', () => {
+  const doc = markdownToAdf('---\ntitle: ignored\n---\n## Acceptance\n\nSome **bold _both_**, `a` [`b`](https://x.test)\n\n> [!TIP]\n> Cache it\n\n3. three\n   - nested\n\n```\n```');
+  assert.deepEqual(doc, {
+    type: 'doc',
+    version: 1,
+    content: [
+      { type: 'heading', attrs: { level: 2 }, content: [text('Acceptance')] },
+      para(
+        text('Some '),
+        text('bold ', [{ type: 'strong' }]),
+        text('both', [{ type: 'strong' }, { type: 'em' }]),
+        text(', '),
+        text('a', [{ type: 'code' }]),
+        text(' '),
+        text('b', [{ type: 'link', attrs: { href: 'https://x.test' } }, { type: 'code' }]),
+      ),
+      { type: 'panel', attrs: { panelType: 'success' }, content: [para(text('Cache it'))] },
+      {
+        type: 'orderedList',
+        attrs: { order: 3 },
+        content: [{
+          type: 'listItem',
+          content: [para(text('three')), { type: 'bulletList', content: [{ type: 'listItem', content: [para(text('nested'))] }] }],
+        }],
+      },
+      { type: 'codeBlock', attrs: { language: 'text' } },
+    ],
+  });
+});
+
+test('markdownToAdf: task runs, tables, images and block quote content', () => {
+  const { content } = markdownToAdf('- plain\n- [x] done\n- [ ] todo\n\n| A | B |\n| - | - |\n| 1 |\n\n![ext](https://x.test/a.png)\n\n![local](a.png)\n\n> ## Heading\n> ---\n> text');
+  assert.deepEqual(content.map(n => n.type), ['bulletList', 'taskList', 'table', 'mediaSingle', 'paragraph', 'blockquote']);
+  assert.deepEqual(content[1].content.map(t => [t.attrs.state, t.content[0].text]), [['DONE', 'done'], ['TODO', 'todo']]);
+  assert.equal(new Set([content[1].attrs.localId, ...content[1].content.map(t => t.attrs.localId)]).size, 3);
+  assert.deepEqual(content[2].content[1], {
+    type: 'tableRow',
+    content: [{ type: 'tableCell', content: [para(text('1'))] }, { type: 'tableCell', content: [{ type: 'paragraph' }] }],
+  });
+  assert.deepEqual(content[3].content[0].attrs, { type: 'external', url: 'https://x.test/a.png' });
+  assert.deepEqual(content[4], para(text('local')));
+  // A rule cannot go inside a quote
+  assert.deepEqual(content[5].content.map(n => n.type), ['heading', 'paragraph']);
+  assert.deepEqual(markdownToAdf(''), { type: 'doc', version: 1, content: [] });
+});
+
+// ── Wiki Markup Renderer ───────────────────────────────────────
+
+test('markdownToWiki: blocks, inline markup and escaping', () => {
+  const wiki = markdownToWiki([
+    '---', 'title: ignored', '---',
+    '## Steps {1}',
+    '',
+    'Run **npm** _now_ ~~never~~ `npm i` [docs](https://x.test) <https://y.test> [!x] a|b  ',
+    'next',
+    '',
+    '> [!WARNING]',
+    '> Careful',
+    '',
+    '| A | B |',
+    '| - | - |',
+    '| 1 |',
+    '',
+    '<details>',
+    '<summary>More</summary>',
+    '',
+    'Hidden',
+    '</details>',
+    '',
+    '```js',
+    'x()',
+    '```',
+    '',
+    '![ext](https://x.test/a.png) ![local](a.png)',
+    '',
+    '---',
+  ].join('\n'));
+  assert.equal(wiki, [
+    'h2. Steps \\{1\\}',
+    '',
+    'Run *npm* _now_ -never- {{npm i}} [docs|https://x.test] [https://y.test] \\[\\!x\\] a\\|b\\\\',
+    'next',
+    '',
+    '{warning}\nCareful\n{warning}',
+    '',
+    '||A||B||\n|1| |',
+    '',
+    '{panel:title=More}\nHidden\n{panel}',
+    '',
+    '{code:js}\nx()\n{code}',
+    '',
+    '!https://x.test/a.png! local',
+    '',
+    '----',
+  ].join('\n'));
+});
+
+test('markdownToWiki: nested lists carry their parents\' markers', () => {
+  assert.equal(
+    markdownToWiki('1. one\n   - sub\n     - [x] deep\n     - [ ] open\n2. two\n\n- a\n  1. b'),
+    '# one\n#* sub\n#** (/) deep\n#** (x) open\n# two\n\n* a\n*# b',
+  );
+});
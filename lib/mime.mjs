@@ -0,0 +1,110 @@
+/**
+ * Content types for uploads — from a file's first bytes, or its extension
+ *
+ * Signatures win for formats that have an unambiguous one (images, PDF,
+ * audio/video), so a JPEG saved as `shot.png` is still sent as image/jpeg.
+ * Container formats that share a signature (ZIP for .docx/.xlsx/.jar, RIFF,
+ * ISO media) fall back to the extension to tell them apart.
+ *
+ * Usage:
+ *   import { detectContentType } from './mime.mjs';
+ *   detectContentType('docs/runbook.pdf');   // 'application/pdf'
+ */
+import fs from 'fs';
+import path from 'path';
+
+const BY_EXTENSION = {
+  // Images
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+  svg: 'image/svg+xml', bmp: 'image/bmp', ico: 'image/vnd.microsoft.icon', tif: 'image/tiff', tiff: 'image/tiff',
+  heic: 'image/heic', avif: 'image/avif',
+  // Documents
+  pdf: 'application/pdf', txt: 'text/plain', md: 'text/markdown', csv: 'text/csv', html: 'text/html', htm: 'text/html',
+  xml: 'application/xml', json: 'application/json', yaml: 'application/yaml', yml: 'application/yaml', log: 'text/plain',
+  doc: 'application/msword', xls: 'application/vnd.ms-excel', ppt: 'application/vnd.ms-powerpoint',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text', ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  drawio: 'application/vnd.jgraph.mxfile',
+  // Archives
+  zip: 'application/zip', gz: 'application/gzip', tgz: 'application/gzip', tar: 'application/x-tar',
+  '7z': 'application/x-7z-compressed', jar: 'application/java-archive',
+  // Audio and video
+  mp4: 'video/mp4', m4v: 'video/mp4', mov: 'video/quicktime', webm: 'video/webm', mkv: 'video/x-matroska',
+  avi: 'video/x-msvideo', mp3: 'audio/mpeg', m4a: 'audio/mp4', wav: 'audio/wav', ogg: 'audio/ogg',
+};
+
+// [content type, byte offset, signature] — or a function of the first bytes for the ambiguous ones
+const SIGNATURES = [
+  ['image/png', 0, [0x89, 0x50, 0x4e, 0x47]],
+  ['image/jpeg', 0, [0xff, 0xd8, 0xff]],
+  ['image/gif', 0, 'GIF8'],
+  ['image/tiff', 0, [0x49, 0x49, 0x2a, 0x00]],
+  ['image/tiff', 0, [0x4d, 0x4d, 0x00, 0x2a]],
+  ['application/pdf', 0, '%PDF-'],
+  ['application/gzip', 0, [0x1f, 0x8b]],
+  ['application/x-7z-compressed', 0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]],
+  ['audio/mpeg', 0, 'ID3'],
+  ['audio/ogg', 0, 'OggS'],
+  [(bytes) => (matches(bytes, 0, 'RIFF') ? { WEBP: 'image/webp', WAVE: 'audio/wav', 'AVI ': 'video/x-msvideo' }[ascii(bytes, 8, 4)] : null)],
+  // ISO media: the brand names the format; anything else in the family is taken as MP4
+  [(bytes, ext) => {
+    if (!matches(bytes, 4, 'ftyp')) return null;
+    const brand = ascii(bytes, 8, 4);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (/^(heic|heix|mif1)$/.test(brand)) return 'image/heic';
+    if (brand === 'avif') return 'image/avif';
+    if (brand === 'M4A ') return 'audio/mp4';
+    return BY_EXTENSION[ext]?.startsWith('video/') ? BY_EXTENSION[ext] : 'video/mp4';
+  }],
+  [(bytes, ext) => (matches(bytes, 0, [0x1a, 0x45, 0xdf, 0xa3]) ? (ext === 'mkv' ? 'video/x-matroska' : 'video/webm') : null)],
+  // ZIP underlies the Office and OpenDocument formats, so the extension decides
+  [(bytes, ext) => (matches(bytes, 0, [0x50, 0x4b, 0x03, 0x04]) ? (BY_EXTENSION[ext] ?? 'application/zip') : null)],
+];
+
+/**
+ * The content type to upload a file as: from its signature, else its
+ * extension, else `text/plain` for UTF-8 text and `application/octet-stream`
+ * for anything else.
+ * @param {string} filepath
+ * @param {string} [filename] - Name the file is uploaded as, if its extension should count instead
+ */
+export function detectContentType(filepath, filename = filepath) {
+  const fd = fs.openSync(filepath, 'r');
+  try {
+    const bytes = Buffer.alloc(512);
+    const length = fs.readSync(fd, bytes, 0, bytes.length, 0);
+    return contentTypeOf(bytes.subarray(0, length), filename);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * The content type for a file's leading bytes (512 are plenty) and name.
+ * @param {Buffer} bytes
+ * @param {string} [filename]
+ */
+export function contentTypeOf(bytes, filename = '') {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  for (const [type, offset, signature] of SIGNATURES) {
+    const found = typeof type === 'function' ? type(bytes, ext) : (matches(bytes, offset, signature) ? type : null);
+    if (found) return found;
+  }
+  if (BY_EXTENSION[ext]) return BY_EXTENSION[ext];
+  const text = bytes.toString('utf8');
+  if (/^\s*(<\?xml[^>]*>\s*)?<svg\b/i.test(text)) return 'image/svg+xml';
+  // (a character cut off at the end of the sample decodes as U+FFFD too)
+  return bytes.includes(0) || text.replace(/\uFFFD+$/, '').includes('\uFFFD') ? 'application/octet-stream' : 'text/plain';
+}
+
+function matches(bytes, offset, signature) {
+  const expected = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : signature;
+  if (bytes.length < offset + expected.length) return false;
+  return expected.every((b, i) => bytes[offset + i] === b);
+}
+
+function ascii(bytes, offset, length) {
+  return bytes.subarray(offset, offset + length).toString('latin1');
+}
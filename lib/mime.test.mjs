@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { contentTypeOf, detectContentType } from './mime.mjs';
+
+const bytes = (...parts) => Buffer.concat(parts.map(p => (typeof p === 'string' ? Buffer.from(p, 'latin1') : Buffer.from(p))));
+
+test('signatures decide the type, whatever the extension says', () => {
+  assert.equal(contentTypeOf(bytes([0x89], 'PNG\r\n'), 'shot.png'), 'image/png');
+  assert.equal(contentTypeOf(bytes([0xff, 0xd8, 0xff, 0xe0]), 'shot.png'), 'image/jpeg');
+  assert.equal(contentTypeOf(bytes('%PDF-1.7\n'), 'report'), 'application/pdf');
+  assert.equal(contentTypeOf(bytes('RIFF', [0, 0, 0, 0], 'WEBPVP8 ')), 'image/webp');
+  assert.equal(contentTypeOf(bytes([0, 0, 0, 0x18], 'ftypqt  '), 'demo.mp4'), 'video/quicktime');
+  assert.equal(contentTypeOf(bytes([0, 0, 0, 0x18], 'ftypisom'), 'demo'), 'video/mp4');
+});
+
+test('containers and unknown bytes fall back to the extension, then to text or binary', () => {
+  const zip = bytes('PK', [3, 4, 20, 0]);
+  assert.equal(contentTypeOf(zip, 'plan.docx'), 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+  assert.equal(contentTypeOf(zip, 'bundle'), 'application/zip');
+  assert.equal(contentTypeOf(bytes('a,b\n1,2\n'), 'data.CSV'), 'text/csv');
+  assert.equal(contentTypeOf(bytes('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>'), 'diagram'), 'image/svg+xml');
+  assert.equal(contentTypeOf(Buffer.from('Notes — naïve café\n'), 'NOTES'), 'text/plain');
+  assert.equal(contentTypeOf(bytes([0x00, 0x13, 0x37, 0xfe]), 'blob'), 'application/octet-stream');
+});
+
+test('detectContentType reads the start of a file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-mime-'));
+  const file = path.join(dir, 'upload.bin');
+  fs.writeFileSync(file, Buffer.concat([Buffer.from('%PDF-1.4\n'), Buffer.alloc(4096)]));
+  assert.equal(detectContentType(file), 'application/pdf');
+  assert.equal(detectContentType(path.join(dir, 'upload.bin'), 'notes.txt'), 'application/pdf');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
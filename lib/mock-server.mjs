@@ -0,0 +1,1171 @@
+/**
+ * In-memory fake Confluence + JIRA server for offline tests and demos
+ *
+ * Implements the REST endpoints this toolkit calls — content CRUD with
+ * versions, labels, content properties, attachments and spaces; projects,
+ * issues, transitions, comments, JQL search, fields, boards, sprints and
+ * components — closely enough that the lib/ modules run against it unchanged.
+ *
+ * Usage:
+ *   import { createMockServer } from './mock-server.mjs';
+ *   const server = createMockServer();
+ *   const url = await server.start();          // http://127.0.0.1:<port>
+ *   process.env.ATLASSIAN_DOMAIN = url;        // then resetConfig()
+ *   server.rateLimit(2);                       // next 2 requests get 429
+ *   await server.stop();
+ *
+ *   // Or let startMockSite() point the toolkit's config at it:
+ *   const site = await startMockSite();
+ *   await confluence.createSpace('ENG', 'Engineering', '');
+ *   await site.stop();                         // restores the environment
+ *
+ *   // A Data Center site: Confluence at /rest/api, JIRA v2 only, PAT auth
+ *   const dc = await startMockSite({ deployment: 'datacenter' });
+ *
+ * Bearer tokens must be the PAT (`opts.pat`) or an access token issued by
+ * the OAuth endpoint at /oauth/token. OAuth gateway paths
+ * (/ex/jira/{cloudId}/…) are served like the site's own.
+ */
+import http from 'http';
+import { resetConfig } from './config.mjs';
+
+const TRANSITIONS = [
+  { id: '11', name: 'To Do', to: { name: 'To Do', statusCategory: { key: 'new' } } },
+  { id: '21', name: 'In Progress', to: { name: 'In Progress', statusCategory: { key: 'indeterminate' } } },
+  { id: '31', name: 'Done', to: { name: 'Done', statusCategory: { key: 'done' } } },
+];
+
+const ISSUE_TYPES = ['Epic', 'Story', 'Task', 'Bug', 'Sub-task', 'Subtask'];
+
+const SYSTEM_FIELDS = [
+  'summary', 'description', 'status', 'issuetype', 'priority', 'labels', 'components', 'parent',
+  'assignee', 'reporter', 'created', 'updated', 'fixVersions', 'subtasks', 'issuelinks', 'comment', 'project',
+];
+
+const CUSTOM_FIELDS = [
+  { id: 'customfield_10016', name: 'Story point estimate' },
+  { id: 'customfield_10020', name: 'Sprint' },
+];
+
+/** Non-JSON response from a route handler (empty 204s, binary downloads). */
+class MockReply {
+  constructor(status, data = null, headers = {}) {
+    this.status = status;
+    this.data = data;
+    this.headers = headers;
+  }
+}
+
+/** Error thrown by route handlers; becomes an HTTP error response. */
+class MockHttpError extends Error {
+  constructor(status, message, errors) {
+    super(message);
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Create a mock server. Nothing listens until start() is called.
+ *
+ * @param {object} opts
+ * @param {number} [opts.pageSize=100] - Maximum items per page of any paginated response
+ * @param {'cloud'|'datacenter'} [opts.deployment='cloud'] - Data Center serves Confluence
+ *   without /wiki and JIRA at REST v2 only (wiki-markup bodies)
+ * @param {string} [opts.pat='mock-pat'] - Personal Access Token accepted as a bearer token
+ * @param {{clientId: string, clientSecret: string, refreshToken: string}} [opts.oauth] -
+ *   Credentials the /oauth/token endpoint accepts (refresh tokens rotate on each use)
+ * @returns {object} server — { start, stop, reset, url, state, requests, failNext, beforeNext, rateLimit, expireTokens }
+ */
+export function createMockServer(opts = {}) {
+  const pageSize = opts.pageSize ?? 100;
+  const datacenter = opts.deployment === 'datacenter';
+  const wikiRoot = datacenter ? '' : '/wiki';
+  const CONFLUENCE = `${wikiRoot}/rest/api`;
+  const pat = opts.pat ?? 'mock-pat';
+  const oauth = opts.oauth ? { ...opts.oauth } : null;
+  const accessTokens = new Set();
+  let state;
+  let failures = [];
+  let hooks = [];
+  const requests = [];
+
+  function reset() {
+    state = {
+      nextId: 1000,
+      spaces: new Map(),
+      content: new Map(),
+      projects: new Map(),
+      issues: new Map(),
+      boards: new Map(),
+      sprints: new Map(),
+      components: [],
+      user: { accountId: 'mock-user', displayName: 'Mock User', emailAddress: 'mock@example.com', active: true },
+    };
+    failures = [];
+    hooks = [];
+    requests.length = 0;
+  }
+  reset();
+
+  const nextId = () => String(state.nextId++);
+  const now = () => new Date().toISOString();
+  const jiraTime = () => now().replace('Z', '+0000');
+
+  // ── Confluence helpers ─────────────────────────────────────────
+
+  // Who a new version is by: whoever state.user is at the time
+  const author = () => ({ type: 'known', accountId: state.user.accountId, displayName: state.user.displayName });
+
+  function getContent(id, type) {
+    const item = state.content.get(String(id));
+    if (!item || (type && item.type !== type)) throw new MockHttpError(404, `No content found with id: ${id}`);
+    return item;
+  }
+
+  function ancestorsOf(page) {
+    const chain = [];
+    let parentId = page.parentId;
+    while (parentId && state.content.has(parentId)) {
+      const parent = state.content.get(parentId);
+      chain.unshift(parent);
+      parentId = parent.parentId;
+    }
+    return chain;
+  }
+
+  function serializeContent(item, expand = '') {
+    const wants = new Set(String(expand).split(',').filter(Boolean));
+    const space = state.spaces.get(item.spaceKey);
+    const out = {
+      id: item.id,
+      type: item.type,
+      status: 'current',
+      title: item.title,
+      space: { key: item.spaceKey, name: space?.name },
+      version: versionJson(item.versions.at(-1)),
+      _links: { webui: `/spaces/${item.spaceKey}/pages/${item.id}`, self: `${CONFLUENCE}/content/${item.id}` },
+    };
+    if (item.type === 'attachment') {
+      out.container = { id: item.containerId };
+      out.metadata = { mediaType: item.mediaType };
+      out.extensions = { mediaType: item.mediaType, fileSize: item.data.length, comment: item.versions.at(-1).message || '' };
+      out._links.download = `/download/attachments/${item.containerId}/${encodeURIComponent(item.title)}?version=${item.versions.length}`;
+    }
+    if (wants.has('body.storage') || wants.has('body')) {
+      out.body = { storage: { value: item.body, representation: 'storage' } };
+    }
+    if (wants.has('ancestors')) {
+      out.ancestors = ancestorsOf(item).map(a => ({ id: a.id, type: a.type, title: a.title }));
+    }
+    if (wants.has('metadata.labels')) {
+      out.metadata = { ...out.metadata, labels: { results: item.labels.map(labelJson), size: item.labels.length } };
+    }
+    if (wants.has('history')) {
+      out.history = { latest: true, createdDate: item.versions[0].when, createdBy: state.user };
+    }
+    return out;
+  }
+
+  function versionJson(version) {
+    return { number: version.number, when: version.when, message: version.message || '', minorEdit: !!version.minorEdit, by: version.by };
+  }
+
+  function labelJson(name) {
+    return { prefix: 'global', name, id: name, label: name };
+  }
+
+  function createContent({ type, title, spaceKey, parentId = null, body = '', containerId = null }) {
+    const item = {
+      id: nextId(), type, title, spaceKey, parentId, body, containerId, labels: [], properties: new Map(),
+      versions: [{ number: 1, when: now(), title, body, by: author() }],
+    };
+    state.content.set(item.id, item);
+    return item;
+  }
+
+  function assertUniqueTitle(spaceKey, title, exceptId) {
+    for (const c of state.content.values()) {
+      if (c.type === 'page' && c.spaceKey === spaceKey && c.title === title && c.id !== exceptId) {
+        throw new MockHttpError(400, `A page with this title already exists: A page already exists with the title ${title} in this space`);
+      }
+    }
+  }
+
+  // Minimal CQL: `field op value` clauses joined by AND, plus ORDER BY. Values
+  // may be "quoted", (lists), now("-4w") or currentUser()
+  function runCql(cql) {
+    const [where, order] = String(cql || '').split(/\s+ORDER\s+BY\s+/i);
+    const clause = /^\s*(\w+)\s*(!=|>=|<=|=|!~|~|>|<|\bnot in\b|\bin\b)\s*("(?:[^"\\]|\\.)*"|\([^)]*\)|now\("[^"]*"\)|currentUser\(\)|[^\s)]+)\s*(?:\bAND\b|$)/i;
+    const value = (raw) => {
+      if (/^now\(/i.test(raw)) {
+        const [, n, unit] = /"-?(\d+)([ywdhmM])"/.exec(raw) || [, 0, 'd'];
+        const ms = { y: 365 * 864e5, M: 30 * 864e5, w: 7 * 864e5, d: 864e5, h: 36e5, m: 6e4 }[unit];
+        return new Date(Date.now() - n * ms).toISOString();
+      }
+      if (/^currentUser\(\)$/i.test(raw)) return state.user.accountId;
+      return raw.replace(/^"|"$/g, '').replace(/\\(.)/g, '$1');
+    };
+
+    const tests = [];
+    let rest = where.trim();
+    while (rest) {
+      const m = clause.exec(rest);
+      if (!m) throw new MockHttpError(400, `Could not parse cql : ${cql}`);
+      rest = rest.slice(m[0].length).trim();
+      const field = m[1].toLowerCase();
+      const op = m[2].toLowerCase();
+      const values = m[3].startsWith('(') ? m[3].slice(1, -1).split(',').map(v => value(v.trim())) : [value(m[3])];
+      const get = (c) => {
+        switch (field) {
+          case 'id': case 'content': return [c.id];
+          case 'type': return [c.type];
+          case 'space': return [c.spaceKey];
+          case 'title': return [c.title];
+          case 'text': return [`${c.title} ${(c.body || '').replace(/<[^>]+>/g, ' ')} ${c.labels.join(' ')}`];
+          case 'label': return c.labels;
+          case 'parent': return [c.parentId || c.containerId].filter(Boolean);
+          case 'ancestor': return ancestorsOf(c.containerId ? { parentId: c.containerId } : c).map(a => a.id);
+          case 'creator': return [c.versions[0].by?.accountId];
+          case 'contributor': return c.versions.map(v => v.by?.accountId);
+          case 'created': return [c.versions[0].when];
+          case 'lastmodified': return [c.versions.at(-1).when];
+          default: throw new MockHttpError(400, `Could not parse cql : ${cql} (unknown field '${field}')`);
+        }
+      };
+      const date = (v) => new Date(/^\d{4}[-/]\d{2}[-/]\d{2}$/.test(v) ? v.replace(/\//g, '-') : v).getTime();
+      tests.push((c) => {
+        const actual = get(c).map(String);
+        switch (op) {
+          case '=': case 'in': return values.some(v => actual.some(a => a.toLowerCase() === v.toLowerCase()));
+          case '!=': case 'not in': return !values.some(v => actual.some(a => a.toLowerCase() === v.toLowerCase()));
+          case '~': case '!~': {
+            const words = values[0].toLowerCase().split(/\s+/).filter(Boolean);
+            const found = actual.some(a => words.every(w => a.toLowerCase().includes(w)));
+            return op === '~' ? found : !found;
+          }
+          default: {
+            const [a, b] = [date(actual[0]), date(values[0])];
+            return { '>': a > b, '>=': a >= b, '<': a < b, '<=': a <= b }[op];
+          }
+        }
+      });
+    }
+
+    let items = [...state.content.values()].filter(c => tests.every(t => t(c)));
+    const [orderField = 'id', direction = 'ASC'] = (order || '').trim().split(/\s+/);
+    const sortKey = (c) => ({ title: c.title, created: c.versions[0].when, lastmodified: c.versions.at(-1).when }[orderField.toLowerCase()] ?? Number(c.id));
+    items = items.sort((a, b) => (sortKey(a) > sortKey(b) ? 1 : sortKey(a) < sortKey(b) ? -1 : 0));
+    if (/desc/i.test(direction)) items.reverse();
+    return items;
+  }
+
+  // Confluence-style page of results with a relative `_links.next`
+  function confluencePage(items, query, basePath) {
+    const start = Number(query.get('start') || 0);
+    const limit = Math.min(Number(query.get('limit') || 25), pageSize);
+    const results = items.slice(start, start + limit);
+    const links = { base: `${server.url}${wikiRoot}`, context: wikiRoot };
+    if (start + limit < items.length) {
+      const next = new URLSearchParams(query);
+      next.set('start', String(start + limit));
+      next.set('limit', String(limit));
+      links.next = `${basePath.slice(wikiRoot.length)}?${next}`;
+    }
+    return { results, start, limit, size: results.length, _links: links };
+  }
+
+  function parseMultipart(raw, contentType) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/.exec(contentType || '');
+    if (!boundary) throw new MockHttpError(400, 'Expected multipart/form-data');
+    const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+    const files = [];
+    const fields = {};
+    let pos = raw.indexOf(delimiter);
+    while (pos !== -1) {
+      const next = raw.indexOf(delimiter, pos + delimiter.length);
+      if (next === -1) break;
+      const part = raw.subarray(pos + delimiter.length + 2, next - 2);
+      const headerEnd = part.indexOf('\r\n\r\n');
+      const headers = part.subarray(0, headerEnd).toString();
+      const filename = /filename="((?:[^"\\]|\\.)*)"/.exec(headers)?.[1]?.replace(/\\(.)/g, '$1');
+      if (filename !== undefined) {
+        files.push({
+          filename,
+          contentType: /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1] || 'application/octet-stream',
+          data: part.subarray(headerEnd + 4),
+        });
+      } else {
+        const name = /name="([^"]*)"/.exec(headers)?.[1];
+        if (name) fields[name] = part.subarray(headerEnd + 4).toString();
+      }
+      pos = next;
+    }
+    if (!files.length) throw new MockHttpError(400, 'No file in multipart body');
+    return { files, fields };
+  }
+
+  // ── JIRA helpers ───────────────────────────────────────────────
+
+  function getProject(keyOrId) {
+    const project = state.projects.get(keyOrId) || [...state.projects.values()].find(p => p.id === keyOrId);
+    if (!project) throw new MockHttpError(404, `No project could be found with key '${keyOrId}'.`);
+    return project;
+  }
+
+  function getIssue(key) {
+    const issue = state.issues.get(key) || [...state.issues.values()].find(i => i.id === key);
+    if (!issue) throw new MockHttpError(404, 'Issue does not exist or you do not have permission to see it.');
+    return issue;
+  }
+
+  function fieldList() {
+    return [
+      ...SYSTEM_FIELDS.map(id => ({ id, key: id, name: id.replace(/^./, c => c.toUpperCase()), custom: false, navigable: true })),
+      ...CUSTOM_FIELDS.map(f => ({ ...f, key: f.id, custom: true, navigable: true })),
+    ];
+  }
+
+  function issueRef(issue) {
+    return {
+      id: issue.id, key: issue.key,
+      fields: { summary: issue.fields.summary, status: issue.fields.status, issuetype: issue.fields.issuetype },
+    };
+  }
+
+  function serializeIssue(issue, fields, expand = '') {
+    const all = {
+      ...issue.fields,
+      project: { id: issue.project.id, key: issue.project.key, name: issue.project.name },
+      parent: issue.parentKey ? issueRef(getIssue(issue.parentKey)) : undefined,
+      subtasks: [...state.issues.values()].filter(i => i.parentKey === issue.key && i.fields.issuetype.subtask).map(issueRef),
+      comment: { comments: issue.comments, startAt: 0, maxResults: issue.comments.length, total: issue.comments.length },
+      issuelinks: [],
+    };
+    if (!all.parent) delete all.parent;
+
+    let selected = all;
+    const list = fields ? [].concat(fields).flatMap(f => String(f).split(',')).map(f => f.trim()).filter(Boolean) : ['*all'];
+    if (!list.includes('*all') && !list.includes('*navigable')) {
+      selected = {};
+      for (const f of list) if (!f.startsWith('-') && f in all) selected[f] = all[f];
+    }
+    for (const f of list) if (f.startsWith('-')) delete selected[f.slice(1)];
+
+    const out = { id: issue.id, key: issue.key, self: `/rest/api/3/issue/${issue.id}`, fields: selected };
+    const wants = new Set(String(expand).split(',').filter(Boolean));
+    if (wants.has('changelog')) {
+      out.changelog = { startAt: 0, maxResults: issue.changelog.length, total: issue.changelog.length, histories: issue.changelog };
+    }
+    if (wants.has('renderedFields')) {
+      out.renderedFields = { summary: issue.fields.summary, description: issue.fields.description ? '<p>(rendered)</p>' : null };
+    }
+    if (wants.has('names')) {
+      out.names = Object.fromEntries(fieldList().map(f => [f.id, f.name]));
+    }
+    return out;
+  }
+
+  function recordChange(issue, field, from, to) {
+    issue.changelog.push({
+      id: nextId(),
+      author: state.user,
+      created: jiraTime(),
+      items: [{ field, fromString: from ?? null, toString: to ?? null }],
+    });
+    issue.fields.updated = jiraTime();
+  }
+
+  // REST v3 takes ADF documents, v2 takes wiki-markup strings
+  function checkRichText(value, version) {
+    if (value === null || value === undefined) return null;
+    if (version === 2 && typeof value !== 'string') return 'Operation value must be a string';
+    if (version === 3 && value?.type !== 'doc') return 'Operation value must be an Atlassian Document (see the Atlassian Document Format)';
+    return null;
+  }
+
+  function applyIssueFields(issue, fields, creating, version) {
+    const known = new Set(fieldList().map(f => f.id));
+    const errors = {};
+    for (const name of Object.keys(fields)) {
+      if (!known.has(name)) errors[name] = `Field '${name}' cannot be set. It is not on the appropriate screen, or unknown.`;
+    }
+    const textError = 'description' in fields && checkRichText(fields.description, version);
+    if (textError) errors.description = textError;
+    if (Object.keys(errors).length) throw new MockHttpError(400, 'Field errors', errors);
+
+    for (const [name, value] of Object.entries(fields)) {
+      if (name === 'project' || name === 'issuetype') continue;
+      if (name === 'parent') {
+        if (!value) { issue.parentKey = null; continue; }
+        const parent = getIssue(value.key || value.id);
+        if (!creating) recordChange(issue, 'Parent', issue.parentKey, parent.key);
+        issue.parentKey = parent.key;
+        continue;
+      }
+      let stored = value;
+      if (name === 'priority' && value) stored = { name: value.name, id: value.id || value.name };
+      if (name === 'components' && value) stored = value.map(c => ({ name: c.name, id: c.id || c.name }));
+      if (name === 'assignee' && value) stored = { ...state.user, accountId: value.accountId, ...(value.name && { name: value.name }) };
+      if (!creating) recordChange(issue, name, display(issue.fields[name]), display(stored));
+      issue.fields[name] = stored;
+    }
+  }
+
+  function display(value) {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value)) return value.map(display).join(' ');
+    if (typeof value === 'object') return value.name || value.displayName || value.key || JSON.stringify(value);
+    return String(value);
+  }
+
+  // Minimal JQL: `field = value`, `!=`, `~`, `in (...)`, `is EMPTY` joined by AND, plus ORDER BY
+  function runJql(jql) {
+    const [where, order] = String(jql || '').split(/\s+ORDER\s+BY\s+/i);
+    const clauses = where.trim().replace(/^\(|\)$/g, '').split(/\s+AND\s+/i).map(c => c.trim().replace(/^\(+|\)+$/g, '')).filter(Boolean);
+    const unquote = (v) => v.trim().replace(/^["']|["']$/g, '');
+
+    const tests = clauses.map((clause) => {
+      const m = /^([\w.]+|"[^"]+")\s*(!=|=|~|\bin\b|\bnot in\b|\bis not\b|\bis\b)\s*(.+)$/i.exec(clause);
+      if (!m) throw new MockHttpError(400, `Error in the JQL Query: cannot parse '${clause}'`);
+      const field = unquote(m[1]).toLowerCase();
+      const op = m[2].toLowerCase();
+      const raw = m[3].trim();
+      const values = /^\(.*\)$/.test(raw) ? raw.slice(1, -1).split(',').map(unquote) : [unquote(raw)];
+      const get = (issue) => {
+        switch (field) {
+          case 'project': return [issue.project.key, issue.project.name];
+          case 'key': case 'issuekey': case 'id': return [issue.key, issue.id];
+          case 'issuetype': case 'type': return [issue.fields.issuetype.name];
+          case 'status': return [issue.fields.status.name];
+          case 'parent': return issue.parentKey ? [issue.parentKey] : [];
+          case 'labels': return issue.fields.labels || [];
+          case 'priority': return issue.fields.priority ? [issue.fields.priority.name] : [];
+          case 'assignee': return issue.fields.assignee ? [issue.fields.assignee.accountId, 'currentUser()'] : [];
+          case 'sprint': return (issue.fields.customfield_10020 || []).map(s => String(s.id)).concat((issue.fields.customfield_10020 || []).map(s => s.name));
+          case 'summary': case 'text': return [issue.fields.summary];
+          default: throw new MockHttpError(400, `Field '${field}' does not exist or you do not have permission to view it.`);
+        }
+      };
+      return (issue) => {
+        const actual = get(issue).map(v => String(v).toLowerCase());
+        const wanted = values.map(v => v.toLowerCase());
+        switch (op) {
+          case '=': case 'in': return wanted.some(v => actual.includes(v));
+          case '!=': case 'not in': return !wanted.some(v => actual.includes(v));
+          case '~': return actual.some(a => a.includes(wanted[0]));
+          case 'is': return wanted[0] === 'empty' ? actual.length === 0 : actual.length > 0;
+          case 'is not': return wanted[0] === 'empty' ? actual.length > 0 : actual.length === 0;
+          default: return false;
+        }
+      };
+    });
+
+    let issues = [...state.issues.values()].filter(i => tests.every(t => t(i)));
+    const [orderField = 'key', direction = 'ASC'] = (order || '').trim().split(/\s+/);
+    const sortKey = (i) => (orderField.toLowerCase() === 'created' || orderField.toLowerCase() === 'key' ? Number(i.id) : display(i.fields[orderField]) || '');
+    issues = issues.sort((a, b) => (sortKey(a) > sortKey(b) ? 1 : sortKey(a) < sortKey(b) ? -1 : 0));
+    if (/desc/i.test(direction)) issues.reverse();
+    return issues;
+  }
+
+  function jiraPage(items, startAt, maxResults, key) {
+    const size = Math.min(maxResults, pageSize);
+    const values = items.slice(startAt, startAt + size);
+    return { startAt, maxResults: size, total: items.length, isLast: startAt + size >= items.length, [key]: values };
+  }
+
+  // ── Routes ─────────────────────────────────────────────────────
+
+  const routes = [];
+  const route = (method, pattern, handler) => {
+    const keys = [];
+    const regex = new RegExp(`^${pattern.replace(/:(\w+)/g, (_, k) => { keys.push(k); return '([^/]+)'; })}$`);
+    routes.push({ method, regex, keys, handler });
+  };
+  // Data Center has no REST v3; handlers see which version was called
+  const jiraRoute = (method, pattern, handler) => {
+    for (const version of datacenter ? [2] : [3, 2]) {
+      route(method, `/rest/api/${version}${pattern}`, (ctx) => handler({ ...ctx, version }));
+    }
+  };
+
+  // Confluence: spaces
+  route('GET', `${CONFLUENCE}/space`, ({ query }) =>
+    confluencePage([...state.spaces.values()].map(s => spaceJson(s, 'homepage')), query, `${CONFLUENCE}/space`));
+
+  route('POST', `${CONFLUENCE}/space`, ({ body }) => {
+    if (!body?.key || !body?.name) throw new MockHttpError(400, 'Space key and name are required');
+    if (state.spaces.has(body.key)) throw new MockHttpError(400, `A space with key ${body.key} already exists`);
+    const space = { id: nextId(), key: body.key, name: body.name, description: body.description?.plain?.value || '' };
+    state.spaces.set(space.key, space);
+    space.homepageId = createContent({ type: 'page', title: `${space.name} Home`, spaceKey: space.key }).id;
+    return spaceJson(space, 'homepage');
+  });
+
+  route('GET', `${CONFLUENCE}/space/:key`, ({ params, query }) => {
+    const space = state.spaces.get(params.key);
+    if (!space) throw new MockHttpError(404, `No space with key : ${params.key}`);
+    return spaceJson(space, query.get('expand'));
+  });
+
+  route('DELETE', `${CONFLUENCE}/space/:key`, ({ params }) => {
+    if (!state.spaces.delete(params.key)) throw new MockHttpError(404, `No space with key : ${params.key}`);
+    for (const [id, c] of state.content) if (c.spaceKey === params.key) state.content.delete(id);
+    return new MockReply(202);
+  });
+
+  function spaceJson(space, expand = '') {
+    const out = { id: space.id, key: space.key, name: space.name, type: 'global' };
+    if (String(expand || '').includes('homepage') && state.content.has(space.homepageId)) {
+      out.homepage = serializeContent(state.content.get(space.homepageId));
+    }
+    return out;
+  }
+
+  // Confluence: content
+  route('GET', `${CONFLUENCE}/content`, ({ query }) => {
+    const type = query.get('type') || 'page';
+    const items = [...state.content.values()].filter(c =>
+      c.type === type
+      && (!query.get('spaceKey') || c.spaceKey === query.get('spaceKey'))
+      && (!query.get('title') || c.title === query.get('title')));
+    const page = confluencePage(items, query, `${CONFLUENCE}/content`);
+    page.results = page.results.map(c => serializeContent(c, query.get('expand')));
+    return page;
+  });
+
+  route('GET', `${CONFLUENCE}/content/search`, ({ query }) => {
+    const page = confluencePage(runCql(query.get('cql')), query, `${CONFLUENCE}/content/search`);
+    page.results = page.results.map(c => serializeContent(c, query.get('expand')));
+    return page;
+  });
+
+  route('POST', `${CONFLUENCE}/content`, ({ body, query }) => {
+    if (!body?.title) throw new MockHttpError(400, 'Title is required');
+    const spaceKey = body.space?.key;
+    if (!state.spaces.has(spaceKey)) throw new MockHttpError(404, `No space with key : ${spaceKey}`);
+    assertUniqueTitle(spaceKey, body.title);
+    const parentId = body.ancestors?.length ? String(body.ancestors.at(-1).id) : null;
+    if (parentId) getContent(parentId, 'page');
+    const page = createContent({
+      type: body.type || 'page', title: body.title, spaceKey, parentId, body: body.body?.storage?.value || '',
+    });
+    return serializeContent(page, query.get('expand') || 'body.storage,ancestors');
+  });
+
+  route('GET', `${CONFLUENCE}/content/:id`, ({ params, query }) => {
+    const item = getContent(params.id);
+    if (!query.get('version')) return serializeContent(item, query.get('expand'));
+    // ?status=historical&version=N: the page as it was at version N
+    const n = Number(query.get('version'));
+    const old = item.versions[n - 1];
+    if (!old) throw new MockHttpError(404, `No version ${n} of content ${item.id}`);
+    const out = serializeContent({ ...item, title: old.title, body: old.body, versions: item.versions.slice(0, n) }, query.get('expand'));
+    if (n < item.versions.length) out.status = 'historical';
+    return out;
+  });
+
+  route('PUT', `${CONFLUENCE}/content/:id`, ({ params, body }) => {
+    const page = getContent(params.id);
+    const current = page.versions.length;
+    if (body?.version?.number !== current + 1) {
+      throw new MockHttpError(409, `Version must be incremented on update. Current version is: ${current}`);
+    }
+    const title = body.title ?? page.title;
+    const spaceKey = body.space?.key ?? page.spaceKey;
+    if (!state.spaces.has(spaceKey)) throw new MockHttpError(404, `No space with key : ${spaceKey}`);
+    assertUniqueTitle(spaceKey, title, page.id);
+    if (body.ancestors?.length) {
+      const parent = getContent(String(body.ancestors.at(-1).id));
+      if (parent.id === page.id || ancestorsOf(parent).some(a => a.id === page.id)) {
+        throw new MockHttpError(400, 'Cannot move a page under itself or one of its descendants');
+      }
+      if (parent.spaceKey !== spaceKey) throw new MockHttpError(400, `Parent page ${parent.id} is not in space ${spaceKey}`);
+      page.parentId = parent.id;
+    } else if (spaceKey !== page.spaceKey) {
+      throw new MockHttpError(400, 'Moving a page to another space needs a parent page in that space');
+    }
+    if (spaceKey !== page.spaceKey) {
+      // The page's descendants (and their attachments) move with it
+      for (const c of state.content.values()) {
+        const owner = c.containerId ? state.content.get(c.containerId) : c;
+        if (owner && (owner.id === page.id || ancestorsOf(owner).some(a => a.id === page.id))) c.spaceKey = spaceKey;
+      }
+    }
+    page.title = title;
+    if (body.body?.storage) page.body = body.body.storage.value;
+    page.versions.push({ number: current + 1, when: now(), title: page.title, body: page.body, message: body.version.message, minorEdit: body.version.minorEdit, by: author() });
+    return serializeContent(page, 'body.storage,ancestors');
+  });
+
+  // Confluence: page history
+  route('GET', `${CONFLUENCE}/content/:id/version`, ({ params, query }) => {
+    const page = getContent(params.id);
+    const history = confluencePage([...page.versions].reverse(), query, `${CONFLUENCE}/content/${params.id}/version`);
+    history.results = history.results.map(versionJson);
+    return history;
+  });
+
+  route('POST', `${CONFLUENCE}/content/:id/version`, ({ params, body }) => {
+    const page = getContent(params.id);
+    if (body?.operationKey !== 'restore') throw new MockHttpError(400, `Unsupported operation: ${body?.operationKey}`);
+    const old = page.versions[Number(body.params?.versionNumber) - 1];
+    if (!old) throw new MockHttpError(404, `No version ${body.params?.versionNumber} of content ${params.id}`);
+    if (body.params.restoreTitle) {
+      assertUniqueTitle(page.spaceKey, old.title, page.id);
+      page.title = old.title;
+    }
+    page.body = old.body;
+    const version = { number: page.versions.length + 1, when: now(), title: page.title, body: page.body, message: body.params.message, by: author() };
+    page.versions.push(version);
+    return versionJson(version);
+  });
+
+  route('DELETE', `${CONFLUENCE}/content/:id`, ({ params }) => {
+    const item = getContent(params.id);
+    state.content.delete(item.id);
+    for (const c of state.content.values()) {
+      if (c.parentId === item.id) c.parentId = item.parentId;
+      if (c.containerId === item.id) state.content.delete(c.id);
+    }
+    return new MockReply(204);
+  });
+
+  route('GET', `${CONFLUENCE}/content/:id/child/page`, ({ params, query }) => {
+    getContent(params.id);
+    const children = [...state.content.values()].filter(c => c.type === 'page' && c.parentId === params.id);
+    const page = confluencePage(children, query, `${CONFLUENCE}/content/${params.id}/child/page`);
+    page.results = page.results.map(c => serializeContent(c, query.get('expand')));
+    return page;
+  });
+
+  // Confluence: labels
+  route('GET', `${CONFLUENCE}/content/:id/label`, ({ params, query }) =>
+    confluencePage(getContent(params.id).labels.map(labelJson), query, `${CONFLUENCE}/content/${params.id}/label`));
+
+  route('POST', `${CONFLUENCE}/content/:id/label`, ({ params, body }) => {
+    const item = getContent(params.id);
+    for (const label of [].concat(body || [])) {
+      if (!label?.name || /\s/.test(label.name)) throw new MockHttpError(400, `Invalid label: '${label?.name}'`);
+      if (!item.labels.includes(label.name)) item.labels.push(label.name);
+    }
+    return { results: item.labels.map(labelJson), size: item.labels.length };
+  });
+
+  const removeLabel = (id, name) => {
+    const item = getContent(id);
+    if (!item.labels.includes(name)) throw new MockHttpError(404, `Label '${name}' not found`);
+    item.labels = item.labels.filter(l => l !== name);
+    return new MockReply(204);
+  };
+  route('DELETE', `${CONFLUENCE}/content/:id/label`, ({ params, query }) => removeLabel(params.id, query.get('name')));
+  route('DELETE', `${CONFLUENCE}/content/:id/label/:name`, ({ params }) => removeLabel(params.id, params.name));
+
+  // Confluence: content properties
+  const propertyJson = (id, p) => ({ ...p, _links: { self: `${CONFLUENCE}/content/${id}/property/${encodeURIComponent(p.key)}` } });
+  const getProperty = (id, key) => {
+    const property = getContent(id).properties.get(key);
+    if (!property) throw new MockHttpError(404, `Cannot find content property with key: ${key}`);
+    return property;
+  };
+  const putProperty = (item, key, value, number) => {
+    if (!key || key.length > 255) throw new MockHttpError(400, `Invalid property key: '${key}'`);
+    if (value === undefined) throw new MockHttpError(400, 'A content property needs a value');
+    const property = { id: item.properties.get(key)?.id ?? nextId(), key, value, version: { number, when: now(), by: author() } };
+    item.properties.set(key, property);
+    return propertyJson(item.id, property);
+  };
+
+  route('GET', `${CONFLUENCE}/content/:id/property`, ({ params, query }) =>
+    confluencePage([...getContent(params.id).properties.values()].map(p => propertyJson(params.id, p)), query, `${CONFLUENCE}/content/${params.id}/property`));
+
+  route('GET', `${CONFLUENCE}/content/:id/property/:key`, ({ params }) => propertyJson(params.id, getProperty(params.id, params.key)));
+
+  route('POST', `${CONFLUENCE}/content/:id/property`, ({ params, body }) => {
+    const item = getContent(params.id);
+    if (item.properties.has(body?.key)) throw new MockHttpError(409, `A content property with key '${body.key}' already exists`);
+    return putProperty(item, body?.key, body?.value, 1);
+  });
+
+  // Updates name the next version number; creating through PUT starts at 1
+  route('PUT', `${CONFLUENCE}/content/:id/property/:key`, ({ params, body }) => {
+    const item = getContent(params.id);
+    const current = item.properties.get(params.key);
+    const number = body?.version?.number ?? 1;
+    if (number !== (current ? current.version.number + 1 : 1)) {
+      throw new MockHttpError(409, `Version must be incremented on update. Current version is: ${current?.version.number ?? 0}`);
+    }
+    return putProperty(item, params.key, body?.value, number);
+  });
+
+  route('DELETE', `${CONFLUENCE}/content/:id/property/:key`, ({ params }) => {
+    getProperty(params.id, params.key);
+    getContent(params.id).properties.delete(params.key);
+    return new MockReply(204);
+  });
+
+  // Confluence: attachments
+  route('GET', `${CONFLUENCE}/content/:id/child/attachment`, ({ params, query }) => {
+    getContent(params.id);
+    const items = [...state.content.values()].filter(c =>
+      c.type === 'attachment' && c.containerId === params.id
+      && (!query.get('filename') || c.title === query.get('filename'))
+      && (!query.get('mediaType') || c.mediaType === query.get('mediaType')));
+    const page = confluencePage(items, query, `${CONFLUENCE}/content/${params.id}/child/attachment`);
+    page.results = page.results.map(c => serializeContent(c, query.get('expand')));
+    return page;
+  });
+
+  // A new version's comment and minorEdit come as form fields next to the file
+  const storeUpload = (att, file, fields) => {
+    if (att.data) att.versions.push({ number: att.versions.length + 1, when: now(), title: file.filename, by: author() });
+    Object.assign(att.versions.at(-1), { message: fields.comment || '', minorEdit: fields.minorEdit === 'true' });
+    att.title = file.filename;
+    att.data = file.data;
+    att.mediaType = file.contentType;
+    return serializeContent(att);
+  };
+
+  const upload = (allowUpdate) => ({ params, raw, headers }) => {
+    const page = getContent(params.id);
+    const { files, fields } = parseMultipart(raw, headers['content-type']);
+    const results = files.map((file) => {
+      const existing = [...state.content.values()].find(c => c.type === 'attachment' && c.containerId === page.id && c.title === file.filename);
+      if (existing && !allowUpdate) {
+        throw new MockHttpError(400, 'Cannot add a new attachment with same file name as an existing attachment');
+      }
+      return storeUpload(existing || createContent({ type: 'attachment', title: file.filename, spaceKey: page.spaceKey, containerId: page.id }), file, fields);
+    });
+    return { results, size: results.length };
+  };
+  route('POST', `${CONFLUENCE}/content/:id/child/attachment`, upload(false));
+  route('PUT', `${CONFLUENCE}/content/:id/child/attachment`, upload(true));
+
+  // A new version of one attachment, which may also rename it
+  route('POST', `${CONFLUENCE}/content/:id/child/attachment/:attachmentId/data`, ({ params, raw, headers }) => {
+    const att = getContent(params.attachmentId, 'attachment');
+    if (att.containerId !== params.id) throw new MockHttpError(404, `No attachment ${params.attachmentId} on content ${params.id}`);
+    const { files: [file], fields } = parseMultipart(raw, headers['content-type']);
+    const clash = [...state.content.values()].find(c => c.type === 'attachment' && c.containerId === att.containerId && c.title === file.filename && c.id !== att.id);
+    if (clash) throw new MockHttpError(400, 'Cannot add a new attachment with same file name as an existing attachment');
+    return storeUpload(att, file, fields);
+  });
+
+  route('GET', `${wikiRoot}/download/attachments/:pageId/:filename`, ({ params }) => {
+    const name = decodeURIComponent(params.filename);
+    const att = [...state.content.values()].find(c => c.type === 'attachment' && c.containerId === params.pageId && c.title === name);
+    if (!att) throw new MockHttpError(404, 'Attachment not found');
+    return new MockReply(200, att.data, { 'content-type': att.mediaType });
+  });
+
+  // JIRA: projects
+  jiraRoute('POST', '/project', ({ body }) => {
+    if (!body?.key || !body?.name) throw new MockHttpError(400, 'Project key and name are required');
+    if (state.projects.has(body.key)) throw new MockHttpError(400, 'A project with that project key already exists.', { projectKey: 'A project with that project key already exists.' });
+    const project = { id: nextId(), key: body.key, name: body.name, description: body.description || '', counter: 0 };
+    state.projects.set(project.key, project);
+    const board = { id: Number(nextId()), name: `${project.key} board`, type: 'scrum', projectKey: project.key };
+    state.boards.set(board.id, board);
+    return { id: Number(project.id), key: project.key, self: `/rest/api/3/project/${project.id}` };
+  });
+
+  jiraRoute('GET', '/project', () => [...state.projects.values()].map(projectJson));
+
+  jiraRoute('GET', '/project/search', ({ query }) => {
+    const all = [...state.projects.values()].map(projectJson);
+    return jiraPage(all, Number(query.get('startAt') || 0), Number(query.get('maxResults') || 50), 'values');
+  });
+
+  jiraRoute('GET', '/project/:key', ({ params }) => projectJson(getProject(params.key)));
+
+  jiraRoute('DELETE', '/project/:key', ({ params }) => {
+    const project = getProject(params.key);
+    state.projects.delete(project.key);
+    for (const [key, issue] of state.issues) if (issue.project.key === project.key) state.issues.delete(key);
+    for (const [id, board] of state.boards) if (board.projectKey === project.key) state.boards.delete(id);
+    return new MockReply(204);
+  });
+
+  jiraRoute('GET', '/project/:key/components', ({ params }) => {
+    const project = getProject(params.key);
+    return state.components.filter(c => c.project === project.key);
+  });
+
+  jiraRoute('POST', '/component', ({ body }) => {
+    const project = getProject(body?.project);
+    if (state.components.some(c => c.project === project.key && c.name === body.name)) {
+      throw new MockHttpError(400, 'A component with that name already exists.');
+    }
+    const component = { id: nextId(), name: body.name, description: body.description || '', project: project.key };
+    state.components.push(component);
+    return component;
+  });
+
+  jiraRoute('GET', '/component/:id', ({ params }) => getComponent(params.id));
+
+  jiraRoute('DELETE', '/component/:id', ({ params }) => {
+    const component = getComponent(params.id);
+    state.components = state.components.filter(c => c !== component);
+    for (const issue of state.issues.values()) {
+      issue.fields.components = (issue.fields.components || []).filter(c => c.name !== component.name || issue.project.key !== component.project);
+    }
+    return new MockReply(204);
+  });
+
+  function getComponent(id) {
+    const component = state.components.find(c => c.id === String(id));
+    if (!component) throw new MockHttpError(404, `The component with id ${id} does not exist.`);
+    return component;
+  }
+
+  function projectJson(project) {
+    return { id: project.id, key: project.key, name: project.name, description: project.description };
+  }
+
+  // JIRA: issues
+  jiraRoute('POST', '/issue', ({ body, version }) => {
+    const fields = body?.fields || {};
+    const project = getProject(fields.project?.key || fields.project?.id);
+    const errors = {};
+    if (!fields.summary) errors.summary = 'You must specify a summary of the issue.';
+    const typeName = fields.issuetype?.name;
+    if (!ISSUE_TYPES.includes(typeName)) errors.issuetype = 'Specify a valid issue type';
+    const subtask = /^sub-?task$/i.test(typeName || '');
+    if (subtask && !fields.parent) errors.parent = 'Sub-tasks must have a parent';
+    if (Object.keys(errors).length) throw new MockHttpError(400, 'Field errors', errors);
+
+    project.counter++;
+    const issue = {
+      id: nextId(),
+      key: `${project.key}-${project.counter}`,
+      project,
+      parentKey: null,
+      comments: [],
+      changelog: [],
+      fields: {
+        summary: fields.summary,
+        issuetype: { name: typeName, subtask },
+        status: { name: 'To Do', statusCategory: { key: 'new' } },
+        priority: { name: 'Medium', id: '3' },
+        labels: [],
+        components: [],
+        fixVersions: [],
+        assignee: null,
+        reporter: state.user,
+        created: jiraTime(),
+        updated: jiraTime(),
+        description: null,
+      },
+    };
+    const { project: _p, issuetype: _t, ...rest } = fields;
+    applyIssueFields(issue, rest, true, version);
+    state.issues.set(issue.key, issue);
+    return { id: issue.id, key: issue.key, self: `/rest/api/3/issue/${issue.id}` };
+  });
+
+  jiraRoute('GET', '/issue/:key', ({ params, query }) =>
+    serializeIssue(getIssue(params.key), query.get('fields'), query.get('expand')));
+
+  jiraRoute('PUT', '/issue/:key', ({ params, body, version }) => {
+    applyIssueFields(getIssue(params.key), body?.fields || {}, false, version);
+    return new MockReply(204);
+  });
+
+  jiraRoute('DELETE', '/issue/:key', ({ params, query }) => {
+    const issue = getIssue(params.key);
+    const subtasks = [...state.issues.values()].filter(i => i.parentKey === issue.key && i.fields.issuetype.subtask);
+    if (subtasks.length && query.get('deleteSubtasks') !== 'true') {
+      throw new MockHttpError(400, 'The issue has subtasks; set deleteSubtasks=true to delete them too.');
+    }
+    for (const s of subtasks) state.issues.delete(s.key);
+    state.issues.delete(issue.key);
+    return new MockReply(204);
+  });
+
+  jiraRoute('GET', '/issue/:key/transitions', ({ params }) => {
+    getIssue(params.key);
+    return { transitions: TRANSITIONS };
+  });
+
+  jiraRoute('POST', '/issue/:key/transitions', ({ params, body }) => {
+    const issue = getIssue(params.key);
+    const transition = TRANSITIONS.find(t => t.id === String(body?.transition?.id));
+    if (!transition) throw new MockHttpError(400, `Transition id '${body?.transition?.id}' is not valid for this issue.`);
+    recordChange(issue, 'status', issue.fields.status.name, transition.to.name);
+    issue.fields.status = { name: transition.to.name, statusCategory: transition.to.statusCategory };
+    return new MockReply(204);
+  });
+
+  jiraRoute('GET', '/issue/:key/comment', ({ params, query }) => {
+    const issue = getIssue(params.key);
+    const comments = query.get('orderBy') === '-created' ? [...issue.comments].reverse() : issue.comments;
+    return jiraPage(comments, Number(query.get('startAt') || 0), Number(query.get('maxResults') || 50), 'comments');
+  });
+
+  jiraRoute('POST', '/issue/:key/comment', ({ params, body, version }) => {
+    const issue = getIssue(params.key);
+    if (!body?.body) throw new MockHttpError(400, 'Comment body can not be empty!');
+    const textError = checkRichText(body.body, version);
+    if (textError) throw new MockHttpError(400, 'Field errors', { comment: textError });
+    const comment = { id: nextId(), author: state.user, body: body.body, created: jiraTime(), updated: jiraTime() };
+    issue.comments.push(comment);
+    return comment;
+  });
+
+  // JIRA: search
+  jiraRoute('POST', '/search/jql', ({ body }) => {
+    if (datacenter) throw new MockHttpError(404, 'null for uri: /rest/api/2/search/jql');
+    const issues = runJql(body?.jql);
+    const start = body?.nextPageToken ? Number(Buffer.from(body.nextPageToken, 'base64').toString()) : 0;
+    const size = Math.min(body?.maxResults ?? 50, pageSize);
+    const slice = issues.slice(start, start + size);
+    const out = {
+      issues: slice.map(i => serializeIssue(i, body?.fields || ['id'], body?.expand)),
+      isLast: start + size >= issues.length,
+    };
+    if (!out.isLast) out.nextPageToken = Buffer.from(String(start + size)).toString('base64');
+    return out;
+  });
+
+  jiraRoute('POST', '/search', ({ body }) => {
+    const page = jiraPage(runJql(body?.jql), body?.startAt || 0, body?.maxResults ?? 50, 'issues');
+    page.issues = page.issues.map(i => serializeIssue(i, body?.fields, body?.expand));
+    return page;
+  });
+
+  jiraRoute('GET', '/field', () => fieldList());
+
+  jiraRoute('GET', '/label', ({ query }) => {
+    const labels = [...new Set([...state.issues.values()].flatMap(i => i.fields.labels || []))].sort();
+    return jiraPage(labels, Number(query.get('startAt') || 0), Number(query.get('maxResults') || 1000), 'values');
+  });
+
+  // JIRA: users
+  jiraRoute('GET', '/myself', () => state.user);
+  jiraRoute('GET', '/user/search', ({ query }) => {
+    const q = (query.get(datacenter ? 'username' : 'query') || '').toLowerCase();
+    const u = state.user;
+    return [u].filter(x => x.displayName.toLowerCase().includes(q) || x.emailAddress.toLowerCase().includes(q));
+  });
+
+  // JIRA agile: boards and sprints
+  route('GET', '/rest/agile/1.0/board', ({ query }) => {
+    const key = query.get('projectKeyOrId');
+    const boards = [...state.boards.values()].filter(b => !key || b.projectKey === key || getProject(key).key === b.projectKey);
+    return jiraPage(boards.map(b => ({ id: b.id, name: b.name, type: b.type })), Number(query.get('startAt') || 0), Number(query.get('maxResults') || 50), 'values');
+  });
+
+  route('POST', '/rest/agile/1.0/sprint', ({ body }) => {
+    if (!state.boards.has(Number(body?.originBoardId))) throw new MockHttpError(400, `Board ${body?.originBoardId} does not exist`);
+    const sprint = {
+      id: Number(nextId()), name: body.name, state: 'future', originBoardId: Number(body.originBoardId),
+      startDate: body.startDate, endDate: body.endDate, goal: body.goal,
+    };
+    state.sprints.set(sprint.id, sprint);
+    return sprint;
+  });
+
+  route('GET', '/rest/agile/1.0/sprint/:id', ({ params }) => getSprint(params.id));
+
+  route('DELETE', '/rest/agile/1.0/sprint/:id', ({ params }) => {
+    const sprint = getSprint(params.id);
+    state.sprints.delete(sprint.id);
+    for (const issue of state.issues.values()) {
+      if (issue.fields.customfield_10020?.some(s => s.id === sprint.id)) delete issue.fields.customfield_10020;
+    }
+    return new MockReply(204);
+  });
+
+  function getSprint(id) {
+    const sprint = state.sprints.get(Number(id));
+    if (!sprint) throw new MockHttpError(404, `Sprint ${id} does not exist`);
+    return sprint;
+  }
+
+  route('POST', '/rest/agile/1.0/sprint/:id/issue', ({ params, body }) => {
+    const sprint = state.sprints.get(Number(params.id));
+    if (!sprint) throw new MockHttpError(404, `Sprint ${params.id} does not exist`);
+    for (const key of body?.issues || []) {
+      getIssue(key).fields.customfield_10020 = [{ id: sprint.id, name: sprint.name, state: sprint.state, boardId: sprint.originBoardId }];
+    }
+    return new MockReply(204);
+  });
+
+  route('GET', '/rest/agile/1.0/board/:id/sprint', ({ params, query }) => {
+    const states = (query.get('state') || 'future,active,closed').split(',');
+    const sprints = [...state.sprints.values()].filter(s => s.originBoardId === Number(params.id) && states.includes(s.state));
+    return jiraPage(sprints, Number(query.get('startAt') || 0), Number(query.get('maxResults') || 50), 'values');
+  });
+
+  // ── OAuth 2.0 ──────────────────────────────────────────────────
+
+  function issueToken(body) {
+    if (!oauth || body?.grant_type !== 'refresh_token') throw new MockHttpError(400, 'unsupported_grant_type');
+    if (body.client_id !== oauth.clientId || body.client_secret !== oauth.clientSecret || body.refresh_token !== oauth.refreshToken) {
+      throw new MockHttpError(403, 'invalid_grant');
+    }
+    const token = `mock-access-${nextId()}`;
+    accessTokens.add(token);
+    oauth.refreshToken = `mock-refresh-${nextId()}`;
+    return { access_token: token, refresh_token: oauth.refreshToken, token_type: 'Bearer', expires_in: 3600, scope: 'read:jira-work write:jira-work' };
+  }
+
+  function authorized(header = '') {
+    if (!header) return false;
+    if (!header.startsWith('Bearer ')) return !datacenter || !pat; // DC sites here only take bearer tokens
+    const token = header.slice(7);
+    return token === pat || accessTokens.has(token);
+  }
+
+  // ── HTTP plumbing ──────────────────────────────────────────────
+
+  function handle(req, res, raw) {
+    const url = new URL(req.url, 'http://mock');
+    // OAuth requests go through the api.atlassian.com gateway: /ex/{product}/{cloudId}/…
+    const pathname = url.pathname.replace(/^\/ex\/(?:jira|confluence)\/[^/]+/, '');
+    const contentType = req.headers['content-type'] || '';
+    let body = null;
+    if (raw.length && contentType.includes('application/json')) {
+      try { body = JSON.parse(raw.toString()); } catch { return send(res, 400, { message: 'Malformed JSON body' }); }
+    }
+    requests.push({ method: req.method, path: url.pathname + url.search, body, headers: req.headers });
+
+    const hook = hooks.find(h => (!h.method || h.method === req.method)
+      && (!h.path || (h.path instanceof RegExp ? h.path.test(url.pathname) : url.pathname === h.path)));
+    if (hook) {
+      hooks = hooks.filter(h => h !== hook);
+      hook.fn(state);
+    }
+
+    const failure = failures.find(f => f.count > 0 && (!f.method || f.method === req.method)
+      && (!f.path || (f.path instanceof RegExp ? f.path.test(url.pathname) : url.pathname === f.path)));
+    if (failure) {
+      failure.count--;
+      failures = failures.filter(f => f.count > 0);
+      const reply = () => send(res, failure.status, failure.body ?? { message: `Injected ${failure.status}` }, failure.headers);
+      return failure.delayMs ? setTimeout(reply, failure.delayMs) : reply();
+    }
+
+    if (req.method === 'POST' && pathname === '/oauth/token') {
+      try { return send(res, 200, issueToken(body)); } catch (e) { return send(res, e.status, { error: e.message }); }
+    }
+    if (!authorized(req.headers.authorization)) return send(res, 401, { message: 'Client must be authenticated to access this resource.' });
+
+    for (const r of routes) {
+      if (r.method !== req.method) continue;
+      const m = r.regex.exec(pathname);
+      if (!m) continue;
+      const params = Object.fromEntries(r.keys.map((k, i) => [k, decodeURIComponent(m[i + 1])]));
+      try {
+        const result = r.handler({ params, query: url.searchParams, body, raw, headers: req.headers });
+        if (result instanceof MockReply) {
+          res.writeHead(result.status, result.headers);
+          return res.end(result.data ?? undefined);
+        }
+        return send(res, 200, result);
+      } catch (e) {
+        if (!(e instanceof MockHttpError)) return send(res, 500, { message: e.message });
+        return send(res, e.status, { statusCode: e.status, message: e.message, errorMessages: e.errors ? [] : [e.message], errors: e.errors || {} });
+      }
+    }
+    return send(res, 404, { statusCode: 404, message: `No mock route for ${req.method} ${pathname}` });
+  }
+
+  function send(res, status, payload, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+  });
+
+  const server = {
+    url: null,
+    get state() { return state; },
+    requests,
+    reset,
+
+    /** Listen on a free local port; resolves to the base URL. */
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, '127.0.0.1', () => {
+          server.url = `http://127.0.0.1:${httpServer.address().port}`;
+          resolve(server.url);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => {
+        httpServer.closeAllConnections?.();
+        httpServer.close(() => resolve());
+      });
+    },
+
+    /**
+     * Fail the next `count` matching requests (after `delayMs`, to provoke timeouts).
+     * @param {number} count
+     * @param {{status?: number, body?: object, headers?: object, method?: string, path?: string|RegExp, delayMs?: number}} failure
+     */
+    failNext(count, failure = {}) {
+      failures.push({ status: 500, ...failure, count });
+    },
+
+    /**
+     * Run `fn(state)` just before the next matching request is handled — e.g.
+     * to land someone else's edit between a client's read and its write.
+     * @param {{method?: string, path?: string|RegExp}} match
+     * @param {(state: object) => void} fn
+     */
+    beforeNext(match, fn) {
+      hooks.push({ ...match, fn });
+    },
+
+    /** Answer the next `count` requests with 429 and a Retry-After header. */
+    rateLimit(count, retryAfterSeconds = 0) {
+      server.failNext(count, { status: 429, headers: { 'retry-after': String(retryAfterSeconds) }, body: { message: 'Rate limit exceeded' } });
+    },
+
+    /** Invalidate every issued OAuth access token (as if they had expired). */
+    expireTokens() {
+      accessTokens.clear();
+    },
+  };
+  return server;
+}
+
+const SITE_ENV = ['ATLASSIAN_DOMAIN', 'ATLASSIAN_EMAIL', 'ATLASSIAN_API_TOKEN', 'ATLASSIAN_DEPLOYMENT', 'ATLASSIAN_AUTH', 'ATLASSIAN_PAT'];
+
+/**
+ * Start a mock server and point ATLASSIAN_DOMAIN/EMAIL/API_TOKEN at it
+ * (ATLASSIAN_DEPLOYMENT/PAT for `deployment: 'datacenter'`).
+ * The returned server's stop() restores the previous environment.
+ */
+export async function startMockSite(opts = {}) {
+  const server = createMockServer(opts);
+  const url = await server.start();
+  const saved = Object.fromEntries(SITE_ENV.map(k => [k, process.env[k]]));
+  for (const k of SITE_ENV) delete process.env[k];
+  if (opts.deployment === 'datacenter') {
+    Object.assign(process.env, { ATLASSIAN_DOMAIN: url, ATLASSIAN_DEPLOYMENT: 'datacenter', ATLASSIAN_PAT: opts.pat ?? 'mock-pat' });
+  } else {
+    Object.assign(process.env, { ATLASSIAN_DOMAIN: url, ATLASSIAN_EMAIL: 'mock@example.com', ATLASSIAN_API_TOKEN: 'mock-token' });
+  }
+  resetConfig();
+
+  const stop = server.stop;
+  server.stop = async () => {
+    await stop();
+    for (const k of SITE_ENV) {
+      if (saved[k] === undefined) delete process.env[k];
+      else process.env[k] = saved[k];
+    }
+    resetConfig();
+  };
+  return server;
+}
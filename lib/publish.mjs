@@ -0,0 +1,137 @@
+/**
+ * Publish a directory of Markdown files to Confluence as a page tree
+ *
+ * The folder structure is mirrored: each `.md` file becomes a page, each
+ * sub-directory becomes a parent page (its `index.md`/`README.md` supplies the
+ * body, otherwise a children listing is generated). Pages are upserted, so
+ * publishing again only touches what changed.
+ *
+ * Usage:
+ *   import { publishDirectory } from './publish.mjs';
+ *   const report = await publishDirectory('./docs', 'ENG', parentPageId);
+ */
+import fs from 'fs';
+import path from 'path';
+import { markdownToStorage, parseFrontMatter, parseMarkdown, inlineText } from './markdown.mjs';
+import { buildPageTree } from './confluence.mjs';
+import { cf } from './formatters.mjs';
+
+const INDEX_FILES = ['index.md', 'readme.md'];
+
+/**
+ * Scan a directory into a tree of `{ title, file?, dir?, children }` nodes.
+ * Titles come from front-matter `title`, a leading `# H1`, or the file name.
+ */
+export function scanMarkdownTree(dir) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(e => !e.name.startsWith('.') && e.name !== 'node_modules')
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const nodes = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const children = scanMarkdownTree(full);
+      const index = children.find(c => c.file && INDEX_FILES.includes(path.basename(c.file).toLowerCase()));
+      if (!children.length) continue;
+      nodes.push({
+        title: index?.title || titleFromName(entry.name),
+        dir: full,
+        file: index?.file,
+        children: children.filter(c => c !== index),
+      });
+    } else if (entry.isFile() && /\.md$/i.test(entry.name)) {
+      nodes.push({ title: readTitle(full) || titleFromName(entry.name), file: full, children: [] });
+    }
+  }
+  return nodes;
+}
+
+function readTitle(file) {
+  const { data, content } = parseFrontMatter(fs.readFileSync(file, 'utf-8'));
+  if (data.title) return data.title;
+  const first = parseMarkdown(content)[0];
+  return first?.type === 'heading' && first.level === 1 ? inlineText(first.children).trim() : null;
+}
+
+function titleFromName(name) {
+  const base = name.replace(/\.md$/i, '').replace(/^\d+[-_.\s]+/, '').replace(/[-_]+/g, ' ').trim();
+  return base.charAt(0).toUpperCase() + base.slice(1);
+}
+
+/**
+ * Convert a scanned tree into buildPageTree() page configs. Relative `.md`
+ * links resolve to the title of the page that file (or its folder) becomes.
+ * Images whose file does not exist are listed in the page's `missing`.
+ */
+export function markdownTreeToPages(tree) {
+  const titles = new Map();
+  const collect = (nodes) => {
+    for (const n of nodes) {
+      if (n.file) titles.set(path.resolve(n.file), n.title);
+      if (n.dir) titles.set(path.resolve(n.dir), n.title);
+      collect(n.children);
+    }
+  };
+  collect(tree);
+  const resolveLink = (absPath) => titles.get(absPath) || null;
+
+  const convert = (nodes) => nodes.map(n => {
+    if (!n.file) {
+      return { title: n.title, body: cf.children(), labels: [], children: convert(n.children) };
+    }
+    const page = markdownToStorage(fs.readFileSync(n.file, 'utf-8'), {
+      baseDir: path.dirname(n.file),
+      resolveLink,
+      defaultTitle: n.title,
+    });
+    const body = n.children.length && !page.body.includes('ac:name="children"')
+      ? `${page.body}\n${cf.children()}`
+      : page.body;
+    const converted = {
+      title: n.title,
+      body,
+      labels: page.labels,
+      attachments: page.attachments.filter(f => fs.existsSync(f)),
+      children: convert(n.children),
+    };
+    const missing = page.attachments.filter(f => !converted.attachments.includes(f));
+    if (missing.length) converted.missing = missing;
+    return converted;
+  });
+  return convert(tree);
+}
+
+/**
+ * Publish a Markdown directory as a page tree under `parentId`. Images that
+ * point at files which do not exist are published as broken references:
+ * they are logged and listed in the report's `missing`.
+ *
+ * @param {string} dir
+ * @param {string} spaceKey
+ * @param {string} parentId - Parent page ID (usually the space homepage)
+ * @param {{delayMs?: number, validate?: boolean}} opts - validate: check each body before it is written
+ * @returns {Promise<object>} buildPageTree() report, plus `missing: Array<{title, file}>`
+ */
+export async function publishDirectory(dir, spaceKey, parentId, opts = {}) {
+  const root = path.resolve(process.cwd(), dir);
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new Error(`Not a directory: ${dir}`);
+  }
+  const pages = markdownTreeToPages(scanMarkdownTree(root));
+  console.log(`Publishing ${dir} → ${spaceKey} (${countPages(pages)} pages)`);
+  const missing = missingFiles(pages);
+  for (const m of missing) {
+    console.log(`  Warning: "${m.title}" shows ${path.relative(root, m.file)}, which does not exist — it will not be attached`);
+  }
+  const report = await buildPageTree(spaceKey, parentId, pages, { ...opts, upsert: true });
+  return { ...report, missing };
+}
+
+function countPages(pages) {
+  return pages.reduce((n, p) => n + 1 + countPages(p.children), 0);
+}
+
+function missingFiles(pages) {
+  return pages.flatMap(p => [...(p.missing || []).map(file => ({ title: p.title, file })), ...missingFiles(p.children)]);
+}
@@ -0,0 +1,88 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import { scanMarkdownTree, publishDirectory } from './publish.mjs';
+
+let site;
+let homepage;
+let docs;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(() => site.stop());
+beforeEach(async (t) => {
+  site.reset();
+  ({ homepage } = await confluence.createSpace('ENG', 'Engineering', ''));
+  docs = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-publish-test-'));
+  t.after(() => fs.rmSync(docs, { recursive: true, force: true }));
+  writeTree(docs, {
+    '01-getting-started.md': '# Getting Started\n\nRead [the setup guide](guides/setup.md#install).\n\n![Overview](overview.png)',
+    'overview.png': 'png',
+    'guides/index.md': '---\ntitle: Guides\nlabels: [docs]\n---\nAll guides.',
+    'guides/setup.md': 'Install it.',
+    'reference/cli-flags.md': '# CLI Flags',
+    'empty/notes.txt': 'not markdown',
+    '.drafts/wip.md': '# WIP',
+  });
+});
+
+function writeTree(root, files) {
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+    fs.writeFileSync(path.join(root, name), content);
+  }
+}
+
+const titles = (nodes) => nodes.map(n => (n.children.length ? [n.title, titles(n.children)] : n.title));
+
+test('scanMarkdownTree mirrors folders, reading titles from front-matter, H1 or the file name', () => {
+  const tree = scanMarkdownTree(docs);
+  assert.deepEqual(titles(tree), ['Getting Started', ['Guides', ['Setup']], ['Reference', ['CLI Flags']]]);
+  assert.equal(tree[1].file, path.join(docs, 'guides', 'index.md'));
+  assert.equal(tree[2].file, undefined);
+});
+
+test('publishDirectory creates the tree with links and attachments, then re-publishes as unchanged', async () => {
+  const report = await publishDirectory(docs, 'ENG', homepage.id);
+  assert.deepEqual(report.created.map(p => p.title), ['Getting Started', 'Guides', 'Setup', 'Reference', 'CLI Flags']);
+  assert.deepEqual(report.failed, []);
+
+  const byTitle = Object.fromEntries(report.created.map(p => [p.title, p]));
+  assert.equal(byTitle['Getting Started'].parentId, homepage.id);
+  assert.equal(byTitle.Setup.parentId, byTitle.Guides.id);
+  assert.equal(byTitle['CLI Flags'].parentId, byTitle.Reference.id);
+
+  const start = await confluence.getPageById(byTitle['Getting Started'].id);
+  assert.match(start.body.storage.value, /<ac:link ac:anchor="install"><ri:page ri:content-title="Setup" \/><ac:link-body>the setup guide<\/ac:link-body><\/ac:link>/);
+  assert.deepEqual((await confluence.listAttachments(start.id)).map(a => a.title), ['overview.png']);
+
+  const guides = await confluence.getPageById(byTitle.Guides.id);
+  assert.match(guides.body.storage.value, /^<p>All guides\.<\/p>\n<ac:structured-macro ac:name="children"/);
+  assert.deepEqual(await confluence.getLabels(guides.id), ['docs']);
+  assert.match((await confluence.getPageById(byTitle.Reference.id)).body.storage.value, /ac:name="children"/);
+
+  const again = await publishDirectory(docs, 'ENG', homepage.id);
+  assert.deepEqual(again.missing, []);
+  assert.deepEqual(again.created, []);
+  assert.equal(again.unchanged.length, 5);
+});
+
+test('publishDirectory reports images whose file is missing', async () => {
+  fs.writeFileSync(path.join(docs, 'guides', 'setup.md'), 'Install it.\n\n![Flow](flow.png)');
+  const report = await publishDirectory(docs, 'ENG', homepage.id);
+
+  assert.deepEqual(report.missing, [{ title: 'Setup', file: path.join(docs, 'guides', 'flow.png') }]);
+  const warning = `"Setup" shows ${path.join('guides', 'flow.png')}, which does not exist`;
+  assert.ok(console.log.mock.calls.some(c => String(c.arguments[0]).includes(warning)));
+  assert.deepEqual(report.failed, []);
+});
+
+test('publishDirectory rejects a path that is not a directory', async () => {
+  await assert.rejects(publishDirectory(path.join(docs, 'guides', 'setup.md'), 'ENG', homepage.id), /Not a directory/);
+});
@@ -0,0 +1,189 @@
+/**
+ * Request scheduler — concurrency limit, retries and rate-limit awareness
+ *
+ * Every request to a site goes through that site's scheduler (see
+ * atlassian-client.mjs), so bulk operations can fire requests in parallel
+ * and leave pacing to this module:
+ *
+ *  - at most `concurrency` requests in flight at once
+ *  - retries with exponential backoff + jitter on 429, 5xx and network errors
+ *    (5xx/network only for idempotent requests — a POST that timed out may
+ *    still have been applied)
+ *  - Retry-After pauses the whole queue, not just the request that got it
+ *  - X-RateLimit-NearLimit / low X-RateLimit-Remaining halve the concurrency;
+ *    it climbs back one step per run of successful responses
+ *
+ * Usage:
+ *   import { createScheduler } from './scheduler.mjs';
+ *   const scheduler = createScheduler({ concurrency: 4 });
+ *   const result = await scheduler.schedule(() => sendOnce(), { idempotent: true });
+ */
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+  concurrency: 4,
+  retries: 3,
+  timeoutMs: 60_000,
+  baseDelayMs: 500,
+  maxDelayMs: 30_000,
+};
+
+const RETRYABLE_STATUS = new Set([500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNREFUSED']);
+
+// Successful responses needed to raise a throttled concurrency by one
+const RECOVERY_STREAK = 20;
+
+/**
+ * Create a scheduler.
+ *
+ * @param {object} opts
+ * @param {number} [opts.concurrency=4] - Maximum requests in flight
+ * @param {number} [opts.retries=3] - Retries per request
+ * @param {number} [opts.timeoutMs=60000] - Per-attempt timeout (read by the caller's task)
+ * @param {number} [opts.baseDelayMs=500] - First backoff delay; doubles per retry
+ * @param {number} [opts.maxDelayMs=30000] - Backoff ceiling
+ * @returns {{schedule: Function, observe: Function, configure: Function, settings: object, stats: Function}}
+ */
+export function createScheduler(opts = {}) {
+  const settings = { ...DEFAULT_SCHEDULER_OPTIONS, ...opts };
+  const waiting = [];
+  let active = 0;
+  let limit = settings.concurrency;
+  let streak = 0;
+  let pausedUntil = 0;
+  let wakeTimer = null;
+
+  function pump() {
+    if (wakeTimer) return;
+    const wait = pausedUntil - Date.now();
+    if (wait > 0 && waiting.length) {
+      wakeTimer = setTimeout(() => { wakeTimer = null; pump(); }, wait);
+      return;
+    }
+    while (active < limit && waiting.length) {
+      active++;
+      let released = false;
+      waiting.shift()(() => {
+        if (released) return;
+        released = true;
+        active--;
+        pump();
+      });
+    }
+  }
+
+  // Resolves with a release() function once a slot is free
+  function acquire() {
+    return new Promise((resolve) => {
+      waiting.push(resolve);
+      pump();
+    });
+  }
+
+  function pauseFor(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  }
+
+  function throttle() {
+    streak = 0;
+    limit = Math.max(1, Math.floor(limit / 2));
+  }
+
+  const scheduler = {
+    settings,
+
+    /**
+     * Run `task` (one attempt; rejects with `statusCode`/`headers`/`code` on
+     * failure) in a free slot, retrying transient failures.
+     *
+     * @param {() => Promise<any>} task
+     * @param {{retries?: number, idempotent?: boolean, label?: string}} [taskOpts]
+     */
+    async schedule(task, taskOpts = {}) {
+      const retries = taskOpts.retries ?? settings.retries;
+      for (let attempt = 0; ; attempt++) {
+        const release = await acquire();
+        try {
+          return await task();
+        } catch (error) {
+          if (attempt >= retries || !isRetryable(error, taskOpts.idempotent)) throw error;
+          const retryAfter = retryAfterMs(error.headers);
+          if (error.statusCode === 429) {
+            throttle();
+            if (retryAfter !== null) pauseFor(retryAfter);
+          }
+          const delay = retryAfter ?? backoff(attempt, settings);
+          console.log(`  ${describe(error)}. Retrying in ${(delay / 1000).toFixed(1)}s... (${retries - attempt} retries left)`);
+          release();
+          await new Promise(r => setTimeout(r, delay));
+        } finally {
+          release();
+        }
+      }
+    },
+
+    /** Feed response headers in for adaptive throttling. */
+    observe(headers = {}) {
+      const remaining = Number(headers['x-ratelimit-remaining']);
+      const max = Number(headers['x-ratelimit-limit']);
+      const near = headers['x-ratelimit-nearlimit'] === 'true' || (max > 0 && remaining / max < 0.1);
+      if (remaining === 0) {
+        const reset = Date.parse(headers['x-ratelimit-reset'] || '');
+        if (reset > Date.now()) pauseFor(reset - Date.now());
+      }
+      if (near) {
+        throttle();
+      } else if (limit < settings.concurrency && ++streak >= RECOVERY_STREAK) {
+        streak = 0;
+        limit++;
+        pump();
+      }
+    },
+
+    /** Change settings; takes effect for the next requests. */
+    configure(changes = {}) {
+      Object.assign(settings, changes);
+      if (changes.concurrency !== undefined) limit = settings.concurrency;
+      pump();
+    },
+
+    /** Current load: in flight, queued, effective concurrency and pause. */
+    stats() {
+      return { active, queued: waiting.length, concurrency: limit, pausedMs: Math.max(0, pausedUntil - Date.now()) };
+    },
+  };
+  return scheduler;
+}
+
+/**
+ * Whether a failed attempt is worth retrying. 429 is always safe to retry
+ * (the request was not processed); 5xx and network errors only when the
+ * request is idempotent.
+ */
+export function isRetryable(error, idempotent = true) {
+  if (error.statusCode === 429) return true;
+  if (!idempotent) return false;
+  return RETRYABLE_STATUS.has(error.statusCode) || RETRYABLE_CODES.has(error.code);
+}
+
+/** Retry-After (seconds or an HTTP date) in milliseconds, or null. */
+export function retryAfterMs(headers = {}) {
+  const value = headers?.['retry-after'];
+  if (value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with "equal jitter": half fixed, half random
+function backoff(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function describe(error) {
+  if (error.statusCode === 429) return 'Rate limited';
+  if (error.statusCode) return `HTTP ${error.statusCode}`;
+  return error.code || error.message;
+}
@@ -0,0 +1,77 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScheduler, isRetryable, retryAfterMs } from './scheduler.mjs';
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function httpError(statusCode, headers = {}) {
+  return Object.assign(new Error(`HTTP ${statusCode}`), { statusCode, headers });
+}
+
+test('never runs more than `concurrency` tasks at once', async () => {
+  const scheduler = createScheduler({ concurrency: 2 });
+  let running = 0;
+  let peak = 0;
+  const task = async (i) => {
+    running++;
+    peak = Math.max(peak, running);
+    await sleep(5);
+    running--;
+    return i;
+  };
+  const results = await Promise.all([0, 1, 2, 3, 4, 5].map(i => scheduler.schedule(() => task(i))));
+  assert.deepEqual(results, [0, 1, 2, 3, 4, 5]);
+  assert.equal(peak, 2);
+});
+
+test('Retry-After pauses the whole queue and halves concurrency', async () => {
+  const scheduler = createScheduler({ concurrency: 4, baseDelayMs: 1 });
+  let limited = true;
+  const started = [];
+  const first = scheduler.schedule(async () => {
+    started.push(Date.now());
+    if (limited) { limited = false; throw httpError(429, { 'retry-after': '0.1' }); }
+    return 'ok';
+  });
+  await sleep(5);
+  const t0 = Date.now();
+  const second = scheduler.schedule(async () => Date.now());
+
+  assert.equal(await first, 'ok');
+  assert.ok((await second) - t0 >= 80, 'queued request waited for Retry-After');
+  assert.equal(scheduler.stats().concurrency, 2);
+});
+
+test('observe() throttles near the limit and recovers on healthy responses', () => {
+  const scheduler = createScheduler({ concurrency: 8 });
+  scheduler.observe({ 'x-ratelimit-nearlimit': 'true' });
+  assert.equal(scheduler.stats().concurrency, 4);
+  scheduler.observe({ 'x-ratelimit-limit': '100', 'x-ratelimit-remaining': '5' });
+  assert.equal(scheduler.stats().concurrency, 2);
+  for (let i = 0; i < 20; i++) scheduler.observe({});
+  assert.equal(scheduler.stats().concurrency, 3);
+
+  scheduler.observe({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': new Date(Date.now() + 60_000).toISOString() });
+  assert.ok(scheduler.stats().pausedMs > 50_000);
+});
+
+test('only retries what is safe to retry', async () => {
+  assert.equal(isRetryable(httpError(429), false), true);
+  assert.equal(isRetryable(httpError(503), true), true);
+  assert.equal(isRetryable(httpError(503), false), false);
+  assert.equal(isRetryable(httpError(404), true), false);
+  assert.equal(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' }), true), true);
+  assert.equal(retryAfterMs({ 'retry-after': '2' }), 2000);
+  assert.equal(retryAfterMs({}), null);
+
+  const scheduler = createScheduler({ baseDelayMs: 1 });
+  let calls = 0;
+  await assert.rejects(scheduler.schedule(async () => { calls++; throw httpError(500); }, { idempotent: false }));
+  assert.equal(calls, 1);
+  await assert.rejects(scheduler.schedule(async () => { calls++; throw httpError(500); }, { retries: 2 }));
+  assert.equal(calls, 4);
+});
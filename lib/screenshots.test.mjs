@@ -0,0 +1,50 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import { uploadScreenshotsToConfluence } from './screenshots.mjs';
+
+let site;
+let dir;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-shots-'));
+});
+after(async () => {
+  await site.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('uploadScreenshotsToConfluence attaches images and rewrites the page', async () => {
+  const space = await confluence.createSpace('APP', 'App', '');
+  await confluence.createPage('APP', 'Screenshots', '<p>placeholder</p>', space.homepage.id);
+  const shots = ['dashboard', 'settings'].map((name) => {
+    const filepath = path.join(dir, `${name}.png`);
+    fs.writeFileSync(filepath, `png-${name}`);
+    return { name, filepath, title: name[0].toUpperCase() + name.slice(1), route: `/${name}` };
+  });
+  shots.push({ name: 'broken', filepath: path.join(dir, 'missing.png'), title: 'Broken' });
+
+  await uploadScreenshotsToConfluence(shots, 'APP', 'Screenshots');
+
+  const page = await confluence.getPage('APP', 'Screenshots');
+  assert.equal(page.version.number, 2);
+  assert.match(page.body.storage.value, /<h2>Dashboard<\/h2>/);
+  assert.match(page.body.storage.value, /ri:filename="settings.png"/);
+  const atts = await confluence.listAttachments(page.id);
+  assert.deepEqual(atts.map(a => a.title).sort(), ['dashboard.png', 'settings.png']);
+  const logged = console.log.mock.calls.map(c => c.arguments.join(' ')).join('\n');
+  assert.match(logged, /Failed: ENOENT/);
+});
+
+test('uploadScreenshotsToConfluence skips a missing page', async () => {
+  site.reset();
+  await confluence.createSpace('APP', 'App', '');
+  await uploadScreenshotsToConfluence([], 'APP', 'Nowhere');
+  assert.equal(site.requests.filter(r => r.method !== 'GET').length, 1); // only createSpace
+});
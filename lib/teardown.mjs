@@ -0,0 +1,273 @@
+/**
+ * Teardown — delete what a setup run (or a manifest) created
+ *
+ * From a run journal (see journal.mjs) the plan holds every issue, sprint,
+ * component and page the run created, in a safe order: issues children
+ * first, then sprints, components and pages leaf-first; with `containers`
+ * also the spaces and projects the run created. From a manifest it holds the
+ * manifest's pages that exist on the site (and, with `containers`, its spaces).
+ *
+ * Items that were changed after the toolkit wrote them — a page edited past
+ * the version the run left, an issue with comments or history the run did not
+ * make, a started sprint, a space or project holding content the run did not
+ * create — are flagged, and skipped unless `force` is set.
+ *
+ * Usage:
+ *   import { planTeardown, applyTeardown, formatTeardownPlan } from './teardown.mjs';
+ *   const plan = await planTeardown({ run: '20261019-171235' }, { containers: true });
+ *   console.log(formatTeardownPlan(plan));
+ *   const results = await applyTeardown(plan);
+ */
+import { getPageById, getSpace, listPages, deletePage, deleteSpace, normalizeStorage } from './confluence.mjs';
+import { getIssue, searchIssues, getSprint, getComponent, deleteIssue, deleteSprint, deleteComponent, deleteProject } from './jira.mjs';
+import { openRun } from './journal.mjs';
+
+// Deletion order: nothing is deleted before something that depends on it
+const ORDER = ['issue', 'sprint', 'component', 'page', 'space', 'project'];
+
+// ── Plan ───────────────────────────────────────────────────────
+
+/**
+ * Work out what a teardown would delete, and flag what was edited since.
+ *
+ * @param {{run?: string, manifest?: object}} source - A run ID (or prefix), or a loadManifest() result
+ * @param {{containers?: boolean}} opts - containers: also delete the spaces/projects
+ * @returns {Promise<{source: string, journal: object|null, items: Array<object>}>}
+ *   Items are `{ type, id, key?, label, node?, edited: string|null, missing: boolean }` in deletion order
+ */
+export async function planTeardown(source, opts = {}) {
+  if (source.run) {
+    const journal = openRun(source.run);
+    const items = await planFromRun(journal, opts);
+    return { source: `run ${journal.id} (${`${journal.data.command} ${journal.data.target}`.trim()})`, journal, items };
+  }
+  if (source.manifest) {
+    return { source: 'manifest', journal: null, items: await planFromManifest(source.manifest, opts) };
+  }
+  throw new Error('planTeardown() needs a run ID or a manifest.');
+}
+
+async function planFromRun(journal, opts) {
+  const nodes = Object.entries(journal.data.nodes).map(([node, entry]) => ({ node, ...entry }));
+  // Pages the run only updated or found unchanged were there before it
+  const created = nodes.filter(n => n.type !== 'page' || (n.status ?? 'created') === 'created');
+  const items = [];
+
+  for (const type of ORDER) {
+    if ((type === 'space' || type === 'project') && !opts.containers) continue;
+    // Children are journaled after their parents, so newest first is leaf-first
+    for (const n of created.filter(c => c.type === type).reverse()) {
+      const item = { type, id: n.id, key: n.key, label: labelFor(n), node: n.node, edited: null, missing: false };
+      await inspect(item, n, created);
+      items.push(item);
+    }
+  }
+  return items;
+}
+
+async function planFromManifest(manifest, opts) {
+  const items = [];
+  for (const space of [...manifest.spaces].reverse()) {
+    const liveSpace = await getSpace(space.key);
+    if (!liveSpace) continue;
+    const byTitle = new Map((await listPages(space.key)).map(p => [p.title, p]));
+
+    const walk = (pages) => pages.flatMap(p => [...walk(p.children || []), p]);
+    for (const page of walk(space.pages)) {
+      const live = byTitle.get(page.title);
+      if (!live) continue;
+      const item = { type: 'page', id: live.id, label: `page ${live.id} "${page.title}"`, node: `page:${space.key}:${page.title}`, edited: null, missing: false };
+      const current = await getPageById(live.id, 'body.storage,ancestors');
+      item.ancestors = (current.ancestors || []).map(a => String(a.id));
+      if (page.body !== undefined && normalizeStorage(current.body?.storage?.value) !== normalizeStorage(page.body)) {
+        item.edited = 'differs from the manifest';
+      }
+      items.push(item);
+    }
+
+    if (opts.containers) {
+      const managed = new Set(walk(space.pages).map(p => p.title));
+      const others = [...byTitle.values()].filter(p => !managed.has(p.title) && p.id !== liveSpace.homepage?.id);
+      items.push({
+        type: 'space', id: space.key, key: space.key, label: `space ${space.key}`, node: `space:${space.key}`, missing: false,
+        edited: others.length ? `holds ${others.length} page${others.length === 1 ? '' : 's'} not in the manifest` : null,
+      });
+    }
+  }
+  return items;
+}
+
+function labelFor(n) {
+  switch (n.type) {
+    case 'issue': return `issue ${n.key} "${n.summary}"`;
+    case 'page': return `page ${n.id} "${n.title}"`;
+    case 'sprint': return `sprint ${n.id} "${n.name}"`;
+    case 'component': return `component "${n.name}" in ${n.project}`;
+    default: return `${n.type} ${n.key}`;
+  }
+}
+
+// Sets `missing` (already deleted) and `edited` (changed since the run wrote it)
+async function inspect(item, n, created) {
+  try {
+    switch (n.type) {
+      case 'page': {
+        const page = await getPageById(n.id, 'version,ancestors');
+        item.ancestors = (page.ancestors || []).map(a => String(a.id));
+        const written = n.version ?? 1;
+        if (page.version.number > written) {
+          item.edited = `edited after creation (version ${page.version.number}, the run wrote version ${written})`;
+        }
+        break;
+      }
+      case 'issue': {
+        const issue = await getIssue(n.key, { fields: ['comment'], expand: 'changelog' });
+        // History entries and comments, less those the toolkit made itself
+        const foreign = (issue.changelog?.histories?.length || 0) + (issue.fields.comment?.total || 0) - (n.edits || 0);
+        if (foreign > 0) item.edited = `${foreign} change${foreign === 1 ? '' : 's'} since creation`;
+        break;
+      }
+      case 'sprint': {
+        const sprint = await getSprint(n.id);
+        if (sprint.state !== 'future') item.edited = `sprint is ${sprint.state}`;
+        break;
+      }
+      case 'component':
+        await getComponent(n.id);
+        break;
+      case 'space': {
+        const space = await getSpace(n.key);
+        if (!space) { item.missing = true; break; }
+        const ours = new Set(created.filter(c => c.type === 'page').map(c => String(c.id)));
+        const others = (await listPages(n.key)).filter(p => !ours.has(String(p.id)) && p.id !== space.homepage?.id);
+        if (others.length) item.edited = `holds ${others.length} page${others.length === 1 ? '' : 's'} the run did not create`;
+        break;
+      }
+      case 'project': {
+        const ours = new Set(created.filter(c => c.type === 'issue').map(c => c.key));
+        const others = (await searchIssues(`project = ${n.key}`, { fields: ['summary'], max: 1000 })).filter(i => !ours.has(i.key));
+        if (others.length) item.edited = `holds ${others.length} issue${others.length === 1 ? '' : 's'} the run did not create`;
+        break;
+      }
+    }
+  } catch (e) {
+    if (e.statusCode !== 404) throw e;
+    item.missing = true;
+  }
+}
+
+// ── Apply ──────────────────────────────────────────────────────
+
+/**
+ * Delete the planned items in order. Edited items are skipped unless
+ * `force`; an issue is also kept while one of its sub-issues is, a page
+ * while a page below it is, and a space or project while anything in it is. Deleted nodes are removed from
+ * the run's journal, which is marked `torn-down` once empty.
+ *
+ * @param {object} plan - planTeardown() result
+ * @param {{force?: boolean}} opts
+ * @returns {Promise<Array<object>>} Items with `status` ('deleted' | 'skipped' | 'missing' | 'failed') and `error`/`reason`
+ */
+export async function applyTeardown(plan, opts = {}) {
+  const results = [];
+  const kept = [];
+
+  for (const item of plan.items) {
+    if (item.missing) {
+      results.push({ ...item, status: 'missing' });
+      plan.journal?.forget(item.node);
+      continue;
+    }
+    const holds = keptInside(item, kept);
+    if ((item.edited && !opts.force) || holds) {
+      results.push({ ...item, status: 'skipped', reason: holds || item.edited });
+      kept.push(item);
+      continue;
+    }
+    try {
+      console.log(`  Deleting ${item.label}`);
+      await remove(item);
+      results.push({ ...item, status: 'deleted' });
+      plan.journal?.forget(item.node);
+    } catch (e) {
+      if (e.statusCode === 404) {
+        results.push({ ...item, status: 'missing' });
+        plan.journal?.forget(item.node);
+        continue;
+      }
+      console.log(`    Error deleting ${item.label}: ${e.message}`);
+      results.push({ ...item, status: 'failed', error: e.message });
+      kept.push(item);
+    }
+  }
+
+  if (plan.journal && !Object.keys(plan.journal.data.nodes).length) plan.journal.finish('torn-down');
+  return results;
+}
+
+// Why an item has to stay because of something kept inside it: by journal
+// node key, and for pages by the kept pages' ancestors (deleting a page
+// would re-parent or trash the pages below it)
+function keptInside(item, kept) {
+  if (item.type === 'page') {
+    const below = kept.filter(k => k.type === 'page' && k.ancestors?.includes(String(item.id)));
+    if (!below.length) return null;
+    return below.length === 1 ? 'a page below it was kept' : `${below.length} pages below it were kept`;
+  }
+  const prefixes = {
+    issue: [`${item.node}/`],
+    space: [`page:${item.key}:`],
+    project: [`issue:${item.key}:`, `component:${item.key}:`],
+  }[item.type] || [];
+  const inside = kept.filter(k => prefixes.some(p => k.node?.startsWith(p)));
+  if (!inside.length) return null;
+  return item.type === 'issue' ? 'a sub-issue was kept' : `${inside.length} item${inside.length === 1 ? ' in it was' : 's in it were'} kept`;
+}
+
+function remove(item) {
+  switch (item.type) {
+    case 'issue': return deleteIssue(item.key);
+    case 'sprint': return deleteSprint(item.id);
+    case 'component': return deleteComponent(item.id);
+    case 'page': return deletePage(item.id);
+    case 'space': return deleteSpace(item.key);
+    case 'project': return deleteProject(item.key);
+    default: throw new Error(`Cannot delete a ${item.type}`);
+  }
+}
+
+// ── Formatting ─────────────────────────────────────────────────
+
+/**
+ * Render a teardown plan (or applyTeardown() results) as human-readable lines.
+ * @param {object|Array<object>} plan - planTeardown() result, or applyTeardown() results
+ * @param {{force?: boolean}} opts
+ */
+export function formatTeardownPlan(plan, opts = {}) {
+  const items = Array.isArray(plan) ? plan : plan.items;
+  const applied = Array.isArray(plan);
+  const groups = applied
+    ? [
+      ['Deleted', items.filter(i => i.status === 'deleted'), '-', () => ''],
+      ['Skipped', items.filter(i => i.status === 'skipped'), '!', i => `: ${i.reason}`],
+      ['Failed', items.filter(i => i.status === 'failed'), '✗', i => `: ${i.error}`],
+      ['Already gone', items.filter(i => i.status === 'missing'), '·', () => ''],
+    ]
+    : [
+      ['Delete', items.filter(i => !i.missing && (!i.edited || opts.force)), '-', i => (i.edited ? `  (forced: ${i.edited})` : '')],
+      ['Skip — changed since the run', items.filter(i => !i.missing && i.edited && !opts.force), '!', i => `: ${i.edited}`],
+      ['Already gone', items.filter(i => i.missing), '·', () => ''],
+    ];
+
+  const lines = applied ? [] : [`Teardown of ${plan.source}:`];
+  for (const [heading, entries, symbol, detail] of groups) {
+    if (!entries.length) continue;
+    lines.push('', `  ${heading} (${entries.length}):`);
+    for (const i of entries) lines.push(`    ${symbol} ${i.label}${detail(i)}`);
+  }
+  if (!items.length) lines.push('', '  Nothing to delete.');
+  if (!applied && !opts.force && items.some(i => !i.missing && i.edited)) {
+    lines.push('', '  Use --force to delete changed items as well.');
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,158 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import { jira } from './jira.mjs';
+import { resetConfig } from './config.mjs';
+import { startRun, withJournal, getRun } from './journal.mjs';
+import { resolveManifest, applyManifest } from './manifest.mjs';
+import { planTeardown, applyTeardown, formatTeardownPlan } from './teardown.mjs';
+
+let site;
+let runsDir;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(async () => {
+  await site.stop();
+  delete process.env.ATL_RUNS_DIR;
+  resetConfig();
+});
+beforeEach((t) => {
+  site.reset();
+  runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-runs-'));
+  t.after(() => fs.rmSync(runsDir, { recursive: true, force: true }));
+  process.env.ATL_RUNS_DIR = runsDir;
+  resetConfig();
+});
+
+const TREE = [
+  { title: 'Guides', body: '<p>Guides</p>', children: [{ title: 'Setup', body: '<p>Install</p>' }] },
+  { title: 'FAQ', body: '<p>Questions</p>' },
+];
+
+// A setup run, followed by edits made outside of it
+async function setupRun() {
+  const journal = startRun({ command: 'jira setup', target: 'ops.mjs' });
+  await withJournal(journal, async () => {
+    await jira.createProject('OPS', 'Ops');
+    await jira.createComponent('OPS', 'Backend');
+    await jira.createIssueTree('OPS', [
+      { type: 'Epic', summary: 'Login', children: [{ type: 'Sub-task', summary: 'Form' }] },
+      { type: 'Story', summary: 'Docs' },
+    ]);
+    const [board] = await jira.listBoards('OPS');
+    const sprint = await jira.createSprint(board.id, 'Sprint 1');
+    await jira.moveToSprint(sprint.id, ['OPS-3']);
+    const space = await confluence.createSpace('ENG', 'Engineering', '');
+    await confluence.buildPageTree('ENG', space.homepage.id, TREE);
+    await confluence.updatePage('ENG', 'FAQ', '<p>Answers</p>'); // the run's own edit
+  });
+  journal.finish('completed');
+
+  await jira.addComment('OPS-2', 'Looks good');
+  await confluence.updatePage('ENG', 'Setup', '<p>Install it properly</p>');
+  return journal;
+}
+
+test('a run is torn down in dependency order, keeping what was edited since', async () => {
+  const journal = await setupRun();
+  const plan = await planTeardown({ run: journal.id }, { containers: true });
+
+  const label = (i) => i.label.replace(/ \d+ /, ' ');
+  assert.deepEqual(plan.items.map(label), [
+    'issue OPS-3 "Docs"', 'issue OPS-2 "Form"', 'issue OPS-1 "Login"',
+    'sprint "Sprint 1"', 'component "Backend" in OPS',
+    'page "FAQ"', 'page "Setup"', 'page "Guides"',
+    'space ENG', 'project OPS',
+  ]);
+  assert.deepEqual(plan.items.filter(i => i.edited).map(label), ['issue OPS-2 "Form"', 'page "Setup"']);
+
+  const preview = formatTeardownPlan(plan);
+  assert.match(preview, /Delete \(8\):/);
+  assert.match(preview, /Skip — changed since the run \(2\):\n {4}! issue OPS-2 "Form": 1 change since creation\n {4}! page \d+ "Setup": edited after creation \(version 2, the run wrote version 1\)/);
+
+  const results = await applyTeardown(plan);
+  const status = Object.fromEntries(results.map(r => [label(r), r.status]));
+  assert.deepEqual(status, {
+    'issue OPS-3 "Docs"': 'deleted', 'issue OPS-2 "Form"': 'skipped', 'issue OPS-1 "Login"': 'skipped',
+    'sprint "Sprint 1"': 'deleted', 'component "Backend" in OPS': 'deleted',
+    'page "FAQ"': 'deleted', 'page "Setup"': 'skipped', 'page "Guides"': 'skipped',
+    'space ENG': 'skipped', 'project OPS': 'skipped',
+  });
+  assert.equal(results.find(r => r.key === 'OPS-1').reason, 'a sub-issue was kept');
+  // Deleting Guides would take the edited Setup page with it
+  assert.equal(results.find(r => label(r) === 'page "Guides"').reason, 'a page below it was kept');
+  assert.deepEqual([...site.state.content.values()].filter(c => c.type === 'page').map(c => c.title).sort(), ['Engineering Home', 'Guides', 'Setup']);
+  assert.equal(results.find(r => r.type === 'project').reason, '2 items in it were kept');
+  assert.equal(results.find(r => r.type === 'space').reason, '2 items in it were kept');
+  assert.deepEqual([...site.state.issues.keys()], ['OPS-1', 'OPS-2']);
+  assert.equal(site.state.sprints.size, 0);
+  assert.equal(Object.keys(getRun(journal.id).nodes).length, 6);
+
+  // --force takes the rest, and the run is marked as torn down
+  const forced = await applyTeardown(await planTeardown({ run: journal.id }, { containers: true }), { force: true });
+  assert.ok(forced.every(r => r.status === 'deleted'));
+  assert.equal(site.state.spaces.size, 0);
+  assert.equal(site.state.projects.size, 0);
+  assert.equal(getRun(journal.id).status, 'torn-down');
+});
+
+test('without containers the space and project stay, and deleted items are reported as gone', async () => {
+  const journal = await setupRun();
+  await jira.deleteIssue('OPS-3');
+  const plan = await planTeardown({ run: journal.id });
+
+  assert.ok(!plan.items.some(i => i.type === 'space' || i.type === 'project'));
+  assert.equal(plan.items.find(i => i.key === 'OPS-3').missing, true);
+  assert.match(formatTeardownPlan(plan), /Already gone \(1\):\n {4}· issue OPS-3 "Docs"/);
+
+  await applyTeardown(plan, { force: true });
+  assert.equal(site.state.spaces.size, 1);
+  assert.equal(site.state.projects.size, 1);
+  assert.equal(site.state.issues.size, 0);
+});
+
+test('a manifest teardown deletes its pages leaf-first and flags pages that drifted', async () => {
+  const manifest = resolveManifest({ spaces: [{ key: 'ENG', name: 'Engineering', pages: TREE }] });
+  await applyManifest(manifest);
+  await confluence.updatePage('ENG', 'FAQ', '<p>Changed by hand</p>');
+  await confluence.createPage('ENG', 'Notes', '<p>Not managed</p>');
+
+  const plan = await planTeardown({ manifest }, { containers: true });
+  assert.deepEqual(plan.items.map(i => [i.label.replace(/ \d+ /, ' '), i.edited]), [
+    ['page "Setup"', null],
+    ['page "Guides"', null],
+    ['page "FAQ"', 'differs from the manifest'],
+    ['space ENG', 'holds 1 page not in the manifest'],
+  ]);
+
+  const results = await applyTeardown(plan);
+  assert.deepEqual(results.map(r => r.status), ['deleted', 'deleted', 'skipped', 'skipped']);
+  assert.deepEqual([...site.state.content.values()].filter(c => c.type === 'page').map(c => c.title).sort(), ['Engineering Home', 'FAQ', 'Notes']);
+});
+
+test('a page with a kept page anywhere below it is kept, in a manifest teardown too', async () => {
+  const tree = [{ title: 'Guides', body: '<p>Guides</p>', children: [{ title: 'Setup', body: '<p>Install</p>', children: [{ title: 'Linux', body: '<p>apt</p>' }] }] }];
+  const manifest = resolveManifest({ spaces: [{ key: 'ENG', name: 'Engineering', pages: tree }] });
+  await applyManifest(manifest);
+  await confluence.updatePage('ENG', 'Linux', '<p>Changed by hand</p>');
+
+  const results = await applyTeardown(await planTeardown({ manifest }));
+  assert.deepEqual(results.map(r => [r.label.replace(/ \d+ /, ' '), r.status, r.reason]), [
+    ['page "Linux"', 'skipped', 'differs from the manifest'],
+    ['page "Setup"', 'skipped', 'a page below it was kept'],
+    ['page "Guides"', 'skipped', '2 pages below it were kept'],
+  ]);
+  assert.equal(site.state.content.size, 4);
+
+  // Once the kept page is gone, the rest goes too
+  await confluence.deletePage((await confluence.getPage('ENG', 'Linux')).id);
+  const rest = await applyTeardown(await planTeardown({ manifest }));
+  assert.deepEqual(rest.map(r => r.status), ['deleted', 'deleted']);
+});
@@ -0,0 +1,535 @@
+/**
+ * Page templates — ADRs, RFCs, runbooks, postmortems, meeting notes
+ *
+ * A template renders a storage-format body from typed variables. Templates
+ * that declare `number` are auto-numbered (`ADR-0007: Use Postgres`), and
+ * templates that declare `index` keep a table of their pages on the parent
+ * page (created on first use if no parent is given).
+ *
+ * Template shape (built-ins below; project templates are .mjs files
+ * default-exporting the same object — see loadTemplates()):
+ *   {
+ *     name: 'adr', description: 'Architecture decision record',
+ *     labels: ['adr'],
+ *     number: { prefix: 'ADR', digits: 4 },            // optional
+ *     index: { title: 'Architecture Decision Records', columns: ['status', 'date'] }, // optional
+ *     vars: {
+ *       status: { type: 'enum', values: ['Proposed', 'Accepted'], default: 'Proposed', colors: { Accepted: 'Green' } },
+ *       date: { type: 'date', default: 'today' },
+ *       deciders: { type: 'list' },
+ *       context: { type: 'text', required: true },
+ *     },
+ *     title: (title, vars, number) => title,            // optional
+ *     render: (v, page) => `<p>${v.context}</p>`,        // v: values escaped for XHTML, safe in cf/nx helpers
+ *   }
+ *
+ * Variable types: string, text (blank lines become paragraphs), number,
+ * boolean, date (YYYY-MM-DD, or 'today'), enum, list (comma-separated).
+ *
+ * Usage:
+ *   import { createFromTemplate, loadTemplates } from './templates.mjs';
+ *   await loadTemplates('./confluence-templates');
+ *   const { page } = await createFromTemplate('adr', {
+ *     spaceKey: 'ENG', parent: 'Decisions', title: 'Use Postgres', vars: { status: 'Accepted' },
+ *   });
+ */
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { paginateAll, apiPaths } from './atlassian-client.mjs';
+import {
+  createPage, findPage, getSpace, getPageById, updatePageById, listPages,
+  getContentProperty, setContentProperty,
+} from './confluence.mjs';
+import { cf, nx, escapeXml } from './formatters.mjs';
+import { parseXhtml, findElements, macroParam } from './xhtml.mjs';
+
+// Content property recording which template (and number) a page came from
+const PROPERTY = 'atl-template';
+
+const TYPES = ['string', 'text', 'number', 'boolean', 'date', 'enum', 'list'];
+
+// ── Built-in templates ─────────────────────────────────────────
+
+const ADR_STATUS = { Proposed: 'Yellow', Accepted: 'Green', Rejected: 'Red', Deprecated: 'Grey', Superseded: 'Grey' };
+const RFC_STATUS = { Draft: 'Grey', 'In Review': 'Yellow', Accepted: 'Green', Rejected: 'Red', Withdrawn: 'Grey' };
+const SEVERITY = { SEV1: 'Red', SEV2: 'Red', SEV3: 'Yellow', SEV4: 'Blue' };
+
+const BUILT_INS = [
+  {
+    name: 'adr',
+    description: 'Architecture decision record',
+    labels: ['adr', 'architecture-decision'],
+    number: { prefix: 'ADR', digits: 4 },
+    index: { title: 'Architecture Decision Records', columns: ['status', 'date'] },
+    vars: {
+      status: { type: 'enum', values: Object.keys(ADR_STATUS), default: 'Proposed', colors: ADR_STATUS },
+      date: { type: 'date', default: 'today' },
+      deciders: { type: 'list' },
+      supersedes: { type: 'string', description: 'Title of the decision this one replaces' },
+      context: { type: 'text', description: 'The forces at play' },
+      decision: { type: 'text', description: 'What was decided' },
+      consequences: { type: 'text', description: 'What becomes easier or harder' },
+    },
+    render: (v) => `
+${nx.pageProperties([
+  ['Status', cf.status(v.status, ADR_STATUS[v.status])],
+  ['Date', v.date],
+  ['Deciders', joined(v.deciders)],
+  ...(v.supersedes ? [['Supersedes', cf.pageLink(v.supersedes)]] : []),
+])}
+<h2>Context</h2>
+${v.context || placeholder('What is the issue that motivates this decision?')}
+<h2>Decision</h2>
+${v.decision || placeholder('What is the change that we are proposing or doing?')}
+<h2>Consequences</h2>
+${v.consequences || placeholder('What becomes easier or more difficult because of this change?')}
+`,
+  },
+  {
+    name: 'rfc',
+    description: 'Request for comments',
+    labels: ['rfc'],
+    number: { prefix: 'RFC', digits: 3 },
+    index: { title: 'Requests for Comments', columns: ['status', 'authors', 'date'] },
+    vars: {
+      status: { type: 'enum', values: Object.keys(RFC_STATUS), default: 'Draft', colors: RFC_STATUS },
+      date: { type: 'date', default: 'today' },
+      authors: { type: 'list' },
+      reviewers: { type: 'list' },
+      summary: { type: 'text', description: 'One paragraph explanation of the proposal' },
+    },
+    render: (v) => `
+${nx.pageProperties([
+  ['Status', cf.status(v.status, RFC_STATUS[v.status])],
+  ['Date', v.date],
+  ['Authors', joined(v.authors)],
+  ['Reviewers', joined(v.reviewers)],
+])}
+${cf.toc(2)}
+<h2>Summary</h2>
+${v.summary || placeholder('One paragraph explanation of the proposal.')}
+<h2>Motivation</h2>
+${placeholder('Why are we doing this? What problem does it solve?')}
+<h2>Proposal</h2>
+${placeholder('The design, in enough detail to review.')}
+<h2>Alternatives considered</h2>
+${placeholder('What else was considered, and why was it not chosen?')}
+<h2>Open questions</h2>
+${placeholder('What needs to be resolved before this is accepted?')}
+`,
+  },
+  {
+    name: 'runbook',
+    description: 'Operational runbook for a service',
+    labels: ['runbook'],
+    vars: {
+      service: { type: 'string', required: true },
+      owner: { type: 'string', description: 'Owning team' },
+      escalation: { type: 'string', description: 'Who to page when the runbook does not help' },
+      dashboards: { type: 'list' },
+    },
+    render: (v) => `
+${nx.pageProperties([
+  ['Service', v.service],
+  ['Owner', v.owner || '—'],
+  ['Escalation', v.escalation || '—'],
+])}
+${cf.toc(2)}
+<h2>Overview</h2>
+${placeholder(`What ${v.service} does and what depends on it.`)}
+<h2>Dashboards and alerts</h2>
+${list(v.dashboards, 'Link the dashboards and alerts for this service.')}
+<h2>Procedure</h2>
+<ol><li><p>Step one</p></li><li><p>Step two</p></li></ol>
+<h2>Verification</h2>
+${placeholder('How to tell the procedure worked.')}
+<h2>Rollback</h2>
+${placeholder('How to undo the procedure.')}
+${cf.warning('Escalation', `<p>If the steps above do not resolve the issue, escalate to ${v.escalation || 'the owning team'}.</p>`)}
+`,
+  },
+  {
+    name: 'postmortem',
+    description: 'Incident postmortem',
+    labels: ['postmortem', 'incident'],
+    index: { title: 'Incident Postmortems', columns: ['date', 'severity', 'status'] },
+    vars: {
+      date: { type: 'date', default: 'today', description: 'When the incident started' },
+      severity: { type: 'enum', values: Object.keys(SEVERITY), default: 'SEV3', colors: SEVERITY },
+      status: { type: 'enum', values: ['Draft', 'In Review', 'Final'], default: 'Draft' },
+      duration: { type: 'string' },
+      owner: { type: 'string' },
+      impact: { type: 'text', description: 'Who was affected, and how' },
+    },
+    render: (v) => `
+${nx.pageProperties([
+  ['Incident date', v.date],
+  ['Severity', cf.status(v.severity, SEVERITY[v.severity])],
+  ['Status', v.status],
+  ['Duration', v.duration || '—'],
+  ['Owner', v.owner || '—'],
+])}
+${cf.info('Blameless', '<p>This postmortem focuses on systems and processes, not on individuals.</p>')}
+<h2>Summary</h2>
+${placeholder('What happened, in two or three sentences.')}
+<h2>Impact</h2>
+${v.impact || placeholder('Who was affected, for how long, and how badly.')}
+<h2>Timeline</h2>
+${cf.table(['Time', 'Event'], [['', '']])}
+<h2>Root cause</h2>
+${placeholder('Why did it happen? Keep asking why.')}
+<h2>Action items</h2>
+${cf.table(['Action', 'Owner', 'Ticket'], [['', '', '']])}
+`,
+  },
+  {
+    name: 'meeting-notes',
+    description: 'Meeting notes',
+    labels: ['meeting-notes'],
+    vars: {
+      date: { type: 'date', default: 'today' },
+      attendees: { type: 'list' },
+      goals: { type: 'list' },
+      actions: { type: 'list', description: 'Action items' },
+    },
+    // Titles are unique per space: date them so recurring meetings don't clash
+    title: (title, vars) => `${vars.date} ${title}`,
+    render: (v) => `
+${nx.pageProperties([
+  ['Date', v.date],
+  ['Attendees', joined(v.attendees)],
+])}
+<h2>Goals</h2>
+${list(v.goals, 'What this meeting should achieve.')}
+<h2>Discussion</h2>
+${cf.table(['Item', 'Who', 'Notes'], [['', '', '']])}
+<h2>Action items</h2>
+${v.actions.length ? cf.taskList(v.actions) : placeholder('Who does what, by when.')}
+`,
+  },
+];
+
+function placeholder(text) {
+  return `<p><em>${text}</em></p>`;
+}
+
+function joined(items) {
+  return items.length ? cf.raw(items.join(', ')) : '—';
+}
+
+function list(items, empty) {
+  return items.length ? `<ul>${items.map(i => `<li><p>${i}</p></li>`).join('')}</ul>` : placeholder(empty);
+}
+
+// ── Registry ───────────────────────────────────────────────────
+
+const _templates = new Map(BUILT_INS.map(t => [t.name, t]));
+
+/**
+ * Add a template, replacing any template (built-in or not) with the same name.
+ * @returns {object} The template
+ */
+export function registerTemplate(template) {
+  validateTemplate(template);
+  _templates.set(template.name, template);
+  return template;
+}
+
+export function getTemplate(name) {
+  const template = _templates.get(name);
+  if (!template) {
+    throw Object.assign(new Error(`Unknown template "${name}" (available: ${[..._templates.keys()].join(', ')})`), { statusCode: 404 });
+  }
+  return template;
+}
+
+/** Every registered template, built-ins first. */
+export function listTemplates() {
+  return [..._templates.values()];
+}
+
+/** Forget project templates and restore the built-ins. */
+export function resetTemplates() {
+  _templates.clear();
+  for (const t of BUILT_INS) _templates.set(t.name, t);
+}
+
+/**
+ * Register every `.mjs` file in a directory as a template. Each file
+ * default-exports a template (or an array of them); `name` defaults to the
+ * file name.
+ *
+ * @param {string} dir
+ * @returns {Promise<object[]>} The templates loaded
+ */
+export async function loadTemplates(dir) {
+  const root = path.resolve(process.cwd(), dir);
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new Error(`Not a directory: ${dir}`);
+  }
+  const loaded = [];
+  for (const file of fs.readdirSync(root).filter(f => f.endsWith('.mjs')).sort()) {
+    const mod = await import(pathToFileURL(path.join(root, file)).href);
+    for (const template of [].concat(mod.default ?? mod.template ?? [])) {
+      try {
+        loaded.push(registerTemplate({ name: path.basename(file, '.mjs'), ...template }));
+      } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+      }
+    }
+  }
+  return loaded;
+}
+
+function validateTemplate(t) {
+  if (!t?.name) throw new Error('Template is missing a name.');
+  if (typeof t.render !== 'function') throw new Error(`Template "${t.name}" needs a render(vars, page) function.`);
+  for (const [name, def] of Object.entries(t.vars || {})) {
+    if (!TYPES.includes(def.type)) {
+      throw new Error(`Template "${t.name}": variable "${name}" has unknown type "${def.type}" (expected ${TYPES.join(', ')}).`);
+    }
+    if (def.type === 'enum' && !def.values?.length) throw new Error(`Template "${t.name}": enum "${name}" needs values.`);
+  }
+  for (const column of t.index?.columns || []) {
+    if (!t.vars?.[column]) throw new Error(`Template "${t.name}": index column "${column}" is not a variable.`);
+  }
+}
+
+// ── Variables ──────────────────────────────────────────────────
+
+/**
+ * Check and convert variables against a template's declarations. Values may
+ * be strings (as given on the command line) or already typed. Every problem
+ * is reported at once.
+ *
+ * @param {object} template
+ * @param {Record<string, any>} input
+ * @returns {Record<string, any>} Typed values, defaults filled in
+ */
+export function resolveVars(template, input = {}) {
+  const declared = template.vars || {};
+  const errors = Object.keys(input).filter(k => !declared[k]).map(k => `unknown variable "${k}"`);
+  const vars = {};
+  for (const [name, def] of Object.entries(declared)) {
+    const given = input[name] ?? def.default;
+    if (given === undefined || given === '') {
+      if (def.required) errors.push(`"${name}" is required`);
+      vars[name] = def.type === 'list' ? [] : def.type === 'boolean' ? false : '';
+      continue;
+    }
+    try {
+      vars[name] = convert(given, def);
+    } catch (e) {
+      errors.push(`"${name}" ${e.message}`);
+    }
+  }
+  if (errors.length) {
+    const known = Object.keys(declared).join(', ') || 'none';
+    throw Object.assign(new Error(`Template "${template.name}": ${errors.join('; ')} (variables: ${known})`), { statusCode: 400 });
+  }
+  return vars;
+}
+
+function convert(value, def) {
+  switch (def.type) {
+    case 'number': {
+      const n = Number(value);
+      if (value === '' || !Number.isFinite(n)) throw new Error(`must be a number, got "${value}"`);
+      return n;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(true|yes|1)$/i.test(value)) return true;
+      if (/^(false|no|0)$/i.test(value)) return false;
+      throw new Error(`must be true or false, got "${value}"`);
+    case 'date': {
+      if (value === 'today') return new Date().toISOString().slice(0, 10);
+      const date = value instanceof Date ? value.toISOString().slice(0, 10) : String(value);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) throw new Error(`must be a date (YYYY-MM-DD), got "${value}"`);
+      return date;
+    }
+    case 'enum': {
+      const match = def.values.find(v => v.toLowerCase() === String(value).toLowerCase());
+      if (!match) throw new Error(`must be one of ${def.values.join(', ')}, got "${value}"`);
+      return match;
+    }
+    case 'list':
+      return (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+    default:
+      return String(value);
+  }
+}
+
+// Values as they go into the body: escaped (and marked safe, so cf/nx
+// helpers don't escape them again), text split into paragraphs. Empty
+// values stay '' so `v.x || fallback` works.
+function escapeVars(template, vars) {
+  const out = {};
+  for (const [name, value] of Object.entries(vars)) {
+    const type = template.vars[name].type;
+    if (type === 'list') out[name] = value.map(v => cf.html`${v}`);
+    else if (!value || (type !== 'text' && typeof value !== 'string')) out[name] = value;
+    else if (type === 'text') out[name] = cf.raw(value.split(/\n\s*\n/).map(p => cf.html`<p>${p.trim()}</p>`).join(''));
+    else out[name] = cf.html`${value}`;
+  }
+  return out;
+}
+
+// ── Rendering ──────────────────────────────────────────────────
+
+/**
+ * Render a template without touching the site.
+ *
+ * @param {string|object} template - Name or template object
+ * @param {{title?: string, vars?: object, number?: number}} opts
+ * @returns {{title: string, body: string, labels: string[], vars: object}}
+ */
+export function renderTemplate(template, opts = {}) {
+  const t = typeof template === 'string' ? getTemplate(template) : template;
+  const vars = resolveVars(t, opts.vars);
+  const title = pageTitle(t, opts.title || '', vars, opts.number);
+  const body = String(t.render(escapeVars(t, vars), { title: cf.html`${title}`, number: opts.number ?? null })).trim();
+  return { title, body, labels: [...(t.labels || [])], vars };
+}
+
+function pageTitle(t, title, vars, number) {
+  if (t.title) return t.title(title, vars, number);
+  if (t.number && number != null) return `${formatNumber(t, number)}: ${title}`;
+  return title;
+}
+
+function formatNumber(t, number) {
+  return `${t.number.prefix}-${String(number).padStart(t.number.digits ?? 4, '0')}`;
+}
+
+// ── Creating pages ─────────────────────────────────────────────
+
+/**
+ * Create a page from a template. Numbered templates take the next number
+ * among the parent's children (or the space, without a parent); indexed
+ * templates then refresh the index on the parent page. Without a parent,
+ * indexed templates file their pages under the index page named by the
+ * template, creating it under the space homepage if needed.
+ *
+ * @param {string} name - Template name
+ * @param {object} opts
+ * @param {string} opts.spaceKey
+ * @param {string} opts.title
+ * @param {string|{id: string}} [opts.parent] - Parent page title, or `{ id }`
+ * @param {Record<string, any>} [opts.vars]
+ * @param {string[]} [opts.labels] - Added to the template's labels
+ * @returns {Promise<{page: object, title: string, number: number|null, index: object|null}>}
+ */
+export async function createFromTemplate(name, opts = {}) {
+  const t = getTemplate(name);
+  const { spaceKey } = opts;
+  if (!spaceKey || !opts.title) throw new Error('createFromTemplate() needs a spaceKey and a title.');
+  resolveVars(t, opts.vars); // fail before anything is created
+
+  const parent = opts.parent ? await requireParent(spaceKey, opts.parent)
+    : t.index ? await ensureIndexPage(spaceKey, t) : null;
+
+  const number = t.number ? await nextNumber(t, spaceKey, parent) : null;
+  const page = renderTemplate(t, { title: opts.title, vars: opts.vars, number });
+  if ((await findPage(spaceKey, page.title)).some(p => p.title === page.title)) {
+    throw Object.assign(new Error(`A page titled "${page.title}" already exists in ${spaceKey}`), { statusCode: 409 });
+  }
+
+  console.log(`Creating ${t.description || t.name}: ${page.title}`);
+  const labels = [...new Set([...page.labels, ...(opts.labels || [])])];
+  const created = await createPage(spaceKey, page.title, page.body, parent?.id ?? null, labels);
+  await setContentProperty(created.id, PROPERTY, { template: t.name, number, vars: page.vars });
+
+  const index = t.index && parent ? await updateTemplateIndex(t.name, parent.id) : null;
+  return { page: created, title: page.title, number, index };
+}
+
+/**
+ * Rebuild the index table of a template's pages on `indexPageId`, from its
+ * child pages. The table lives in a section macro marked with the template
+ * name; the rest of the page is left alone. Nothing is written when the
+ * table is already current.
+ *
+ * @returns {Promise<{status: 'updated'|'unchanged', entries: number}>}
+ */
+export async function updateTemplateIndex(name, indexPageId) {
+  const t = getTemplate(name);
+  const columns = t.index?.columns || [];
+  const children = await paginateAll('GET', `${apiPaths().confluence}/content/${indexPageId}/child/page?limit=100`);
+
+  const entries = [];
+  for (const child of children) {
+    const meta = await getContentProperty(child.id, PROPERTY);
+    const number = meta?.template === t.name ? meta.number : numberFromTitle(t, child.title);
+    if (meta?.template !== t.name && number == null) continue;
+    entries.push({ title: child.title, number, vars: meta?.template === t.name ? meta.vars || {} : {} });
+  }
+  entries.sort((a, b) => (a.number ?? Infinity) - (b.number ?? Infinity) || a.title.localeCompare(b.title));
+
+  const headers = [...(t.number ? ['#'] : []), 'Page', ...columns.map(c => t.vars[c].label || capitalize(c))];
+  const rows = entries.map(e => [
+    ...(t.number ? [e.number != null ? formatNumber(t, e.number) : ''] : []),
+    cf.pageLink(e.title),
+    ...columns.map(c => indexCell(t.vars[c], e.vars[c])),
+  ]);
+  const table = entries.length ? cf.table(headers, rows) : placeholder(`No ${escapeXml(t.description || t.name)} pages yet.`);
+  const region = `<ac:structured-macro ac:name="section"><ac:parameter ac:name="atl-index">${escapeXml(t.name)}</ac:parameter><ac:rich-text-body>${table}</ac:rich-text-body></ac:structured-macro>`;
+
+  const page = await getPageById(indexPageId);
+  const current = page.body?.storage?.value || '';
+  // Confluence adds attributes (ac:schema-version, ac:macro-id) when the page is saved in the editor
+  const [section] = findElements(parseXhtml(current), n =>
+    n.name === 'ac:structured-macro' && n.attrs['ac:name'] === 'section' && macroParam(n, 'atl-index') === t.name);
+  const body = section ? current.slice(0, section.start) + region + current.slice(section.end) : `${current}\n${region}`;
+  if (body === current) return { status: 'unchanged', entries: entries.length };
+
+  await updatePageById(indexPageId, { body, message: `Update ${t.name} index`, minorEdit: true });
+  return { status: 'updated', entries: entries.length };
+}
+
+function indexCell(def, value) {
+  if (value === undefined || value === '' || (Array.isArray(value) && !value.length)) return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (def.colors?.[value]) return cf.status(value, def.colors[value]);
+  return String(value);
+}
+
+async function requireParent(spaceKey, parent) {
+  if (parent.id) return getPageById(parent.id, 'version');
+  const match = (await findPage(spaceKey, parent)).find(p => p.title === parent);
+  if (!match) throw Object.assign(new Error(`Parent page "${parent}" not found in ${spaceKey}`), { statusCode: 404 });
+  return match;
+}
+
+async function ensureIndexPage(spaceKey, t) {
+  const existing = (await findPage(spaceKey, t.index.title)).find(p => p.title === t.index.title);
+  if (existing) return existing;
+  const space = await getSpace(spaceKey);
+  if (!space) throw Object.assign(new Error(`Space ${spaceKey} not found`), { statusCode: 404 });
+  const intro = `${nx.excerpt(`Index of ${t.description || t.name} pages.`)}\n`;
+  return createPage(spaceKey, t.index.title, intro, space.homepage?.id ?? null);
+}
+
+// Highest number in use among the siblings (by title, so hand-made pages count) + 1
+async function nextNumber(t, spaceKey, parent) {
+  const pages = parent
+    ? await paginateAll('GET', `${apiPaths().confluence}/content/${parent.id}/child/page?limit=100`)
+    : await listPages(spaceKey);
+  const used = pages.map(p => numberFromTitle(t, p.title)).filter(n => n != null);
+  return used.length ? Math.max(...used) + 1 : 1;
+}
+
+function numberFromTitle(t, title) {
+  if (!t.number) return null;
+  const m = title.match(new RegExp(`^${escapeRegExp(t.number.prefix)}[-\\s]?(\\d+)\\b`, 'i'));
+  return m ? Number(m[1]) : null;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,149 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import {
+  createFromTemplate, updateTemplateIndex, renderTemplate, resolveVars, getTemplate,
+  loadTemplates, resetTemplates, listTemplates,
+} from './templates.mjs';
+
+let site;
+let homepage;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(() => site.stop());
+beforeEach(async () => {
+  site.reset();
+  resetTemplates();
+  ({ homepage } = await confluence.createSpace('ENG', 'Engineering', ''));
+});
+
+test('variables are typed, defaulted and validated all at once', () => {
+  const adr = getTemplate('adr');
+  const vars = resolveVars(adr, { status: 'accepted', deciders: 'Ana, Bo ,', date: '2026-03-01' });
+  assert.equal(vars.status, 'Accepted');
+  assert.deepEqual(vars.deciders, ['Ana', 'Bo']);
+  assert.equal(vars.date, '2026-03-01');
+  assert.equal(vars.context, '');
+
+  assert.throws(() => resolveVars(adr, { status: 'Maybe', date: '03/01/2026', colour: 'red' }), (e) => {
+    assert.equal(e.statusCode, 400);
+    assert.match(e.message, /unknown variable "colour"/);
+    assert.match(e.message, /"status" must be one of Proposed, Accepted/);
+    assert.match(e.message, /"date" must be a date/);
+    return true;
+  });
+  assert.throws(() => resolveVars(getTemplate('runbook'), {}), /"service" is required/);
+});
+
+test('rendering escapes values and turns text into paragraphs', () => {
+  const { title, body, labels } = renderTemplate('adr', {
+    title: 'Use <Postgres>', number: 7,
+    vars: { context: 'Reads & writes grow.\n\nMySQL is "fine".', deciders: ['A<B'] },
+  });
+  assert.equal(title, 'ADR-0007: Use <Postgres>');
+  assert.deepEqual(labels, ['adr', 'architecture-decision']);
+  assert.match(body, /<p>Reads &amp; writes grow\.<\/p><p>MySQL is &quot;fine&quot;\.<\/p>/);
+  assert.match(body, /A&lt;B/);
+  assert.match(body, /ac:name="status"><ac:parameter ac:name="title">Proposed/);
+
+  const notes = renderTemplate('meeting-notes', { title: 'Sync', vars: { date: '2026-10-19', actions: 'Fix & ship, Test' } });
+  assert.equal(notes.title, '2026-10-19 Sync');
+  assert.match(notes.body, /<ac:task-list><ac:task><ac:task-id>1<\/ac:task-id><ac:task-status>incomplete<\/ac:task-status><ac:task-body>Fix &amp; ship<\/ac:task-body><\/ac:task><ac:task><ac:task-id>2<\/ac:task-id>/);
+});
+
+test('ADRs are numbered after their siblings and listed on the index page', async () => {
+  const decisions = await confluence.createPage('ENG', 'Decisions', '<p>Why we built it this way.</p>', homepage.id);
+  await confluence.createPage('ENG', 'ADR-0003: Hand-written decision', '<p>Old</p>', decisions.id);
+
+  const first = await createFromTemplate('adr', {
+    spaceKey: 'ENG', parent: 'Decisions', title: 'Use Postgres', vars: { status: 'Accepted', date: '2026-10-01' },
+  });
+  assert.equal(first.number, 4);
+  assert.equal(first.title, 'ADR-0004: Use Postgres');
+  assert.deepEqual(await confluence.getLabels(first.page.id), ['adr', 'architecture-decision']);
+  assert.deepEqual(await confluence.getContentProperty(first.page.id, 'atl-template'), {
+    template: 'adr', number: 4,
+    vars: { status: 'Accepted', date: '2026-10-01', deciders: [], supersedes: '', context: '', decision: '', consequences: '' },
+  });
+  assert.equal(first.index.status, 'updated');
+
+  const second = await createFromTemplate('adr', { spaceKey: 'ENG', parent: { id: decisions.id }, title: 'Adopt Kafka' });
+  assert.equal(second.title, 'ADR-0005: Adopt Kafka');
+  assert.equal(second.index.entries, 3);
+
+  const body = (await confluence.getPageById(decisions.id)).body.storage.value;
+  assert.match(body, /^<p>Why we built it this way\.<\/p>/);
+  assert.equal(body.match(/ac:name="atl-index"/g).length, 1);
+  const order = ['ADR-0003', 'ADR-0004', 'ADR-0005'].map(n => body.indexOf(`<td><p>${n}</p></td>`));
+  assert.ok(order.every((pos, i) => pos > 0 && (i === 0 || pos > order[i - 1])), body);
+  assert.match(body, /ri:content-title="ADR-0004: Use Postgres".*?colour">Green/);
+
+  assert.deepEqual(await updateTemplateIndex('adr', decisions.id), { status: 'unchanged', entries: 3 });
+
+  // Saved in the editor, the section macro gains attributes: its table is still replaced in place
+  const edited = body.replace('<ac:structured-macro ac:name="section">', '<ac:structured-macro ac:name="section" ac:schema-version="1" ac:macro-id="4f1c2a9e">');
+  await confluence.updatePageById(decisions.id, { body: edited });
+  assert.deepEqual(await updateTemplateIndex('adr', decisions.id), { status: 'updated', entries: 3 });
+  assert.equal((await confluence.getPageById(decisions.id)).body.storage.value, body);
+  await assert.rejects(
+    createFromTemplate('adr', { spaceKey: 'ENG', parent: 'Nowhere', title: 'X' }),
+    (e) => e.statusCode === 404,
+  );
+});
+
+test('indexed templates create their index page when no parent is given', async () => {
+  const { page } = await createFromTemplate('postmortem', {
+    spaceKey: 'ENG', title: 'Checkout outage', vars: { severity: 'sev1', date: '2026-09-30' },
+  });
+  const index = await confluence.getPage('ENG', 'Incident Postmortems');
+  assert.equal((await confluence.getPageById(index.id, 'ancestors')).ancestors.at(-1).id, homepage.id);
+  assert.equal((await confluence.getPageById(page.id, 'ancestors')).ancestors.at(-1).id, index.id);
+  assert.match(index.body.storage.value, /Checkout outage.*2026-09-30.*SEV1/);
+
+  await assert.rejects(
+    createFromTemplate('postmortem', { spaceKey: 'ENG', title: 'Checkout outage' }),
+    (e) => e.statusCode === 409,
+  );
+  await assert.rejects(
+    createFromTemplate('postmortem', { spaceKey: 'NOPE', title: 'Lost' }),
+    (e) => e.statusCode === 404 && /Space NOPE not found/.test(e.message),
+  );
+});
+
+test('project templates load from a directory and can replace built-ins', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-templates-test-'));
+  fs.writeFileSync(path.join(dir, 'release.mjs'), `export default {
+    description: 'Release notes',
+    vars: { version: { type: 'string', required: true }, breaking: { type: 'boolean', default: false } },
+    title: (title, vars) => \`Release \${vars.version}\`,
+    render: (v) => \`<p>\${v.version}\${v.breaking ? ' (breaking)' : ''}</p>\`,
+  };`);
+  fs.writeFileSync(path.join(dir, 'adr.mjs'), `export default {
+    labels: ['decision'], number: { prefix: 'DEC', digits: 2 },
+    render: () => '<p>Decided.</p>',
+  };`);
+  fs.writeFileSync(path.join(dir, 'broken.txt'), 'ignored');
+
+  const loaded = await loadTemplates(dir);
+  assert.deepEqual(loaded.map(t => t.name), ['adr', 'release']);
+  assert.equal(listTemplates().filter(t => t.name === 'adr').length, 1);
+
+  const release = await createFromTemplate('release', { spaceKey: 'ENG', title: 'ignored', vars: { version: '2.0', breaking: 'yes' } });
+  assert.equal(release.title, 'Release 2.0');
+  assert.equal((await confluence.getPageById(release.page.id)).body.storage.value, '<p>2.0 (breaking)</p>');
+
+  const adr = await createFromTemplate('adr', { spaceKey: 'ENG', title: 'Custom' });
+  assert.equal(adr.title, 'DEC-01: Custom');
+  assert.equal(adr.index, null);
+
+  fs.writeFileSync(path.join(dir, 'zz-bad.mjs'), `export default { vars: { x: { type: 'color' } }, render: () => '' };`);
+  await assert.rejects(loadTemplates(dir), /zz-bad\.mjs: .*unknown type "color"/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,333 @@
+/**
+ * Storage-format validation — catch what Confluence would reject (or render
+ * broken) before a body is sent
+ *
+ * validateStorage() checks a body offline: XHTML well-formedness, `ac:`/`ri:`
+ * elements and where they may appear, required attributes, and required
+ * macro parameters and bodies. lintStorage() adds checks against the site:
+ * links to pages that don't exist and images/links to attachments that
+ * don't exist. Problems carry the line and column they were found at.
+ *
+ * Usage:
+ *   import { lintStorage, formatProblems } from './validate.mjs';
+ *   const problems = await lintStorage(body, { spaceKey: 'ENG', pageId });
+ *   console.log(formatProblems(problems, body, { file: 'page.html' }));
+ *
+ *   // Or have the write functions check bodies before sending them:
+ *   await confluence.createPage('ENG', 'Title', body, parentId, [], { validate: true });
+ */
+import { parseXhtml, childElements, macroParam } from './xhtml.mjs';
+import { findPage, getPageById, listAttachments } from './confluence.mjs';
+
+// ── Rules ──────────────────────────────────────────────────────
+
+// Known ac:/ri: elements: where they may appear, and the attributes they need
+// (`attrs`: all of them; `anyAttr`: at least one)
+const ELEMENTS = {
+  'ac:structured-macro': { attrs: ['ac:name'] },
+  'ac:parameter': { parents: ['ac:structured-macro'], attrs: ['ac:name'] },
+  'ac:default-parameter': { parents: ['ac:structured-macro'] },
+  'ac:rich-text-body': { parents: ['ac:structured-macro'] },
+  'ac:plain-text-body': { parents: ['ac:structured-macro'] },
+  'ac:link': {},
+  'ac:link-body': { parents: ['ac:link'] },
+  'ac:plain-text-link-body': { parents: ['ac:link'] },
+  'ac:image': {},
+  'ac:caption': { parents: ['ac:image'] },
+  'ac:emoticon': { attrs: ['ac:name'] },
+  'ac:layout': {},
+  'ac:layout-section': { parents: ['ac:layout'], attrs: ['ac:type'] },
+  'ac:layout-cell': { parents: ['ac:layout-section'] },
+  'ac:task-list': {},
+  'ac:task': { parents: ['ac:task-list'] },
+  'ac:task-id': { parents: ['ac:task'] },
+  'ac:task-uuid': { parents: ['ac:task'] },
+  'ac:task-status': { parents: ['ac:task'] },
+  'ac:task-body': { parents: ['ac:task'] },
+  'ac:placeholder': {},
+  'ac:inline-comment-marker': {},
+  'ac:adf-extension': {},
+  'ac:adf-node': {},
+  'ac:adf-attribute': {},
+  'ac:adf-content': {},
+  'ac:adf-fallback': {},
+  'ac:adf-mark': {},
+  'ri:page': { parents: ['ac:link', 'ac:parameter', 'ri:attachment'], attrs: ['ri:content-title'] },
+  'ri:blog-post': { parents: ['ac:link', 'ac:parameter', 'ri:attachment'], attrs: ['ri:content-title'] },
+  'ri:attachment': { parents: ['ac:link', 'ac:image', 'ac:parameter'], attrs: ['ri:filename'] },
+  'ri:url': { parents: ['ac:image', 'ac:link', 'ac:parameter'], attrs: ['ri:value'] },
+  'ri:user': { parents: ['ac:link', 'ac:parameter'], anyAttr: ['ri:account-id', 'ri:userkey', 'ri:username'] },
+  'ri:space': { parents: ['ac:link', 'ac:parameter'], attrs: ['ri:space-key'] },
+  'ri:content-entity': { parents: ['ac:link', 'ac:parameter', 'ri:attachment'], attrs: ['ri:content-id'] },
+  'ri:shortcut': { parents: ['ac:link', 'ac:parameter'], attrs: ['ri:key', 'ri:parameter'] },
+};
+
+const LAYOUT_TYPES = new Set([
+  'single', 'fixed-width', 'two_equal', 'two_left_sidebar', 'two_right_sidebar',
+  'three_equal', 'three_with_sidebars', 'three_left_sidebars', 'three_right_sidebars', 'four_equal', 'five_equal',
+]);
+
+const STATUS_COLOURS = new Set(['grey', 'red', 'yellow', 'green', 'blue', 'purple']);
+
+// Macros we know: required parameters (`params`, or `anyParam`) and their
+// body — 'rich', 'plain', or 'none'. Other macros (apps) are not checked.
+const MACROS = {
+  status: { params: ['title'], body: 'none' },
+  code: { body: 'plain' },
+  noformat: { body: 'plain' },
+  info: { body: 'rich' },
+  note: { body: 'rich' },
+  tip: { body: 'rich' },
+  warning: { body: 'rich' },
+  panel: { body: 'rich' },
+  expand: { body: 'rich' },
+  excerpt: { body: 'rich' },
+  details: { body: 'rich' },
+  section: { body: 'rich' },
+  column: { body: 'rich' },
+  jira: { anyParam: ['key', 'jqlQuery'], body: 'none' },
+  toc: { body: 'none' },
+  children: { body: 'none' },
+  anchor: { params: [''], body: 'none' },
+  include: { params: [''], body: 'none' },
+  'excerpt-include': { params: [''], body: 'none' },
+  'view-file': { params: ['name'], body: 'none' },
+  detailssummary: { params: ['cql'], body: 'none' },
+  contentbylabel: { body: 'none' },
+  'recently-updated': { body: 'none' },
+  attachments: { body: 'none' },
+  pagetree: { body: 'none' },
+  jirachart: { params: ['jql'], body: 'none' },
+  roadmap: { params: ['source'], body: 'none' },
+  multimedia: { params: ['name'], body: 'none' },
+  widget: { params: ['url'], body: 'none' },
+};
+
+// Storage format is a subset of XHTML: these are stripped or rejected
+const FORBIDDEN = new Set(['script', 'style', 'iframe', 'object', 'embed', 'form', 'input', 'button', 'textarea', 'select', 'link', 'meta', 'base', 'html', 'head', 'body']);
+
+// ── Offline checks ─────────────────────────────────────────────
+
+/**
+ * Check a storage-format body without contacting the site.
+ *
+ * @param {string} xhtml
+ * @returns {Array<{severity: 'error'|'warning', rule: string, message: string, line: number, col: number, offset: number}>}
+ *   Sorted by position
+ */
+export function validateStorage(xhtml) {
+  const src = String(xhtml ?? '');
+  const root = parseXhtml(src);
+  const problems = root.errors.map(e => ({ severity: 'error', rule: 'xml', ...e }));
+  const report = (severity, rule, node, message) =>
+    problems.push({ severity, rule, message, line: node.line, col: node.col, offset: node.start });
+
+  const walk = (node, parent) => {
+    for (const el of childElements(node)) {
+      checkElement(el, parent, report);
+      walk(el, el);
+    }
+  };
+  walk(root, null);
+  return problems.sort((a, b) => a.offset - b.offset);
+}
+
+function checkElement(el, parent, report) {
+  const [prefix, local] = el.name.includes(':') ? el.name.split(':', 2) : [null, el.name];
+  if (prefix === null) {
+    if (FORBIDDEN.has(local.toLowerCase())) report('error', 'element', el, `<${el.name}> is not allowed in storage format`);
+    return;
+  }
+  if (prefix !== 'ac' && prefix !== 'ri') {
+    report('error', 'element', el, `Unknown namespace "${prefix}" in <${el.name}> (storage format only declares ac: and ri:)`);
+    return;
+  }
+
+  const rule = ELEMENTS[el.name];
+  if (!rule) {
+    report('error', 'element', el, `Unknown element <${el.name}>`);
+    return;
+  }
+  if (rule.parents && !rule.parents.includes(parent?.name)) {
+    report('error', 'nesting', el, `<${el.name}> must be inside ${rule.parents.map(p => `<${p}>`).join(' or ')}${parent ? `, not <${parent.name}>` : ''}`);
+  }
+  for (const attr of rule.attrs || []) {
+    if (!(attr in el.attrs)) report('error', 'attribute', el, `<${el.name}> is missing the ${attr} attribute`);
+  }
+  if (rule.anyAttr && !rule.anyAttr.some(a => a in el.attrs)) {
+    report('error', 'attribute', el, `<${el.name}> needs one of ${rule.anyAttr.join(', ')}`);
+  }
+
+  if (el.name === 'ac:layout-section' && el.attrs['ac:type'] && !LAYOUT_TYPES.has(el.attrs['ac:type'])) {
+    report('error', 'attribute', el, `Unknown layout type "${el.attrs['ac:type']}"`);
+  }
+  if (el.name === 'ac:structured-macro') checkMacro(el, report);
+}
+
+function checkMacro(el, report) {
+  const name = el.attrs['ac:name'];
+  const params = childElements(el, 'ac:parameter').map(p => p.attrs['ac:name']);
+  const seen = new Set();
+  for (const p of params) {
+    if (seen.has(p)) report('warning', 'macro', el, `Macro "${name}" has parameter "${p}" more than once`);
+    seen.add(p);
+  }
+
+  const rule = MACROS[name];
+  if (!rule) return;
+  for (const p of rule.params || []) {
+    const value = macroParam(el, p);
+    const hasContent = childElements(el, 'ac:parameter').some(e => e.attrs['ac:name'] === p && childElements(e).length);
+    if (value === undefined || (!value.trim() && !hasContent)) {
+      report('error', 'macro', el, p ? `Macro "${name}" is missing the required "${p}" parameter` : `Macro "${name}" is missing its default parameter`);
+    }
+  }
+  if (rule.anyParam && !rule.anyParam.some(p => macroParam(el, p)?.trim())) {
+    report('error', 'macro', el, `Macro "${name}" needs one of the parameters ${rule.anyParam.join(', ')}`);
+  }
+
+  const rich = childElements(el, 'ac:rich-text-body').length;
+  const plain = childElements(el, 'ac:plain-text-body').length;
+  if (rule.body === 'plain' && rich) report('error', 'macro', el, `Macro "${name}" takes <ac:plain-text-body>, not <ac:rich-text-body>`);
+  if (rule.body === 'rich' && plain) report('error', 'macro', el, `Macro "${name}" takes <ac:rich-text-body>, not <ac:plain-text-body>`);
+  if (rule.body === 'none' && (rich || plain)) report('warning', 'macro', el, `Macro "${name}" has no body; its body is ignored`);
+
+  if (name === 'status') {
+    const colour = macroParam(el, 'colour');
+    if (colour && !STATUS_COLOURS.has(colour.toLowerCase())) {
+      report('warning', 'macro', el, `Status colour "${colour}" is not one of Grey, Red, Yellow, Green, Blue, Purple`);
+    }
+  }
+}
+
+// ── Site checks ────────────────────────────────────────────────
+
+/**
+ * validateStorage() plus checks against the site: `ri:page` links to pages
+ * that don't exist, and `ri:attachment` references (images, links) to
+ * attachments that don't exist. Missing targets are warnings — Confluence
+ * accepts them, but renders broken links and images.
+ *
+ * Page links are checked when a space is known (`spaceKey`, or the link's own
+ * `ri:space-key`). Attachments on the page itself are checked when `pageId`
+ * is given, or when `attachments` lists the files that will be uploaded.
+ *
+ * @param {string} xhtml
+ * @param {object} [opts]
+ * @param {string} [opts.spaceKey] - Space the page is in
+ * @param {string} [opts.pageId] - The page, if it exists (its attachments count)
+ * @param {string[]} [opts.attachments] - Filenames that will be attached
+ * @returns {Promise<Array<object>>} Problems, as validateStorage()
+ */
+export async function lintStorage(xhtml, opts = {}) {
+  const src = String(xhtml ?? '');
+  const problems = validateStorage(src);
+  const root = parseXhtml(src);
+  const pages = new Map(); // `${space}\n${title}` → page | null
+  const attachments = new Map(); // page id → Set(filenames)
+
+  const lookupPage = async (spaceKey, title) => {
+    const key = `${spaceKey}\n${title}`;
+    if (!pages.has(key)) pages.set(key, (await findPage(spaceKey, title)).find(p => p.title === title) || null);
+    return pages.get(key);
+  };
+  const filesOf = async (pageId) => {
+    if (!attachments.has(pageId)) attachments.set(pageId, new Set((await listAttachments(pageId)).map(a => a.title)));
+    return attachments.get(pageId);
+  };
+  const report = (node, message) =>
+    problems.push({ severity: 'warning', rule: 'reference', message, line: node.line, col: node.col, offset: node.start });
+
+  const walk = async (node, parent) => {
+    for (const el of childElements(node)) {
+      if (el.name === 'ri:page' && parent?.name !== 'ri:attachment') {
+        const space = el.attrs['ri:space-key'] || opts.spaceKey;
+        const title = el.attrs['ri:content-title'];
+        if (space && title && !(await lookupPage(space, title))) report(el, `Linked page "${title}" does not exist in ${space}`);
+      } else if (el.name === 'ri:attachment' && el.attrs['ri:filename']) {
+        await checkAttachment(el, { opts, lookupPage, filesOf, report });
+      }
+      await walk(el, el);
+    }
+  };
+  await walk(root, null);
+  return problems.sort((a, b) => a.offset - b.offset);
+}
+
+async function checkAttachment(el, { opts, lookupPage, filesOf, report }) {
+  const filename = el.attrs['ri:filename'];
+  const [owner] = childElements(el);
+  if (owner?.name === 'ri:page') {
+    const space = owner.attrs['ri:space-key'] || opts.spaceKey;
+    const title = owner.attrs['ri:content-title'];
+    if (!space || !title) return;
+    const page = await lookupPage(space, title);
+    if (!page) report(el, `Attachment "${filename}" is on page "${title}", which does not exist in ${space}`);
+    else if (!(await filesOf(page.id)).has(filename)) report(el, `Page "${title}" has no attachment "${filename}"`);
+    return;
+  }
+  if (owner?.name === 'ri:content-entity') {
+    const id = owner.attrs['ri:content-id'];
+    const page = await getPageById(id, 'version').catch(e => { if (e.statusCode === 404) return null; throw e; });
+    if (!page) report(el, `Attachment "${filename}" is on content ${id}, which does not exist`);
+    else if (!(await filesOf(id)).has(filename)) report(el, `Content ${id} has no attachment "${filename}"`);
+    return;
+  }
+  if (!opts.pageId && !opts.attachments) return;
+  const pending = new Set((opts.attachments || []).map(String));
+  if (pending.has(filename)) return;
+  if (!opts.pageId || !(await filesOf(opts.pageId)).has(filename)) report(el, `Attachment "${filename}" does not exist on this page`);
+}
+
+// ── Reporting ──────────────────────────────────────────────────
+
+/**
+ * Thrown by write functions called with `validate: true` when a body has
+ * errors. `problems` lists them (and any warnings).
+ */
+export class StorageValidationError extends Error {
+  constructor(problems, { title, src } = {}) {
+    const errors = problems.filter(p => p.severity === 'error');
+    super(`Storage format${title ? ` of "${title}"` : ''} has ${errors.length} error${errors.length === 1 ? '' : 's'}:\n${formatProblems(errors, src)}`);
+    this.name = 'StorageValidationError';
+    this.statusCode = 400;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Lint a body for a write function: warnings are logged, errors throw a
+ * StorageValidationError. `validate` is the write function's option — true,
+ * or lintStorage() options (e.g. `{ attachments }`).
+ */
+export async function assertValidStorage(xhtml, context = {}, validate = true) {
+  const extra = typeof validate === 'object' ? validate : {};
+  const problems = await lintStorage(xhtml, { ...context, ...extra });
+  const warnings = problems.filter(p => p.severity === 'warning');
+  if (warnings.length) console.log(`  Storage format warnings${context.title ? ` for "${context.title}"` : ''}:\n${formatProblems(warnings, xhtml)}`);
+  if (problems.some(p => p.severity === 'error')) throw new StorageValidationError(problems, { title: context.title, src: String(xhtml ?? '') });
+  return problems;
+}
+
+/**
+ * One entry per problem: `file:line:col severity message [rule]`, followed by
+ * the source around it (long lines are cut to a window around the column).
+ *
+ * @param {Array<object>} problems
+ * @param {string} [src] - The body, for context lines
+ * @param {{file?: string}} [opts]
+ */
+export function formatProblems(problems, src, opts = {}) {
+  const lines = src === undefined ? null : String(src).split('\n');
+  return problems.map(p => {
+    const where = `${opts.file ? `${opts.file}:` : ''}${p.line}:${p.col}`;
+    const head = `  ${where} ${p.severity.padEnd(7)} ${p.message} [${p.rule}]`;
+    const line = lines?.[p.line - 1];
+    if (line === undefined) return head;
+    const from = Math.max(0, p.col - 1 - 40);
+    const to = Math.min(line.length, p.col - 1 + 60);
+    const snippet = `${from > 0 ? '…' : ''}${line.slice(from, to)}${to < line.length ? '…' : ''}`;
+    const caret = ' '.repeat(p.col - 1 - from + (from > 0 ? 1 : 0)) + '^';
+    return `${head}\n      ${snippet}\n      ${caret}`;
+  }).join('\n');
+}
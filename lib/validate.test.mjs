@@ -0,0 +1,122 @@
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockSite } from './mock-server.mjs';
+import { confluence } from './confluence.mjs';
+import { cf, nx } from './formatters.mjs';
+import { validateStorage, lintStorage, formatProblems, StorageValidationError } from './validate.mjs';
+
+let site;
+let homepage;
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  site = await startMockSite();
+});
+after(() => site.stop());
+beforeEach(async () => {
+  site.reset();
+  ({ homepage } = await confluence.createSpace('ENG', 'Engineering', ''));
+});
+
+const summary = (problems) => problems.map(p => `${p.line}:${p.col} ${p.severity} ${p.rule}`);
+
+test('helper output is valid storage format', () => {
+  const body = [
+    cf.status('Done', 'Green'), cf.info('Note', '<p>x</p>'), cf.code('js', 'a ]]> b'), cf.toc(), cf.children(),
+    cf.expand('More', '<p>y</p>'), cf.table(['A'], [['<b>']]), cf.image('a.png'), cf.pageLink('Home'),
+    cf.jiraIssue('PROJ-1'), cf.jiraTable('project = PROJ'), nx.twoEqual('<p>l</p>', '<p>r</p>'),
+    nx.pageProperties([['Owner', 'R&D']]), nx.excerpt('Summary'), nx.tick,
+  ].join('\n');
+  assert.deepEqual(validateStorage(body), []);
+});
+
+test('well-formedness, elements, nesting and macro parameters are checked with positions', () => {
+  const body = [
+    '<p>R&D <strong>bold</p>',
+    '<ac:structured-macro ac:name="status"><ac:parameter ac:name="colour">Pink</ac:parameter></ac:structured-macro>',
+    '<ac:structured-macro ac:name="code"><ac:rich-text-body><p>x</p></ac:rich-text-body></ac:structured-macro>',
+    '<ac:structured-macro ac:name="jira"><ac:parameter ac:name="columns">key</ac:parameter></ac:structured-macro>',
+    '<p><ri:page ri:content-title="Home" /><ac:image><ri:attachment /></ac:image><ac:emoji /></p>',
+    '<ac:layout><ac:layout-section ac:type="two_wide"><ac:layout-cell /></ac:layout-section></ac:layout><script>x()</script>',
+    '<ac:structured-macro ac:name="include"><ac:parameter ac:name=""><ac:link><ri:page ri:content-title="Home" /></ac:link></ac:parameter></ac:structured-macro>',
+  ].join('\n');
+  const problems = validateStorage(body);
+  assert.deepEqual(summary(problems), [
+    '1:5 error xml', '1:8 error xml',
+    '2:1 error macro', '2:1 warning macro',
+    '3:1 error macro',
+    '4:1 error macro',
+    '5:4 error nesting', '5:49 error attribute', '5:77 error element',
+    '6:12 error attribute', '6:100 error element',
+  ]);
+  assert.match(problems[0].message, /Unescaped "&"/);
+  assert.match(problems[2].message, /"status" is missing the required "title" parameter/);
+  assert.match(problems[5].message, /"jira" needs one of the parameters key, jqlQuery/);
+  assert.match(problems[6].message, /<ri:page> must be inside <ac:link> or <ac:parameter> or <ri:attachment>, not <p>/);
+
+  const text = formatProblems(problems.slice(0, 1), body, { file: 'page.html' });
+  assert.equal(text, '  page.html:1:5 error   Unescaped "&" in text [xml]\n      <p>R&D <strong>bold</p>\n          ^');
+});
+
+test('lintStorage flags links to missing pages and missing attachments', async () => {
+  const page = await confluence.createPage('ENG', 'Guide', '<p>Hi</p>', homepage.id);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-validate-test-'));
+  fs.writeFileSync(path.join(dir, 'there.png'), 'png');
+  await confluence.uploadPageAttachment(page.id, path.join(dir, 'there.png'));
+  fs.rmSync(dir, { recursive: true, force: true });
+
+  const body = [
+    cf.pageLink('Guide'), cf.pageLink('Nowhere'), cf.image('there.png'), cf.image('gone.png'), cf.image('new.png'),
+    '<ac:image><ri:attachment ri:filename="there.png"><ri:page ri:content-title="Guide" /></ri:attachment></ac:image>',
+    '<ac:image><ri:attachment ri:filename="x.png"><ri:page ri:content-title="Missing" ri:space-key="OPS" /></ri:attachment></ac:image>',
+  ].join('\n');
+
+  const problems = await lintStorage(body, { spaceKey: 'ENG', pageId: page.id, attachments: ['new.png'] });
+  assert.deepEqual(problems.map(p => `${p.line} ${p.severity} ${p.message}`), [
+    '2 warning Linked page "Nowhere" does not exist in ENG',
+    '4 warning Attachment "gone.png" does not exist on this page',
+    '7 warning Attachment "x.png" is on page "Missing", which does not exist in OPS',
+  ]);
+  // Without a page or pending uploads, attachments on the page itself can't be checked
+  assert.equal((await lintStorage(body, { spaceKey: 'ENG' })).length, 2);
+  // Without a space, page links aren't checked either
+  assert.deepEqual(await lintStorage(cf.pageLink('Nowhere')), []);
+});
+
+test('write functions validate bodies with validate: true', async () => {
+  const broken = '<p>Fish & chips</p><ac:structured-macro ac:name="status"></ac:structured-macro>';
+  await assert.rejects(confluence.createPage('ENG', 'Menu', broken, homepage.id, [], { validate: true }), (e) => {
+    assert.ok(e instanceof StorageValidationError);
+    assert.equal(e.statusCode, 400);
+    assert.equal(e.problems.length, 2);
+    assert.match(e.message, /Storage format of "Menu" has 2 errors:\n {2}1:9 error/);
+    return true;
+  });
+  assert.equal(await confluence.getPage('ENG', 'Menu'), null);
+
+  // Without validate, the body is sent as before
+  const page = await confluence.createPage('ENG', 'Menu', '<p>ok</p>', homepage.id);
+  await assert.rejects(confluence.updatePage('ENG', 'Menu', broken, { validate: true }), StorageValidationError);
+  await assert.rejects(confluence.upsertPage('ENG', 'Menu', broken, homepage.id, [], { validate: true }), StorageValidationError);
+  assert.equal((await confluence.getPageById(page.id)).version.number, 1);
+
+  // Warnings are logged, not thrown
+  const updated = await confluence.updatePageById(page.id, { body: `<p>See ${cf.pageLink('Nowhere')}</p>`, validate: true });
+  assert.equal(updated.version.number, 2);
+  assert.ok(console.log.mock.calls.some(c => /Linked page "Nowhere" does not exist in ENG/.test(c.arguments[0])));
+
+  // buildPageTree counts a page's own attachments as present
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'atl-validate-test-'));
+  fs.writeFileSync(path.join(dir, 'chart.png'), 'png');
+  const report = await confluence.buildPageTree('ENG', homepage.id, [
+    { title: 'Broken', body: broken },
+    { title: 'Pictures', body: `<p>${cf.image('chart.png')}</p>`, attachments: [path.join(dir, 'chart.png')] },
+  ], { validate: true });
+  fs.rmSync(dir, { recursive: true, force: true });
+  assert.deepEqual(report.failed.map(f => f.title), ['Broken']);
+  assert.deepEqual(report.created.map(c => c.title), ['Pictures']);
+  assert.ok(!console.log.mock.calls.some(c => /chart\.png" does not exist/.test(c.arguments[0])));
+});
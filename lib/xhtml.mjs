@@ -0,0 +1,195 @@
+/**
+ * Minimal XHTML parser for Confluence storage format
+ *
+ * Produces a lightweight tree of element/text/cdata/comment nodes. Each
+ * element keeps its source offsets (`start`, `end`) and position (`line`,
+ * `col`), so callers can recover the exact original markup of any subtree.
+ * Parsing is tolerant: malformed input still yields a tree, and problems are
+ * collected in `root.errors` instead of throwing.
+ *
+ * Usage:
+ *   import { parseXhtml, textContent } from './xhtml.mjs';
+ *   const root = parseXhtml('<p>Hello <strong>world</strong></p>');
+ *   textContent(root); // 'Hello world'
+ */
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'col', 'meta', 'link', 'input', 'area', 'base', 'wbr']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™',
+  times: '×', divide: '÷', deg: '°', plusmn: '±', para: '¶', sect: '§', euro: '€',
+  pound: '£', yen: '¥', cent: '¢', larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔',
+  rArr: '⇒', lArr: '⇐', hearts: '♥', check: '✓', ensp: ' ', emsp: ' ', thinsp: ' ',
+  zwj: '‍', zwnj: '‌', shy: '­', iexcl: '¡', iquest: '¿', frac12: '½', frac14: '¼', frac34: '¾',
+};
+
+/**
+ * Decode XML/HTML character references. Unknown named entities are kept as-is.
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (m, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+    }
+    return NAMED_ENTITIES[ref] ?? m;
+  });
+}
+
+/** Names of the named entities decodeEntities() understands. */
+export const KNOWN_ENTITIES = new Set(Object.keys(NAMED_ENTITIES));
+
+/**
+ * Parse an XHTML fragment.
+ *
+ * @param {string} src
+ * @returns {{type: 'root', children: Array, errors: Array<{message: string, line: number, col: number, offset: number}>}}
+ */
+export function parseXhtml(src) {
+  const root = { type: 'root', children: [], errors: [] };
+  const stack = [root];
+  const lineStarts = [0];
+  for (let i = 0; i < src.length; i++) if (src[i] === '\n') lineStarts.push(i + 1);
+
+  const position = (offset) => {
+    let lo = 0;
+    let hi = lineStarts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lineStarts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return { line: lo + 1, col: offset - lineStarts[lo] + 1 };
+  };
+  const error = (message, offset) => root.errors.push({ message, offset, ...position(offset) });
+  const current = () => stack[stack.length - 1];
+
+  let i = 0;
+  while (i < src.length) {
+    const lt = src.indexOf('<', i);
+    const textEnd = lt === -1 ? src.length : lt;
+    if (textEnd > i) {
+      const raw = src.slice(i, textEnd);
+      const bad = raw.search(/&(?!#x[0-9a-f]+;|#\d+;|[a-z][a-z0-9]*;)/i);
+      if (bad !== -1) error('Unescaped "&" in text', i + bad);
+      current().children.push({ type: 'text', text: decodeEntities(raw), start: i, end: textEnd });
+      i = textEnd;
+      continue;
+    }
+
+    if (src.startsWith('<!--', i)) {
+      const end = src.indexOf('-->', i + 4);
+      if (end === -1) { error('Unterminated comment', i); break; }
+      current().children.push({ type: 'comment', text: src.slice(i + 4, end), start: i, end: end + 3 });
+      i = end + 3;
+      continue;
+    }
+
+    if (src.startsWith('<![CDATA[', i)) {
+      const end = src.indexOf(']]>', i + 9);
+      if (end === -1) { error('Unterminated CDATA section', i); break; }
+      current().children.push({ type: 'cdata', text: src.slice(i + 9, end), start: i, end: end + 3 });
+      i = end + 3;
+      continue;
+    }
+
+    if (src.startsWith('<!', i) || src.startsWith('<?', i)) {
+      const end = src.indexOf('>', i);
+      i = end === -1 ? src.length : end + 1;
+      continue;
+    }
+
+    if (src[i + 1] === '/') {
+      const m = src.slice(i).match(/^<\/([\w:.-]+)\s*>/);
+      if (!m) { error('Malformed closing tag', i); i++; continue; }
+      const name = m[1];
+      const idx = findOpen(stack, name);
+      if (idx === -1) {
+        if (!VOID_ELEMENTS.has(name.toLowerCase())) error(`Unexpected closing tag </${name}>`, i);
+      } else {
+        for (let k = stack.length - 1; k > idx; k--) {
+          error(`Element <${stack[k].name}> is not closed before </${name}>`, stack[k].start);
+          stack[k].end = i;
+        }
+        stack[idx].end = i + m[0].length;
+        stack.length = idx;
+      }
+      i += m[0].length;
+      continue;
+    }
+
+    const m = src.slice(i).match(/^<([\w:.-]+)((?:\s+[\w:.-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/);
+    if (!m) {
+      error('Malformed tag or unescaped "<"', i);
+      current().children.push({ type: 'text', text: '<', start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    const [whole, name, rawAttrs, selfClose] = m;
+    const node = { type: 'element', name, attrs: parseAttrs(rawAttrs, i, error), children: [], start: i, end: i + whole.length, ...position(i) };
+    current().children.push(node);
+    i += whole.length;
+    if (!selfClose && !VOID_ELEMENTS.has(name.toLowerCase())) stack.push(node);
+  }
+
+  for (let k = stack.length - 1; k > 0; k--) {
+    error(`Element <${stack[k].name}> is never closed`, stack[k].start);
+    stack[k].end = src.length;
+  }
+  return root;
+}
+
+function findOpen(stack, name) {
+  for (let k = stack.length - 1; k > 0; k--) if (stack[k].name === name) return k;
+  return -1;
+}
+
+function parseAttrs(raw, offset, error) {
+  const attrs = {};
+  const re = /([\w:.-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    const value = m[2] ?? m[3] ?? m[4];
+    if (value === undefined) error(`Attribute "${m[1]}" has no value`, offset);
+    else if (m[4] !== undefined) error(`Attribute "${m[1]}" value is not quoted`, offset);
+    if (m[1] in attrs) error(`Duplicate attribute "${m[1]}"`, offset);
+    attrs[m[1]] = decodeEntities(value ?? '');
+  }
+  return attrs;
+}
+
+// ── Tree helpers ───────────────────────────────────────────────
+
+/** Concatenated text (including CDATA) of a node and its descendants. */
+export function textContent(node) {
+  if (node.type === 'text' || node.type === 'cdata') return node.text;
+  return (node.children || []).map(textContent).join('');
+}
+
+/** Direct child elements, optionally filtered by tag name. */
+export function childElements(node, name) {
+  return (node.children || []).filter(c => c.type === 'element' && (!name || c.name === name));
+}
+
+/** Depth-first search for descendant elements matching a predicate or tag name. */
+export function findElements(node, match) {
+  const test = typeof match === 'function' ? match : (n) => n.name === match;
+  const found = [];
+  const walk = (n) => {
+    for (const c of n.children || []) {
+      if (c.type !== 'element') continue;
+      if (test(c)) found.push(c);
+      walk(c);
+    }
+  };
+  walk(node);
+  return found;
+}
+
+/** Value of a structured macro's `<ac:parameter ac:name="...">`, or undefined. */
+export function macroParam(macro, name) {
+  const p = childElements(macro, 'ac:parameter').find(e => e.attrs['ac:name'] === name);
+  return p ? textContent(p) : undefined;
+}